@@ -0,0 +1,16 @@
+-- Full-text search indexes for issues and comments.
+-- The expressions must match the ones used in src/services/search.service.js
+-- for Postgres to use these indexes.
+-- Apply with: npm run prisma:search-indexes
+
+CREATE INDEX IF NOT EXISTS "Issue_search_idx" ON "Issue" USING GIN (
+  (
+    setweight(to_tsvector('english', coalesce("title", '')), 'A') ||
+    setweight(to_tsvector('english', coalesce("description", '')), 'B') ||
+    setweight(to_tsvector('english', coalesce("location", '')), 'C')
+  )
+);
+
+CREATE INDEX IF NOT EXISTS "Comment_search_idx" ON "Comment" USING GIN (
+  to_tsvector('english', coalesce("content", ''))
+);
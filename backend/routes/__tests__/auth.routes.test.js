@@ -0,0 +1,37 @@
+const express = require('express');
+const request = require('supertest');
+
+// The routes resolve their imports as if they lived in src/routes
+jest.mock('../../controllers/auth.controller', () => jest.requireActual('../../src/controllers/auth.controller'), { virtual: true });
+jest.mock('../../middleware/auth.middleware', () => jest.requireActual('../../src/middleware/auth.middleware'), { virtual: true });
+jest.mock('../../middleware/rateLimit.middleware', () => jest.requireActual('../../src/middleware/rateLimit.middleware'), { virtual: true });
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => ({})),
+}));
+
+jest.mock('../../src/services/invite.service', () => ({
+  findInvite: jest.fn(),
+  acceptInvite: jest.fn(),
+}));
+
+const { acceptInvite } = require('../../src/services/invite.service');
+const authRoutes = require('../auth.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+describe('auth routes', () => {
+  describe('POST /api/auth/invites/accept', () => {
+    it('rejects a token that is not a string', async () => {
+      const response = await request(app)
+        .post('/api/auth/invites/accept')
+        .send({ token: { $ne: '' }, password: 'secret123' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errors).toEqual([expect.objectContaining({ path: 'token' })]);
+      expect(acceptInvite).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,321 @@
+const express = require('express');
+const { body } = require('express-validator');
+const adminController = require('../controllers/admin.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const { ISSUE_CATEGORIES } = require('../services/department.service');
+const { SLA_PRIORITIES } = require('../services/sla.service');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/stats:
+ *   get:
+ *     summary: Get dashboard statistics (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Issue and user statistics
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/stats', [authMiddleware, adminMiddleware], adminController.getStats);
+
+/**
+ * @swagger
+ * /api/admin/workload:
+ *   get:
+ *     summary: Get open issues per official and per department (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Officials with their open issues, and departments with their open and unassigned issue counts. Issues without a department are counted under a department with a null id
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/workload', [authMiddleware, adminMiddleware], adminController.getWorkload);
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   get:
+ *     summary: Get pending official invites (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of pending invites
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/invites', [authMiddleware, adminMiddleware], adminController.getInvites);
+
+/**
+ * @swagger
+ * /api/admin/invites:
+ *   post:
+ *     summary: Invite someone to join a department as an official (admin only)
+ *     description: Emails a single-use invite link that expires after 7 days
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - departmentId
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               departmentId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Invite sent
+ *       400:
+ *         description: Invalid input or the address already belongs to an official or admin
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Department not found
+ */
+router.post(
+  '/invites',
+  [
+    authMiddleware,
+    adminMiddleware,
+    body('email').isEmail().withMessage('Please provide a valid email'),
+    body('departmentId').notEmpty().withMessage('Department is required'),
+  ],
+  adminController.createInvite
+);
+
+/**
+ * @swagger
+ * /api/admin/invites/{id}:
+ *   delete:
+ *     summary: Revoke a pending official invite (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite revoked successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Invite not found
+ */
+router.delete('/invites/:id', [authMiddleware, adminMiddleware], adminController.revokeInvite);
+
+/**
+ * @swagger
+ * /api/admin/sla-targets:
+ *   get:
+ *     summary: Get resolution targets per category and priority (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Configured targets, and the built-in defaults per priority used where no target applies
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/sla-targets', [authMiddleware, adminMiddleware], adminController.getSlaTargets);
+
+/**
+ * @swagger
+ * /api/admin/sla-targets:
+ *   put:
+ *     summary: Set the resolution target for a category and priority (admin only)
+ *     description: Applies to issues reported, reopened or reprioritised from now on
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - category
+ *               - priority
+ *               - hours
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
+ *               priority:
+ *                 type: string
+ *                 enum: [HIGH, MEDIUM, LOW, ANY]
+ *                 description: ANY sets the default for priorities of the category without their own target
+ *               hours:
+ *                 type: integer
+ *                 minimum: 1
+ *     responses:
+ *       200:
+ *         description: Target saved
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.put(
+  '/sla-targets',
+  [
+    authMiddleware,
+    adminMiddleware,
+    body('category').isIn(ISSUE_CATEGORIES).withMessage('Invalid category'),
+    body('priority').isIn(SLA_PRIORITIES).withMessage('Invalid priority'),
+    body('hours').isInt({ min: 1, max: 24 * 365 }).withMessage('Hours must be a whole number between 1 and 8760').toInt(),
+  ],
+  adminController.saveSlaTarget
+);
+
+/**
+ * @swagger
+ * /api/admin/sla-targets/{id}:
+ *   delete:
+ *     summary: Remove a resolution target (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Target removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Target not found
+ */
+router.delete('/sla-targets/:id', [authMiddleware, adminMiddleware], adminController.deleteSlaTarget);
+
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: Get background jobs by status (admin only)
+ *     description: Jobs that ran out of attempts are FAILED and stay there until retried
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [PENDING, RUNNING, COMPLETED, FAILED]
+ *           default: FAILED
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Jobs, most recently updated first, with the number of jobs per status
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/jobs', [authMiddleware, adminMiddleware], adminController.getJobs);
+
+/**
+ * @swagger
+ * /api/admin/jobs/{id}/retry:
+ *   post:
+ *     summary: Queue a failed job again with a fresh set of attempts (admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job queued
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Failed job not found
+ */
+router.post('/jobs/:id/retry', [authMiddleware, adminMiddleware], adminController.retryJob);
+
+module.exports = router;
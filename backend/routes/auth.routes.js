@@ -1,6 +1,8 @@
 const express = require('express');
 const { body } = require('express-validator');
 const authController = require('../controllers/auth.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const rateLimitMiddleware = require('../middleware/rateLimit.middleware');
 const router = express.Router();
 
 /**
@@ -28,17 +30,17 @@ const router = express.Router();
  *               password:
  *                 type: string
  *                 format: password
- *               role:
- *                 type: string
- *                 enum: [CITIZEN, OFFICIAL, ADMIN]
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: CITIZEN account registered successfully; a verification link is emailed to the user
  *       400:
  *         description: Invalid input
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
  */
 router.post(
   '/register',
+  rateLimitMiddleware('register'),
   [
     body('name').notEmpty().withMessage('Name is required'),
     body('email').isEmail().withMessage('Please provide a valid email'),
@@ -73,12 +75,15 @@ router.post(
  *                 format: password
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful; returns an access token and a refresh token
  *       401:
  *         description: Invalid credentials
+ *       429:
+ *         description: Too many requests or failed logins; retry after the Retry-After header
  */
 router.post(
   '/login',
+  rateLimitMiddleware('login'),
   [
     body('email').isEmail().withMessage('Please provide a valid email'),
     body('password').notEmpty().withMessage('Password is required'),
@@ -100,6 +105,338 @@ router.post(
  *       401:
  *         description: Not authenticated
  */
-router.get('/me', authController.getMe);
+router.get('/me', authMiddleware, authController.getMe);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Invalid input
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
+ */
+router.post(
+  '/forgot-password',
+  rateLimitMiddleware('passwordReset'),
+  [
+    body('email').isEmail().withMessage('Please provide a valid email'),
+  ],
+  authController.forgotPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can be used once and all existing sessions of the user are revoked
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid input or invalid, expired or used token
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
+ */
+router.post(
+  '/reset-password',
+  rateLimitMiddleware('passwordReset'),
+  [
+    body('token').isString().withMessage('Invalid reset token').notEmpty().withMessage('Reset token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  authController.resetPassword
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the token from a verification link
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified successfully
+ *       400:
+ *         description: Invalid input or invalid or expired token
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
+ */
+router.post(
+  '/verify-email',
+  rateLimitMiddleware('verification'),
+  [
+    body('token').notEmpty().withMessage('Verification token is required'),
+  ],
+  authController.verifyEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new verification link to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email address is already verified
+ *       401:
+ *         description: Not authenticated
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
+ */
+router.post(
+  '/resend-verification',
+  authMiddleware,
+  rateLimitMiddleware('verification', { by: 'user' }),
+  authController.resendVerification
+);
+
+/**
+ * @swagger
+ * /api/auth/invites/{token}:
+ *   get:
+ *     summary: Get a pending official invite by the token from its link
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invite with its email, department and whether the address already has an account
+ *       404:
+ *         description: Invalid or expired invite
+ */
+router.get('/invites/:token', authController.getInvite);
+
+/**
+ * @swagger
+ * /api/auth/invites/accept:
+ *   post:
+ *     summary: Accept an official invite and log in
+ *     description: >
+ *       If the invited address already has an account, its password is required
+ *       and the account becomes an official. Otherwise a new official account
+ *       is created with the given name and password.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 description: Required when creating a new account
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Invite accepted
+ *       400:
+ *         description: Invalid input, invalid or expired invite, or incorrect password
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
+ */
+router.post(
+  '/invites/accept',
+  rateLimitMiddleware('login'),
+  [
+    body('token').isString().withMessage('Invalid invite token').notEmpty().withMessage('Invite token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  authController.acceptInvite
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new access and refresh tokens
+ *     description: >
+ *       Refresh tokens are single-use. Presenting one that was already
+ *       exchanged signs out the whole session, unless it was exchanged in
+ *       the last few seconds; then only a new token is returned and
+ *       refreshToken is null, so the client keeps the one it has.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token and refreshToken (null within the grace period)
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ *       429:
+ *         description: Too many requests; retry after the Retry-After header
+ */
+router.post(
+  '/refresh',
+  rateLimitMiddleware('refresh'),
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+  ],
+  authController.refresh
+);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: End the session a refresh token belongs to
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       400:
+ *         description: Invalid input
+ */
+router.post(
+  '/logout',
+  [
+    body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+  ],
+  authController.logout
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Get the current user's active sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, with the one making the request marked as current
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/sessions', authMiddleware, authController.getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out of all sessions except the current one
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *       401:
+ *         description: Not authenticated
+ */
+router.delete('/sessions', authMiddleware, authController.revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', authMiddleware, authController.revokeSession);
 
 module.exports = router;
\ No newline at end of file
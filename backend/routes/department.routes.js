@@ -0,0 +1,260 @@
+const express = require('express');
+const { body } = require('express-validator');
+const departmentController = require('../controllers/department.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const { ISSUE_CATEGORIES } = require('../services/department.service');
+const router = express.Router();
+
+// Categories, area and wards, shared by create and update
+const jurisdictionValidators = [
+  body('categories').optional().isArray().withMessage('categories must be an array'),
+  body('categories.*').isIn(ISSUE_CATEGORIES).withMessage('Invalid category'),
+  body('area').optional({ values: 'null' }).isObject().withMessage('area must be a GeoJSON object'),
+  body('wards').optional().isArray().withMessage('wards must be an array'),
+  body('wards.*').isString().withMessage('wards must contain ward names'),
+];
+
+/**
+ * @swagger
+ * /api/departments:
+ *   get:
+ *     summary: Get all departments
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of departments with their categories, areas, wards and number of officials
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', authMiddleware, departmentController.getDepartments);
+
+/**
+ * @swagger
+ * /api/departments:
+ *   post:
+ *     summary: Create a department (admin only)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               categories:
+ *                 type: array
+ *                 description: Issue categories routed to the department
+ *                 items:
+ *                   type: string
+ *                   enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
+ *               area:
+ *                 type: object
+ *                 nullable: true
+ *                 description: GeoJSON Polygon or MultiPolygon the department covers
+ *               wards:
+ *                 type: array
+ *                 description: Wards the department covers. Without an area or wards it covers everywhere
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Department created successfully
+ *       400:
+ *         description: Invalid input or name already taken
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.post(
+  '/',
+  [
+    authMiddleware,
+    adminMiddleware,
+    body('name').trim().notEmpty().withMessage('Department name is required'),
+    ...jurisdictionValidators,
+  ],
+  departmentController.createDepartment
+);
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   get:
+ *     summary: Get a department with its officials
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Department details
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Department not found
+ */
+router.get('/:id', authMiddleware, departmentController.getDepartment);
+
+/**
+ * @swagger
+ * /api/departments/{id}:
+ *   put:
+ *     summary: Update a department's name, categories and jurisdiction (admin only)
+ *     description: Only new issues are routed with the updated settings
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               area:
+ *                 type: object
+ *                 nullable: true
+ *                 description: GeoJSON Polygon or MultiPolygon, or null to remove the area
+ *               wards:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               headId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Official in the department that overdue issues are escalated to, or null for none
+ *     responses:
+ *       200:
+ *         description: Department updated successfully
+ *       400:
+ *         description: Invalid input or name already taken
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Department not found
+ */
+router.put(
+  '/:id',
+  [
+    authMiddleware,
+    adminMiddleware,
+    body('name').optional().trim().notEmpty().withMessage('Department name cannot be empty'),
+    ...jurisdictionValidators,
+    body('headId').optional({ values: 'null' }).isString().withMessage('headId must be a user ID or null'),
+  ],
+  departmentController.updateDepartment
+);
+
+/**
+ * @swagger
+ * /api/departments/{id}/officials:
+ *   post:
+ *     summary: Assign an official to a department (admin only)
+ *     description: Officials belong to one department and are moved from any other
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Official assigned
+ *       400:
+ *         description: User is not an official
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Department or user not found
+ */
+router.post(
+  '/:id/officials',
+  [
+    authMiddleware,
+    adminMiddleware,
+    body('userId').isString().notEmpty().withMessage('userId is required'),
+  ],
+  departmentController.addOfficial
+);
+
+/**
+ * @swagger
+ * /api/departments/{id}/officials/{userId}:
+ *   delete:
+ *     summary: Remove an official from a department (admin only)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Official removed
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Official not found in the department
+ */
+router.delete(
+  '/:id/officials/:userId',
+  [authMiddleware, adminMiddleware],
+  departmentController.removeOfficial
+);
+
+module.exports = router;
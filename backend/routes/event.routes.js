@@ -0,0 +1,49 @@
+const express = require('express');
+const eventController = require('../controllers/event.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/events/ticket:
+ *   post:
+ *     summary: Get a ticket for opening the event stream
+ *     description: EventSource cannot send headers, so the stream is opened with a ticket in the URL rather than the access token. A ticket works once and expires after 30 seconds.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Ticket and its lifetime in seconds
+ *       401:
+ *         description: Not authenticated
+ */
+router.post('/ticket', authMiddleware, eventController.createTicket);
+
+/**
+ * @swagger
+ * /api/events:
+ *   get:
+ *     summary: Stream live updates as server-sent events
+ *     description: Sends `notification` events with the user's new notifications, and `issue.status` and `comment.created` events for every issue. The stream ends when the access token the ticket was asked for expires; reconnect with a new ticket.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Ticket from POST /api/events/ticket
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Invalid, expired or already used ticket
+ */
+router.get('/', eventController.streamEvents);
+
+module.exports = router;
@@ -3,6 +3,15 @@ const { body } = require('express-validator');
 const issueController = require('../controllers/issue.controller');
 const authMiddleware = require('../middleware/auth.middleware');
 const adminMiddleware = require('../middleware/admin.middleware');
+const officialMiddleware = require('../middleware/official.middleware');
+const optionalAuthMiddleware = require('../middleware/optionalAuth.middleware');
+const uploadMiddleware = require('../middleware/upload.middleware');
+const verifiedMiddleware = require('../middleware/verified.middleware');
+const rateLimitMiddleware = require('../middleware/rateLimit.middleware');
+const { ISSUE_STATUSES } = require('../services/issueStatus.service');
+const { VOTE_TYPES } = require('../services/vote.service');
+const { ISSUE_CATEGORIES } = require('../services/department.service');
+const { ISSUE_PRIORITIES } = require('../services/priority.service');
 const router = express.Router();
 
 /**
@@ -10,19 +19,72 @@ const router = express.Router();
  * /api/issues:
  *   get:
  *     summary: Get all issues
+ *     description: When authenticated, each issue includes the caller's vote as userVote
  *     tags: [Issues]
  *     parameters:
  *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [REPORTED, UNDER_REVIEW, IN_PROGRESS, RESOLVED, CLOSED]
+ *           enum: [REPORTED, UNDER_REVIEW, IN_PROGRESS, RESOLVED, CLOSED, REJECTED, REOPENED]
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
  *           enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
  *       - in: query
+ *         name: department
+ *         description: 'A department ID, "mine" for the caller''s own department or "none" for issues no department handles'
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: assignee
+ *         description: 'A user ID, "me" for issues assigned to the caller or "none" for unassigned issues'
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: overdue
+ *         description: Only open issues past their due date
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: priority
+ *         description: Only issues officials gave this priority
+ *         schema:
+ *           type: string
+ *           enum: [HIGH, MEDIUM, LOW]
+ *       - in: query
+ *         name: sort
+ *         description: 'newest first, or priority: highest priority first, falling back to the automatic score for issues officials have not prioritised. Cannot be combined with search or near'
+ *         schema:
+ *           type: string
+ *           enum: [newest, priority]
+ *           default: newest
+ *       - in: query
+ *         name: search
+ *         description: Keywords matched against title, description, location and comments. Results are ranked and carry highlighted snippets
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: near
+ *         description: '"lat,lng" point. Returns issues within radius, nearest first, each with its distance in meters. Cannot be combined with search'
+ *         schema:
+ *           type: string
+ *           example: 51.5074,-0.1278
+ *       - in: query
+ *         name: radius
+ *         description: Radius in meters around near
+ *         schema:
+ *           type: number
+ *           default: 1000
+ *           maximum: 50000
+ *       - in: query
+ *         name: bbox
+ *         description: '"west,south,east,north" bounding box in degrees'
+ *         schema:
+ *           type: string
+ *           example: -0.15,51.49,-0.10,51.52
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -36,13 +98,50 @@ const router = express.Router();
  *       200:
  *         description: List of issues
  */
-router.get('/', issueController.getAllIssues);
+router.get('/', optionalAuthMiddleware, issueController.getAllIssues);
+
+/**
+ * @swagger
+ * /api/issues/stats:
+ *   get:
+ *     summary: Get issue statistics
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week]
+ *           default: day
+ *     responses:
+ *       200:
+ *         description: Counts by status, category and priority, opened and resolved time series, median resolution time and top upvoted open issues
+ *       400:
+ *         description: Invalid filter
+ */
+router.get('/stats', issueController.getIssueStats);
 
 /**
  * @swagger
  * /api/issues/{id}:
  *   get:
  *     summary: Get issue by ID
+ *     description: When authenticated, the issue includes the caller's vote as userVote
  *     tags: [Issues]
  *     parameters:
  *       - in: path
@@ -56,7 +155,27 @@ router.get('/', issueController.getAllIssues);
  *       404:
  *         description: Issue not found
  */
-router.get('/:id', issueController.getIssueById);
+router.get('/:id', optionalAuthMiddleware, issueController.getIssueById);
+
+/**
+ * @swagger
+ * /api/issues/{id}/history:
+ *   get:
+ *     summary: Get the status history of an issue
+ *     tags: [Issues]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of status changes, oldest first
+ *       404:
+ *         description: Issue not found
+ */
+router.get('/:id/history', issueController.getIssueHistory);
 
 /**
  * @swagger
@@ -91,35 +210,94 @@ router.get('/:id', issueController.getIssueById);
  *               category:
  *                 type: string
  *                 enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
+ *               ward:
+ *                 type: string
+ *                 description: Ward the issue is in, used to route it to a department
+ *               priority:
+ *                 type: string
+ *                 enum: [HIGH, MEDIUM, LOW]
+ *                 description: Suggested priority. Officials reporting an issue set its priority
  *               images:
  *                 type: array
+ *                 description: Up to 5 http or https URLs of images hosted elsewhere
  *                 items:
  *                   type: string
+ *                   format: uri
+ *               ignoreDuplicates:
+ *                 type: boolean
+ *                 description: Create the issue even if likely duplicates exist
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - description
+ *               - location
+ *               - category
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               location:
+ *                 type: string
+ *               latitude:
+ *                 type: number
+ *               longitude:
+ *                 type: number
+ *               category:
+ *                 type: string
+ *               ward:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *               ignoreDuplicates:
+ *                 type: boolean
+ *               images:
+ *                 type: array
+ *                 description: Up to 5 JPEG, PNG, GIF or WebP images of at most 5MB each
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       201:
- *         description: Issue created successfully
+ *         description: Issue created successfully and routed to the department handling its category and location, if any
  *       400:
  *         description: Invalid input
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Email address not verified
+ *       409:
+ *         description: Likely duplicates exist; they are returned as data.duplicates
+ *       429:
+ *         description: Too many issues reported; retry after the Retry-After header
  */
 router.post(
   '/',
   authMiddleware,
+  verifiedMiddleware,
+  rateLimitMiddleware('createIssue', { by: 'user' }),
+  uploadMiddleware('images'),
   [
     body('title').notEmpty().withMessage('Title is required'),
     body('description').notEmpty().withMessage('Description is required'),
     body('location').notEmpty().withMessage('Location is required'),
-    body('category').isIn([
-      'ROADS',
-      'WATER',
-      'ELECTRICITY',
-      'SANITATION',
-      'PUBLIC_SAFETY',
-      'ENVIRONMENT',
-      'PUBLIC_PROPERTY',
-      'OTHER',
-    ]).withMessage('Invalid category'),
+    body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('Invalid latitude').toFloat(),
+    body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('Invalid longitude').toFloat(),
+    body('category').isIn(ISSUE_CATEGORIES).withMessage('Invalid category'),
+    body('ward').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }).withMessage('Invalid ward'),
+    body('priority').optional({ values: 'falsy' }).isIn(ISSUE_PRIORITIES).withMessage('Invalid priority'),
+    // A single multipart text field arrives as a string rather than an array
+    body('images')
+      .optional()
+      .customSanitizer((value) => (Array.isArray(value) ? value : [value]))
+      .isArray({ max: 5 })
+      .withMessage('images must be a list of up to 5 image URLs'),
+    body('images.*')
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .withMessage('Image URLs must start with http:// or https://'),
+    body('ignoreDuplicates').optional().isBoolean().toBoolean(),
   ],
   issueController.createIssue
 );
@@ -151,10 +329,18 @@ router.post(
  *                 type: string
  *               status:
  *                 type: string
- *                 enum: [REPORTED, UNDER_REVIEW, IN_PROGRESS, RESOLVED, CLOSED]
+ *                 enum: [REPORTED, UNDER_REVIEW, IN_PROGRESS, RESOLVED, CLOSED, REJECTED, REOPENED]
  *               category:
  *                 type: string
  *                 enum: [ROADS, WATER, ELECTRICITY, SANITATION, PUBLIC_SAFETY, ENVIRONMENT, PUBLIC_PROPERTY, OTHER]
+ *               priority:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [HIGH, MEDIUM, LOW]
+ *                 description: Sets the priority when sent by an official or admin, and the suggested priority otherwise
+ *               note:
+ *                 type: string
+ *                 description: Reason for the status change, required for some transitions
  *     responses:
  *       200:
  *         description: Issue updated successfully
@@ -167,7 +353,214 @@ router.post(
  *       404:
  *         description: Issue not found
  */
-router.put('/:id', authMiddleware, issueController.updateIssue);
+router.put(
+  '/:id',
+  authMiddleware,
+  [
+    body('priority').optional({ values: 'null' }).isIn(ISSUE_PRIORITIES).withMessage('Invalid priority'),
+    body('note').optional().isString().withMessage('Note must be a string'),
+  ],
+  issueController.updateIssue
+);
+
+/**
+ * @swagger
+ * /api/issues/{id}/status:
+ *   put:
+ *     summary: Change the status of an issue (officials and admins only)
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [REPORTED, UNDER_REVIEW, IN_PROGRESS, RESOLVED, CLOSED, REJECTED, REOPENED]
+ *               note:
+ *                 type: string
+ *                 description: Reason for the change, required when rejecting, resolving or reopening
+ *     responses:
+ *       200:
+ *         description: Issue status updated successfully
+ *       400:
+ *         description: Invalid status or transition
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Issue not found
+ */
+router.put(
+  '/:id/status',
+  [authMiddleware, officialMiddleware],
+  [
+    body('status').isIn(ISSUE_STATUSES).withMessage('Invalid status'),
+    body('note').optional().isString().withMessage('Note must be a string'),
+  ],
+  issueController.changeIssueStatus
+);
+
+/**
+ * @swagger
+ * /api/issues/{id}/department:
+ *   put:
+ *     summary: Move an issue to another department (officials and admins only)
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - departmentId
+ *             properties:
+ *               departmentId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Department to handle the issue, or null for none
+ *     responses:
+ *       200:
+ *         description: Issue moved
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Issue or department not found
+ */
+router.put(
+  '/:id/department',
+  [authMiddleware, officialMiddleware],
+  [
+    body('departmentId').exists().withMessage('departmentId is required'),
+    body('departmentId').optional({ values: 'null' }).isString().withMessage('departmentId must be a department ID or null'),
+  ],
+  issueController.changeIssueDepartment
+);
+
+/**
+ * @swagger
+ * /api/issues/{id}/priority:
+ *   put:
+ *     summary: Set the priority of an issue (officials and admins only)
+ *     description: The due date moves to the SLA target for the new priority
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - priority
+ *             properties:
+ *               priority:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [HIGH, MEDIUM, LOW]
+ *                 description: New priority, or null to leave the issue to its automatic score
+ *     responses:
+ *       200:
+ *         description: Priority updated
+ *       400:
+ *         description: Invalid priority
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Issue not found
+ */
+router.put(
+  '/:id/priority',
+  [authMiddleware, officialMiddleware],
+  [
+    body('priority').exists().withMessage('priority is required'),
+    body('priority').optional({ values: 'null' }).isIn(ISSUE_PRIORITIES).withMessage('Invalid priority'),
+  ],
+  issueController.changeIssuePriority
+);
+
+/**
+ * @swagger
+ * /api/issues/{id}/assign:
+ *   post:
+ *     summary: Assign an issue (officials and admins only)
+ *     description: Officials can assign unassigned issues to themselves and unassign themselves. Admins can assign any issue to any official or admin
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               assigneeId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: User to assign, or null to unassign. Defaults to the caller
+ *     responses:
+ *       200:
+ *         description: Issue assigned
+ *       400:
+ *         description: Assignee is not an official or admin
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Issue or user not found
+ *       409:
+ *         description: Issue is already assigned to another official
+ */
+router.post(
+  '/:id/assign',
+  [authMiddleware, officialMiddleware],
+  [
+    body('assigneeId').optional({ values: 'null' }).isString().withMessage('assigneeId must be a user ID or null'),
+  ],
+  issueController.assignIssue
+);
 
 /**
  * @swagger
@@ -219,6 +612,150 @@ router.delete('/:id', authMiddleware, issueController.deleteIssue);
  */
 router.post('/:id/upvote', authMiddleware, issueController.upvoteIssue);
 
+/**
+ * @swagger
+ * /api/issues/{id}/follow:
+ *   post:
+ *     summary: Follow an issue
+ *     description: Followers are notified and emailed about status changes, resolutions and comments from officials. Reporting, commenting on or voting on an issue follows it
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Issue followed
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Issue not found
+ */
+router.post('/:id/follow', authMiddleware, issueController.followIssue);
+
+/**
+ * @swagger
+ * /api/issues/{id}/follow:
+ *   delete:
+ *     summary: Stop following an issue
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Issue unfollowed
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Issue not found
+ */
+router.delete('/:id/follow', authMiddleware, issueController.unfollowIssue);
+
+/**
+ * @swagger
+ * /api/issues/{id}/merge:
+ *   post:
+ *     summary: Merge duplicate issues into this issue (officials and admins only)
+ *     description: Comments, votes and followers of the duplicates move to this issue and the duplicates are closed
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicateIds
+ *             properties:
+ *               duplicateIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Issues merged
+ *       400:
+ *         description: Invalid input or issue already merged
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Issue not found
+ */
+router.post(
+  '/:id/merge',
+  [authMiddleware, officialMiddleware],
+  [
+    body('duplicateIds').isArray({ min: 1 }).withMessage('duplicateIds must be a non-empty array'),
+    body('duplicateIds.*').isString().withMessage('duplicateIds must contain issue IDs'),
+  ],
+  issueController.mergeIssues
+);
+
+/**
+ * @swagger
+ * /api/issues/{id}/vote:
+ *   post:
+ *     summary: Upvote, downvote or retract a vote on an issue
+ *     tags: [Issues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [upvote, downvote, retract]
+ *     responses:
+ *       200:
+ *         description: Vote recorded, returns the issue with the caller's vote
+ *       400:
+ *         description: Invalid vote type
+ *       401:
+ *         description: Not authenticated
+ *       404:
+ *         description: Issue not found
+ */
+router.post(
+  '/:id/vote',
+  authMiddleware,
+  [
+    body('type').isIn(VOTE_TYPES).withMessage('Invalid vote type'),
+  ],
+  issueController.voteIssue
+);
+
 /**
  * @swagger
  * /api/issues/{id}/comments:
@@ -244,6 +781,20 @@ router.post('/:id/upvote', authMiddleware, issueController.upvoteIssue);
  *             properties:
  *               content:
  *                 type: string
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *               images:
+ *                 type: array
+ *                 description: Up to 5 JPEG, PNG, GIF or WebP images of at most 5MB each
+ *                 items:
+ *                   type: string
+ *                   format: binary
  *     responses:
  *       201:
  *         description: Comment added successfully
@@ -251,12 +802,19 @@ router.post('/:id/upvote', authMiddleware, issueController.upvoteIssue);
  *         description: Invalid input
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Email address not verified
  *       404:
  *         description: Issue not found
+ *       429:
+ *         description: Too many comments; retry after the Retry-After header
  */
 router.post(
   '/:id/comments',
   authMiddleware,
+  verifiedMiddleware,
+  rateLimitMiddleware('comment', { by: 'user' }),
+  uploadMiddleware('images'),
   [
     body('content').notEmpty().withMessage('Comment content is required'),
   ],
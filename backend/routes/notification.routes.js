@@ -0,0 +1,149 @@
+const express = require('express');
+const notificationController = require('../controllers/notification.controller');
+const authMiddleware = require('../middleware/auth.middleware');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get notifications for the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: List of notifications with the unread count
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/', authMiddleware, notificationController.getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ *       401:
+ *         description: Not authenticated
+ */
+router.put('/read-all', authMiddleware, notificationController.markAllAsRead);
+
+/**
+ * @swagger
+ * /api/notifications/unsubscribe:
+ *   post:
+ *     summary: Turn off notification emails from an unsubscribe link
+ *     description: Needs no login. Mail clients call it for one-click unsubscribe (RFC 8058) with the token in the query; the unsubscribe page sends it in the body. Account emails such as password resets are still sent.
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Emails turned off
+ *       400:
+ *         description: Invalid token
+ */
+router.post('/unsubscribe', notificationController.unsubscribe);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Notification not found
+ */
+router.put('/:id/read', authMiddleware, notificationController.markAsRead);
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   delete:
+ *     summary: Delete all notifications of the current user
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications cleared successfully
+ *       401:
+ *         description: Not authenticated
+ */
+router.delete('/', authMiddleware, notificationController.clearNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification deleted successfully
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Notification not found
+ */
+router.delete('/:id', authMiddleware, notificationController.deleteNotification);
+
+module.exports = router;
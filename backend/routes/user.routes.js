@@ -1,7 +1,10 @@
 const express = require('express');
+const { body } = require('express-validator');
 const userController = require('../controllers/user.controller');
 const authMiddleware = require('../middleware/auth.middleware');
-const { adminOnly } = require('../middleware/admin.middleware');
+const adminMiddleware = require('../middleware/admin.middleware');
+const { PREFERENCE_KEYS, DIGEST_MODES } = require('../services/preference.service');
+const { MAIL_LOCALES } = require('../mailer/subjects');
 const router = express.Router();
 
 /**
@@ -22,6 +25,93 @@ const router = express.Router();
  */
 router.get('/', [authMiddleware, adminMiddleware], userController.getAllUsers);
 
+/**
+ * @swagger
+ * /api/users/change-password:
+ *   put:
+ *     summary: Change the current user's password
+ *     description: Signs out all other sessions; the current one stays signed in.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Invalid input or incorrect current password
+ *       401:
+ *         description: Not authenticated
+ */
+router.put(
+  '/change-password',
+  [
+    authMiddleware,
+    body('currentPassword').notEmpty().withMessage('Current password is required'),
+    body('newPassword')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+  ],
+  userController.changePassword
+);
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   delete:
+ *     summary: Delete the current user's account
+ *     description: >
+ *       Removes personal data and signs out all sessions. Reported issues and
+ *       comments are kept and shown as posted by a deleted user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - confirmation
+ *             properties:
+ *               password:
+ *                 type: string
+ *               confirmation:
+ *                 type: string
+ *                 description: The account's email address, typed to confirm
+ *     responses:
+ *       200:
+ *         description: Account deleted successfully
+ *       400:
+ *         description: Invalid input, incorrect password or confirmation
+ *       401:
+ *         description: Not authenticated
+ */
+router.delete(
+  '/me',
+  [
+    authMiddleware,
+    body('password').notEmpty().withMessage('Password is required'),
+    body('confirmation').isString().notEmpty().withMessage('Confirmation is required'),
+  ],
+  userController.deleteAccount
+);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -73,9 +163,16 @@ router.get('/:id', authMiddleware, userController.getUserById);
  *                 type: string
  *               profilePicture:
  *                 type: string
+ *               locale:
+ *                 type: string
+ *                 enum: [en, es, fr, de, zh, ja]
+ *                 nullable: true
+ *                 description: Language of the user's emails; null uses the server default
  *     responses:
  *       200:
  *         description: User updated successfully
+ *       400:
+ *         description: Invalid input
  *       401:
  *         description: Not authenticated
  *       403:
@@ -83,7 +180,14 @@ router.get('/:id', authMiddleware, userController.getUserById);
  *       404:
  *         description: User not found
  */
-router.put('/:id', authMiddleware, userController.updateUser);
+router.put(
+  '/:id',
+  authMiddleware,
+  [
+    body('locale').optional({ values: 'null' }).isIn(MAIL_LOCALES).withMessage('Unsupported locale'),
+  ],
+  userController.updateUser
+);
 
 /**
  * @swagger
@@ -99,6 +203,16 @@ router.put('/:id', authMiddleware, userController.updateUser);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
  *     responses:
  *       200:
  *         description: List of issues
@@ -111,6 +225,126 @@ router.put('/:id', authMiddleware, userController.updateUser);
  */
 router.get('/:id/issues', authMiddleware, userController.getUserIssues);
 
+/**
+ * @swagger
+ * /api/users/{id}/following:
+ *   get:
+ *     summary: Get issues a user follows
+ *     description: Users follow the issues they report, comment on or vote on, and any issue they follow explicitly
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: List of followed issues, newest first
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/following', authMiddleware, userController.getFollowedIssues);
+
+/**
+ * @swagger
+ * /api/users/{id}/notification-preferences:
+ *   get:
+ *     summary: Get a user's notification preferences
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Preferences, with defaults for users who never saved any
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *   put:
+ *     summary: Update a user's notification preferences
+ *     description: Only the preferences given are changed. With a digest, updates about reported and followed issues are emailed together daily or weekly instead of one by one.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - preferences
+ *             properties:
+ *               preferences:
+ *                 type: object
+ *                 properties:
+ *                   email:
+ *                     type: boolean
+ *                   push:
+ *                     type: boolean
+ *                     description: Also show live notifications as browser alerts
+ *                   issueUpdates:
+ *                     type: boolean
+ *                   comments:
+ *                     type: boolean
+ *                   statusChanges:
+ *                     type: boolean
+ *                   digest:
+ *                     type: string
+ *                     enum: [OFF, DAILY, WEEKLY]
+ *     responses:
+ *       200:
+ *         description: The saved preferences
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/notification-preferences', authMiddleware, userController.getNotificationPreferences);
+router.put(
+  '/:id/notification-preferences',
+  [
+    authMiddleware,
+    body('preferences').isObject().withMessage('preferences must be an object'),
+    ...PREFERENCE_KEYS.map((key) => (
+      body(`preferences.${key}`).optional().isBoolean({ strict: true }).withMessage(`${key} must be true or false`)
+    )),
+    body('preferences.digest').optional().isIn(DIGEST_MODES).withMessage('digest must be OFF, DAILY or WEEKLY'),
+  ],
+  userController.updateNotificationPreferences
+);
+
 /**
  * @swagger
  * /api/users/{id}/role:
@@ -139,9 +373,9 @@ router.get('/:id/issues', authMiddleware, userController.getUserIssues);
  *                 enum: [CITIZEN, OFFICIAL, ADMIN]
  *     responses:
  *       200:
- *         description: User role updated successfully
+ *         description: User role updated successfully; the change is recorded in the role history
  *       400:
- *         description: Invalid input
+ *         description: Invalid input or own role
  *       401:
  *         description: Not authenticated
  *       403:
@@ -151,4 +385,28 @@ router.get('/:id/issues', authMiddleware, userController.getUserIssues);
  */
 router.put('/:id/role', [authMiddleware, adminMiddleware], userController.updateUserRole);
 
+/**
+ * @swagger
+ * /api/users/{id}/role-changes:
+ *   get:
+ *     summary: Get the role history of a user (admin only)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Role changes, newest first, with who made them and the invite used
+ *       401:
+ *         description: Not authenticated
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/:id/role-changes', [authMiddleware, adminMiddleware], userController.getRoleChanges);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,274 @@
+const { PrismaClient } = require('@prisma/client');
+const { validationResult } = require('express-validator');
+const { parseStatsFilters, getIssueStats } = require('../services/stats.service');
+const { createInvite, getPendingInvites, revokeInvite } = require('../services/invite.service');
+const { getWorkload } = require('../services/assignment.service');
+const {
+  DEFAULT_TARGET_HOURS,
+  getTargets,
+  saveTarget,
+  deleteTarget,
+} = require('../services/sla.service');
+const { JOB_STATUSES, getJobs, retryJob } = require('../services/queue.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get dashboard statistics (admin only)
+ * @route GET /api/admin/stats
+ */
+exports.getStats = async (req, res, next) => {
+  try {
+    const filters = parseStatsFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: filters.error,
+      });
+    }
+
+    const [issueStats, totalUsers, usersByRole, totalComments] = await Promise.all([
+      getIssueStats(filters),
+      prisma.user.count({ where: { deletedAt: null } }),
+      prisma.user.groupBy({ by: ['role'], where: { deletedAt: null }, _count: { _all: true } }),
+      prisma.comment.count(),
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        stats: {
+          ...issueStats,
+          totalUsers,
+          totalComments,
+          usersByRole: usersByRole.reduce((counts, row) => {
+            counts[row.role] = row._count._all;
+            return counts;
+          }, {}),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get open issues per official and per department (admin only)
+ * @route GET /api/admin/workload
+ */
+exports.getWorkload = async (req, res, next) => {
+  try {
+    const workload = await getWorkload();
+
+    res.status(200).json({
+      status: 'success',
+      data: workload,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite someone to join a department as an official (admin only)
+ * @route POST /api/admin/invites
+ */
+exports.createInvite = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, departmentId } = req.body;
+
+    const invite = await createInvite({ email, departmentId, invitedById: req.user.id });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        invite,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get pending official invites (admin only)
+ * @route GET /api/admin/invites
+ */
+exports.getInvites = async (req, res, next) => {
+  try {
+    const invites = await getPendingInvites();
+
+    res.status(200).json({
+      status: 'success',
+      results: invites.length,
+      data: {
+        invites,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending official invite (admin only)
+ * @route DELETE /api/admin/invites/:id
+ */
+exports.revokeInvite = async (req, res, next) => {
+  try {
+    const revoked = await revokeInvite(req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Invite not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Invite revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get resolution targets per category and priority (admin only)
+ * @route GET /api/admin/sla-targets
+ */
+exports.getSlaTargets = async (req, res, next) => {
+  try {
+    const targets = await getTargets();
+
+    res.status(200).json({
+      status: 'success',
+      results: targets.length,
+      data: {
+        targets,
+        defaults: DEFAULT_TARGET_HOURS,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the resolution target for a category and priority (admin only)
+ * @route PUT /api/admin/sla-targets
+ */
+exports.saveSlaTarget = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { category, priority, hours } = req.body;
+    const target = await saveTarget({ category, priority, hours });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        target,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a resolution target (admin only)
+ * @route DELETE /api/admin/sla-targets/:id
+ */
+exports.deleteSlaTarget = async (req, res, next) => {
+  try {
+    const deleted = await deleteTarget(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Target not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Target removed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get background jobs by status, failed jobs by default (admin only)
+ * @route GET /api/admin/jobs
+ */
+exports.getJobs = async (req, res, next) => {
+  try {
+    const status = req.query.status || 'FAILED';
+    if (!JOB_STATUSES.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `status must be one of ${JOB_STATUSES.join(', ')}`,
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { jobs, total, counts } = await getJobs({
+      status,
+      skip: (page - 1) * limit,
+      take: limit,
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: jobs.length,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      },
+      data: {
+        jobs,
+        counts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Queue a failed job again (admin only)
+ * @route POST /api/admin/jobs/:id/retry
+ */
+exports.retryJob = async (req, res, next) => {
+  try {
+    const job = await retryJob(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        job,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,33 @@
 const { PrismaClient } = require('@prisma/client');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { validationResult } = require('express-validator');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset.service');
+const { sendVerification, verifyEmail } = require('../services/emailVerification.service');
+const { findInvite, acceptInvite } = require('../services/invite.service');
+const {
+  createSession,
+  refreshSession,
+  getActiveSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+} = require('../services/session.service');
+const { getLoginLockout, recordFailedLogin, clearFailedLogins } = require('../services/loginThrottle.service');
+const { tooManyRequests } = require('../rateLimit');
+const { MAIL_LOCALES } = require('../mailer/subjects');
 
 const prisma = new PrismaClient();
 
+/**
+ * Describe the client a session is started from, for the sessions list
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const deviceInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip,
+});
+
 /**
  * Register a new user
  * @route POST /api/auth/register
@@ -17,7 +40,7 @@ exports.register = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { name, email, password, role = 'CITIZEN' } = req.body;
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const existingUser = await prisma.user.findUnique({
@@ -35,22 +58,28 @@ exports.register = async (req, res, next) => {
     const salt = await bcrypt.genSalt(10);
     const hashedPassword = await bcrypt.hash(password, salt);
 
-    // Create user
+    // Create user; officials join through invites and admins are promoted by other admins
     const user = await prisma.user.create({
       data: {
         name,
         email,
         password: hashedPassword,
-        role,
+        role: 'CITIZEN',
+        // Emails are written in the browser's language until the user picks one
+        locale: req.get('Accept-Language') ? req.acceptsLanguages(MAIL_LOCALES) || null : null,
       },
     });
 
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // New accounts stay unverified until the emailed link is opened
+    try {
+      await sendVerification(user);
+    } catch (emailError) {
+      console.error('Failed to send verification email:', emailError);
+      // Don't fail the request if email fails; the user can ask for a new link
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, deviceInfo(req));
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = user;
@@ -58,6 +87,7 @@ exports.register = async (req, res, next) => {
     res.status(201).json({
       status: 'success',
       token,
+      refreshToken,
       data: {
         user: userWithoutPassword,
       },
@@ -81,34 +111,36 @@ exports.login = async (req, res, next) => {
 
     const { email, password } = req.body;
 
+    // Clients are locked out of an account for a while after repeated failed logins
+    const lockedUntil = await getLoginLockout(email, req.ip);
+    if (lockedUntil) {
+      return tooManyRequests(res, lockedUntil, 'Too many failed login attempts. Please try again later');
+    }
+
     // Check if user exists
     const user = await prisma.user.findUnique({
       where: { email },
     });
 
-    if (!user) {
-      return res.status(401).json({
-        status: 'error',
-        message: 'Invalid credentials',
-      });
-    }
-
     // Check if password is correct
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = user && await bcrypt.compare(password, user.password);
 
     if (!isPasswordValid) {
+      const lockStartedUntil = await recordFailedLogin(email, req.ip);
+      if (lockStartedUntil) {
+        return tooManyRequests(res, lockStartedUntil, 'Too many failed login attempts. Please try again later');
+      }
+
       return res.status(401).json({
         status: 'error',
         message: 'Invalid credentials',
       });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { id: user.id, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    await clearFailedLogins(email, req.ip);
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, deviceInfo(req));
 
     // Remove password from response
     const { password: _, ...userWithoutPassword } = user;
@@ -116,6 +148,7 @@ exports.login = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       token,
+      refreshToken,
       data: {
         user: userWithoutPassword,
       },
@@ -155,4 +188,290 @@ exports.getMe = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Email a password reset link
+ * @route POST /api/auth/forgot-password
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await requestPasswordReset(req.body.email);
+
+    // Same response whether or not the account exists
+    res.status(200).json({
+      status: 'success',
+      message: 'If an account exists for this email, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a new password with a reset token
+ * @route POST /api/auth/reset-password
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const reset = await resetPassword(token, password);
+
+    if (!reset) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This password reset link is invalid or has expired',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password reset successfully. Please log in with your new password',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Verify an email address with the token from a verification link
+ * @route POST /api/auth/verify-email
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const verified = await verifyEmail(req.body.token);
+
+    if (!verified) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This verification link is invalid or has expired',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Email address verified successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a new verification link to the current user
+ * @route POST /api/auth/resend-verification
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    if (user.emailVerifiedAt) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Email address is already verified',
+      });
+    }
+
+    await sendVerification(user);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a pending official invite by the token from its link
+ * @route GET /api/auth/invites/:token
+ */
+exports.getInvite = async (req, res, next) => {
+  try {
+    const invite = await findInvite(req.params.token);
+
+    if (!invite) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'This invite link is invalid or has expired',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        invite,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an official invite and log in
+ * @route POST /api/auth/invites/accept
+ */
+exports.acceptInvite = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token: inviteToken, name, password } = req.body;
+
+    const user = await acceptInvite(inviteToken, { name, password });
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await createSession(user, deviceInfo(req));
+
+    // Remove password from response
+    const { password: _, ...userWithoutPassword } = user;
+
+    res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+      data: {
+        user: userWithoutPassword,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for new access and refresh tokens
+ * @route POST /api/auth/refresh
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, refreshToken } = await refreshSession(req.body.refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * End the session a refresh token belongs to
+ * @route POST /api/auth/logout
+ */
+exports.logout = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await revokeSessionByRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged out successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the current user's active sessions
+ * @route GET /api/auth/sessions
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await getActiveSessions(req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      results: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          ...session,
+          current: session.id === req.user.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Session revoked successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke all of the current user's sessions except this one
+ * @route DELETE /api/auth/sessions
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user.id, undefined, { exceptSessionId: req.user.sessionId });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Signed out of all other sessions',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,235 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { validationResult } = require('express-validator');
+const {
+  parseArea,
+  normalizeWards,
+  assignOfficial,
+  removeOfficial,
+  validateHead,
+} = require('../services/department.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get all departments
+ * @route GET /api/departments
+ */
+exports.getDepartments = async (req, res, next) => {
+  try {
+    const departments = await prisma.department.findMany({
+      orderBy: { name: 'asc' },
+      include: {
+        _count: {
+          select: { officials: true },
+        },
+      },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: departments.length,
+      data: {
+        departments,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a department (admin only)
+ * @route POST /api/departments
+ */
+exports.createDepartment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, categories = [], area = null, wards = [] } = req.body;
+
+    const existingDepartment = await prisma.department.findUnique({
+      where: { name },
+    });
+
+    if (existingDepartment) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A department with this name already exists',
+      });
+    }
+
+    const department = await prisma.department.create({
+      data: {
+        name,
+        categories: [...new Set(categories)],
+        area: parseArea(area) || Prisma.DbNull,
+        wards: normalizeWards(wards),
+      },
+    });
+
+    res.status(201).json({
+      status: 'success',
+      data: {
+        department,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a department with its officials
+ * @route GET /api/departments/:id
+ */
+exports.getDepartment = async (req, res, next) => {
+  try {
+    const department = await prisma.department.findUnique({
+      where: { id: req.params.id },
+      include: {
+        head: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        officials: {
+          where: { deletedAt: null },
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            profilePicture: true,
+          },
+          orderBy: { name: 'asc' },
+        },
+      },
+    });
+
+    if (!department) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Department not found',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        department,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a department's name, categories and jurisdiction (admin only).
+ * Issues already routed keep their department.
+ * @route PUT /api/departments/:id
+ */
+exports.updateDepartment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { name, categories, area, wards, headId } = req.body;
+
+    const department = await prisma.department.findUnique({ where: { id } });
+    if (!department) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Department not found',
+      });
+    }
+
+    if (name !== undefined && name !== department.name) {
+      const existingDepartment = await prisma.department.findUnique({
+        where: { name },
+      });
+
+      if (existingDepartment) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'A department with this name already exists',
+        });
+      }
+    }
+
+    if (headId !== undefined) {
+      await validateHead(id, headId);
+    }
+
+    const updatedDepartment = await prisma.department.update({
+      where: { id },
+      data: {
+        name,
+        ...(categories !== undefined && { categories: [...new Set(categories)] }),
+        // An explicit null removes the area
+        ...(area !== undefined && { area: parseArea(area) || Prisma.DbNull }),
+        ...(wards !== undefined && { wards: normalizeWards(wards) }),
+        headId,
+      },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        department: updatedDepartment,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign an official to a department (admin only)
+ * @route POST /api/departments/:id/officials
+ */
+exports.addOfficial = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const official = await assignOfficial(req.params.id, req.body.userId);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        official,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove an official from a department (admin only)
+ * @route DELETE /api/departments/:id/officials/:userId
+ */
+exports.removeOfficial = async (req, res, next) => {
+  try {
+    await removeOfficial(req.params.id, req.params.userId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Official removed from department',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+const { subscribe } = require('../realtime');
+const { createTicket, redeemTicket } = require('../services/eventTicket.service');
+
+// Keeps proxies from closing idle streams
+const DEFAULT_HEARTBEAT_SECONDS = 25;
+
+// How long browsers wait before reconnecting after the stream ends
+const RECONNECT_DELAY_MS = 3000;
+
+// Longest delay setTimeout accepts
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Get a single-use ticket for opening the event stream
+ * @route POST /api/events/ticket
+ */
+exports.createTicket = (req, res) => {
+  const { exp } = jwt.decode(req.headers.authorization.split(' ')[1]);
+
+  res.status(201).json({
+    status: 'success',
+    data: createTicket(req.user, exp),
+  });
+};
+
+/**
+ * Stream live events to the ticket's user as server-sent events: their new
+ * notifications, and status changes and new comments on any issue. The
+ * stream ends when the access token the ticket was asked for expires, and
+ * the client reconnects with a new ticket, so ended sessions stop receiving
+ * events.
+ * @route GET /api/events
+ */
+exports.streamEvents = async (req, res, next) => {
+  try {
+    const redeemed = typeof req.query.ticket === 'string' ? await redeemTicket(req.query.ticket) : null;
+
+    if (!redeemed) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'Invalid or expired ticket. Please request a new one',
+      });
+    }
+
+    const { user, until } = redeemed;
+    const heartbeatMs = Number(process.env.REALTIME_HEARTBEAT_SECONDS || DEFAULT_HEARTBEAT_SECONDS) * 1000;
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stop nginx from buffering the stream
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    const unsubscribe = subscribe((event) => {
+      if (event.userId && event.userId !== user.id) return;
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatMs);
+    const expiry = setTimeout(() => res.end(), Math.min(until * 1000 - Date.now(), MAX_TIMEOUT_MS));
+
+    res.on('close', () => {
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,49 +1,299 @@
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, Prisma } = require('@prisma/client');
 const { validationResult } = require('express-validator');
-const { sendIssueCreatedEmail, sendStatusUpdateEmail, sendAdminNotificationEmail } = require('../mailer');
+const {
+  notifyNewComment,
+  notifyUpvote,
+  notifyMerged,
+  notifyDepartment,
+  notifyAssigned,
+} = require('../services/notification.service');
+const { validateTransition } = require('../services/issueStatus.service');
+const { parseStatsFilters, getIssueStats } = require('../services/stats.service');
+const { userVoteInclude, withUserVote, castVote } = require('../services/vote.service');
+const { searchIssues } = require('../services/search.service');
+const { parseGeoQuery, bboxWhere, bboxSql, findIssuesNear } = require('../services/geo.service');
+const {
+  findDepartmentForIssue,
+  resolveDepartmentFilter,
+  departmentSql,
+} = require('../services/department.service');
+const {
+  assigneeSelectFor,
+  resolveAssigneeFilter,
+  assigneeSql,
+  assignIssue,
+} = require('../services/assignment.service');
+const {
+  computeDueAt,
+  dueDateUpdate,
+  overdueWhere,
+  overdueSql,
+} = require('../services/sla.service');
+const {
+  scoreBand,
+  refreshPriorityScore,
+  findIssuesByPriority,
+} = require('../services/priority.service');
+const { findDuplicateCandidates, mergeDuplicates } = require('../services/duplicate.service');
+const {
+  followIssue,
+  unfollowIssue,
+  isFollowing,
+} = require('../services/follow.service');
+const { enqueue } = require('../services/queue.service');
+const { EVENT_TYPES, broadcast } = require('../realtime');
+const { storeImages, removeImages } = require('../services/image.service');
 
 const prisma = new PrismaClient();
 
+// Officials and admins set priorities authoritatively, and their comments
+// are announced to every follower
+const TRIAGE_ROLES = ['OFFICIAL', 'ADMIN'];
+
+/**
+ * Queue the notifications and emails that follow an issue event for the
+ * job workers. Failures are logged and never fail the request.
+ * @param {string} name - Job name, e.g. 'announceStatusChange'
+ * @param {Object} payload - Job data
+ */
+const queueAnnouncement = async (name, payload) => {
+  try {
+    await enqueue(name, payload);
+  } catch (error) {
+    console.error(`Failed to queue ${name}:`, error);
+  }
+};
+
+/**
+ * Tell connected clients that the status of an issue changed
+ * @param {string} issueId - Updated issue
+ * @param {string} oldStatus - Previous status
+ * @param {string} newStatus - New status
+ */
+const broadcastStatusChange = (issueId, oldStatus, newStatus) => {
+  return broadcast(EVENT_TYPES.ISSUE_STATUS, { issueId, oldStatus, newStatus });
+};
+
+// Attachment fields returned to clients
+const attachmentSelect = {
+  id: true,
+  url: true,
+  thumbnailUrl: true,
+  mimeType: true,
+  width: true,
+  height: true,
+};
+
+/**
+ * Store uploaded images, then create a record with them attached.
+ * The stored files are removed again if the record cannot be created.
+ * @param {Object[]} files - Files parsed by the upload middleware
+ * @param {Function} create - Creates the record from the stored attachment data
+ */
+const createWithImages = async (files, create) => {
+  const attachments = await storeImages(files);
+
+  try {
+    return await create(attachments);
+  } catch (error) {
+    await removeImages(attachments);
+    throw error;
+  }
+};
+
+/**
+ * Load issues for ranked hits from a raw query, keeping the hit order
+ * @param {Object[]} hits - Objects with an issue id plus extra fields
+ * @param {Object} include - Prisma include for each issue
+ * @param {Function} decorate - Maps (issue, hit) to the issue returned to the client
+ */
+const loadIssuesInOrder = async (hits, include, decorate) => {
+  const issues = await prisma.issue.findMany({
+    where: { id: { in: hits.map((hit) => hit.id) } },
+    include,
+  });
+
+  return hits
+    .map((hit) => {
+      const issue = issues.find((candidate) => candidate.id === hit.id);
+      return issue && decorate(issue, hit);
+    })
+    .filter(Boolean);
+};
+
 /**
  * Get all issues with pagination and filtering
  * @route GET /api/issues
  */
 exports.getAllIssues = async (req, res, next) => {
   try {
-    const { status, category, page = 1, limit = 10 } = req.query;
+    const {
+      status,
+      category,
+      search,
+      department,
+      assignee,
+      overdue,
+      priority,
+      sort,
+      page = 1,
+      limit = 10,
+    } = req.query;
     const skip = (page - 1) * limit;
 
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: geo.error,
+      });
+    }
+
+    if (geo.near && search) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'search cannot be combined with near',
+      });
+    }
+
+    // Search results are ranked and nearby issues sorted by distance
+    const byPriority = sort === 'priority';
+    if (byPriority && (search || geo.near)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'sort=priority cannot be combined with search or near',
+      });
+    }
+
+    // A department ID, "mine" for the caller's department or "none" for unrouted issues
+    const departmentId = department
+      ? resolveDepartmentFilter(department, req.user)
+      : undefined;
+
+    // A user ID, "me" for issues assigned to the caller or "none" for unassigned issues
+    const assigneeId = assignee
+      ? resolveAssigneeFilter(assignee, req.user)
+      : undefined;
+
     // Build filter object
     const filter = {};
     if (status) filter.status = status;
     if (category) filter.category = category;
+    if (priority) filter.priority = priority;
+    if (departmentId !== undefined) filter.departmentId = departmentId;
+    if (assigneeId !== undefined) filter.assigneeId = assigneeId;
+    // Open issues past their due date
+    const onlyOverdue = overdue === 'true';
+    filter.AND = [
+      ...(geo.bbox ? [bboxWhere(geo.bbox)] : []),
+      ...(onlyOverdue ? [overdueWhere()] : []),
+    ];
 
-    // Get issues with pagination
-    const issues = await prisma.issue.findMany({
-      where: filter,
-      include: {
-        reporter: {
-          select: {
-            id: true,
-            name: true,
-            email: true,
-            role: true,
-            profilePicture: true,
-          },
-        },
-        _count: {
-          select: { comments: true },
+    const include = {
+      reporter: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+          profilePicture: true,
         },
       },
-      orderBy: {
-        createdAt: 'desc',
+      department: {
+        select: { id: true, name: true },
       },
-      skip,
-      take: parseInt(limit),
-    });
+      assignee: {
+        select: assigneeSelectFor(req.user),
+      },
+      _count: {
+        select: { comments: true },
+      },
+      // Cover image for list views
+      attachments: {
+        select: attachmentSelect,
+        orderBy: { createdAt: 'asc' },
+        take: 1,
+      },
+      ...userVoteInclude(req.user && req.user.id),
+    };
+
+    let issues;
+    let total;
+
+    if (search && search.trim()) {
+      // Ranked full-text search, combined with the status and category filters
+      const results = await searchIssues({
+        search: search.trim(),
+        status,
+        category,
+        bbox: geo.bbox,
+        departmentId,
+        assigneeId,
+        overdue: onlyOverdue,
+        priority,
+        skip,
+        take: parseInt(limit),
+      });
 
-    // Get total count for pagination
-    const total = await prisma.issue.count({ where: filter });
+      // Keep rank order and attach the highlighted snippets
+      issues = await loadIssuesInOrder(results.hits, include, (issue, hit) => ({
+        ...issue,
+        search: {
+          rank: hit.rank,
+          highlights: hit.highlights,
+        },
+      }));
+      total = results.total;
+    } else if (geo.near || byPriority) {
+      const conditions = [];
+      if (status) conditions.push(Prisma.sql`i."status" = ${status}`);
+      if (category) conditions.push(Prisma.sql`i."category" = ${category}`);
+      if (priority) conditions.push(Prisma.sql`i."priority" = ${priority}`);
+      if (geo.bbox) conditions.push(bboxSql(geo.bbox));
+      if (departmentId !== undefined) conditions.push(departmentSql(departmentId));
+      if (assigneeId !== undefined) conditions.push(assigneeSql(assigneeId));
+      if (onlyOverdue) conditions.push(overdueSql());
+
+      if (geo.near) {
+        // Issues within the radius, nearest first
+        const results = await findIssuesNear({
+          near: geo.near,
+          conditions,
+          skip,
+          take: parseInt(limit),
+        });
+
+        issues = await loadIssuesInOrder(results.hits, include, (issue, hit) => ({
+          ...issue,
+          distance: hit.distance,
+        }));
+        total = results.total;
+      } else {
+        // Highest priority first, using the automatic score for untriaged issues
+        const results = await findIssuesByPriority({
+          conditions,
+          skip,
+          take: parseInt(limit),
+        });
+
+        issues = await loadIssuesInOrder(results.hits, include, (issue) => issue);
+        total = results.total;
+      }
+    } else {
+      // Get issues with pagination
+      issues = await prisma.issue.findMany({
+        where: filter,
+        include,
+        orderBy: {
+          createdAt: 'desc',
+        },
+        skip,
+        take: parseInt(limit),
+      });
+
+      // Get total count for pagination
+      total = await prisma.issue.count({ where: filter });
+    }
 
     res.status(200).json({
       status: 'success',
@@ -55,7 +305,34 @@ exports.getAllIssues = async (req, res, next) => {
         pages: Math.ceil(total / limit),
       },
       data: {
-        issues,
+        issues: issues.map(withUserVote),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get issue statistics
+ * @route GET /api/issues/stats
+ */
+exports.getIssueStats = async (req, res, next) => {
+  try {
+    const filters = parseStatsFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({
+        status: 'error',
+        message: filters.error,
+      });
+    }
+
+    const stats = await getIssueStats(filters);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        stats,
       },
     });
   } catch (error) {
@@ -94,11 +371,33 @@ exports.getIssueById = async (req, res, next) => {
                 profilePicture: true,
               },
             },
+            attachments: {
+              select: attachmentSelect,
+            },
           },
           orderBy: {
             createdAt: 'desc',
           },
         },
+        attachments: {
+          select: attachmentSelect,
+        },
+        duplicateOf: {
+          select: {
+            id: true,
+            title: true,
+          },
+        },
+        department: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        assignee: {
+          select: assigneeSelectFor(req.user),
+        },
+        ...userVoteInclude(req.user && req.user.id),
       },
     });
 
@@ -112,7 +411,12 @@ exports.getIssueById = async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        issue,
+        issue: {
+          ...withUserVote(issue),
+          // Priority the automatic score suggests, shown while officials triage
+          automaticPriority: scoreBand(issue.priorityScore),
+          following: await isFollowing(id, req.user && req.user.id),
+        },
       },
     });
   } catch (error) {
@@ -132,10 +436,73 @@ exports.createIssue = async (req, res, next) => {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { title, description, location, latitude, longitude, category, images = [] } = req.body;
+    const {
+      title,
+      description,
+      location,
+      latitude,
+      longitude,
+      category,
+      ward,
+      priority,
+      images = [],
+      ignoreDuplicates = false,
+    } = req.body;
+
+    // Reporters suggest a priority; officials reporting an issue set it
+    const triaged = TRIAGE_ROLES.includes(req.user.role);
+
+    // Offer likely duplicates first; the reporter can still file the issue
+    // by resubmitting with ignoreDuplicates
+    if (!ignoreDuplicates) {
+      const candidates = await findDuplicateCandidates({
+        title,
+        description,
+        category,
+        latitude,
+        longitude,
+      });
+
+      if (candidates.length > 0) {
+        const duplicates = await loadIssuesInOrder(
+          candidates,
+          {
+            reporter: {
+              select: {
+                id: true,
+                name: true,
+              },
+            },
+            _count: {
+              select: {
+                comments: true,
+              },
+            },
+            ...userVoteInclude(req.user.id),
+          },
+          (issue, candidate) => ({
+            ...withUserVote(issue),
+            similarity: candidate.similarity,
+            distance: candidate.distance,
+          })
+        );
+
+        return res.status(409).json({
+          status: 'error',
+          message: 'This issue may already have been reported',
+          data: {
+            duplicates,
+          },
+        });
+      }
+    }
+
+    // Route the issue to the department handling its category and location
+    const department = await findDepartmentForIssue({ category, latitude, longitude, ward });
+    const dueAt = await computeDueAt({ category, priority: triaged ? priority : null });
 
-    // Create issue
-    const issue = await prisma.issue.create({
+    // Create issue with any uploaded images
+    const issue = await createWithImages(req.files, (attachments) => prisma.issue.create({
       data: {
         title,
         description,
@@ -143,8 +510,31 @@ exports.createIssue = async (req, res, next) => {
         latitude,
         longitude,
         category,
-        images,
+        ward: ward || null,
+        suggestedPriority: priority || null,
+        priority: triaged && priority ? priority : null,
+        departmentId: department ? department.id : null,
+        dueAt,
+        images: [...images, ...attachments.map((attachment) => attachment.url)],
         reporterId: req.user.id,
+        statusChanges: {
+          create: {
+            toStatus: 'REPORTED',
+            changedById: req.user.id,
+          },
+        },
+        // Reporters follow their own issues
+        followers: {
+          create: {
+            userId: req.user.id,
+          },
+        },
+        attachments: {
+          create: attachments.map((attachment) => ({
+            ...attachment,
+            uploaderId: req.user.id,
+          })),
+        },
       },
       include: {
         reporter: {
@@ -154,24 +544,22 @@ exports.createIssue = async (req, res, next) => {
             email: true,
           },
         },
+        attachments: {
+          select: attachmentSelect,
+        },
+        department: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
       },
-    });
+    }));
 
-    // Send confirmation email to user
-    try {
-      await sendIssueCreatedEmail(issue.reporter.email, issue.reporter.name, issue);
-    } catch (emailError) {
-      console.error('Failed to send issue creation email:', emailError);
-      // Don't fail the request if email fails
-    }
+    issue.priorityScore = await refreshPriorityScore(issue.id);
 
-    // Send notification email to admins
-    try {
-      await sendAdminNotificationEmail(issue);
-    } catch (emailError) {
-      console.error('Failed to send admin notification email:', emailError);
-      // Don't fail the request if email fails
-    }
+    // Notify the department and email the reporter and admins
+    await queueAnnouncement('announceNewIssue', { issueId: issue.id });
 
     res.status(201).json({
       status: 'success',
@@ -190,8 +578,14 @@ exports.createIssue = async (req, res, next) => {
  */
 exports.updateIssue = async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
-    const { title, description, status, category } = req.body;
+    const { title, description, status, category, priority, note } = req.body;
 
     // Check if issue exists
     const existingIssue = await prisma.issue.findUnique({
@@ -231,7 +625,32 @@ exports.updateIssue = async (req, res, next) => {
     const statusChanged = status && status !== existingIssue.status;
     const oldStatus = existingIssue.status;
 
-    // Update issue
+    // Status changes must follow the issue lifecycle
+    if (statusChanged) {
+      const transitionError = validateTransition(existingIssue, status, req.user, note);
+      if (transitionError) {
+        return res.status(transitionError.statusCode).json({
+          status: 'error',
+          message: transitionError.message,
+        });
+      }
+    }
+
+    // Officials set the priority; a reporter's priority stays a suggestion
+    const triaged = TRIAGE_ROLES.includes(req.user.role);
+    const priorityData = {};
+    if (priority !== undefined) {
+      priorityData[triaged ? 'priority' : 'suggestedPriority'] = priority;
+    }
+
+    // Reopening, recategorising or reprioritising moves the due date
+    const dueDate = await dueDateUpdate(existingIssue, {
+      category,
+      status,
+      priority: priorityData.priority,
+    });
+
+    // Update issue and record the status change in its history
     const updatedIssue = await prisma.issue.update({
       where: { id },
       data: {
@@ -239,6 +658,18 @@ exports.updateIssue = async (req, res, next) => {
         description,
         status,
         category,
+        ...priorityData,
+        ...dueDate,
+        ...(statusChanged && {
+          statusChanges: {
+            create: {
+              fromStatus: oldStatus,
+              toStatus: status,
+              note,
+              changedById: req.user.id,
+            },
+          },
+        }),
       },
       include: {
         reporter: {
@@ -251,20 +682,21 @@ exports.updateIssue = async (req, res, next) => {
       },
     });
 
-    // Send status update email if status changed
+    // The category counts towards the automatic score
+    if (category && category !== existingIssue.category) {
+      updatedIssue.priorityScore = await refreshPriorityScore(id);
+    }
+
+    // Tell followers if the status changed
     if (statusChanged) {
-      try {
-        await sendStatusUpdateEmail(
-          updatedIssue.reporter.email,
-          updatedIssue.reporter.name,
-          updatedIssue,
-          oldStatus,
-          status
-        );
-      } catch (emailError) {
-        console.error('Failed to send status update email:', emailError);
-        // Don't fail the request if email fails
-      }
+      await broadcastStatusChange(id, oldStatus, status);
+      await queueAnnouncement('announceStatusChange', {
+        issueId: id,
+        actorId: req.user.id,
+        oldStatus,
+        newStatus: status,
+        note,
+      });
     }
 
     res.status(200).json({
@@ -279,12 +711,19 @@ exports.updateIssue = async (req, res, next) => {
 };
 
 /**
- * Delete an issue
- * @route DELETE /api/issues/:id
+ * Change the status of an issue (officials and admins only)
+ * @route PUT /api/issues/:id/status
  */
-exports.deleteIssue = async (req, res, next) => {
+exports.changeIssueStatus = async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
+    const { status, note } = req.body;
 
     // Check if issue exists
     const existingIssue = await prisma.issue.findUnique({
@@ -298,28 +737,72 @@ exports.deleteIssue = async (req, res, next) => {
       });
     }
 
-    // Check if user is authorized to delete the issue
-    // Only the reporter or admins can delete issues
-    if (existingIssue.reporterId !== req.user.id && req.user.role !== 'ADMIN') {
-      return res.status(403).json({
+    if (status === existingIssue.status) {
+      return res.status(400).json({
         status: 'error',
-        message: 'Not authorized to delete this issue',
+        message: `Issue is already ${status}`,
       });
     }
 
-    // Delete all comments related to the issue
-    await prisma.comment.deleteMany({
-      where: { issueId: id },
-    });
+    // Status changes must follow the issue lifecycle
+    const transitionError = validateTransition(existingIssue, status, req.user, note);
+    if (transitionError) {
+      return res.status(transitionError.statusCode).json({
+        status: 'error',
+        message: transitionError.message,
+      });
+    }
 
-    // Delete issue
-    await prisma.issue.delete({
+    const oldStatus = existingIssue.status;
+
+    // Reopening restarts the SLA clock
+    const dueDate = await dueDateUpdate(existingIssue, { status });
+
+    // Update status and record who changed it and why
+    const updatedIssue = await prisma.issue.update({
       where: { id },
+      data: {
+        status,
+        ...dueDate,
+        statusChanges: {
+          create: {
+            fromStatus: oldStatus,
+            toStatus: status,
+            note,
+            changedById: req.user.id,
+          },
+        },
+      },
+      include: {
+        reporter: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            role: true,
+            profilePicture: true,
+          },
+        },
+        _count: {
+          select: { comments: true },
+        },
+      },
+    });
+
+    await broadcastStatusChange(id, oldStatus, status);
+    await queueAnnouncement('announceStatusChange', {
+      issueId: id,
+      actorId: req.user.id,
+      oldStatus,
+      newStatus: status,
+      note,
     });
 
     res.status(200).json({
       status: 'success',
-      message: 'Issue deleted successfully',
+      data: {
+        issue: updatedIssue,
+      },
     });
   } catch (error) {
     next(error);
@@ -327,14 +810,20 @@ exports.deleteIssue = async (req, res, next) => {
 };
 
 /**
- * Upvote an issue
- * @route POST /api/issues/:id/upvote
+ * Move an issue to another department, or to none (officials and admins only)
+ * @route PUT /api/issues/:id/department
  */
-exports.upvoteIssue = async (req, res, next) => {
+exports.changeIssueDepartment = async (req, res, next) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { id } = req.params;
+    const { departmentId } = req.body;
 
-    // Check if issue exists
     const existingIssue = await prisma.issue.findUnique({
       where: { id },
     });
@@ -346,14 +835,40 @@ exports.upvoteIssue = async (req, res, next) => {
       });
     }
 
-    // Increment upvotes
+    if (departmentId) {
+      const department = await prisma.department.findUnique({
+        where: { id: departmentId },
+      });
+
+      if (!department) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Department not found',
+        });
+      }
+    }
+
     const updatedIssue = await prisma.issue.update({
       where: { id },
-      data: {
-        upvotes: { increment: 1 },
+      data: { departmentId: departmentId || null },
+      include: {
+        department: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
       },
     });
 
+    if (updatedIssue.departmentId && updatedIssue.departmentId !== existingIssue.departmentId) {
+      try {
+        await notifyDepartment(updatedIssue);
+      } catch (notificationError) {
+        console.error('Failed to notify department of rerouted issue:', notificationError);
+      }
+    }
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -366,10 +881,10 @@ exports.upvoteIssue = async (req, res, next) => {
 };
 
 /**
- * Add a comment to an issue
- * @route POST /api/issues/:id/comments
+ * Set the priority of an issue (officials and admins only)
+ * @route PUT /api/issues/:id/priority
  */
-exports.addComment = async (req, res, next) => {
+exports.changeIssuePriority = async (req, res, next) => {
   try {
     // Check for validation errors
     const errors = validationResult(req);
@@ -378,9 +893,8 @@ exports.addComment = async (req, res, next) => {
     }
 
     const { id } = req.params;
-    const { content } = req.body;
+    const { priority } = req.body;
 
-    // Check if issue exists
     const existingIssue = await prisma.issue.findUnique({
       where: { id },
     });
@@ -392,15 +906,386 @@ exports.addComment = async (req, res, next) => {
       });
     }
 
-    // Create comment
-    const comment = await prisma.comment.create({
+    // A new priority moves the due date
+    const dueDate = await dueDateUpdate(existingIssue, { priority });
+
+    const updatedIssue = await prisma.issue.update({
+      where: { id },
       data: {
-        content,
-        issueId: id,
-        authorId: req.user.id,
+        priority,
+        ...dueDate,
       },
-      include: {
-        author: {
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        issue: {
+          ...updatedIssue,
+          automaticPriority: scoreBand(updatedIssue.priorityScore),
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign an issue to yourself, or to any official as an admin (officials and admins only)
+ * @route POST /api/issues/:id/assign
+ */
+exports.assignIssue = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { issue, changed } = await assignIssue(req.params.id, req.body.assigneeId, req.user);
+
+    if (changed) {
+      try {
+        await notifyAssigned(issue, req.user.id);
+      } catch (notificationError) {
+        console.error('Failed to create assignment notification:', notificationError);
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        issue,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an issue
+ * @route DELETE /api/issues/:id
+ */
+exports.deleteIssue = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if issue exists
+    const existingIssue = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!existingIssue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    // Check if user is authorized to delete the issue
+    // Only the reporter or admins can delete issues
+    if (existingIssue.reporterId !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to delete this issue',
+      });
+    }
+
+    // Stored images of the issue and its comments are removed afterwards
+    const attachments = await prisma.attachment.findMany({
+      where: {
+        OR: [
+          { issueId: id },
+          { comment: { issueId: id } },
+        ],
+      },
+    });
+
+    // Delete all comments related to the issue
+    await prisma.comment.deleteMany({
+      where: { issueId: id },
+    });
+
+    // Delete issue
+    await prisma.issue.delete({
+      where: { id },
+    });
+
+    await removeImages(attachments);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Issue deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Vote on an issue
+ * Each user has at most one vote per issue. Repeating the current vote
+ * leaves it unchanged and 'retract' removes it.
+ * @route POST /api/issues/:id/vote
+ */
+exports.voteIssue = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { type } = req.body;
+
+    // Check if issue exists
+    const existingIssue = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!existingIssue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    const { issue: votedIssue, previousVote } = await castVote(id, req.user.id, type);
+    // Voting on an issue follows it; retracting a vote does not unfollow
+    if (type !== 'retract') {
+      await followIssue(id, req.user.id);
+    }
+    const updatedIssue = { ...votedIssue, priorityScore: await refreshPriorityScore(id) };
+
+    // Only notify the reporter about new upvotes
+    if (type === 'upvote' && previousVote !== 'upvote') {
+      try {
+        await notifyUpvote(updatedIssue, req.user.id);
+      } catch (notificationError) {
+        console.error('Failed to create upvote notification:', notificationError);
+        // Don't fail the request if notification fails
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        issue: updatedIssue,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Upvote an issue
+ * Kept for existing clients, equivalent to voting with type 'upvote'
+ * @route POST /api/issues/:id/upvote
+ */
+exports.upvoteIssue = (req, res, next) => {
+  req.body = { ...req.body, type: 'upvote' };
+  return exports.voteIssue(req, res, next);
+};
+
+/**
+ * Follow an issue to be kept up to date on it
+ * @route POST /api/issues/:id/follow
+ */
+exports.followIssue = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if issue exists
+    const issue = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!issue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    await followIssue(id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        following: true,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stop following an issue
+ * @route DELETE /api/issues/:id/follow
+ */
+exports.unfollowIssue = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if issue exists
+    const issue = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!issue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    await unfollowIssue(id, req.user.id);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        following: false,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Merge duplicate issues into this one (officials and admins only)
+ * @route POST /api/issues/:id/merge
+ */
+exports.mergeIssues = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const duplicateIds = [...new Set(req.body.duplicateIds)];
+
+    if (duplicateIds.includes(id)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'An issue cannot be merged into itself',
+      });
+    }
+
+    const canonical = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!canonical) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    if (canonical.duplicateOfId) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This issue has itself been merged into another issue',
+      });
+    }
+
+    const duplicates = await prisma.issue.findMany({
+      where: { id: { in: duplicateIds } },
+    });
+
+    if (duplicates.length !== duplicateIds.length) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'One or more duplicate issues were not found',
+      });
+    }
+
+    if (duplicates.some((duplicate) => duplicate.duplicateOfId)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'One or more issues have already been merged',
+      });
+    }
+
+    const mergedIssue = await mergeDuplicates(canonical, duplicates, req.user.id);
+    // Merged reports count towards the canonical issue's automatic score
+    const issue = { ...mergedIssue, priorityScore: await refreshPriorityScore(id) };
+
+    for (const duplicate of duplicates) {
+      // Merged issues are closed
+      if (duplicate.status !== 'CLOSED') {
+        await broadcastStatusChange(duplicate.id, duplicate.status, 'CLOSED');
+      }
+
+      try {
+        await notifyMerged(duplicate, canonical, req.user.id);
+      } catch (notificationError) {
+        console.error('Failed to create merge notification:', notificationError);
+        // Don't fail the request if notification fails
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        issue,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a comment to an issue
+ * @route POST /api/issues/:id/comments
+ */
+exports.addComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { content } = req.body;
+
+    // Check if issue exists
+    const existingIssue = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!existingIssue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    // Create comment with any uploaded images
+    const comment = await createWithImages(req.files, (attachments) => prisma.comment.create({
+      data: {
+        content,
+        issueId: id,
+        authorId: req.user.id,
+        attachments: {
+          create: attachments.map((attachment) => ({
+            ...attachment,
+            uploaderId: req.user.id,
+          })),
+        },
+      },
+      include: {
+        author: {
           select: {
             id: true,
             name: true,
@@ -409,8 +1294,29 @@ exports.addComment = async (req, res, next) => {
             profilePicture: true,
           },
         },
+        attachments: {
+          select: attachmentSelect,
+        },
       },
-    });
+    }));
+
+    // Commenting on an issue follows it
+    await followIssue(id, req.user.id);
+
+    // Show the comment to everyone viewing the issue, without the author's email
+    const { email, ...author } = comment.author;
+    await broadcast(EVENT_TYPES.COMMENT_CREATED, { issueId: id, comment: { ...comment, author } });
+
+    if (TRIAGE_ROLES.includes(req.user.role)) {
+      await queueAnnouncement('announceOfficialComment', { commentId: comment.id });
+    } else {
+      try {
+        await notifyNewComment(existingIssue, comment);
+      } catch (notificationError) {
+        console.error('Failed to create comment notification:', notificationError);
+        // Don't fail the request if notification fails
+      }
+    }
 
     res.status(201).json({
       status: 'success',
@@ -456,6 +1362,9 @@ exports.getComments = async (req, res, next) => {
             profilePicture: true,
           },
         },
+        attachments: {
+          select: attachmentSelect,
+        },
       },
       orderBy: {
         createdAt: 'desc',
@@ -472,4 +1381,53 @@ exports.getComments = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
+};
+
+/**
+ * Get the status history of an issue
+ * @route GET /api/issues/:id/history
+ */
+exports.getIssueHistory = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if issue exists
+    const existingIssue = await prisma.issue.findUnique({
+      where: { id },
+    });
+
+    if (!existingIssue) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Issue not found',
+      });
+    }
+
+    // Get status changes, oldest first
+    const history = await prisma.issueStatusChange.findMany({
+      where: { issueId: id },
+      include: {
+        changedBy: {
+          select: {
+            id: true,
+            name: true,
+            role: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'asc',
+      },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: history.length,
+      data: {
+        history,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
 };
\ No newline at end of file
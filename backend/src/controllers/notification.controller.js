@@ -0,0 +1,215 @@
+const { PrismaClient } = require('@prisma/client');
+const { unsubscribe } = require('../services/preference.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Get notifications for the current user
+ * @route GET /api/notifications
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    const filter = { userId: req.user.id };
+    if (unread === 'true') filter.read = false;
+
+    const notifications = await prisma.notification.findMany({
+      where: filter,
+      include: {
+        issue: {
+          select: {
+            id: true,
+            title: true,
+            status: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: 'desc',
+      },
+      skip,
+      take: parseInt(limit),
+    });
+
+    const total = await prisma.notification.count({ where: filter });
+    const unreadCount = await prisma.notification.count({
+      where: { userId: req.user.id, read: false },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      results: notifications.length,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / limit),
+      },
+      data: {
+        notifications,
+        unreadCount,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * @route PUT /api/notifications/:id/read
+ */
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if notification exists
+    const existingNotification = await prisma.notification.findUnique({
+      where: { id },
+    });
+
+    if (!existingNotification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found',
+      });
+    }
+
+    // Users can only update their own notifications
+    if (existingNotification.userId !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to update this notification',
+      });
+    }
+
+    const notification = await prisma.notification.update({
+      where: { id },
+      data: { read: true },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        notification,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all notifications of the current user as read
+ * @route PUT /api/notifications/read-all
+ */
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.updateMany({
+      where: { userId: req.user.id, read: false },
+      data: { read: true },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        updated: count,
+        unreadCount: 0,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a notification
+ * @route DELETE /api/notifications/:id
+ */
+exports.deleteNotification = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Check if notification exists
+    const existingNotification = await prisma.notification.findUnique({
+      where: { id },
+    });
+
+    if (!existingNotification) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Notification not found',
+      });
+    }
+
+    // Users can only delete their own notifications
+    if (existingNotification.userId !== req.user.id) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to delete this notification',
+      });
+    }
+
+    await prisma.notification.delete({
+      where: { id },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notification deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete all notifications of the current user
+ * @route DELETE /api/notifications
+ */
+exports.clearNotifications = async (req, res, next) => {
+  try {
+    const { count } = await prisma.notification.deleteMany({
+      where: { userId: req.user.id },
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Notifications cleared successfully',
+      data: {
+        deleted: count,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn off emails using the token from an unsubscribe link. Mail clients
+ * post here directly for one-click unsubscribe, with the token in the URL.
+ * @route POST /api/notifications/unsubscribe
+ */
+exports.unsubscribe = async (req, res, next) => {
+  try {
+    const token = req.query.token || req.body.token;
+    const unsubscribed = token ? await unsubscribe(token) : false;
+
+    if (!unsubscribed) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'This unsubscribe link is invalid',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'You will no longer receive notification emails',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
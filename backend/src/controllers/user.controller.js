@@ -1,8 +1,71 @@
 const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
 const { validationResult } = require('express-validator');
+const { changePassword, deleteAccount } = require('../services/account.service');
+const { ROLES, changeUserRole, getRoleHistory } = require('../services/role.service');
+const { unassignOpenIssues } = require('../services/assignment.service');
+const { clearHeadships } = require('../services/department.service');
+const { getPreferences, updatePreferences } = require('../services/preference.service');
 
 const prisma = new PrismaClient();
 
+// Fields needed to show issues as cards
+const issueCardInclude = {
+  reporter: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  assignee: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  _count: {
+    select: { comments: true },
+  },
+};
+
+/**
+ * Send a page of issues, newest first
+ * @param {Object} req - Request with page and limit query parameters
+ * @param {Object} res - Response
+ * @param {Object} where - Prisma where clause for the issues
+ */
+const sendIssuePage = async (req, res, where) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+
+  const [issues, total] = await Promise.all([
+    prisma.issue.findMany({
+      where,
+      include: issueCardInclude,
+      orderBy: {
+        createdAt: 'desc',
+      },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.issue.count({ where }),
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: issues.length,
+    pagination: {
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+    },
+    data: {
+      issues,
+    },
+  });
+};
+
 /**
  * Get all users (admin only)
  * @route GET /api/users
@@ -10,6 +73,7 @@ const prisma = new PrismaClient();
 exports.getAllUsers = async (req, res, next) => {
   try {
     const users = await prisma.user.findMany({
+      where: { deletedAt: null },
       select: {
         id: true,
         name: true,
@@ -18,6 +82,9 @@ exports.getAllUsers = async (req, res, next) => {
         profilePicture: true,
         createdAt: true,
         updatedAt: true,
+        department: {
+          select: { id: true, name: true },
+        },
         _count: {
           select: { issues: true },
         },
@@ -94,7 +161,13 @@ exports.getUserById = async (req, res, next) => {
 exports.updateUser = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { name, profilePicture } = req.body;
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, profilePicture, locale } = req.body;
 
     // Check if user is authorized to update this user
     // Users can only update their own profile unless they are admins
@@ -123,6 +196,7 @@ exports.updateUser = async (req, res, next) => {
       data: {
         name,
         profilePicture,
+        locale,
       },
       select: {
         id: true,
@@ -130,6 +204,7 @@ exports.updateUser = async (req, res, next) => {
         email: true,
         role: true,
         profilePicture: true,
+        locale: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -179,24 +254,94 @@ exports.getUserIssues = async (req, res, next) => {
       });
     }
 
-    // Get issues
-    const issues = await prisma.issue.findMany({
-      where: { reporterId: id },
-      include: {
-        _count: {
-          select: { comments: true },
-        },
-      },
-      orderBy: {
-        createdAt: 'desc',
+    await sendIssuePage(req, res, { reporterId: id });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get issues a user follows
+ * @route GET /api/users/:id/following
+ */
+exports.getFollowedIssues = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // What a user follows is only visible to them and to admins
+    if (id !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view the issues this user follows',
+      });
+    }
+
+    await sendIssuePage(req, res, {
+      followers: { some: { userId: id } },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user's notification preferences
+ * @route GET /api/users/:id/notification-preferences
+ */
+exports.getNotificationPreferences = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    if (id !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to view these notification preferences',
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        preferences: await getPreferences(id),
       },
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a user's notification preferences
+ * @route PUT /api/users/:id/notification-preferences
+ */
+exports.updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+
+    if (id !== req.user.id && req.user.role !== 'ADMIN') {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Not authorized to change these notification preferences',
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id } });
+    if (!user || user.deletedAt) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'User not found',
+      });
+    }
 
     res.status(200).json({
       status: 'success',
-      results: issues.length,
       data: {
-        issues,
+        preferences: await updatePreferences(id, req.body.preferences),
       },
     });
   } catch (error) {
@@ -214,29 +359,52 @@ exports.updateUserRole = async (req, res, next) => {
     const { role } = req.body;
 
     // Validate role
-    if (!['CITIZEN', 'OFFICIAL', 'ADMIN'].includes(role)) {
+    if (!ROLES.includes(role)) {
       return res.status(400).json({
         status: 'error',
         message: 'Invalid role',
       });
     }
 
+    // Admins cannot lock themselves out
+    if (id === req.user.id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You cannot change your own role',
+      });
+    }
+
     // Check if user exists
     const existingUser = await prisma.user.findUnique({
       where: { id },
     });
 
-    if (!existingUser) {
+    if (!existingUser || existingUser.deletedAt) {
       return res.status(404).json({
         status: 'error',
         message: 'User not found',
       });
     }
 
-    // Update user role
-    const updatedUser = await prisma.user.update({
+    // Update user role, recording the change when there is one
+    if (existingUser.role !== role) {
+      await prisma.$transaction(async (tx) => {
+        await changeUserRole(existingUser, role, {
+          changedById: req.user.id,
+          // Citizens do not belong to a department
+          data: role === 'CITIZEN' ? { departmentId: null } : {},
+        }, tx);
+
+        // ...and cannot work on or oversee issues
+        if (role === 'CITIZEN') {
+          await unassignOpenIssues(id, tx);
+          await clearHeadships(id, tx);
+        }
+      });
+    }
+
+    const updatedUser = await prisma.user.findUnique({
       where: { id },
-      data: { role },
       select: {
         id: true,
         name: true,
@@ -257,4 +425,125 @@ exports.updateUserRole = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the role history of a user (admin only)
+ * @route GET /api/users/:id/role-changes
+ */
+exports.getRoleChanges = async (req, res, next) => {
+  try {
+    const roleChanges = await getRoleHistory(req.params.id);
+
+    res.status(200).json({
+      status: 'success',
+      results: roleChanges.length,
+      data: {
+        roleChanges,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change the current user's password
+ * Other sessions are signed out; this one stays signed in.
+ * @route PUT /api/users/change-password
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    // Check if current password is correct
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Current password is incorrect',
+      });
+    }
+
+    await changePassword(user.id, newPassword, req.user.sessionId);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Password changed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete the current user's account
+ * The password must be given again and the email typed out to confirm.
+ * Issues and comments are kept, attributed to an anonymous user.
+ * @route DELETE /api/users/me
+ */
+exports.deleteAccount = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, confirmation } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+    });
+
+    const isPasswordValid = await bcrypt.compare(password, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Password is incorrect',
+      });
+    }
+
+    if (confirmation.trim().toLowerCase() !== user.email.toLowerCase()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Type your email address to confirm account deletion',
+      });
+    }
+
+    // Keep at least one admin who can manage the system
+    if (user.role === 'ADMIN') {
+      const otherAdmins = await prisma.user.count({
+        where: { role: 'ADMIN', deletedAt: null, id: { not: user.id } },
+      });
+
+      if (otherAdmins === 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'The last admin account cannot be deleted',
+        });
+      }
+    }
+
+    await deleteAccount(user.id);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Account deleted successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -11,12 +11,27 @@ const path = require('path');
 const authRoutes = require('./routes/auth.routes');
 const issueRoutes = require('./routes/issue.routes');
 const userRoutes = require('./routes/user.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const adminRoutes = require('./routes/admin.routes');
+const departmentRoutes = require('./routes/department.routes');
+const eventRoutes = require('./routes/event.routes');
+const { startWorkers, startScheduler } = require('./jobs');
+const { getTransport } = require('./mailer');
+
+// Fail fast on mail settings that would lose emails or leak their links
+getTransport();
 
 // Initialize Express app
 const app = express();
 const prisma = new PrismaClient();
 const PORT = process.env.PORT || 3001;
 
+// Behind a load balancer, client IPs for rate limiting come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
@@ -24,6 +39,8 @@ app.use(cors({
 }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+// Event stream tickets are credentials, so they are kept out of the logs
+morgan.token('url', (req) => (req.originalUrl || req.url).replace(/([?&]ticket=)[^&]*/, '$1[redacted]'));
 app.use(morgan('dev'));
 
 // Serve uploaded files
@@ -55,6 +72,10 @@ app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 app.use('/api/auth', authRoutes);
 app.use('/api/issues', issueRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/events', eventRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -73,6 +94,8 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startWorkers();
+  startScheduler();
 });
 
 // Handle unhandled promise rejections
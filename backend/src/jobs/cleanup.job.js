@@ -0,0 +1,37 @@
+const { PrismaClient } = require('@prisma/client');
+const { deleteCompletedJobs } = require('../services/queue.service');
+
+const prisma = new PrismaClient();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Delete rows that can no longer be used: expired sessions (revoked ones
+ * included), expired password reset tokens, invites that expired without
+ * being accepted, and completed jobs older than JOB_RETENTION_DAYS
+ * (default 7). Failed jobs are kept for admins to retry.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Number of rows deleted per kind
+ */
+const cleanUpExpiredData = async (now = new Date()) => {
+  const retentionDays = Number(process.env.JOB_RETENTION_DAYS || 7);
+
+  const [sessions, passwordResetTokens, invites] = await prisma.$transaction([
+    prisma.session.deleteMany({ where: { expiresAt: { lt: now } } }),
+    prisma.passwordResetToken.deleteMany({ where: { expiresAt: { lt: now } } }),
+    prisma.officialInvite.deleteMany({ where: { acceptedAt: null, expiresAt: { lt: now } } }),
+  ]);
+
+  const jobs = await deleteCompletedJobs(new Date(now.getTime() - retentionDays * DAY_MS));
+
+  return {
+    sessions: sessions.count,
+    passwordResetTokens: passwordResetTokens.count,
+    invites: invites.count,
+    jobs,
+  };
+};
+
+module.exports = {
+  cleanUpExpiredData,
+};
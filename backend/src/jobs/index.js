@@ -0,0 +1,154 @@
+const os = require('os');
+const {
+  enqueue,
+  claimJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+} = require('../services/queue.service');
+const { sendEmail } = require('../mailer');
+const {
+  announceNewIssue,
+  announceStatusChange,
+  announceOfficialComment,
+} = require('./issueEvents.job');
+const { escalateOverdueIssues } = require('./slaEscalation.job');
+const { refreshOpenIssueScores } = require('./priorityScore.job');
+const { sendDueDigests } = require('./notificationDigest.job');
+const { cleanUpExpiredData } = require('./cleanup.job');
+
+/**
+ * Job handlers by name. Each gets the job's payload and the job itself;
+ * throwing fails the attempt, which is retried with backoff until the job
+ * runs out of attempts, so handlers must be safe to run again.
+ */
+const handlers = {
+  sendEmail,
+  announceNewIssue,
+  announceStatusChange,
+  announceOfficialComment,
+  escalateOverdueIssues: () => escalateOverdueIssues(),
+  refreshPriorityScores: () => refreshOpenIssueScores(),
+  sendDigests: () => sendDueDigests(),
+  cleanUp: () => cleanUpExpiredData(),
+};
+
+/**
+ * Periodic jobs with their interval in minutes, each overridable with its
+ * environment variable (0 turns the job off). Intervals are aligned to the
+ * clock, e.g. every 15 minutes runs at :00, :15, :30 and :45, and each run
+ * is queued once however many instances are up.
+ */
+const SCHEDULES = [
+  { name: 'escalateOverdueIssues', env: 'SLA_CHECK_INTERVAL_MINUTES', minutes: 15 },
+  { name: 'refreshPriorityScores', env: 'PRIORITY_SCORE_INTERVAL_MINUTES', minutes: 60 },
+  { name: 'sendDigests', env: 'DIGEST_CHECK_INTERVAL_MINUTES', minutes: 60 },
+  { name: 'cleanUp', env: 'CLEANUP_INTERVAL_MINUTES', minutes: 24 * 60 },
+];
+
+// How often the scheduler queues due runs and looks for stuck jobs
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+/**
+ * Run a claimed job and record the outcome
+ * @param {Object} job - Claimed job
+ */
+const runJob = async (job) => {
+  try {
+    const handler = handlers[job.name];
+    if (!handler) {
+      throw new Error(`No handler for job "${job.name}"`);
+    }
+    await handler(job.payload, job);
+  } catch (error) {
+    const retry = await failJob(job, error);
+    if (!retry) {
+      console.error(`Job ${job.name} (${job.id}) failed after ${job.attempts} attempt${job.attempts === 1 ? '' : 's'}:`, error);
+    }
+    return;
+  }
+
+  await completeJob(job);
+};
+
+/**
+ * Start JOB_WORKERS workers (default 1; 0 for instances that only serve
+ * the API). Each runs due jobs one at a time and checks for new ones every
+ * JOB_POLL_INTERVAL_SECONDS (default 5) while the queue is empty.
+ * @returns {number} Number of workers started
+ */
+const startWorkers = () => {
+  const count = Number(process.env.JOB_WORKERS || 1);
+  const pollMs = Number(process.env.JOB_POLL_INTERVAL_SECONDS || 5) * 1000;
+  const instance = `${os.hostname()}:${process.pid}`;
+
+  const work = async (workerId) => {
+    let job = null;
+    try {
+      job = await claimJob(workerId);
+      if (job) {
+        await runJob(job);
+      }
+    } catch (error) {
+      console.error('Job worker failed:', error);
+    }
+
+    // Keep going straight away while there is work
+    const timer = setTimeout(() => work(workerId), job ? 0 : pollMs);
+    timer.unref();
+  };
+
+  for (let index = 1; index <= count; index += 1) {
+    work(`${instance}:${index}`);
+  }
+
+  return count;
+};
+
+/**
+ * Queue periodic jobs as they fall due, and fail jobs that ran longer than
+ * JOB_TIMEOUT_MINUTES (default 15) so a crashed worker's jobs are retried
+ */
+const startScheduler = () => {
+  const timeoutMs = Number(process.env.JOB_TIMEOUT_MINUTES || 15) * 60 * 1000;
+
+  const tick = async () => {
+    const now = Date.now();
+
+    for (const schedule of SCHEDULES) {
+      const minutes = Number(process.env[schedule.env] || schedule.minutes);
+      if (!minutes) continue;
+
+      const intervalMs = minutes * 60 * 1000;
+      const slot = new Date(Math.floor(now / intervalMs) * intervalMs);
+
+      try {
+        // Periodic jobs are not retried; the next run makes up for a failed one
+        await enqueue(schedule.name, {}, {
+          runAt: slot,
+          maxAttempts: 1,
+          key: `${schedule.name}:${slot.toISOString()}`,
+        });
+      } catch (error) {
+        console.error(`Failed to schedule ${schedule.name}:`, error);
+      }
+    }
+
+    try {
+      await releaseStaleJobs(timeoutMs);
+    } catch (error) {
+      console.error('Failed to release stuck jobs:', error);
+    }
+  };
+
+  const timer = setInterval(tick, SCHEDULER_TICK_MS);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+module.exports = {
+  SCHEDULES,
+  startWorkers,
+  startScheduler,
+};
@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  sendIssueCreatedEmail,
+  sendStatusUpdateEmail,
+  sendNewCommentEmail,
+  sendAdminNotificationEmail,
+} = require('../mailer');
+const {
+  notifyStatusChange,
+  notifyOfficialComment,
+  notifyDepartment,
+} = require('../services/notification.service');
+const { getFollowers } = require('../services/follow.service');
+const { emailRecipients } = require('../services/preference.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Keys for the notifications and emails of one announcement. They come from
+ * the job, so a retry after a partial failure skips the users already
+ * notified and the emails already queued.
+ * @param {Object} job - Job running the announcement
+ * @returns {Object} { notification, email(userId) }
+ */
+const announcementKeys = (job) => ({
+  notification: `announce:${job.id}`,
+  email: (userId) => ({ key: `announce:${job.id}:email:${userId}` }),
+});
+
+/**
+ * Tell the department, the reporter and the admins about a new issue.
+ * Queued by the controller so reporting an issue never waits on the fan-out.
+ * @param {Object} payload
+ * @param {string} payload.issueId - New issue
+ * @param {Object} job - Job running the announcement
+ */
+const announceNewIssue = async ({ issueId }, job) => {
+  const keys = announcementKeys(job);
+  const issue = await prisma.issue.findUnique({
+    where: { id: issueId },
+    include: {
+      reporter: {
+        select: { id: true, name: true, email: true },
+      },
+      department: {
+        select: { id: true, name: true },
+      },
+    },
+  });
+  if (!issue) return;
+
+  await notifyDepartment(issue, { key: keys.notification });
+
+  const [reporter] = await emailRecipients([issue.reporter], 'ISSUE_CREATED');
+  if (reporter) {
+    await sendIssueCreatedEmail(reporter.email, reporter.name, issue, reporter.unsubscribe, keys.email(reporter.id));
+  }
+
+  const admins = await prisma.user.findMany({
+    where: { role: 'ADMIN', deletedAt: null },
+    select: { id: true, name: true, email: true },
+  });
+  for (const admin of await emailRecipients(admins, 'NEW_ISSUE')) {
+    await sendAdminNotificationEmail(admin.email, admin.name, issue, admin.unsubscribe, keys.email(admin.id));
+  }
+};
+
+/**
+ * Notify and email the followers of an issue after a status change, except
+ * whoever changed it
+ * @param {Object} payload
+ * @param {string} payload.issueId - Updated issue
+ * @param {string} payload.actorId - ID of the user who changed the status
+ * @param {string} payload.oldStatus - Previous status
+ * @param {string} payload.newStatus - New status
+ * @param {string} [payload.note] - Reason given for the change
+ * @param {Object} job - Job running the announcement
+ */
+const announceStatusChange = async ({ issueId, actorId, oldStatus, newStatus, note }, job) => {
+  const keys = announcementKeys(job);
+  const issue = await prisma.issue.findUnique({ where: { id: issueId } });
+  if (!issue) return;
+
+  const followers = await getFollowers(issue.id, { exceptUserId: actorId });
+
+  await notifyStatusChange(issue, followers.map((follower) => follower.id), oldStatus, newStatus, note, {
+    key: keys.notification,
+  });
+
+  for (const recipient of await emailRecipients(followers, 'STATUS_CHANGE')) {
+    await sendStatusUpdateEmail(
+      recipient.email,
+      recipient.name,
+      issue,
+      oldStatus,
+      newStatus,
+      recipient.unsubscribe,
+      keys.email(recipient.id),
+    );
+  }
+};
+
+/**
+ * Notify and email the followers of an issue about a comment from an
+ * official, except its author
+ * @param {Object} payload
+ * @param {string} payload.commentId - New comment
+ * @param {Object} job - Job running the announcement
+ */
+const announceOfficialComment = async ({ commentId }, job) => {
+  const keys = announcementKeys(job);
+  const comment = await prisma.comment.findUnique({
+    where: { id: commentId },
+    include: {
+      issue: true,
+      author: {
+        select: { id: true, name: true },
+      },
+    },
+  });
+  if (!comment) return;
+
+  const { issue } = comment;
+  const followers = await getFollowers(issue.id, { exceptUserId: comment.authorId });
+
+  await notifyOfficialComment(issue, comment, followers.map((follower) => follower.id), {
+    key: keys.notification,
+  });
+
+  for (const recipient of await emailRecipients(followers, 'NEW_COMMENT')) {
+    await sendNewCommentEmail(recipient.email, recipient.name, issue, comment, recipient.unsubscribe, keys.email(recipient.id));
+  }
+};
+
+module.exports = {
+  announceNewIssue,
+  announceStatusChange,
+  announceOfficialComment,
+};
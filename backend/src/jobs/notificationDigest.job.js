@@ -0,0 +1,86 @@
+const { PrismaClient } = require('@prisma/client');
+const { sendDigestEmail } = require('../mailer');
+const { DIGEST_TYPES, unsubscribeLinks } = require('../services/preference.service');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long each digest mode waits between emails
+const DIGEST_PERIOD_MS = {
+  DAILY: DAY_MS,
+  WEEKLY: 7 * DAY_MS,
+};
+
+/**
+ * Email each user whose digest is due the issue updates they were notified
+ * about since their last digest. Users with nothing new get no email, but
+ * their period still starts over.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of digests sent
+ */
+const sendDueDigests = async (now = new Date()) => {
+  let sent = 0;
+
+  for (;;) {
+    const due = await prisma.notificationPreference.findMany({
+      where: {
+        email: true,
+        user: { deletedAt: null },
+        OR: Object.keys(DIGEST_PERIOD_MS).map((digest) => ({
+          digest,
+          digestSentAt: { lte: new Date(now.getTime() - DIGEST_PERIOD_MS[digest]) },
+        })),
+      },
+      include: {
+        user: {
+          select: { id: true, name: true, email: true },
+        },
+      },
+      orderBy: { digestSentAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (due.length === 0) break;
+
+    for (const preference of due) {
+      // Claim the digest first so another instance does not send it too
+      const { count } = await prisma.notificationPreference.updateMany({
+        where: { id: preference.id, digestSentAt: preference.digestSentAt },
+        data: { digestSentAt: now },
+      });
+      if (count === 0) continue;
+
+      const notifications = await prisma.notification.findMany({
+        where: {
+          userId: preference.userId,
+          type: { in: DIGEST_TYPES },
+          createdAt: { gt: preference.digestSentAt, lte: now },
+        },
+        include: {
+          issue: {
+            select: { id: true, title: true },
+          },
+        },
+        orderBy: { createdAt: 'asc' },
+      });
+      if (notifications.length === 0) continue;
+
+      const { user } = preference;
+      try {
+        await sendDigestEmail(user.email, user.name, notifications, preference.digest, unsubscribeLinks(user.id));
+        sent += 1;
+      } catch (emailError) {
+        console.error('Failed to send digest email:', emailError);
+      }
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  sendDueDigests,
+};
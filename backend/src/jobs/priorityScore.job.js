@@ -0,0 +1,42 @@
+const { PrismaClient } = require('@prisma/client');
+const { CLOSED_STATUSES } = require('../services/issueStatus.service');
+const { refreshPriorityScore } = require('../services/priority.service');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 100;
+
+/**
+ * Recompute the automatic priority score of every open issue, so that
+ * issues gain priority as they age
+ * @returns {Promise<number>} Number of issues scored
+ */
+const refreshOpenIssueScores = async () => {
+  let scored = 0;
+  let cursor;
+
+  for (;;) {
+    const issues = await prisma.issue.findMany({
+      where: { status: { notIn: CLOSED_STATUSES } },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (issues.length === 0) break;
+
+    for (const issue of issues) {
+      await refreshPriorityScore(issue.id);
+    }
+
+    scored += issues.length;
+    cursor = issues[issues.length - 1].id;
+  }
+
+  return scored;
+};
+
+module.exports = {
+  refreshOpenIssueScores,
+};
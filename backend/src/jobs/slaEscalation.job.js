@@ -0,0 +1,65 @@
+const { PrismaClient } = require('@prisma/client');
+const { overdueWhere } = require('../services/sla.service');
+const { notifySlaBreach } = require('../services/notification.service');
+
+const prisma = new PrismaClient();
+
+const BATCH_SIZE = 100;
+
+/**
+ * Escalate overdue issues that have not been escalated yet. Each issue goes
+ * to the head of its department, or to the admins when it has no department
+ * or the department has no head.
+ * @returns {Promise<number>} Number of issues escalated
+ */
+const escalateOverdueIssues = async () => {
+  let escalated = 0;
+  let admins = null;
+
+  for (;;) {
+    const issues = await prisma.issue.findMany({
+      where: { ...overdueWhere(), escalatedAt: null },
+      include: {
+        department: {
+          select: { headId: true },
+        },
+      },
+      orderBy: { dueAt: 'asc' },
+      take: BATCH_SIZE,
+    });
+
+    if (issues.length === 0) break;
+
+    for (const issue of issues) {
+      // Claim the issue first so another instance does not escalate it too
+      const { count } = await prisma.issue.updateMany({
+        where: { id: issue.id, escalatedAt: null },
+        data: { escalatedAt: new Date() },
+      });
+      if (count === 0) continue;
+
+      let recipients;
+      if (issue.department && issue.department.headId) {
+        recipients = [issue.department.headId];
+      } else {
+        if (!admins) {
+          const users = await prisma.user.findMany({
+            where: { role: 'ADMIN', deletedAt: null },
+            select: { id: true },
+          });
+          admins = users.map((user) => user.id);
+        }
+        recipients = admins;
+      }
+
+      await notifySlaBreach(issue, recipients);
+      escalated += 1;
+    }
+  }
+
+  return escalated;
+};
+
+module.exports = {
+  escalateOverdueIssues,
+};
@@ -0,0 +1,127 @@
+const mockPrisma = {
+  user: {
+    findUnique: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock('../../services/queue.service', () => ({
+  enqueue: jest.fn(),
+}));
+
+jest.mock('../smtp.transport', () => jest.fn(() => ({ name: 'smtp' })));
+jest.mock('../outbox.transport', () => jest.fn(() => ({ name: 'outbox' })));
+
+const ENV_KEYS = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST', 'MAIL_LOCALE'];
+
+/**
+ * Replace the mail settings
+ * @param {Object} env - Mail settings
+ */
+const setMailEnv = (env) => {
+  ENV_KEYS.forEach((key) => {
+    if (env[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = env[key];
+    }
+  });
+};
+
+/**
+ * Load the mailer afresh, since it keeps its transport once created
+ * @param {Object} env - Mail settings
+ */
+const loadTransport = (env) => {
+  setMailEnv(env);
+
+  let getTransport;
+  jest.isolateModules(() => {
+    ({ getTransport } = require('..'));
+  });
+  return getTransport();
+};
+
+describe('mailer', () => {
+  const savedEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  describe('getTransport', () => {
+    it('uses the outbox in development without SMTP settings', () => {
+      expect(loadTransport({ NODE_ENV: 'development' })).toEqual({ name: 'outbox' });
+    });
+
+    it('uses SMTP when SMTP_HOST is set', () => {
+      expect(loadTransport({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' })).toEqual({ name: 'smtp' });
+    });
+
+    it('refuses to fall back to the outbox in production', () => {
+      expect(() => loadTransport({ NODE_ENV: 'production' })).toThrow('Set SMTP_HOST');
+    });
+
+    it('refuses the outbox in production even when chosen explicitly', () => {
+      expect(() => loadTransport({ NODE_ENV: 'production', MAIL_TRANSPORT: 'outbox' })).toThrow('Set SMTP_HOST');
+    });
+
+    it('rejects unknown transports', () => {
+      expect(() => loadTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown MAIL_TRANSPORT "pigeon"');
+    });
+  });
+
+  describe('sendEmail', () => {
+    const send = jest.fn();
+
+    /**
+     * Send a password reset email through a fresh mailer
+     * @param {Object} env - Mail settings
+     * @returns {Promise<Object>} The message handed to the transport
+     */
+    const sendResetEmail = async (env) => {
+      setMailEnv(env);
+      let mailer;
+      jest.isolateModules(() => {
+        jest.doMock('../outbox.transport', () => jest.fn(() => ({ send })));
+        mailer = require('..');
+      });
+
+      const { sealData } = require('../../utils/token.utils');
+      await mailer.sendEmail({
+        to: 'user@example.com',
+        template: 'passwordReset',
+        data: sealData({ name: 'User', resetUrl: 'http://localhost/reset', ttlMinutes: 60 }, 'mail'),
+      });
+      return send.mock.calls[send.mock.calls.length - 1][0];
+    };
+
+    beforeEach(() => {
+      process.env.JWT_SECRET = 'test-secret';
+      jest.clearAllMocks();
+    });
+
+    it("writes the subject in the recipient's locale", async () => {
+      mockPrisma.user.findUnique.mockResolvedValue({ locale: 'es' });
+
+      const message = await sendResetEmail({ MAIL_LOCALE: 'fr' });
+
+      expect(mockPrisma.user.findUnique).toHaveBeenCalledWith({
+        where: { email: 'user@example.com' },
+        select: { locale: true },
+      });
+      expect(message.subject).toBe(require('../subjects').subject('passwordReset', {}, 'es'));
+    });
+
+    it('falls back to MAIL_LOCALE for addresses without an account', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(null);
+
+      const message = await sendResetEmail({ MAIL_LOCALE: 'fr' });
+
+      expect(message.subject).toBe(require('../subjects').subject('passwordReset', {}, 'fr'));
+    });
+  });
+});
@@ -0,0 +1,230 @@
+const { PrismaClient } = require('@prisma/client');
+const createSmtpTransport = require('./smtp.transport');
+const createOutboxTransport = require('./outbox.transport');
+const templates = require('./templates');
+const { enqueue } = require('../services/queue.service');
+const { sealData, openData } = require('../utils/token.utils');
+
+const prisma = new PrismaClient();
+
+/**
+ * Available mail transports, selected with MAIL_TRANSPORT. Without it, mail
+ * goes through SMTP when SMTP_HOST is set and to the outbox otherwise.
+ * The outbox is for development and tests only. A transport exposes
+ * send(message).
+ */
+const transports = {
+  smtp: () => createSmtpTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT || 587),
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+  }),
+  outbox: () => createOutboxTransport({
+    dir: process.env.MAIL_OUTBOX_DIR,
+  }),
+};
+
+// Purpose queued template data is sealed with
+const MAIL_PURPOSE = 'mail';
+
+// Accounts are anonymised to this domain when they are deleted
+const DELETED_ADDRESS = /@deleted\.invalid$/i;
+
+let transport;
+
+/**
+ * Get the configured mail transport, creating it on first use. Called at
+ * startup so a misconfigured server fails straight away.
+ * @throws {Error} If MAIL_TRANSPORT is unknown, or the outbox would be used
+ *   in production, where it would print reset and verification links to the logs
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'outbox');
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    if (name === 'outbox' && process.env.NODE_ENV === 'production') {
+      throw new Error('Set SMTP_HOST to send email in production; the outbox mail transport is only for development and tests');
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+/**
+ * Queue an email for the job workers, which retry failed sends with backoff
+ * up to MAIL_RETRY_ATTEMPTS times in all (default 5). Requests only wait for
+ * the job to be stored, never on the mail server. The template data holds
+ * reset, verification and invite links, so it is stored encrypted and the
+ * email is only rendered when it is sent.
+ * @param {string} to - Recipient address
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @param {Object} [options]
+ * @param {string} [options.key] - Unique key; an email with the same key is not queued again
+ */
+const deliver = async (to, template, data, { key } = {}) => {
+  if (!to || DELETED_ADDRESS.test(to)) return;
+
+  await enqueue('sendEmail', {
+    to,
+    template,
+    data: sealData(data, MAIL_PURPOSE),
+  }, {
+    maxAttempts: Math.max(Number(process.env.MAIL_RETRY_ATTEMPTS || 5), 1),
+    key,
+  });
+};
+
+/**
+ * Get the locale to write to an address in: the locale of the account with
+ * the address, or MAIL_LOCALE for addresses without one, e.g. invites
+ * @param {string} email - Recipient address
+ * @returns {Promise<string>} Locale
+ */
+const recipientLocale = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { locale: true },
+  });
+
+  return (user && user.locale) || process.env.MAIL_LOCALE || 'en';
+};
+
+/**
+ * Render a queued email in the recipient's locale and hand it to the
+ * transport; run by the sendEmail job
+ * @param {Object} payload - { to, template, data } as queued by deliver
+ */
+const sendEmail = async ({ to, template, data }) => {
+  const templateData = openData(data, MAIL_PURPOSE);
+  const locale = await recipientLocale(to);
+  const { subject, html, text } = templates[template](templateData, locale);
+
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'Civic Issue Reporting System <no-reply@localhost>',
+    to,
+    subject,
+    html,
+    text,
+    // One-click unsubscribe for mail clients (RFC 8058)
+    ...(templateData.unsubscribe && {
+      headers: {
+        'List-Unsubscribe': `<${templateData.unsubscribe.oneClickUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+      },
+    }),
+  });
+};
+
+/**
+ * Confirm to a reporter that their issue was received
+ * @param {string} email - Reporter's email
+ * @param {string} name - Reporter's name
+ * @param {Object} issue - New issue
+ * @param {Object} [unsubscribe] - Recipient's unsubscribe links
+ * @param {Object} [options] - { key } as for deliver
+ */
+const sendIssueCreatedEmail = (email, name, issue, unsubscribe, options) => {
+  return deliver(email, 'issueCreated', { name, issue, unsubscribe }, options);
+};
+
+/**
+ * Tell a follower that an issue's status changed
+ * @param {string} email - Follower's email
+ * @param {string} name - Follower's name
+ * @param {Object} issue - Updated issue
+ * @param {string} oldStatus - Previous status
+ * @param {string} newStatus - New status
+ * @param {Object} [unsubscribe] - Recipient's unsubscribe links
+ * @param {Object} [options] - { key } as for deliver
+ */
+const sendStatusUpdateEmail = (email, name, issue, oldStatus, newStatus, unsubscribe, options) => {
+  return deliver(email, 'statusUpdate', { name, issue, oldStatus, newStatus, unsubscribe }, options);
+};
+
+/**
+ * Tell a follower about a comment from an official
+ * @param {string} email - Follower's email
+ * @param {string} name - Follower's name
+ * @param {Object} issue - Commented issue
+ * @param {Object} comment - New comment with author
+ * @param {Object} [unsubscribe] - Recipient's unsubscribe links
+ * @param {Object} [options] - { key } as for deliver
+ */
+const sendNewCommentEmail = (email, name, issue, comment, unsubscribe, options) => {
+  return deliver(email, 'newComment', { name, issue, comment, unsubscribe }, options);
+};
+
+/**
+ * Tell an admin that a new issue was reported
+ * @param {string} email - Admin's email
+ * @param {string} name - Admin's name
+ * @param {Object} issue - New issue with reporter and department
+ * @param {Object} [unsubscribe] - Recipient's unsubscribe links
+ * @param {Object} [options] - { key } as for deliver
+ */
+const sendAdminNotificationEmail = (email, name, issue, unsubscribe, options) => {
+  return deliver(email, 'adminNewIssue', { name, issue, unsubscribe }, options);
+};
+
+/**
+ * Send a user the issue updates collected since their last digest
+ * @param {string} email - User's email
+ * @param {string} name - User's name
+ * @param {Object[]} notifications - Notifications with issue id and title, oldest first
+ * @param {string} period - 'DAILY' or 'WEEKLY'
+ * @param {Object} [unsubscribe] - Recipient's unsubscribe links
+ */
+const sendDigestEmail = (email, name, notifications, period, unsubscribe) => {
+  return deliver(email, 'digest', { name, notifications, period, unsubscribe });
+};
+
+/**
+ * Send a password reset link
+ * @param {string} email - User's email
+ * @param {string} name - User's name
+ * @param {string} resetUrl - Reset link
+ * @param {number} ttlMinutes - Minutes until the link expires
+ */
+const sendPasswordResetEmail = (email, name, resetUrl, ttlMinutes) => {
+  return deliver(email, 'passwordReset', { name, resetUrl, ttlMinutes });
+};
+
+/**
+ * Send an email verification link
+ * @param {string} email - Address to verify
+ * @param {string} name - User's name
+ * @param {string} verifyUrl - Verification link
+ * @param {number} ttlHours - Hours until the link expires
+ */
+const sendVerificationEmail = (email, name, verifyUrl, ttlHours) => {
+  return deliver(email, 'verification', { name, verifyUrl, ttlHours });
+};
+
+/**
+ * Invite someone to join a department as an official
+ * @param {string} email - Invitee's email
+ * @param {string} departmentName - Department they are invited to
+ * @param {string} inviteUrl - Invite link
+ * @param {number} ttlDays - Days until the invite expires
+ */
+const sendOfficialInviteEmail = (email, departmentName, inviteUrl, ttlDays) => {
+  return deliver(email, 'officialInvite', { departmentName, inviteUrl, ttlDays });
+};
+
+module.exports = {
+  getTransport,
+  sendEmail,
+  sendIssueCreatedEmail,
+  sendStatusUpdateEmail,
+  sendNewCommentEmail,
+  sendAdminNotificationEmail,
+  sendDigestEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendOfficialInviteEmail,
+};
@@ -0,0 +1,35 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+let sequence = 0;
+
+/**
+ * Create a mail transport for development and tests that never sends
+ * anything: each email is written to a JSON file in the outbox directory,
+ * or printed to the console when there is no directory
+ * @param {Object} [options] - Transport options
+ * @param {string} [options.dir] - Directory to write emails to
+ */
+const createOutboxTransport = ({ dir } = {}) => {
+  return {
+    /**
+     * Keep an email in the outbox
+     * @param {Object} message - { from, to, subject, text, html, headers }
+     */
+    async send(message) {
+      if (!dir) {
+        console.log(`[outbox] To: ${message.to}\n[outbox] Subject: ${message.subject}\n\n${message.text}\n`);
+        return;
+      }
+
+      // Named so files sort in the order emails were sent
+      sequence += 1;
+      const file = path.join(dir, `${Date.now()}-${process.pid}-${sequence}.json`);
+
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+    },
+  };
+};
+
+module.exports = createOutboxTransport;
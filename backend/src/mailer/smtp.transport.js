@@ -0,0 +1,36 @@
+/**
+ * Create a mail transport that sends through an SMTP server
+ * @param {Object} options - Transport options
+ * @param {string} options.host - SMTP host
+ * @param {number} [options.port] - SMTP port
+ * @param {boolean} [options.secure] - Use TLS from the start, usually on port 465
+ * @param {string} [options.user] - Username, if the server needs one
+ * @param {string} [options.pass] - Password
+ */
+const createSmtpTransport = ({ host, port = 587, secure = false, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST must be set to use the smtp mail transport');
+  }
+
+  // Only needed when this transport is selected
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    ...(user && { auth: { user, pass } }),
+  });
+
+  return {
+    /**
+     * Send an email
+     * @param {Object} message - { from, to, subject, text, html, headers }
+     */
+    async send(message) {
+      await transporter.sendMail(message);
+    },
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,103 @@
+/**
+ * Subject lines per locale. Placeholders like {title} are filled in by
+ * subject(); locales missing a subject fall back to English.
+ */
+const SUBJECTS = {
+  en: {
+    issueCreated: 'Issue reported: {title}',
+    statusUpdate: 'Status update: {title}',
+    issueResolved: 'Resolved: {title}',
+    newComment: 'New comment on: {title}',
+    adminNewIssue: 'New issue reported: {title}',
+    dailyDigest: 'Your daily issue updates',
+    weeklyDigest: 'Your weekly issue updates',
+    passwordReset: 'Reset your password',
+    verification: 'Verify your email address',
+    officialInvite: 'You are invited to join {department}',
+  },
+  es: {
+    issueCreated: 'Incidencia registrada: {title}',
+    statusUpdate: 'Actualización de estado: {title}',
+    issueResolved: 'Resuelta: {title}',
+    newComment: 'Nuevo comentario en: {title}',
+    adminNewIssue: 'Nueva incidencia: {title}',
+    dailyDigest: 'Tus novedades del día',
+    weeklyDigest: 'Tus novedades de la semana',
+    passwordReset: 'Restablece tu contraseña',
+    verification: 'Verifica tu correo electrónico',
+    officialInvite: 'Invitación para unirte a {department}',
+  },
+  fr: {
+    issueCreated: 'Signalement enregistré : {title}',
+    statusUpdate: 'Mise à jour du statut : {title}',
+    issueResolved: 'Résolu : {title}',
+    newComment: 'Nouveau commentaire sur : {title}',
+    adminNewIssue: 'Nouveau signalement : {title}',
+    dailyDigest: 'Vos nouvelles du jour',
+    weeklyDigest: 'Vos nouvelles de la semaine',
+    passwordReset: 'Réinitialisez votre mot de passe',
+    verification: 'Vérifiez votre adresse e-mail',
+    officialInvite: 'Invitation à rejoindre {department}',
+  },
+  de: {
+    issueCreated: 'Meldung eingegangen: {title}',
+    statusUpdate: 'Statusänderung: {title}',
+    issueResolved: 'Erledigt: {title}',
+    newComment: 'Neuer Kommentar zu: {title}',
+    adminNewIssue: 'Neue Meldung: {title}',
+    dailyDigest: 'Ihre tägliche Zusammenfassung',
+    weeklyDigest: 'Ihre wöchentliche Zusammenfassung',
+    passwordReset: 'Passwort zurücksetzen',
+    verification: 'Bestätigen Sie Ihre E-Mail-Adresse',
+    officialInvite: 'Einladung zu {department}',
+  },
+  zh: {
+    issueCreated: '问题已提交：{title}',
+    statusUpdate: '状态更新：{title}',
+    issueResolved: '已解决：{title}',
+    newComment: '新评论：{title}',
+    adminNewIssue: '新问题：{title}',
+    dailyDigest: '每日问题动态',
+    weeklyDigest: '每周问题动态',
+    passwordReset: '重置密码',
+    verification: '验证您的邮箱地址',
+    officialInvite: '邀请您加入{department}',
+  },
+  ja: {
+    issueCreated: '報告を受け付けました：{title}',
+    statusUpdate: 'ステータス更新：{title}',
+    issueResolved: '解決済み：{title}',
+    newComment: '新しいコメント：{title}',
+    adminNewIssue: '新しい報告：{title}',
+    dailyDigest: '本日の更新情報',
+    weeklyDigest: '今週の更新情報',
+    passwordReset: 'パスワードの再設定',
+    verification: 'メールアドレスの確認',
+    officialInvite: '{department}への招待',
+  },
+};
+
+// Languages with subject lines, which users can pick for their emails
+const MAIL_LOCALES = Object.keys(SUBJECTS);
+
+/**
+ * Get a subject line in a locale
+ * @param {string} key - Subject key, e.g. 'issueCreated'
+ * @param {Object} [params] - Values for the placeholders
+ * @param {string} [locale] - Locale such as 'es' or 'es-MX'
+ * @returns {string} Subject line
+ */
+const subject = (key, params = {}, locale = 'en') => {
+  const language = locale.toLowerCase().split(/[-_]/)[0];
+  const template = (SUBJECTS[language] && SUBJECTS[language][key]) || SUBJECTS.en[key];
+
+  return template.replace(/\{(\w+)\}/g, (match, name) => (
+    params[name] !== undefined ? String(params[name]) : match
+  ));
+};
+
+module.exports = {
+  SUBJECTS,
+  MAIL_LOCALES,
+  subject,
+};
@@ -0,0 +1,179 @@
+const { frontendUrl } = require('../utils/url.utils');
+const { subject } = require('./subjects');
+
+const APP_NAME = 'Civic Issue Reporting System';
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatStatus = (status) => status
+  .toLowerCase()
+  .split('_')
+  .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+const issueUrl = (issue) => frontendUrl(`/issues/${issue.id}`);
+
+/**
+ * Render the HTML and text bodies shared by every email
+ * @param {Object} content - Email content
+ * @param {string} content.name - Recipient's name for the greeting
+ * @param {string[]} content.paragraphs - Plain-text paragraphs
+ * @param {Object[]} [content.items] - List entries as { text, url }
+ * @param {Object} [content.action] - Main link as { label, url }
+ * @param {string} [content.note] - Small print under the link
+ * @param {Object} [content.unsubscribe] - Unsubscribe links; account emails have none
+ * @returns {Object} { html, text }
+ */
+const render = ({ name, paragraphs, items = [], action, note, unsubscribe }) => {
+  const footer = unsubscribe
+    ? `You are receiving this email because of your notification settings. Unsubscribe: ${unsubscribe.url}`
+    : null;
+
+  const text = [
+    `Hello ${name},`,
+    ...paragraphs,
+    ...(items.length > 0 ? [items.map((item) => `- ${item.text}${item.url ? ` (${item.url})` : ''}`).join('\n')] : []),
+    ...(action ? [`${action.label}: ${action.url}`] : []),
+    ...(note ? [note] : []),
+    `${APP_NAME}`,
+    ...(footer ? [`--\n${footer}`] : []),
+  ].join('\n\n');
+
+  const html = `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827;">
+  <div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:24px;">
+    <p>Hello ${escapeHtml(name)},</p>
+    ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n    ')}
+    ${items.length > 0 ? `<ul>${items.map((item) => (
+    `<li>${item.url ? `<a href="${escapeHtml(item.url)}">${escapeHtml(item.text)}</a>` : escapeHtml(item.text)}</li>`
+  )).join('')}</ul>` : ''}
+    ${action ? `<p><a href="${escapeHtml(action.url)}" style="display:inline-block;padding:10px 16px;background:#2563eb;color:#ffffff;border-radius:6px;text-decoration:none;">${escapeHtml(action.label)}</a></p>` : ''}
+    ${note ? `<p style="font-size:13px;color:#6b7280;">${escapeHtml(note)}</p>` : ''}
+    <p>${APP_NAME}</p>
+  </div>
+  ${unsubscribe ? `<p style="max-width:560px;margin:16px auto 0;font-size:12px;color:#6b7280;text-align:center;">You are receiving this email because of your notification settings. <a href="${escapeHtml(unsubscribe.url)}" style="color:#6b7280;">Unsubscribe</a></p>` : ''}
+</body>
+</html>
+`;
+
+  return { html, text };
+};
+
+/**
+ * Templates per event. Each takes the event's data and a locale and returns
+ * { subject, html, text }; only subjects are localized.
+ */
+const templates = {
+  issueCreated: ({ name, issue, unsubscribe }, locale) => ({
+    subject: subject('issueCreated', { title: issue.title }, locale),
+    ...render({
+      name,
+      paragraphs: [
+        `Thank you for reporting "${issue.title}" at ${issue.location}. It has been received and will be reviewed by the responsible department.`,
+        'You will be notified as its status changes.',
+      ],
+      action: { label: 'View your issue', url: issueUrl(issue) },
+      unsubscribe,
+    }),
+  }),
+
+  statusUpdate: ({ name, issue, oldStatus, newStatus, unsubscribe }, locale) => ({
+    subject: subject(newStatus === 'RESOLVED' ? 'issueResolved' : 'statusUpdate', { title: issue.title }, locale),
+    ...render({
+      name,
+      paragraphs: [
+        newStatus === 'RESOLVED'
+          ? `"${issue.title}" has been resolved.`
+          : `The status of "${issue.title}" changed from ${formatStatus(oldStatus)} to ${formatStatus(newStatus)}.`,
+      ],
+      action: { label: 'View the issue', url: issueUrl(issue) },
+      unsubscribe,
+    }),
+  }),
+
+  newComment: ({ name, issue, comment, unsubscribe }, locale) => ({
+    subject: subject('newComment', { title: issue.title }, locale),
+    ...render({
+      name,
+      paragraphs: [
+        `${comment.author.name} commented on "${issue.title}":`,
+        comment.content,
+      ],
+      action: { label: 'Read the discussion', url: issueUrl(issue) },
+      unsubscribe,
+    }),
+  }),
+
+  adminNewIssue: ({ name, issue, unsubscribe }, locale) => ({
+    subject: subject('adminNewIssue', { title: issue.title }, locale),
+    ...render({
+      name,
+      paragraphs: [
+        `A new issue was reported by ${issue.reporter ? issue.reporter.name : 'a citizen'}.`,
+        `${issue.title} (${formatStatus(issue.category)}) at ${issue.location}`,
+        issue.department
+          ? `It was routed to ${issue.department.name}.`
+          : 'No department handles it yet.',
+      ],
+      action: { label: 'Review the issue', url: issueUrl(issue) },
+      unsubscribe,
+    }),
+  }),
+
+  digest: ({ name, notifications, period, unsubscribe }, locale) => ({
+    subject: subject(period === 'WEEKLY' ? 'weeklyDigest' : 'dailyDigest', {}, locale),
+    ...render({
+      name,
+      paragraphs: [
+        `Here is what happened on the issues you report or follow since your last ${period === 'WEEKLY' ? 'weekly' : 'daily'} digest:`,
+      ],
+      items: notifications.map((notification) => ({
+        text: `${notification.title}: ${notification.message}`,
+        url: notification.issue ? issueUrl(notification.issue) : null,
+      })),
+      action: { label: 'See all notifications', url: frontendUrl('/my-issues', { tab: 'following' }) },
+      note: 'You can switch digests off or change how often they come in your settings.',
+      unsubscribe,
+    }),
+  }),
+
+  passwordReset: ({ name, resetUrl, ttlMinutes }, locale) => ({
+    subject: subject('passwordReset', {}, locale),
+    ...render({
+      name,
+      paragraphs: ['We received a request to reset the password of your account.'],
+      action: { label: 'Choose a new password', url: resetUrl },
+      note: `This link expires in ${ttlMinutes} minutes. If you did not ask for it, you can ignore this email and your password stays the same.`,
+    }),
+  }),
+
+  verification: ({ name, verifyUrl, ttlHours }, locale) => ({
+    subject: subject('verification', {}, locale),
+    ...render({
+      name,
+      paragraphs: ['Please confirm your email address so you can report issues and comment.'],
+      action: { label: 'Verify email address', url: verifyUrl },
+      note: `This link expires in ${ttlHours} hours. If you did not create an account, you can ignore this email.`,
+    }),
+  }),
+
+  officialInvite: ({ departmentName, inviteUrl, ttlDays }, locale) => ({
+    subject: subject('officialInvite', { department: departmentName }, locale),
+    ...render({
+      name: 'there',
+      paragraphs: [
+        `You have been invited to join ${departmentName} as an official, to review and resolve the issues citizens report.`,
+      ],
+      action: { label: 'Accept the invite', url: inviteUrl },
+      note: `This invite expires in ${ttlDays} days.`,
+    }),
+  }),
+};
+
+module.exports = templates;
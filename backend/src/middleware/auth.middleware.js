@@ -1,7 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { PrismaClient } = require('@prisma/client');
-
-const prisma = new PrismaClient();
+const { getSessionUser } = require('../services/session.service');
 
 /**
  * Authentication middleware
@@ -24,21 +22,13 @@ module.exports = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Check if user exists
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.id },
-      select: {
-        id: true,
-        email: true,
-        name: true,
-        role: true,
-      },
-    });
+    // Check that the session is still active, e.g. not logged out from another device
+    const user = await getSessionUser(decoded);
 
     if (!user) {
       return res.status(401).json({
         status: 'error',
-        message: 'The user belonging to this token no longer exists',
+        message: 'Your session has ended. Please log in again',
       });
     }
 
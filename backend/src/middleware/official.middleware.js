@@ -0,0 +1,15 @@
+/**
+ * Official middleware
+ * Checks if the authenticated user has official or admin role
+ */
+module.exports = (req, res, next) => {
+  // Check if user is official or admin
+  if (req.user.role !== 'OFFICIAL' && req.user.role !== 'ADMIN') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Not authorized. Official access required',
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,38 @@
+const jwt = require('jsonwebtoken');
+const { getSessionUser } = require('../services/session.service');
+
+/**
+ * Optional authentication middleware
+ * Attaches the user to the request when a valid JWT token is sent,
+ * and lets anonymous requests through otherwise
+ */
+module.exports = async (req, res, next) => {
+  try {
+    // Get token from header
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const token = authHeader.split(' ')[1];
+
+    // Verify token
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Revoked sessions are treated as anonymous requests too
+    const user = await getSessionUser(decoded);
+    if (user) {
+      req.user = user;
+    }
+
+    next();
+  } catch (error) {
+    // Invalid or expired tokens are treated as anonymous requests
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return next();
+    }
+
+    next(error);
+  }
+};
@@ -0,0 +1,34 @@
+const { getStore, getLimit, tooManyRequests } = require('../rateLimit');
+
+/**
+ * Rate limit middleware
+ * Counts requests to a route per client and answers 429 with Retry-After
+ * once the route's limit is reached. If the store is unreachable requests
+ * are let through rather than taking the API down with it.
+ * @param {string} name - Route name with a limit in src/rateLimit
+ * @param {Object} [options]
+ * @param {string} [options.by] - 'ip', or 'user' to count per account after
+ * auth middleware (anonymous requests are then counted per IP)
+ */
+module.exports = (name, { by = 'ip' } = {}) => {
+  // Read at startup so a bad override fails fast
+  const { max, windowMs } = getLimit(name);
+
+  return async (req, res, next) => {
+    const client = by === 'user' && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await getStore().increment(`${name}:${client}`, windowMs);
+    } catch (error) {
+      console.error(`Rate limit check for ${name} failed:`, error);
+      return next();
+    }
+
+    if (counter.count > max) {
+      return tooManyRequests(res, counter.resetAt);
+    }
+
+    next();
+  };
+};
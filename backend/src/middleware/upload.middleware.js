@@ -0,0 +1,48 @@
+const multer = require('multer');
+const { MAX_FILE_SIZE, ALLOWED_FILE_TYPES, MAX_IMAGES } = require('../services/image.service');
+
+// Files stay in memory until image.service has checked and stripped them
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_IMAGES,
+  },
+  // Cheap early rejection on the declared type; the contents are sniffed later
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_FILE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('INVALID_FILE_TYPE', file.fieldname));
+    }
+    cb(null, true);
+  },
+});
+
+const UPLOAD_ERROR_MESSAGES = {
+  LIMIT_FILE_SIZE: `Images must be ${MAX_FILE_SIZE / (1024 * 1024)}MB or smaller`,
+  LIMIT_FILE_COUNT: `At most ${MAX_IMAGES} images can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: 'Unexpected file field',
+  INVALID_FILE_TYPE: 'Only JPEG, PNG, GIF and WebP images are allowed',
+};
+
+/**
+ * Upload middleware
+ * Parses multipart image uploads from the given field into req.files.
+ * JSON requests pass through untouched.
+ * @param {string} field - Form field holding the images
+ */
+module.exports = (field) => {
+  const parse = upload.array(field, MAX_IMAGES);
+
+  return (req, res, next) => {
+    parse(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          status: 'error',
+          message: UPLOAD_ERROR_MESSAGES[error.code] || 'Invalid upload',
+        });
+      }
+
+      next(error);
+    });
+  };
+};
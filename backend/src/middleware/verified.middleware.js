@@ -0,0 +1,14 @@
+/**
+ * Verified middleware
+ * Checks if the authenticated user has verified their email address
+ */
+module.exports = (req, res, next) => {
+  if (!req.user.emailVerifiedAt) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Please verify your email address first',
+    });
+  }
+
+  next();
+};
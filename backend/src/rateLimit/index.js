@@ -0,0 +1,85 @@
+const createMemoryStore = require('./memory.store');
+const createRedisStore = require('./redis.store');
+
+/**
+ * Available rate limit stores, selected with RATE_LIMIT_STORE.
+ * A store exposes increment(key, windowMs), get(key), set(key, count, ttlMs)
+ * and reset(key), where counters are { count, resetAt }.
+ */
+const stores = {
+  memory: () => createMemoryStore(),
+  redis: () => createRedisStore({
+    url: process.env.REDIS_URL,
+    prefix: process.env.RATE_LIMIT_PREFIX,
+  }),
+};
+
+/**
+ * Default limits per route as [max requests, window in seconds]. Each can be
+ * overridden with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_LOGIN=20/900.
+ */
+const DEFAULT_LIMITS = {
+  login: [10, 15 * 60],
+  register: [5, 60 * 60],
+  passwordReset: [5, 60 * 60],
+  verification: [5, 60 * 60],
+  refresh: [60, 15 * 60],
+  createIssue: [10, 60 * 60],
+  comment: [30, 10 * 60],
+};
+
+let store;
+
+/**
+ * Get the configured rate limit store, creating it on first use
+ */
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+    store = stores[name]();
+  }
+  return store;
+};
+
+/**
+ * Get the limit for a route, applying any environment override
+ * @param {string} name - Route name from DEFAULT_LIMITS
+ * @returns {Object} { max, windowMs }
+ */
+const getLimit = (name) => {
+  const envName = `RATE_LIMIT_${name.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+  const override = process.env[envName];
+  const [max, windowSeconds] = override ? override.split('/').map(Number) : DEFAULT_LIMITS[name];
+
+  if (!Number.isFinite(max) || !Number.isFinite(windowSeconds) || windowSeconds <= 0) {
+    throw new Error(`${envName} must look like <max requests>/<window in seconds>`);
+  }
+
+  return { max, windowMs: windowSeconds * 1000 };
+};
+
+/**
+ * Answer a request that went over a limit
+ * @param {Object} res - Express response
+ * @param {number} resetAt - When the client may try again, in milliseconds
+ * @param {string} [message] - Error message
+ */
+const tooManyRequests = (res, resetAt, message = 'Too many requests. Please try again later') => {
+  const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    status: 'error',
+    message,
+    retryAfter,
+  });
+};
+
+module.exports = {
+  getStore,
+  getLimit,
+  tooManyRequests,
+};
@@ -0,0 +1,71 @@
+// Expired counters are swept this often so idle keys do not pile up
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create a rate limit store that keeps counters in process memory.
+ * Counters are not shared between instances, so use the redis store when
+ * running more than one.
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  // Do not keep the process alive just to sweep
+  sweep.unref();
+
+  const current = (key) => {
+    const counter = counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) return null;
+    return counter;
+  };
+
+  return {
+    /**
+     * Count a hit, starting a new window if there is none
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Object} { count, resetAt } with resetAt in milliseconds
+     */
+    async increment(key, windowMs) {
+      const counter = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      counter.count += 1;
+      counters.set(key, counter);
+      return { ...counter };
+    },
+
+    /**
+     * Get a counter
+     * @param {string} key - Counter key
+     * @returns {Object|null} { count, resetAt }, or null if there is none
+     */
+    async get(key) {
+      const counter = current(key);
+      return counter ? { ...counter } : null;
+    },
+
+    /**
+     * Set a counter, replacing any existing window
+     * @param {string} key - Counter key
+     * @param {number} count - Counter value
+     * @param {number} ttlMs - Time until the counter expires
+     */
+    async set(key, count, ttlMs) {
+      counters.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+
+    /**
+     * Delete a counter
+     * @param {string} key - Counter key
+     */
+    async reset(key) {
+      counters.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,86 @@
+/**
+ * Create a rate limit store backed by Redis or a Redis-compatible server such
+ * as Valkey or KeyDB, so counters are shared by every API instance
+ * @param {Object} options - Store options
+ * @param {string} options.url - Connection URL, e.g. redis://localhost:6379
+ * @param {string} [options.prefix] - Prefix for every key
+ */
+const createRedisStore = ({ url, prefix = 'rate-limit:' }) => {
+  if (!url) {
+    throw new Error('REDIS_URL must be set to use the redis rate limit store');
+  }
+
+  // Only needed when this store is selected
+  const Redis = require('ioredis');
+
+  const client = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+  client.on('error', (error) => {
+    console.error('Rate limit store error:', error.message);
+  });
+
+  // Counts a hit and sets the expiry in one step, so a counter can never be
+  // left without one. Also repairs counters that lost their expiry.
+  client.defineCommand('rateLimitIncrement', {
+    numberOfKeys: 1,
+    lua: `
+      local count = redis.call('INCR', KEYS[1])
+      local ttl = redis.call('PTTL', KEYS[1])
+      if ttl < 0 then
+        redis.call('PEXPIRE', KEYS[1], ARGV[1])
+        ttl = tonumber(ARGV[1])
+      end
+      return { count, ttl }
+    `,
+  });
+
+  const toCounter = (count, ttlMs) => ({ count: Number(count), resetAt: Date.now() + Math.max(ttlMs, 0) });
+
+  return {
+    /**
+     * Count a hit, starting a new window if there is none
+     * @param {string} key - Counter key
+     * @param {number} windowMs - Window length for a new counter
+     * @returns {Object} { count, resetAt } with resetAt in milliseconds
+     */
+    async increment(key, windowMs) {
+      const [count, ttlMs] = await client.rateLimitIncrement(prefix + key, windowMs);
+
+      return toCounter(count, ttlMs);
+    },
+
+    /**
+     * Get a counter
+     * @param {string} key - Counter key
+     * @returns {Object|null} { count, resetAt }, or null if there is none
+     */
+    async get(key) {
+      const [[, count], [, ttlMs]] = await client
+        .multi()
+        .get(prefix + key)
+        .pttl(prefix + key)
+        .exec();
+
+      return count === null ? null : toCounter(count, ttlMs);
+    },
+
+    /**
+     * Set a counter, replacing any existing window
+     * @param {string} key - Counter key
+     * @param {number} count - Counter value
+     * @param {number} ttlMs - Time until the counter expires
+     */
+    async set(key, count, ttlMs) {
+      await client.set(prefix + key, count, 'PX', ttlMs);
+    },
+
+    /**
+     * Delete a counter
+     * @param {string} key - Counter key
+     */
+    async reset(key) {
+      await client.del(prefix + key);
+    },
+  };
+};
+
+module.exports = createRedisStore;
@@ -0,0 +1,82 @@
+const createMemoryBus = require('./memory.bus');
+const createRedisBus = require('./redis.bus');
+
+/**
+ * Available event buses, selected with REALTIME_BUS. A bus exposes
+ * publish(event) and subscribe(listener), where events are
+ * { type, data, userId } and events without a userId go to everyone.
+ */
+const buses = {
+  memory: () => createMemoryBus(),
+  redis: () => createRedisBus({
+    url: process.env.REDIS_URL,
+    channel: process.env.REALTIME_CHANNEL,
+  }),
+};
+
+/**
+ * Event types sent to clients
+ */
+const EVENT_TYPES = {
+  NOTIFICATION: 'notification',
+  ISSUE_STATUS: 'issue.status',
+  COMMENT_CREATED: 'comment.created',
+};
+
+let bus;
+
+/**
+ * Get the configured event bus, creating it on first use
+ */
+const getBus = () => {
+  if (!bus) {
+    const name = process.env.REALTIME_BUS || 'memory';
+    if (!buses[name]) {
+      throw new Error(`Unknown REALTIME_BUS "${name}"`);
+    }
+    bus = buses[name]();
+  }
+  return bus;
+};
+
+/**
+ * Publish an event. Live updates are best effort: clients that miss one
+ * catch up when they next fetch, so failures are logged and never thrown.
+ * @param {Object} event - { type, data, userId }
+ */
+const publish = async (event) => {
+  try {
+    await getBus().publish(event);
+  } catch (error) {
+    console.error(`Failed to publish ${event.type} event:`, error);
+  }
+};
+
+/**
+ * Send an event to one user's connected clients
+ * @param {string} userId - Recipient user ID
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event data
+ */
+const publishToUser = (userId, type, data) => publish({ type, data, userId });
+
+/**
+ * Send an event to every connected client
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event data
+ */
+const broadcast = (type, data) => publish({ type, data, userId: null });
+
+/**
+ * Listen for every published event
+ * @param {Function} listener - Called with each event
+ * @returns {Function} Stops listening
+ */
+const subscribe = (listener) => getBus().subscribe(listener);
+
+module.exports = {
+  EVENT_TYPES,
+  publishToUser,
+  broadcast,
+  subscribe,
+};
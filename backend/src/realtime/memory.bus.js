@@ -0,0 +1,34 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Create an event bus that only reaches clients connected to this process.
+ * Events published by another instance, including its job workers, are not
+ * seen, so use the redis bus when running more than one.
+ */
+const createMemoryBus = () => {
+  const emitter = new EventEmitter();
+  // Every open event stream listens on the bus
+  emitter.setMaxListeners(0);
+
+  return {
+    /**
+     * Send an event to every subscriber
+     * @param {Object} event - { type, data, userId }
+     */
+    async publish(event) {
+      emitter.emit('event', event);
+    },
+
+    /**
+     * Listen for events
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Stops listening
+     */
+    subscribe(listener) {
+      emitter.on('event', listener);
+      return () => emitter.off('event', listener);
+    },
+  };
+};
+
+module.exports = createMemoryBus;
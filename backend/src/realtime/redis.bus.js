@@ -0,0 +1,60 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Create an event bus on Redis pub/sub, or a Redis-compatible server such as
+ * Valkey or KeyDB, so events reach clients connected to any API instance
+ * @param {Object} options - Bus options
+ * @param {string} options.url - Connection URL, e.g. redis://localhost:6379
+ * @param {string} [options.channel] - Pub/sub channel for every event
+ */
+const createRedisBus = ({ url, channel = 'realtime' }) => {
+  if (!url) {
+    throw new Error('REDIS_URL must be set to use the redis realtime bus');
+  }
+
+  // Only needed when this bus is selected
+  const Redis = require('ioredis');
+
+  // A subscribed connection cannot publish, so each direction gets its own
+  const publisher = new Redis(url, { maxRetriesPerRequest: 1 });
+  const subscriber = new Redis(url);
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  for (const client of [publisher, subscriber]) {
+    client.on('error', (error) => {
+      console.error('Realtime bus error:', error.message);
+    });
+  }
+
+  subscriber.subscribe(channel);
+  subscriber.on('message', (_channel, message) => {
+    try {
+      emitter.emit('event', JSON.parse(message));
+    } catch (error) {
+      console.error('Ignoring malformed realtime event:', error.message);
+    }
+  });
+
+  return {
+    /**
+     * Send an event to every subscriber on every instance
+     * @param {Object} event - { type, data, userId }
+     */
+    async publish(event) {
+      await publisher.publish(channel, JSON.stringify(event));
+    },
+
+    /**
+     * Listen for events
+     * @param {Function} listener - Called with each event
+     * @returns {Function} Stops listening
+     */
+    subscribe(listener) {
+      emitter.on('event', listener);
+      return () => emitter.off('event', listener);
+    },
+  };
+};
+
+module.exports = createRedisBus;
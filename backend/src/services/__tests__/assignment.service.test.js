@@ -0,0 +1,71 @@
+const mockPrisma = {
+  issue: {
+    findUnique: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  user: {
+    findUnique: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: {},
+}));
+
+const { assignIssue, assigneeSelectFor } = require('../assignment.service');
+
+const official = { id: 'official-1', role: 'OFFICIAL' };
+
+describe('assignment.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.user.findUnique.mockResolvedValue(official);
+  });
+
+  describe('assignIssue', () => {
+    it('only assigns the issue if nobody took it since it was read', async () => {
+      mockPrisma.issue.findUnique
+        .mockResolvedValueOnce({ id: 'issue-1', assigneeId: null })
+        .mockResolvedValueOnce({ id: 'issue-1', assigneeId: official.id });
+      mockPrisma.issue.updateMany.mockResolvedValue({ count: 1 });
+
+      const { issue, changed } = await assignIssue('issue-1', undefined, official);
+
+      expect(mockPrisma.issue.updateMany).toHaveBeenCalledWith({
+        where: { id: 'issue-1', assigneeId: null },
+        data: { assigneeId: official.id, assignedAt: expect.any(Date) },
+      });
+      expect(changed).toBe(true);
+      expect(issue.assigneeId).toBe(official.id);
+    });
+
+    it('rejects the assignment when another official took the issue first', async () => {
+      mockPrisma.issue.findUnique.mockResolvedValueOnce({ id: 'issue-1', assigneeId: null });
+      mockPrisma.issue.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(assignIssue('issue-1', undefined, official)).rejects.toMatchObject({ statusCode: 409 });
+    });
+
+    it('does not write when the assignee is unchanged', async () => {
+      mockPrisma.issue.findUnique.mockResolvedValue({ id: 'issue-1', assigneeId: official.id });
+
+      const { changed } = await assignIssue('issue-1', undefined, official);
+
+      expect(changed).toBe(false);
+      expect(mockPrisma.issue.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assigneeSelectFor', () => {
+    it("keeps officials' email addresses from the public", () => {
+      expect(assigneeSelectFor(undefined)).not.toHaveProperty('email');
+      expect(assigneeSelectFor({ id: 'citizen-1', role: 'CITIZEN' })).not.toHaveProperty('email');
+    });
+
+    it('shows email addresses to officials and admins', () => {
+      expect(assigneeSelectFor(official)).toHaveProperty('email', true);
+      expect(assigneeSelectFor({ id: 'admin-1', role: 'ADMIN' })).toHaveProperty('email', true);
+    });
+  });
+});
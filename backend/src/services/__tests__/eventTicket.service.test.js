@@ -0,0 +1,49 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('../session.service', () => ({
+  getSessionUser: jest.fn(),
+}));
+
+const { getSessionUser } = require('../session.service');
+const { createTicket, redeemTicket } = require('../eventTicket.service');
+
+const user = { id: 'user-1', sessionId: 'session-1' };
+
+describe('eventTicket.service', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    getSessionUser.mockResolvedValue(user);
+  });
+
+  it('opens the stream for the session the ticket was issued to', async () => {
+    const { ticket } = createTicket(user, 1700000000);
+
+    await expect(redeemTicket(ticket)).resolves.toEqual({ user, until: 1700000000 });
+    expect(getSessionUser).toHaveBeenCalledWith(expect.objectContaining({ id: 'user-1', sid: 'session-1' }));
+  });
+
+  it('works only once', async () => {
+    const { ticket } = createTicket(user, 1700000000);
+
+    await redeemTicket(ticket);
+
+    await expect(redeemTicket(ticket)).resolves.toBeNull();
+  });
+
+  it('does not accept access tokens', async () => {
+    const accessToken = jwt.sign({ id: 'user-1', sid: 'session-1' }, process.env.JWT_SECRET);
+
+    await expect(redeemTicket(accessToken)).resolves.toBeNull();
+  });
+
+  it('rejects tickets whose session has ended', async () => {
+    getSessionUser.mockResolvedValue(null);
+    const { ticket } = createTicket(user, 1700000000);
+
+    await expect(redeemTicket(ticket)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+const mockPrisma = {
+  issueFollower: {
+    upsert: jest.fn(),
+    findUnique: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { followIssue } = require('../follow.service');
+
+const uniqueConstraintError = () => Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+
+describe('follow.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('followIssue', () => {
+    it('treats a follow that lost a race with another as already following', async () => {
+      const follower = { userId: 'user-1', issueId: 'issue-1' };
+      mockPrisma.issueFollower.upsert.mockRejectedValue(uniqueConstraintError());
+      mockPrisma.issueFollower.findUnique.mockResolvedValue(follower);
+
+      await expect(followIssue('issue-1', 'user-1')).resolves.toBe(follower);
+      expect(mockPrisma.issueFollower.findUnique).toHaveBeenCalledWith({
+        where: { userId_issueId: { userId: 'user-1', issueId: 'issue-1' } },
+      });
+    });
+
+    it('passes other errors on', async () => {
+      mockPrisma.issueFollower.upsert.mockRejectedValue(new Error('Connection lost'));
+
+      await expect(followIssue('issue-1', 'user-1')).rejects.toThrow('Connection lost');
+    });
+  });
+});
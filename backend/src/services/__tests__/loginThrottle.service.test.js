@@ -0,0 +1,42 @@
+const { getLoginLockout, recordFailedLogin, clearFailedLogins } = require('../loginThrottle.service');
+
+const failTimes = async (times, email, ip) => {
+  for (let i = 0; i < times; i += 1) {
+    await recordFailedLogin(email, ip);
+  }
+};
+
+describe('loginThrottle.service', () => {
+  it('locks a client out of an account after 5 failed logins', async () => {
+    await failTimes(4, 'first@example.com', '203.0.113.1');
+    await expect(getLoginLockout('first@example.com', '203.0.113.1')).resolves.toBeNull();
+
+    await expect(recordFailedLogin('first@example.com', '203.0.113.1')).resolves.toBeGreaterThan(Date.now());
+    await expect(getLoginLockout('First@Example.com ', '203.0.113.1')).resolves.toBeGreaterThan(Date.now());
+  });
+
+  it('keeps letting the owner log in from another client while an attacker keeps failing', async () => {
+    await failTimes(20, 'second@example.com', '198.51.100.7');
+
+    await expect(getLoginLockout('second@example.com', '198.51.100.7')).resolves.toBeGreaterThan(Date.now());
+    await expect(getLoginLockout('second@example.com', '192.0.2.10')).resolves.toBeNull();
+  });
+
+  it('forgets only the failures of the client that logged in', async () => {
+    await failTimes(5, 'third@example.com', '203.0.113.2');
+    await failTimes(5, 'third@example.com', '203.0.113.3');
+
+    await clearFailedLogins('third@example.com', '203.0.113.2');
+
+    await expect(getLoginLockout('third@example.com', '203.0.113.2')).resolves.toBeNull();
+    await expect(getLoginLockout('third@example.com', '203.0.113.3')).resolves.toBeGreaterThan(Date.now());
+  });
+
+  it('locks the account for everyone after failures from many clients', async () => {
+    for (let client = 0; client < 25; client += 1) {
+      await failTimes(2, 'fourth@example.com', `10.0.0.${client}`);
+    }
+
+    await expect(getLoginLockout('fourth@example.com', '192.0.2.10')).resolves.toBeGreaterThan(Date.now());
+  });
+});
@@ -0,0 +1,112 @@
+const mockPrisma = {
+  $transaction: jest.fn((operations) => Promise.all(operations)),
+  notification: {
+    create: jest.fn(({ data }) => Promise.resolve({ id: `notification-${data.userId}`, ...data })),
+    findMany: jest.fn(),
+    findUnique: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock('../preference.service', () => ({
+  filterNotified: jest.fn((userIds) => Promise.resolve(userIds)),
+  alertedUsers: jest.fn(() => Promise.resolve(new Set(['user-2']))),
+}));
+
+jest.mock('../../realtime', () => ({
+  EVENT_TYPES: { NOTIFICATION: 'notification' },
+  publishToUser: jest.fn(),
+}));
+
+const { publishToUser } = require('../../realtime');
+const { notifyStatusChange, notifyUpvote } = require('../notification.service');
+
+const issue = { id: 'issue-1', title: 'Pothole', reporterId: 'reporter-1' };
+
+describe('notification.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('notifyStatusChange', () => {
+    it('keys each notification by the event and user', async () => {
+      mockPrisma.notification.findMany.mockResolvedValue([]);
+
+      await notifyStatusChange(issue, ['user-1', 'user-2'], 'REPORTED', 'IN_PROGRESS', null, {
+        key: 'announce:job-1',
+      });
+
+      const keys = mockPrisma.notification.create.mock.calls.map(([{ data }]) => data.key);
+      expect(keys).toEqual(['announce:job-1:user-1', 'announce:job-1:user-2']);
+      expect(publishToUser).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips users a previous attempt already notified', async () => {
+      mockPrisma.notification.findMany.mockResolvedValue([{ userId: 'user-1' }]);
+
+      await notifyStatusChange(issue, ['user-1', 'user-2'], 'REPORTED', 'IN_PROGRESS', null, {
+        key: 'announce:job-1',
+      });
+
+      expect(mockPrisma.notification.findMany).toHaveBeenCalledWith({
+        where: { key: { in: ['announce:job-1:user-1', 'announce:job-1:user-2'] } },
+        select: { userId: true },
+      });
+      expect(mockPrisma.notification.create).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.notification.create.mock.calls[0][0].data.userId).toBe('user-2');
+      expect(publishToUser).toHaveBeenCalledTimes(1);
+      expect(publishToUser.mock.calls[0][0]).toBe('user-2');
+    });
+
+    it('asks for browser alerts only for users who turned them on', async () => {
+      mockPrisma.notification.findMany.mockResolvedValue([]);
+
+      await notifyStatusChange(issue, ['user-1', 'user-2'], 'REPORTED', 'IN_PROGRESS');
+
+      expect(publishToUser.mock.calls.map(([userId, , data]) => [userId, data.alert])).toEqual([
+        ['user-1', false],
+        ['user-2', true],
+      ]);
+    });
+
+    it('does not look for earlier notifications without a key', async () => {
+      await notifyStatusChange(issue, ['user-1'], 'REPORTED', 'IN_PROGRESS');
+
+      expect(mockPrisma.notification.findMany).not.toHaveBeenCalled();
+      expect(mockPrisma.notification.create.mock.calls[0][0].data.key).toBeNull();
+    });
+  });
+
+  describe('notifyUpvote', () => {
+    it('notifies the reporter of the first upvote from a user', async () => {
+      mockPrisma.notification.findUnique.mockResolvedValue(null);
+
+      await notifyUpvote(issue, 'voter-1');
+
+      expect(mockPrisma.notification.create.mock.calls[0][0].data).toMatchObject({
+        userId: 'reporter-1',
+        type: 'UPVOTE',
+        key: 'upvote:issue-1:voter-1',
+      });
+    });
+
+    it('does not notify again when the user upvotes after retracting', async () => {
+      mockPrisma.notification.findUnique.mockResolvedValue({ id: 'notification-1' });
+
+      await expect(notifyUpvote(issue, 'voter-1')).resolves.toBeNull();
+      expect(mockPrisma.notification.create).not.toHaveBeenCalled();
+      expect(publishToUser).not.toHaveBeenCalled();
+    });
+
+    it('does not notify twice when two upvotes race', async () => {
+      mockPrisma.notification.findUnique.mockResolvedValue(null);
+      mockPrisma.notification.create.mockRejectedValueOnce(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(notifyUpvote(issue, 'voter-1')).resolves.toBeNull();
+      expect(publishToUser).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const mockPrisma = {
+  $transaction: jest.fn((callback) => callback(mockPrisma)),
+  passwordResetToken: {
+    findFirst: jest.fn(),
+    updateMany: jest.fn(),
+  },
+  user: {
+    update: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+jest.mock('bcryptjs', () => ({
+  genSalt: jest.fn(() => Promise.resolve('salt')),
+  hash: jest.fn(() => Promise.resolve('hashed-password')),
+}));
+
+jest.mock('../../mailer', () => ({
+  sendPasswordResetEmail: jest.fn(),
+}));
+
+jest.mock('../session.service', () => ({
+  revokeAllSessions: jest.fn(),
+}));
+
+const bcrypt = require('bcryptjs');
+const { revokeAllSessions } = require('../session.service');
+const { resetPassword } = require('../passwordReset.service');
+
+describe('passwordReset.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resetPassword', () => {
+    it('rejects an unknown token without hashing the password', async () => {
+      mockPrisma.passwordResetToken.findFirst.mockResolvedValue(null);
+
+      await expect(resetPassword('unknown', 'new-password')).resolves.toBe(false);
+      expect(bcrypt.hash).not.toHaveBeenCalled();
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('sets the password and signs the user out everywhere', async () => {
+      mockPrisma.passwordResetToken.findFirst.mockResolvedValue({ userId: 'user-1' });
+      mockPrisma.passwordResetToken.updateMany.mockResolvedValue({ count: 1 });
+
+      await expect(resetPassword('token', 'new-password')).resolves.toBe(true);
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 'user-1' },
+        data: { password: 'hashed-password' },
+      });
+      expect(revokeAllSessions).toHaveBeenCalledWith('user-1', mockPrisma);
+    });
+
+    it('does not reuse a token claimed by a concurrent request', async () => {
+      mockPrisma.passwordResetToken.findFirst.mockResolvedValue({ userId: 'user-1' });
+      mockPrisma.passwordResetToken.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(resetPassword('token', 'new-password')).resolves.toBe(false);
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const mockPrisma = {
+  notificationPreference: {
+    findMany: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { emailRecipients, filterNotified } = require('../preference.service');
+
+const official = { id: 'official-1', name: 'Official', email: 'official@example.com' };
+
+describe('preference.service', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe.each(['NEW_ISSUE', 'ASSIGNED', 'SLA_BREACH'])('%s', (type) => {
+    it('is emailed with an unsubscribe link while emails are on', async () => {
+      mockPrisma.notificationPreference.findMany.mockResolvedValue([]);
+
+      const recipients = await emailRecipients([official], type);
+
+      expect(recipients).toEqual([expect.objectContaining({ id: 'official-1', unsubscribe: expect.any(Object) })]);
+    });
+
+    it('is not emailed after the user turned emails off or unsubscribed', async () => {
+      mockPrisma.notificationPreference.findMany.mockResolvedValue([
+        { userId: 'official-1', email: false, issueUpdates: true, digest: 'OFF' },
+      ]);
+
+      await expect(emailRecipients([official], type)).resolves.toEqual([]);
+    });
+
+    it('always appears in the app', async () => {
+      await expect(filterNotified(['official-1'], type)).resolves.toEqual(['official-1']);
+      expect(mockPrisma.notificationPreference.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const mockPrisma = {
+  $queryRaw: jest.fn(),
+  job: {
+    update: jest.fn(),
+    updateMany: jest.fn(),
+    findUnique: jest.fn(),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { claimJob, failJob, retryJob } = require('../queue.service');
+
+const SECOND = 1000;
+
+describe('queue.service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('claimJob', () => {
+    it('claims the next due job for the worker, skipping rows other workers hold', async () => {
+      const job = { id: 'job-1', name: 'sendEmail', attempts: 1 };
+      mockPrisma.$queryRaw.mockResolvedValue([job]);
+
+      await expect(claimJob('worker-1')).resolves.toBe(job);
+
+      const [strings, ...values] = mockPrisma.$queryRaw.mock.calls[0];
+      const sql = strings.join('?');
+      expect(sql).toContain(`"status" = 'RUNNING'`);
+      expect(sql).toContain('"attempts" = "attempts" + 1');
+      expect(sql).toContain(`WHERE "status" = 'PENDING' AND "runAt" <= NOW()`);
+      expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+      expect(values).toEqual(['worker-1']);
+    });
+
+    it('returns null when no job is due', async () => {
+      mockPrisma.$queryRaw.mockResolvedValue([]);
+
+      await expect(claimJob('worker-1')).resolves.toBeNull();
+    });
+  });
+
+  describe('failJob', () => {
+    it('retries after 30 seconds the first time', async () => {
+      const retry = await failJob({ id: 'job-1', attempts: 1, maxAttempts: 5 }, new Error('SMTP down'));
+
+      expect(retry).toBe(true);
+      const { where, data } = mockPrisma.job.update.mock.calls[0][0];
+      expect(where).toEqual({ id: 'job-1' });
+      expect(data).toMatchObject({ status: 'PENDING', lockedAt: null, lockedBy: null });
+      expect(data.lastError).toContain('SMTP down');
+      expect(data.runAt).toEqual(new Date(Date.now() + 30 * SECOND));
+    });
+
+    it('doubles the backoff with every failure, up to an hour', async () => {
+      await failJob({ id: 'job-1', attempts: 3, maxAttempts: 20 }, 'failed');
+      await failJob({ id: 'job-1', attempts: 12, maxAttempts: 20 }, 'failed');
+
+      expect(mockPrisma.job.update.mock.calls[0][0].data.runAt).toEqual(new Date(Date.now() + 120 * SECOND));
+      expect(mockPrisma.job.update.mock.calls[1][0].data.runAt).toEqual(new Date(Date.now() + 3600 * SECOND));
+    });
+
+    it('dead-letters the job once it is out of attempts', async () => {
+      const retry = await failJob({ id: 'job-1', attempts: 5, maxAttempts: 5 }, 'failed');
+
+      expect(retry).toBe(false);
+      const { data } = mockPrisma.job.update.mock.calls[0][0];
+      expect(data.status).toBe('FAILED');
+      expect(data).not.toHaveProperty('runAt');
+    });
+
+    it('keeps at most 2000 characters of the error', async () => {
+      await failJob({ id: 'job-1', attempts: 1, maxAttempts: 5 }, 'x'.repeat(5000));
+
+      expect(mockPrisma.job.update.mock.calls[0][0].data.lastError).toHaveLength(2000);
+    });
+  });
+
+  describe('retryJob', () => {
+    it('queues a failed job again with a fresh set of attempts', async () => {
+      const job = { id: 'job-1', status: 'PENDING', attempts: 0 };
+      mockPrisma.job.updateMany.mockResolvedValue({ count: 1 });
+      mockPrisma.job.findUnique.mockResolvedValue(job);
+
+      await expect(retryJob('job-1')).resolves.toBe(job);
+
+      expect(mockPrisma.job.updateMany).toHaveBeenCalledWith({
+        where: { id: 'job-1', status: 'FAILED' },
+        data: { status: 'PENDING', attempts: 0, runAt: new Date() },
+      });
+    });
+
+    it('answers 404 when there is no failed job with the ID', async () => {
+      mockPrisma.job.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(retryJob('job-1')).rejects.toMatchObject({
+        statusCode: 404,
+        message: 'Failed job not found',
+      });
+      expect(mockPrisma.job.findUnique).not.toHaveBeenCalled();
+    });
+  });
+});
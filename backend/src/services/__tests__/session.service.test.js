@@ -0,0 +1,80 @@
+const mockSessions = new Map();
+
+// Lets every pending read finish before a write, as with concurrent requests
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const matches = (session, where) => Object.entries(where).every(([field, value]) => session[field] === value);
+
+const mockPrisma = {
+  session: {
+    findUnique: jest.fn(async ({ where }) => {
+      await tick();
+      const session = mockSessions.get(where.id);
+      return session && { ...session, user: { id: 'user-1', role: 'CITIZEN', deletedAt: null } };
+    }),
+    updateMany: jest.fn(async ({ where, data }) => {
+      await tick();
+      const session = mockSessions.get(where.id);
+      if (!session || !matches(session, where)) return { count: 0 };
+      Object.assign(session, data);
+      return { count: 1 };
+    }),
+    update: jest.fn(async ({ where, data }) => Object.assign(mockSessions.get(where.id), data)),
+  },
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { hashToken } = require('../../utils/token.utils');
+const { refreshSession } = require('../session.service');
+
+const addSession = (secret) => {
+  mockSessions.set('session-1', {
+    id: 'session-1',
+    userId: 'user-1',
+    refreshTokenHash: hashToken(secret),
+    previousRefreshTokenHash: null,
+    rotatedAt: null,
+    revokedAt: null,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  });
+  return `session-1.${secret}`;
+};
+
+describe('session.service', () => {
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    mockSessions.clear();
+    jest.clearAllMocks();
+  });
+
+  describe('refreshSession', () => {
+    it('keeps the session when two tabs refresh with the same token at once', async () => {
+      const refreshToken = addSession('secret-1');
+
+      const results = await Promise.all([refreshSession(refreshToken), refreshSession(refreshToken)]);
+
+      expect(results.every(({ token }) => token)).toBe(true);
+      const [rotated] = results.filter((result) => result.refreshToken);
+      expect(results.filter((result) => result.refreshToken === null)).toHaveLength(1);
+      expect(mockSessions.get('session-1').revokedAt).toBeNull();
+
+      // The token the first tab stored still works
+      await expect(refreshSession(rotated.refreshToken)).resolves.toHaveProperty('refreshToken');
+    });
+
+    it('revokes the session when a rotated-out token is reused later', async () => {
+      const refreshToken = addSession('secret-1');
+      await refreshSession(refreshToken);
+      mockSessions.get('session-1').rotatedAt = new Date(Date.now() - 60 * 1000);
+
+      await expect(refreshSession(refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+      expect(mockSessions.get('session-1').revokedAt).toEqual(expect.any(Date));
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const mockPrisma = {
+  $transaction: jest.fn(),
+};
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+const { castVote } = require('../vote.service');
+
+// Let other pending work run, as a database round trip would
+const roundTrip = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * In-memory stand-in for the database with the parts of Postgres castVote
+ * relies on: a unique vote per user and issue, and row locks held until the
+ * transaction ends
+ */
+const createDatabase = () => {
+  const issue = { id: 'issue-1', upvotes: 0, downvotes: 0 };
+  const votes = new Map();
+  let locked = Promise.resolve();
+
+  const transaction = async (fn) => {
+    let release = () => {};
+
+    const tx = {
+      $queryRaw: async () => {
+        const previous = locked;
+        locked = new Promise((resolve) => {
+          release = resolve;
+        });
+        await previous;
+        return [{ id: issue.id }];
+      },
+      vote: {
+        findUnique: async ({ where }) => {
+          await roundTrip();
+          return votes.get(where.userId_issueId.userId) || null;
+        },
+        upsert: async ({ where, create, update }) => {
+          await roundTrip();
+          const { userId } = where.userId_issueId;
+          const vote = votes.get(userId);
+          votes.set(userId, vote ? { ...vote, ...update } : { id: `vote-${userId}`, ...create });
+        },
+        delete: async ({ where }) => {
+          await roundTrip();
+          const entry = [...votes].find(([, vote]) => vote.id === where.id);
+          if (!entry) {
+            throw Object.assign(new Error('Record to delete does not exist.'), { code: 'P2025' });
+          }
+          votes.delete(entry[0]);
+        },
+      },
+      issue: {
+        update: async ({ data }) => {
+          await roundTrip();
+          issue.upvotes += data.upvotes.increment;
+          issue.downvotes += data.downvotes.increment;
+        },
+        findUnique: async () => ({
+          ...issue,
+          votes: [...votes.values()].map((vote) => ({ value: vote.value })),
+        }),
+      },
+    };
+
+    try {
+      return await fn(tx);
+    } finally {
+      release();
+    }
+  };
+
+  return { issue, votes, transaction };
+};
+
+describe('vote.service', () => {
+  let database;
+
+  beforeEach(() => {
+    database = createDatabase();
+    mockPrisma.$transaction.mockImplementation(database.transaction);
+  });
+
+  describe('castVote', () => {
+    it('changes a vote and keeps the counters in sync', async () => {
+      await castVote('issue-1', 'user-1', 'upvote');
+      const { issue, previousVote } = await castVote('issue-1', 'user-1', 'downvote');
+
+      expect(previousVote).toBe('upvote');
+      expect(issue).toMatchObject({ upvotes: 0, downvotes: 1, userVote: 'downvote' });
+    });
+
+    it('counts a vote sent twice at the same time once', async () => {
+      const results = await Promise.all([
+        castVote('issue-1', 'user-1', 'upvote'),
+        castVote('issue-1', 'user-1', 'upvote'),
+      ]);
+
+      expect(database.issue.upvotes).toBe(1);
+      expect(database.votes.size).toBe(1);
+      expect(results.map((result) => result.previousVote).sort()).toEqual([null, 'upvote']);
+    });
+
+    it('retracts a vote sent twice at the same time without failing', async () => {
+      await castVote('issue-1', 'user-1', 'upvote');
+
+      await expect(Promise.all([
+        castVote('issue-1', 'user-1', 'retract'),
+        castVote('issue-1', 'user-1', 'retract'),
+      ])).resolves.toHaveLength(2);
+
+      expect(database.issue.upvotes).toBe(0);
+      expect(database.votes.size).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const { revokeAllSessions } = require('./session.service');
+const { unassignOpenIssues } = require('./assignment.service');
+const { clearHeadships } = require('./department.service');
+
+const prisma = new PrismaClient();
+
+const DELETED_USER_NAME = 'Deleted user';
+
+/**
+ * Change a user's password and revoke their other sessions
+ * @param {string} userId - User ID
+ * @param {string} password - New password
+ * @param {string} currentSessionId - Session that stays signed in
+ */
+const changePassword = async (userId, password, currentSessionId) => {
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: { password: hashedPassword },
+    });
+    await revokeAllSessions(userId, tx, { exceptSessionId: currentSessionId });
+  });
+};
+
+/**
+ * Delete a user's account without deleting what they contributed.
+ * The user row is kept so issues and comments stay on the public record,
+ * but it is stripped of personal data and can no longer be signed in to.
+ * Private data such as notifications, follows and reset tokens is removed;
+ * votes stay so issue vote counts do not change.
+ * @param {string} userId - User ID
+ */
+const deleteAccount = async (userId) => {
+  // Nobody knows this password, so the account cannot be logged in to
+  const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.notification.deleteMany({ where: { userId } });
+    await tx.issueFollower.deleteMany({ where: { userId } });
+    await tx.passwordResetToken.deleteMany({ where: { userId } });
+    await unassignOpenIssues(userId, tx);
+    await clearHeadships(userId, tx);
+
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        name: DELETED_USER_NAME,
+        // Unique and undeliverable, and frees the address for a new account
+        email: `deleted-${userId}@deleted.invalid`,
+        password: unusablePassword,
+        role: 'CITIZEN',
+        profilePicture: null,
+        departmentId: null,
+        deletedAt: new Date(),
+      },
+    });
+    await revokeAllSessions(userId, tx);
+  });
+};
+
+module.exports = {
+  changePassword,
+  deleteAccount,
+};
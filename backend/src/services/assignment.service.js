@@ -0,0 +1,232 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { AppError } = require('../utils/error.utils');
+const { CLOSED_STATUSES } = require('./issueStatus.service');
+
+const prisma = new PrismaClient();
+
+// Roles issues can be assigned to
+const ASSIGNABLE_ROLES = ['OFFICIAL', 'ADMIN'];
+
+// Assignee fields anyone can see
+const assigneeSelect = {
+  id: true,
+  name: true,
+  profilePicture: true,
+};
+
+// Officials and admins can also see how to reach each other
+const staffAssigneeSelect = {
+  ...assigneeSelect,
+  email: true,
+};
+
+/**
+ * Assignee fields to show a user, keeping officials' addresses from the public
+ * @param {Object} [user] - Authenticated user
+ */
+const assigneeSelectFor = (user) => (
+  user && ASSIGNABLE_ROLES.includes(user.role) ? staffAssigneeSelect : assigneeSelect
+);
+
+const openIssueWhere = { status: { notIn: CLOSED_STATUSES } };
+
+/**
+ * Resolve the assignee filter of an issue list
+ * @param {string} value - A user ID, "me" or "none"
+ * @param {Object} [user] - Authenticated user
+ * @returns {string|null} User ID, or null for unassigned issues
+ * @throws {AppError} 401 if "me" is used without logging in
+ */
+const resolveAssigneeFilter = (value, user) => {
+  if (value === 'none') return null;
+
+  if (value === 'me') {
+    if (!user) {
+      throw new AppError('Log in to see the issues assigned to you', 401);
+    }
+    return user.id;
+  }
+
+  return value;
+};
+
+/**
+ * SQL condition for issues (aliased `i`) assigned to a user
+ * @param {string|null} assigneeId - User ID, or null for unassigned issues
+ */
+const assigneeSql = (assigneeId) => (
+  assigneeId === null
+    ? Prisma.sql`i."assigneeId" IS NULL`
+    : Prisma.sql`i."assigneeId" = ${assigneeId}`
+);
+
+/**
+ * Assign an issue. Officials can take unassigned issues and give up their
+ * own; admins can assign any issue to any official or admin.
+ * @param {string} issueId - Issue ID
+ * @param {string|null|undefined} assigneeId - New assignee, null to unassign,
+ *   or undefined to assign the actor
+ * @param {Object} actor - User making the assignment
+ * @returns {Promise<Object>} { issue, changed } with the updated issue
+ * @throws {AppError} 404, 403, 409 or 400 when the assignment is not allowed,
+ *   or 409 when the issue's assignee changed while it was being assigned
+ */
+const assignIssue = async (issueId, assigneeId, actor) => {
+  const issue = await prisma.issue.findUnique({ where: { id: issueId } });
+  if (!issue) {
+    throw new AppError('Issue not found', 404);
+  }
+
+  const targetId = assigneeId === undefined ? actor.id : assigneeId;
+
+  if (actor.role !== 'ADMIN') {
+    if (targetId !== null && targetId !== actor.id) {
+      throw new AppError('Only admins can assign issues to other officials', 403);
+    }
+    if (targetId === null && issue.assigneeId && issue.assigneeId !== actor.id) {
+      throw new AppError('Only admins can unassign other officials', 403);
+    }
+    if (targetId === actor.id && issue.assigneeId && issue.assigneeId !== actor.id) {
+      throw new AppError('This issue is already assigned to another official', 409);
+    }
+  }
+
+  if (targetId) {
+    const assignee = await prisma.user.findUnique({ where: { id: targetId } });
+    if (!assignee || assignee.deletedAt) {
+      throw new AppError('User not found', 404);
+    }
+    if (!ASSIGNABLE_ROLES.includes(assignee.role)) {
+      throw new AppError('Issues can only be assigned to officials and admins', 400);
+    }
+  }
+
+  const changed = targetId !== issue.assigneeId;
+
+  if (changed) {
+    // Only write if the assignee is still the one checked above, so two
+    // officials taking the same issue at once cannot both succeed
+    const { count } = await prisma.issue.updateMany({
+      where: { id: issueId, assigneeId: issue.assigneeId },
+      data: { assigneeId: targetId, assignedAt: targetId ? new Date() : null },
+    });
+    if (count === 0) {
+      throw new AppError('This issue was assigned by someone else in the meantime. Reload it and try again', 409);
+    }
+  }
+
+  const updatedIssue = await prisma.issue.findUnique({
+    where: { id: issueId },
+    include: {
+      assignee: {
+        select: staffAssigneeSelect,
+      },
+      department: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+    },
+  });
+
+  return { issue: updatedIssue, changed };
+};
+
+/**
+ * Unassign a user from their open issues, e.g. when they stop being an
+ * official. Closed issues keep their assignee as a record of who handled them.
+ * @param {string} userId - User ID
+ * @param {Object} [client] - Prisma client or transaction
+ */
+const unassignOpenIssues = (userId, client = prisma) => {
+  return client.issue.updateMany({
+    where: { assigneeId: userId, ...openIssueWhere },
+    data: { assigneeId: null, assignedAt: null },
+  });
+};
+
+/**
+ * Open issues per official and per department
+ * @returns {Promise<Object>} { officials, departments } where each official
+ *   lists their open issues and each department its open and unassigned counts.
+ *   Issues without a department are counted under a department with a null id.
+ */
+const getWorkload = async () => {
+  const [officials, departments, openByDepartment, unassignedByDepartment] = await Promise.all([
+    prisma.user.findMany({
+      where: {
+        deletedAt: null,
+        OR: [
+          { role: 'OFFICIAL' },
+          { assignedIssues: { some: openIssueWhere } },
+        ],
+      },
+      orderBy: { name: 'asc' },
+      select: {
+        ...staffAssigneeSelect,
+        role: true,
+        department: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        assignedIssues: {
+          where: openIssueWhere,
+          orderBy: { createdAt: 'asc' },
+          select: {
+            id: true,
+            title: true,
+            status: true,
+            priority: true,
+            createdAt: true,
+            assignedAt: true,
+            departmentId: true,
+          },
+        },
+      },
+    }),
+    prisma.department.findMany({
+      orderBy: { name: 'asc' },
+      select: { id: true, name: true },
+    }),
+    prisma.issue.groupBy({
+      by: ['departmentId'],
+      where: openIssueWhere,
+      _count: { _all: true },
+    }),
+    prisma.issue.groupBy({
+      by: ['departmentId'],
+      where: { ...openIssueWhere, assigneeId: null },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const countFor = (rows, departmentId) => {
+    const row = rows.find((item) => item.departmentId === departmentId);
+    return row ? row._count._all : 0;
+  };
+
+  return {
+    officials: officials.map(({ assignedIssues, ...official }) => ({
+      ...official,
+      openIssues: assignedIssues.length,
+      issues: assignedIssues,
+    })),
+    departments: [...departments, { id: null, name: null }].map((department) => ({
+      ...department,
+      openIssues: countFor(openByDepartment, department.id),
+      unassignedIssues: countFor(unassignedByDepartment, department.id),
+    })),
+  };
+};
+
+module.exports = {
+  assigneeSelectFor,
+  resolveAssigneeFilter,
+  assigneeSql,
+  assignIssue,
+  unassignOpenIssues,
+  getWorkload,
+};
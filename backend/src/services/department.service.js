@@ -0,0 +1,260 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { AppError } = require('../utils/error.utils');
+const { pointInArea } = require('./geo.service');
+
+const prisma = new PrismaClient();
+
+const ISSUE_CATEGORIES = [
+  'ROADS',
+  'WATER',
+  'ELECTRICITY',
+  'SANITATION',
+  'PUBLIC_SAFETY',
+  'ENVIRONMENT',
+  'PUBLIC_PROPERTY',
+  'OTHER',
+];
+
+const AREA_TYPES = ['Polygon', 'MultiPolygon'];
+
+const isPosition = (position) => (
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  Number.isFinite(position[0]) && position[0] >= -180 && position[0] <= 180 &&
+  Number.isFinite(position[1]) && position[1] >= -90 && position[1] <= 90
+);
+
+const isRing = (ring) => {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) return false;
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+};
+
+const isPolygon = (rings) => Array.isArray(rings) && rings.length > 0 && rings.every(isRing);
+
+/**
+ * Check a department area. A GeoJSON Feature is unwrapped to its geometry.
+ * @param {Object|null} area - GeoJSON Polygon or MultiPolygon, or null for no area
+ * @returns {Object|null} The geometry to store
+ * @throws {AppError} 400 if the area is not a valid polygon
+ */
+const parseArea = (area) => {
+  if (area === null || area === undefined) return null;
+
+  const geometry = area.type === 'Feature' ? area.geometry : area;
+  if (!geometry || !AREA_TYPES.includes(geometry.type)) {
+    throw new AppError('area must be a GeoJSON Polygon or MultiPolygon', 400);
+  }
+
+  const valid = geometry.type === 'Polygon'
+    ? isPolygon(geometry.coordinates)
+    : Array.isArray(geometry.coordinates) &&
+      geometry.coordinates.length > 0 &&
+      geometry.coordinates.every(isPolygon);
+
+  if (!valid) {
+    throw new AppError('area rings must be closed lists of at least four [lng, lat] positions', 400);
+  }
+
+  return { type: geometry.type, coordinates: geometry.coordinates };
+};
+
+/**
+ * Trim ward names and drop blanks and case-insensitive repeats
+ * @param {string[]} wards - Ward names
+ * @returns {string[]} Wards to store
+ */
+const normalizeWards = (wards = []) => {
+  const seen = new Set();
+
+  return wards
+    .map((ward) => ward.trim())
+    .filter((ward) => {
+      const key = ward.toLowerCase();
+      if (!ward || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Whether a department's area or wards cover where an issue was reported.
+ * Departments with neither cover everywhere and are handled by the caller.
+ * @param {Object} department - Department with area and wards
+ * @param {Object} issue - Issue with latitude, longitude and ward
+ */
+const coversLocation = (department, { latitude, longitude, ward }) => {
+  if (
+    department.area &&
+    latitude !== null && latitude !== undefined &&
+    longitude !== null && longitude !== undefined &&
+    pointInArea(department.area, latitude, longitude)
+  ) {
+    return true;
+  }
+
+  if (ward) {
+    const key = ward.trim().toLowerCase();
+    return department.wards.some((name) => name.toLowerCase() === key);
+  }
+
+  return false;
+};
+
+/**
+ * Pick the department that should handle a new issue. Of the departments
+ * handling its category, one whose area or wards cover the issue wins over
+ * one without an area, which covers everywhere else. Ties go to the first
+ * department by name.
+ * @param {Object} issue - Issue with category, latitude, longitude and ward
+ * @returns {Promise<Object|null>} The department, or null if none handles the issue
+ */
+const findDepartmentForIssue = async (issue) => {
+  const departments = await prisma.department.findMany({
+    where: { categories: { has: issue.category } },
+    orderBy: { name: 'asc' },
+  });
+
+  const local = departments.find((department) => coversLocation(department, issue));
+  if (local) return local;
+
+  return departments.find((department) => !department.area && department.wards.length === 0) || null;
+};
+
+/**
+ * Resolve the department filter of an issue list
+ * @param {string} value - A department ID, "mine" or "none"
+ * @param {Object} [user] - Authenticated user
+ * @returns {string|null} Department ID, or null for issues no department handles
+ * @throws {AppError} 400 if "mine" is used without belonging to a department
+ */
+const resolveDepartmentFilter = (value, user) => {
+  if (value === 'none') return null;
+
+  if (value === 'mine') {
+    if (!user || !user.departmentId) {
+      throw new AppError('You are not assigned to a department', 400);
+    }
+    return user.departmentId;
+  }
+
+  return value;
+};
+
+/**
+ * SQL condition for issues (aliased `i`) routed to a department
+ * @param {string|null} departmentId - Department ID, or null for issues no department handles
+ */
+const departmentSql = (departmentId) => (
+  departmentId === null
+    ? Prisma.sql`i."departmentId" IS NULL`
+    : Prisma.sql`i."departmentId" = ${departmentId}`
+);
+
+/**
+ * Assign an official to a department, moving them from any other department
+ * @param {string} departmentId - Department ID
+ * @param {string} userId - ID of the official
+ * @returns {Promise<Object>} The updated user
+ * @throws {AppError} 404 if either does not exist, 400 if the user is not an official
+ */
+const assignOfficial = async (departmentId, userId) => {
+  const department = await prisma.department.findUnique({ where: { id: departmentId } });
+  if (!department) {
+    throw new AppError('Department not found', 404);
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || user.deletedAt) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.role !== 'OFFICIAL') {
+    throw new AppError('Only officials can be assigned to a department', 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    // Heads lead the department they belong to
+    await clearHeadships(userId, tx, { exceptDepartmentId: departmentId });
+
+    return tx.user.update({
+      where: { id: userId },
+      data: { departmentId },
+      select: {
+        id: true,
+        name: true,
+        email: true,
+        role: true,
+        departmentId: true,
+      },
+    });
+  });
+};
+
+/**
+ * Remove an official from a department
+ * @param {string} departmentId - Department ID
+ * @param {string} userId - ID of the official
+ * @throws {AppError} 404 if the user is not in the department
+ */
+const removeOfficial = async (departmentId, userId) => {
+  const count = await prisma.$transaction(async (tx) => {
+    const result = await tx.user.updateMany({
+      where: { id: userId, departmentId },
+      data: { departmentId: null },
+    });
+    await clearHeadships(userId, tx);
+    return result.count;
+  });
+
+  if (count === 0) {
+    throw new AppError('Official not found in this department', 404);
+  }
+};
+
+/**
+ * Check that a user can head a department
+ * @param {string} departmentId - Department ID
+ * @param {string|null} headId - Proposed head, or null for none
+ * @throws {AppError} 400 unless the head is an official in the department
+ */
+const validateHead = async (departmentId, headId) => {
+  if (headId === null) return;
+
+  const head = await prisma.user.findUnique({ where: { id: headId } });
+  if (!head || head.deletedAt || head.role !== 'OFFICIAL' || head.departmentId !== departmentId) {
+    throw new AppError('The head must be an official in the department', 400);
+  }
+};
+
+/**
+ * Stop a user heading departments, e.g. when they leave one
+ * @param {string} userId - User ID
+ * @param {Object} [client] - Prisma client or transaction
+ * @param {Object} [options]
+ * @param {string} [options.exceptDepartmentId] - Department they keep heading
+ */
+const clearHeadships = (userId, client = prisma, { exceptDepartmentId } = {}) => {
+  return client.department.updateMany({
+    where: {
+      headId: userId,
+      ...(exceptDepartmentId && { id: { not: exceptDepartmentId } }),
+    },
+    data: { headId: null },
+  });
+};
+
+module.exports = {
+  ISSUE_CATEGORIES,
+  parseArea,
+  normalizeWards,
+  findDepartmentForIssue,
+  resolveDepartmentFilter,
+  departmentSql,
+  assignOfficial,
+  removeOfficial,
+  validateHead,
+  clearHeadships,
+};
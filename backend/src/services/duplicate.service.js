@@ -0,0 +1,206 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { distanceSql, nearBoxSql } = require('./geo.service');
+
+const prisma = new PrismaClient();
+
+// Reports this close to an existing issue may be about the same problem
+const DUPLICATE_RADIUS_METERS = 250;
+
+// Without coordinates only recent issues are compared, and the text has to
+// match more closely
+const DUPLICATE_WINDOW_DAYS = 90;
+const MIN_SIMILARITY_NEARBY = 0.3;
+const MIN_SIMILARITY_TEXT_ONLY = 0.5;
+
+const MAX_DUPLICATE_CANDIDATES = 5;
+
+// Finished issues are not offered as duplicates
+const FINISHED_STATUSES = ['RESOLVED', 'CLOSED', 'REJECTED'];
+
+/**
+ * SQL fraction of the words (as English lexemes) in `text` that also appear
+ * in the SQL expression `column`
+ * @param {string} text - Text from the new report
+ * @param {Prisma.Sql} column - Text of the existing issue
+ */
+const wordOverlapSql = (text, column) => Prisma.sql`(
+  SELECT count(*)::float / greatest(cardinality(words.lexemes), 1)
+  FROM (SELECT tsvector_to_array(to_tsvector('english', ${text})) AS lexemes) words,
+    unnest(words.lexemes) AS word
+  WHERE word = ANY(tsvector_to_array(to_tsvector('english', ${column})))
+)`;
+
+/**
+ * Find open issues that are likely reports of the same problem.
+ * Candidates share the category, lie close to the given coordinates (when
+ * known) and have a similar title and description.
+ * @param {Object} report - The new report
+ * @param {string} report.title - Title
+ * @param {string} report.description - Description
+ * @param {string} report.category - Category
+ * @param {number} [report.latitude] - Latitude
+ * @param {number} [report.longitude] - Longitude
+ * @returns {Object[]} Issue IDs with similarity (0-1) and distance in meters, best first
+ */
+const findDuplicateCandidates = async ({ title, description, category, latitude, longitude }) => {
+  const hasCoordinates = Number.isFinite(latitude) && Number.isFinite(longitude);
+
+  // Title words count for more than description words
+  const similarity = Prisma.sql`(
+    0.6 * ${wordOverlapSql(title, Prisma.sql`i."title"`)} +
+    0.4 * ${wordOverlapSql(`${title} ${description}`, Prisma.sql`i."title" || ' ' || i."description"`)}
+  )`;
+
+  const conditions = [
+    Prisma.sql`i."category" = ${category}`,
+    Prisma.sql`i."status" NOT IN (${Prisma.join(FINISHED_STATUSES)})`,
+    Prisma.sql`i."duplicateOfId" IS NULL`,
+  ];
+
+  let distance = Prisma.sql`NULL::float`;
+  let minSimilarity = MIN_SIMILARITY_TEXT_ONLY;
+
+  if (hasCoordinates) {
+    const near = { lat: latitude, lng: longitude, radius: DUPLICATE_RADIUS_METERS };
+    distance = distanceSql(near);
+    minSimilarity = MIN_SIMILARITY_NEARBY;
+    conditions.push(nearBoxSql(near));
+  } else {
+    conditions.push(Prisma.sql`i."createdAt" >= now() - ${`${DUPLICATE_WINDOW_DAYS} days`}::interval`);
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id", "similarity", "distance"
+    FROM (
+      SELECT i."id", ${similarity} AS "similarity", ${distance} AS "distance"
+      FROM "Issue" i
+      WHERE ${Prisma.join(conditions, ' AND ')}
+    ) candidates
+    WHERE "similarity" >= ${minSimilarity}
+      AND ("distance" IS NULL OR "distance" <= ${DUPLICATE_RADIUS_METERS})
+    ORDER BY "similarity" DESC, "distance" NULLS LAST, "id"
+    LIMIT ${MAX_DUPLICATE_CANDIDATES}`;
+
+  return rows.map((row) => ({
+    id: row.id,
+    similarity: Math.round(row.similarity * 100) / 100,
+    distance: row.distance === null ? null : Math.round(row.distance),
+  }));
+};
+
+/**
+ * Fold duplicate issues into a canonical issue.
+ * Comments, votes and followers move to the canonical issue; a user who
+ * already voted on or follows the canonical issue keeps only that vote or
+ * subscription. Reporters of the duplicates follow the canonical issue, and
+ * each duplicate is closed with a note pointing at it.
+ * @param {Object} canonical - Issue to keep
+ * @param {Object[]} duplicates - Issues to merge into it
+ * @param {string} actorId - ID of the official merging the issues
+ * @returns {Object} Updated canonical issue
+ */
+const mergeDuplicates = async (canonical, duplicates, actorId) => {
+  return prisma.$transaction(async (tx) => {
+    for (const duplicate of duplicates) {
+      await tx.comment.updateMany({
+        where: { issueId: duplicate.id },
+        data: { issueId: canonical.id },
+      });
+
+      // Move votes from users who have not voted on the canonical issue
+      const votes = await tx.vote.findMany({ where: { issueId: duplicate.id } });
+      const existingVoters = await tx.vote.findMany({
+        where: {
+          issueId: canonical.id,
+          userId: { in: votes.map((vote) => vote.userId) },
+        },
+        select: { userId: true },
+      });
+      const movedVotes = votes.filter(
+        (vote) => !existingVoters.some((voter) => voter.userId === vote.userId)
+      );
+
+      await tx.vote.updateMany({
+        where: { id: { in: movedVotes.map((vote) => vote.id) } },
+        data: { issueId: canonical.id },
+      });
+      await tx.vote.deleteMany({ where: { issueId: duplicate.id } });
+
+      // Keep the cached counters on both issues in sync
+      const movedUpvotes = movedVotes.filter((vote) => vote.value === 1).length;
+      const movedDownvotes = movedVotes.filter((vote) => vote.value === -1).length;
+      await tx.issue.update({
+        where: { id: canonical.id },
+        data: {
+          upvotes: { increment: movedUpvotes },
+          downvotes: { increment: movedDownvotes },
+        },
+      });
+
+      const followers = await tx.issueFollower.findMany({
+        where: { issueId: duplicate.id },
+        select: { userId: true },
+      });
+      await tx.issueFollower.createMany({
+        data: [...followers.map((follower) => follower.userId), duplicate.reporterId]
+          .map((userId) => ({ userId, issueId: canonical.id })),
+        skipDuplicates: true,
+      });
+      await tx.issueFollower.deleteMany({ where: { issueId: duplicate.id } });
+
+      // Issues already merged into this duplicate now point at the canonical issue
+      await tx.issue.updateMany({
+        where: { duplicateOfId: duplicate.id },
+        data: { duplicateOfId: canonical.id },
+      });
+
+      await tx.issue.update({
+        where: { id: duplicate.id },
+        data: {
+          status: 'CLOSED',
+          upvotes: 0,
+          downvotes: 0,
+          duplicateOfId: canonical.id,
+          statusChanges: {
+            create: {
+              fromStatus: duplicate.status,
+              toStatus: 'CLOSED',
+              note: `Merged into "${canonical.title}" as a duplicate`,
+              changedById: actorId,
+            },
+          },
+        },
+      });
+    }
+
+    return tx.issue.findUnique({
+      where: { id: canonical.id },
+      include: {
+        reporter: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+        duplicates: {
+          select: {
+            id: true,
+            title: true,
+          },
+        },
+        _count: {
+          select: {
+            comments: true,
+            followers: true,
+          },
+        },
+      },
+    });
+  });
+};
+
+module.exports = {
+  DUPLICATE_RADIUS_METERS,
+  findDuplicateCandidates,
+  mergeDuplicates,
+};
@@ -0,0 +1,72 @@
+const { PrismaClient } = require('@prisma/client');
+const jwt = require('jsonwebtoken');
+const { sendVerificationEmail } = require('../mailer');
+const { frontendUrl } = require('../utils/url.utils');
+
+const prisma = new PrismaClient();
+
+const VERIFICATION_TOKEN_TTL_HOURS = 24;
+
+/**
+ * Verification links are signed with their own key so they can never be
+ * accepted as access tokens by the auth middleware
+ * @returns {string} Signing key
+ */
+const verificationSecret = () => {
+  return process.env.EMAIL_VERIFICATION_SECRET || `${process.env.JWT_SECRET}:email-verification`;
+};
+
+/**
+ * Email a signed verification link to a user. The link is tied to the
+ * current address, so it stops working if the email changes.
+ * @param {Object} user - User with id, name and email
+ */
+const sendVerification = async (user) => {
+  const token = jwt.sign(
+    { id: user.id, email: user.email },
+    verificationSecret(),
+    { expiresIn: `${VERIFICATION_TOKEN_TTL_HOURS}h` }
+  );
+
+  await sendVerificationEmail(
+    user.email,
+    user.name,
+    frontendUrl('/verify-email', { token }),
+    VERIFICATION_TOKEN_TTL_HOURS
+  );
+};
+
+/**
+ * Mark a user's email as verified using a token from a verification link.
+ * Using a link again after it worked is not an error.
+ * @param {string} token - Token from the verification link
+ * @returns {boolean} False if the token is invalid or expired
+ */
+const verifyEmail = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, verificationSecret());
+  } catch (error) {
+    return false;
+  }
+
+  const user = await prisma.user.findFirst({
+    where: { id: decoded.id, email: decoded.email, deletedAt: null },
+  });
+
+  if (!user) return false;
+
+  if (!user.emailVerifiedAt) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { emailVerifiedAt: new Date() },
+    });
+  }
+
+  return true;
+};
+
+module.exports = {
+  sendVerification,
+  verifyEmail,
+};
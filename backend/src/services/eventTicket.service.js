@@ -0,0 +1,59 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getSessionUser } = require('./session.service');
+const { getStore } = require('../rateLimit');
+
+// How long a ticket may wait before it opens a stream
+const TICKET_TTL_SECONDS = 30;
+
+/**
+ * Secret event stream tickets are signed with, so they are never accepted
+ * as access tokens
+ */
+const ticketSecret = () => process.env.EVENT_TICKET_SECRET || `${process.env.JWT_SECRET}:events`;
+
+/**
+ * Issue a ticket for opening the event stream. EventSource cannot send an
+ * Authorization header, so the ticket goes in the URL instead of the access
+ * token: it only opens a stream, works once and expires within seconds.
+ * @param {Object} user - Current user with sessionId
+ * @param {number} accessTokenExpiry - Expiry of the access token the ticket was asked for with, in seconds since the epoch
+ * @returns {Object} { ticket, expiresIn } with expiresIn in seconds
+ */
+const createTicket = (user, accessTokenExpiry) => {
+  const ticket = jwt.sign(
+    { id: user.id, sid: user.sessionId, until: accessTokenExpiry },
+    ticketSecret(),
+    { expiresIn: TICKET_TTL_SECONDS, jwtid: crypto.randomUUID() }
+  );
+
+  return { ticket, expiresIn: TICKET_TTL_SECONDS };
+};
+
+/**
+ * Use a ticket. Tickets are single-use: redemptions are counted in the rate
+ * limit store, which is shared by every instance when it is the redis store.
+ * @param {string} ticket - Ticket from createTicket
+ * @returns {Promise<Object|null>} { user, until } with until in seconds since
+ *   the epoch, or null if the ticket is invalid, expired, already used or its
+ *   session has ended
+ */
+const redeemTicket = async (ticket) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(ticket, ticketSecret());
+  } catch (error) {
+    return null;
+  }
+
+  const { count } = await getStore().increment(`event-ticket:${decoded.jti}`, TICKET_TTL_SECONDS * 1000);
+  if (count > 1) return null;
+
+  const user = await getSessionUser(decoded);
+  return user && { user, until: decoded.until };
+};
+
+module.exports = {
+  createTicket,
+  redeemTicket,
+};
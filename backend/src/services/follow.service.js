@@ -0,0 +1,83 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Subscribe a user to updates on an issue. Following twice changes nothing.
+ * @param {string} issueId - Issue ID
+ * @param {string} userId - Following user ID
+ */
+const followIssue = async (issueId, userId) => {
+  const where = { userId_issueId: { userId, issueId } };
+
+  try {
+    return await prisma.issueFollower.upsert({
+      where,
+      create: { userId, issueId },
+      update: {},
+    });
+  } catch (error) {
+    // A concurrent follow created the row between the upsert's read and write
+    if (error.code === 'P2002') {
+      return prisma.issueFollower.findUnique({ where });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Stop a user's updates on an issue
+ * @param {string} issueId - Issue ID
+ * @param {string} userId - Following user ID
+ * @returns {Promise<boolean>} Whether the user was following the issue
+ */
+const unfollowIssue = async (issueId, userId) => {
+  const { count } = await prisma.issueFollower.deleteMany({
+    where: { userId, issueId },
+  });
+  return count > 0;
+};
+
+/**
+ * Whether a user follows an issue
+ * @param {string} issueId - Issue ID
+ * @param {string} [userId] - User ID
+ * @returns {Promise<boolean>}
+ */
+const isFollowing = async (issueId, userId) => {
+  if (!userId) return false;
+
+  const follower = await prisma.issueFollower.findUnique({
+    where: { userId_issueId: { userId, issueId } },
+  });
+  return Boolean(follower);
+};
+
+/**
+ * Get the users following an issue, leaving out deleted accounts
+ * @param {string} issueId - Issue ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptUserId] - User to leave out, usually whoever caused the update
+ * @returns {Promise<Object[]>} Followers with id, name and email
+ */
+const getFollowers = async (issueId, { exceptUserId } = {}) => {
+  return prisma.user.findMany({
+    where: {
+      deletedAt: null,
+      followedIssues: { some: { issueId } },
+      ...(exceptUserId && { id: { not: exceptUserId } }),
+    },
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  });
+};
+
+module.exports = {
+  followIssue,
+  unfollowIssue,
+  isFollowing,
+  getFollowers,
+};
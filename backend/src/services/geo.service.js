@@ -0,0 +1,231 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const EARTH_RADIUS_METERS = 6371000;
+const METERS_PER_DEGREE_LATITUDE = 111320;
+
+const DEFAULT_RADIUS_METERS = 1000;
+const MAX_RADIUS_METERS = 50000;
+
+/**
+ * Parse a "lat,lng" pair
+ * @param {string} value - Query value
+ * @returns {Object|null} { lat, lng } or null if invalid
+ */
+const parsePoint = (value) => {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 2 || parts.some(isNaN)) return null;
+
+  const [lat, lng] = parts;
+  if (lat < -90 || lat > 90 || lng < -180 || lng > 180) return null;
+
+  return { lat, lng };
+};
+
+/**
+ * Parse a "west,south,east,north" bounding box (GeoJSON order)
+ * @param {string} value - Query value
+ * @returns {Object|null} { west, south, east, north } or null if invalid
+ */
+const parseBbox = (value) => {
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(isNaN)) return null;
+
+  const [west, south, east, north] = parts;
+  if (
+    south < -90 || north > 90 || south > north ||
+    west < -180 || west > 180 || east < -180 || east > 180
+  ) {
+    return null;
+  }
+
+  return { west, south, east, north };
+};
+
+/**
+ * Parse geospatial query parameters
+ * @param {Object} query - Request query with optional near, radius and bbox
+ * @returns {Object} { near, bbox } where each may be undefined, or { error }
+ */
+const parseGeoQuery = ({ near, radius, bbox }) => {
+  const geo = {};
+
+  if (near) {
+    const point = parsePoint(near);
+    if (!point) {
+      return { error: 'near must be "lat,lng" with valid coordinates' };
+    }
+
+    const radiusMeters = radius === undefined ? DEFAULT_RADIUS_METERS : Number(radius);
+    if (isNaN(radiusMeters) || radiusMeters <= 0 || radiusMeters > MAX_RADIUS_METERS) {
+      return { error: `radius must be between 0 and ${MAX_RADIUS_METERS} meters` };
+    }
+
+    geo.near = { ...point, radius: radiusMeters };
+  }
+
+  if (bbox) {
+    geo.bbox = parseBbox(bbox);
+    if (!geo.bbox) {
+      return { error: 'bbox must be "west,south,east,north" with valid coordinates' };
+    }
+  }
+
+  return geo;
+};
+
+/**
+ * Prisma where clause for issues inside a bounding box.
+ * Boxes crossing the antimeridian (west > east) are split in two.
+ * @param {Object} bbox - Parsed bounding box
+ */
+const bboxWhere = ({ west, south, east, north }) => {
+  const latitude = { gte: south, lte: north };
+
+  if (west <= east) {
+    return { latitude, longitude: { gte: west, lte: east } };
+  }
+
+  return {
+    latitude,
+    OR: [
+      { longitude: { gte: west } },
+      { longitude: { lte: east } },
+    ],
+  };
+};
+
+/**
+ * SQL condition for issues (aliased `i`) inside a bounding box
+ * @param {Object} bbox - Parsed bounding box
+ */
+const bboxSql = ({ west, south, east, north }) => {
+  const latitude = Prisma.sql`i."latitude" BETWEEN ${south} AND ${north}`;
+
+  if (west <= east) {
+    return Prisma.sql`(${latitude} AND i."longitude" BETWEEN ${west} AND ${east})`;
+  }
+
+  return Prisma.sql`(${latitude} AND (i."longitude" >= ${west} OR i."longitude" <= ${east}))`;
+};
+
+/**
+ * Great-circle distance in meters from a point to an issue (aliased `i`)
+ * @param {Object} point - { lat, lng }
+ */
+const distanceSql = ({ lat, lng }) => Prisma.sql`(
+  ${EARTH_RADIUS_METERS} * 2 * asin(sqrt(
+    power(sin(radians(i."latitude" - ${lat}) / 2), 2) +
+    cos(radians(${lat})) * cos(radians(i."latitude")) *
+    power(sin(radians(i."longitude" - ${lng}) / 2), 2)
+  ))
+)`;
+
+/**
+ * Cheap bounding box prefilter around a point that can use the
+ * latitude/longitude index. Issues (aliased `i`) in the box may still be
+ * further away than the radius.
+ * @param {Object} near - { lat, lng, radius } with radius in meters
+ */
+const nearBoxSql = ({ lat, lng, radius }) => {
+  const latDelta = radius / METERS_PER_DEGREE_LATITUDE;
+  const lngDelta = radius /
+    (METERS_PER_DEGREE_LATITUDE * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+
+  return Prisma.sql`(
+    i."latitude" IS NOT NULL AND i."longitude" IS NOT NULL
+    AND i."latitude" BETWEEN ${lat - latDelta} AND ${lat + latDelta}
+    AND i."longitude" BETWEEN ${lng - lngDelta} AND ${lng + lngDelta}
+  )`;
+};
+
+/**
+ * Find issues within a radius of a point, nearest first
+ * @param {Object} options - Query options
+ * @param {Object} options.near - { lat, lng, radius } with radius in meters
+ * @param {Prisma.Sql[]} [options.conditions] - Extra SQL conditions on `i`
+ * @param {number} options.skip - Number of results to skip
+ * @param {number} options.take - Number of results to return
+ * @returns {Object} Issue IDs with distances in meters, and the total
+ */
+const findIssuesNear = async ({ near, conditions = [], skip, take }) => {
+  const where = Prisma.join([nearBoxSql(near), ...conditions], ' AND ');
+
+  const rows = await prisma.$queryRaw`
+    SELECT "id", "distance", COUNT(*) OVER ()::int AS "total"
+    FROM (
+      SELECT i."id", ${distanceSql(near)} AS "distance"
+      FROM "Issue" i
+      WHERE ${where}
+    ) d
+    WHERE "distance" <= ${near.radius}
+    ORDER BY "distance", "id"
+    LIMIT ${take} OFFSET ${skip}`;
+
+  // COUNT(*) OVER () is only available on returned rows, so a page past
+  // the end needs a separate count
+  let total = rows.length > 0 ? rows[0].total : 0;
+  if (rows.length === 0 && skip > 0) {
+    const [{ count }] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "count"
+      FROM "Issue" i
+      WHERE ${where} AND ${distanceSql(near)} <= ${near.radius}`;
+    total = count;
+  }
+
+  return {
+    total,
+    hits: rows.map((row) => ({
+      id: row.id,
+      distance: Math.round(row.distance),
+    })),
+  };
+};
+
+/**
+ * Whether a point lies inside a linear ring, by ray casting.
+ * Points exactly on an edge may fall either way.
+ * @param {number[][]} ring - [lng, lat] positions, first and last equal
+ * @param {number} lng - Longitude of the point
+ * @param {number} lat - Latitude of the point
+ */
+const pointInRing = (ring, lng, lat) => {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+/**
+ * Whether a point lies inside a GeoJSON Polygon or MultiPolygon.
+ * The first ring of each polygon is its outline and any further rings are holes.
+ * @param {Object} area - GeoJSON geometry
+ * @param {number} lat - Latitude of the point
+ * @param {number} lng - Longitude of the point
+ */
+const pointInArea = (area, lat, lng) => {
+  const polygons = area.type === 'MultiPolygon' ? area.coordinates : [area.coordinates];
+
+  return polygons.some(([outline, ...holes]) => (
+    pointInRing(outline, lng, lat) && !holes.some((hole) => pointInRing(hole, lng, lat))
+  ));
+};
+
+module.exports = {
+  parseGeoQuery,
+  bboxWhere,
+  bboxSql,
+  distanceSql,
+  nearBoxSql,
+  findIssuesNear,
+  pointInArea,
+};
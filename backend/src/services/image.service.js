@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('../storage');
+const { AppError } = require('../utils/error.utils');
+
+/**
+ * Upload limits, kept in line with MAX_FILE_SIZE, ALLOWED_FILE_TYPES and
+ * MAX_IMAGES in frontend/components/IssueForm.js
+ */
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5MB
+const ALLOWED_FILE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const MAX_IMAGES = 5;
+
+// Image formats as detected by sharp, mapped to MIME type and extension
+const FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  gif: { mimeType: 'image/gif', extension: 'gif' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+const THUMBNAIL_SIZE = 320;
+
+// Reject decompression bombs before decoding them
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+/**
+ * Detect the image format from the file contents rather than the
+ * client-supplied MIME type
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Object} sharp metadata
+ * @throws {AppError} 400 if the file is not an allowed image
+ */
+const sniffImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new AppError('Uploaded file is not a valid image', 400);
+  }
+
+  const format = FORMATS[metadata.format];
+  if (!format || !ALLOWED_FILE_TYPES.includes(format.mimeType)) {
+    throw new AppError('Only JPEG, PNG, GIF and WebP images are allowed', 400);
+  }
+
+  return metadata;
+};
+
+/**
+ * Re-encode an image without its metadata. EXIF orientation is applied to the
+ * pixels first so photos keep the right way up once the EXIF data is gone.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {Object} metadata - sharp metadata of the file
+ * @returns {Promise<Object>} { data, info } of the stripped image
+ */
+const stripMetadata = (buffer, metadata) => {
+  const animated = metadata.format === 'gif' || (metadata.pages || 1) > 1;
+  const image = sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS });
+
+  // Animated images have no orientation to apply
+  if (!animated) {
+    image.rotate();
+  }
+
+  // sharp drops EXIF, XMP and ICC metadata unless withMetadata() is called
+  return image.toFormat(metadata.format).toBuffer({ resolveWithObject: true });
+};
+
+/**
+ * Validate, strip and store uploaded images together with thumbnails
+ * @param {Object[]} files - Files parsed by multer into memory
+ * @returns {Promise<Object[]>} Attachment data ready to be saved with an issue or comment
+ * @throws {AppError} 400 if a file is not an allowed image
+ */
+const storeImages = async (files = []) => {
+  const storage = getStorage();
+
+  // Sniff every file before storing any of them
+  const sniffed = await Promise.all(files.map((file) => sniffImage(file.buffer)));
+
+  const stored = [];
+  try {
+    for (let i = 0; i < files.length; i++) {
+      const metadata = sniffed[i];
+      const { mimeType, extension } = FORMATS[metadata.format];
+      const id = crypto.randomUUID();
+
+      const { data, info } = await stripMetadata(files[i].buffer, metadata);
+      const thumbnail = await sharp(data, { limitInputPixels: MAX_INPUT_PIXELS })
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      const storageKey = `images/${id}.${extension}`;
+      const thumbnailKey = `thumbnails/${id}.webp`;
+
+      const attachment = {
+        storageKey,
+        thumbnailKey,
+        mimeType,
+        size: data.length,
+        width: info.width,
+        // Animated images report the height of all frames stacked
+        height: info.pageHeight || info.height,
+      };
+      stored.push(attachment);
+
+      attachment.url = await storage.save(storageKey, data, mimeType);
+      attachment.thumbnailUrl = await storage.save(thumbnailKey, thumbnail, 'image/webp');
+    }
+  } catch (error) {
+    await removeImages(stored);
+    throw error;
+  }
+
+  return stored;
+};
+
+/**
+ * Delete stored images and their thumbnails. Failures are logged, since a
+ * leftover file must not fail the request that removed its attachment.
+ * @param {Object[]} attachments - Attachments with storageKey and thumbnailKey
+ */
+const removeImages = async (attachments = []) => {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    for (const key of [attachment.storageKey, attachment.thumbnailKey]) {
+      try {
+        await storage.remove(key);
+      } catch (error) {
+        console.error(`Failed to remove stored file ${key}:`, error);
+      }
+    }
+  }
+};
+
+module.exports = {
+  MAX_FILE_SIZE,
+  ALLOWED_FILE_TYPES,
+  MAX_IMAGES,
+  storeImages,
+  removeImages,
+};
@@ -0,0 +1,222 @@
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const { sendOfficialInviteEmail } = require('../mailer');
+const { AppError } = require('../utils/error.utils');
+const { generateToken, hashToken } = require('../utils/token.utils');
+const { frontendUrl } = require('../utils/url.utils');
+const { changeUserRole } = require('./role.service');
+
+const prisma = new PrismaClient();
+
+const INVITE_TTL_DAYS = 7;
+
+const inviteSelect = {
+  id: true,
+  email: true,
+  expiresAt: true,
+  acceptedAt: true,
+  createdAt: true,
+  department: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  invitedBy: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+};
+
+/**
+ * Invite someone to join a department as an official. Any earlier pending
+ * invites for the same address stop working.
+ * @param {Object} params
+ * @param {string} params.email - Address to invite
+ * @param {string} params.departmentId - Department the official will join
+ * @param {string} params.invitedById - Admin sending the invite
+ * @returns {Promise<Object>} The invite
+ * @throws {AppError} 404 if the department does not exist, 400 if the
+ * address already belongs to an official or admin
+ */
+const createInvite = async ({ email, departmentId, invitedById }) => {
+  const department = await prisma.department.findUnique({
+    where: { id: departmentId },
+  });
+
+  if (!department) {
+    throw new AppError('Department not found', 404);
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  if (existingUser && existingUser.role !== 'CITIZEN') {
+    throw new AppError(`This account is already ${existingUser.role === 'ADMIN' ? 'an admin' : 'an official'}`, 400);
+  }
+
+  const { token, tokenHash } = generateToken();
+
+  const [, invite] = await prisma.$transaction([
+    prisma.officialInvite.deleteMany({
+      where: { email, acceptedAt: null },
+    }),
+    prisma.officialInvite.create({
+      data: {
+        email,
+        tokenHash,
+        departmentId,
+        invitedById,
+        expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      },
+      select: inviteSelect,
+    }),
+  ]);
+
+  await sendOfficialInviteEmail(
+    email,
+    department.name,
+    frontendUrl('/invite', { token }),
+    INVITE_TTL_DAYS
+  );
+
+  return invite;
+};
+
+/**
+ * Get the pending invites that have not expired
+ * @returns {Promise<Object[]>} Invites, newest first
+ */
+const getPendingInvites = () => {
+  return prisma.officialInvite.findMany({
+    where: { acceptedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { createdAt: 'desc' },
+    select: inviteSelect,
+  });
+};
+
+/**
+ * Revoke a pending invite
+ * @param {string} id - Invite ID
+ * @returns {Promise<boolean>} False if there was no pending invite with the ID
+ */
+const revokeInvite = async (id) => {
+  const { count } = await prisma.officialInvite.deleteMany({
+    where: { id, acceptedAt: null },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Find a pending invite by the token from its link
+ * @param {string} token - Token from the invite link
+ * @returns {Promise<Object|null>} The invite and whether its address already has an account
+ */
+const findInvite = async (token) => {
+  const invite = await prisma.officialInvite.findFirst({
+    where: {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: inviteSelect,
+  });
+
+  if (!invite) return null;
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: invite.email },
+  });
+
+  return { ...invite, hasAccount: Boolean(existingUser) };
+};
+
+/**
+ * Accept an invite. An existing account for the invited address is made an
+ * official after its password is checked; otherwise a new official account
+ * is created. The address counts as verified because the invite reached it.
+ * @param {string} token - Token from the invite link
+ * @param {Object} credentials
+ * @param {string} credentials.password - Password of the existing account, or for the new one
+ * @param {string} [credentials.name] - Name for a new account
+ * @returns {Promise<Object>} The official's user record
+ * @throws {AppError} 400 if the invite is invalid or the details are wrong
+ */
+const acceptInvite = async (token, { name, password }) => {
+  const invite = await prisma.officialInvite.findFirst({
+    where: {
+      tokenHash: hashToken(token),
+      acceptedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+  });
+
+  if (!invite) {
+    throw new AppError('This invite link is invalid or has expired', 400);
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: invite.email },
+  });
+
+  if (existingUser) {
+    if (!(await bcrypt.compare(password, existingUser.password))) {
+      throw new AppError('Password is incorrect', 400);
+    }
+    if (existingUser.role === 'ADMIN') {
+      throw new AppError('This account is already an admin', 400);
+    }
+  } else if (!name) {
+    throw new AppError('Name is required', 400);
+  }
+
+  const hashedPassword = existingUser ? null : await bcrypt.hash(password, await bcrypt.genSalt(10));
+
+  return prisma.$transaction(async (tx) => {
+    // Claiming the invite in the update keeps it single-use under concurrent requests
+    const claimed = await tx.officialInvite.updateMany({
+      where: { id: invite.id, acceptedAt: null },
+      data: { acceptedAt: new Date() },
+    });
+
+    if (claimed.count === 0) {
+      throw new AppError('This invite link is invalid or has expired', 400);
+    }
+
+    const user = existingUser || await tx.user.create({
+      data: {
+        name,
+        email: invite.email,
+        password: hashedPassword,
+        role: 'CITIZEN',
+      },
+    });
+
+    return changeUserRole(
+      // New accounts are recorded as created with the role
+      existingUser ? user : { ...user, role: null },
+      'OFFICIAL',
+      {
+        changedById: invite.invitedById,
+        inviteId: invite.id,
+        data: {
+          departmentId: invite.departmentId,
+          emailVerifiedAt: user.emailVerifiedAt || new Date(),
+        },
+      },
+      tx
+    );
+  });
+};
+
+module.exports = {
+  createInvite,
+  getPendingInvites,
+  revokeInvite,
+  findInvite,
+  acceptInvite,
+};
@@ -0,0 +1,121 @@
+/**
+ * Issue status lifecycle
+ *
+ * REPORTED -> UNDER_REVIEW -> IN_PROGRESS -> RESOLVED -> CLOSED
+ * Open issues can be REJECTED, and rejected, resolved or closed issues
+ * can be REOPENED and go through review again.
+ */
+const ISSUE_STATUSES = [
+  'REPORTED',
+  'UNDER_REVIEW',
+  'IN_PROGRESS',
+  'RESOLVED',
+  'CLOSED',
+  'REJECTED',
+  'REOPENED',
+];
+
+// Statuses that count as no longer open
+const CLOSED_STATUSES = ['RESOLVED', 'CLOSED', 'REJECTED'];
+
+// 'REPORTER' stands for the user who reported the issue, whatever their role
+const STAFF = ['OFFICIAL', 'ADMIN'];
+const STAFF_AND_REPORTER = ['OFFICIAL', 'ADMIN', 'REPORTER'];
+
+/**
+ * Allowed transitions keyed by current status, then target status.
+ * `roles` lists who may perform the transition and `requiresNote`
+ * whether a note explaining the change is mandatory.
+ */
+const TRANSITIONS = {
+  REPORTED: {
+    UNDER_REVIEW: { roles: STAFF, requiresNote: false },
+    REJECTED: { roles: STAFF, requiresNote: true },
+  },
+  UNDER_REVIEW: {
+    IN_PROGRESS: { roles: STAFF, requiresNote: false },
+    REJECTED: { roles: STAFF, requiresNote: true },
+  },
+  IN_PROGRESS: {
+    RESOLVED: { roles: STAFF, requiresNote: true },
+    REJECTED: { roles: STAFF, requiresNote: true },
+  },
+  RESOLVED: {
+    CLOSED: { roles: STAFF_AND_REPORTER, requiresNote: false },
+    REOPENED: { roles: STAFF_AND_REPORTER, requiresNote: true },
+  },
+  CLOSED: {
+    REOPENED: { roles: STAFF, requiresNote: true },
+  },
+  REJECTED: {
+    REOPENED: { roles: STAFF_AND_REPORTER, requiresNote: true },
+  },
+  REOPENED: {
+    UNDER_REVIEW: { roles: STAFF, requiresNote: false },
+    IN_PROGRESS: { roles: STAFF, requiresNote: false },
+    REJECTED: { roles: STAFF, requiresNote: true },
+  },
+};
+
+/**
+ * Get the statuses a user may move an issue to
+ * @param {Object} issue - Issue with status and reporterId
+ * @param {Object} user - Authenticated user with id and role
+ * @returns {string[]} Allowed target statuses
+ */
+const getAllowedTransitions = (issue, user) => {
+  const transitions = TRANSITIONS[issue.status] || {};
+  const isReporter = issue.reporterId === user.id;
+
+  return Object.keys(transitions).filter((status) => {
+    const { roles } = transitions[status];
+    return roles.includes(user.role) || (isReporter && roles.includes('REPORTER'));
+  });
+};
+
+/**
+ * Validate a status transition
+ * @param {Object} issue - Issue with status and reporterId
+ * @param {string} newStatus - Target status
+ * @param {Object} user - Authenticated user with id and role
+ * @param {string} [note] - Reason for the change
+ * @returns {Object|null} Error with statusCode and message, or null if valid
+ */
+const validateTransition = (issue, newStatus, user, note) => {
+  if (!ISSUE_STATUSES.includes(newStatus)) {
+    return { statusCode: 400, message: 'Invalid status' };
+  }
+
+  const transition = (TRANSITIONS[issue.status] || {})[newStatus];
+
+  if (!transition) {
+    return {
+      statusCode: 400,
+      message: `Cannot change status from ${issue.status} to ${newStatus}`,
+    };
+  }
+
+  if (!getAllowedTransitions(issue, user).includes(newStatus)) {
+    return {
+      statusCode: 403,
+      message: `Not authorized to change status from ${issue.status} to ${newStatus}`,
+    };
+  }
+
+  if (transition.requiresNote && (typeof note !== 'string' || !note.trim())) {
+    return {
+      statusCode: 400,
+      message: `A note is required when changing status to ${newStatus}`,
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  ISSUE_STATUSES,
+  CLOSED_STATUSES,
+  TRANSITIONS,
+  getAllowedTransitions,
+  validateTransition,
+};
@@ -0,0 +1,106 @@
+const { getStore } = require('../rateLimit');
+
+// Failed logins from one client allowed before it is locked out of an account
+const MAX_FAILED_LOGINS = 5;
+// Failed logins are remembered this long unless a login succeeds
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// The first lockout lasts this long and doubles with each further failure
+const BASE_LOCKOUT_MS = 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+
+// Loose limit on failures from all clients together, against attacks spread
+// over many addresses. A single client is locked out long before reaching it.
+const MAX_ACCOUNT_FAILED_LOGINS = 50;
+const ACCOUNT_FAILURE_WINDOW_MS = 60 * 60 * 1000;
+const ACCOUNT_LOCKOUT_MS = 15 * 60 * 1000;
+
+const accountKey = (email) => String(email).trim().toLowerCase();
+
+// Failures are counted per client and account, so someone who only knows an
+// address cannot lock its owner out
+const clientKey = (email, ip) => `${ip || 'unknown'}:${accountKey(email)}`;
+
+/**
+ * Run a store operation, logging failures instead of throwing so an
+ * unreachable store does not stop everyone from logging in
+ * @param {Function} operation - Async store operation
+ * @param {*} fallback - Result when the operation fails
+ */
+const failOpen = async (operation, fallback) => {
+  try {
+    return await operation();
+  } catch (error) {
+    console.error('Login throttle store failed:', error);
+    return fallback;
+  }
+};
+
+/**
+ * Check whether a client's logins to an account are locked after repeated
+ * failures
+ * @param {string} email - Email the login is for
+ * @param {string} ip - IP address of the client
+ * @returns {Promise<number|null>} When the lock ends in milliseconds, or null
+ */
+const getLoginLockout = (email, ip) => failOpen(async () => {
+  const store = getStore();
+  const locks = await Promise.all([
+    store.get(`login-lock:${clientKey(email, ip)}`),
+    store.get(`login-lock:${accountKey(email)}`),
+  ]);
+
+  const ends = locks.filter(Boolean).map((lock) => lock.resetAt);
+  return ends.length ? Math.max(...ends) : null;
+}, null);
+
+/**
+ * Record a failed login, locking the client out of the account once there
+ * have been too many. Each failure after that locks it out for twice as
+ * long, up to an hour. The account does not have to exist, so lockouts do
+ * not reveal which do.
+ * @param {string} email - Email the login was for
+ * @param {string} ip - IP address of the client
+ * @returns {Promise<number|null>} When the new lock ends in milliseconds, or null
+ */
+const recordFailedLogin = (email, ip) => failOpen(async () => {
+  const store = getStore();
+  const client = clientKey(email, ip);
+  const account = accountKey(email);
+
+  const [{ count }, { count: accountCount }] = await Promise.all([
+    store.increment(`login-failures:${client}`, FAILURE_WINDOW_MS),
+    store.increment(`login-failures:${account}`, ACCOUNT_FAILURE_WINDOW_MS),
+  ]);
+
+  if (accountCount >= MAX_ACCOUNT_FAILED_LOGINS) {
+    await store.set(`login-lock:${account}`, accountCount, ACCOUNT_LOCKOUT_MS);
+  }
+
+  if (count >= MAX_FAILED_LOGINS) {
+    const lockoutMs = Math.min(BASE_LOCKOUT_MS * 2 ** (count - MAX_FAILED_LOGINS), MAX_LOCKOUT_MS);
+    await store.set(`login-lock:${client}`, count, lockoutMs);
+  }
+
+  return getLoginLockout(email, ip);
+}, null);
+
+/**
+ * Forget a client's failed logins after a successful one
+ * @param {string} email - Email the login was for
+ * @param {string} ip - IP address of the client
+ */
+const clearFailedLogins = (email, ip) => failOpen(async () => {
+  const store = getStore();
+  const client = clientKey(email, ip);
+
+  await Promise.all([
+    store.reset(`login-failures:${client}`),
+    store.reset(`login-lock:${client}`),
+  ]);
+});
+
+module.exports = {
+  getLoginLockout,
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,291 @@
+const { PrismaClient } = require('@prisma/client');
+const { filterNotified, alertedUsers } = require('./preference.service');
+const { EVENT_TYPES, publishToUser } = require('../realtime');
+
+const prisma = new PrismaClient();
+
+/**
+ * Notification types
+ */
+const NOTIFICATION_TYPES = {
+  STATUS_CHANGE: 'STATUS_CHANGE',
+  NEW_COMMENT: 'NEW_COMMENT',
+  UPVOTE: 'UPVOTE',
+  DUPLICATE_MERGED: 'DUPLICATE_MERGED',
+  NEW_ISSUE: 'NEW_ISSUE',
+  ASSIGNED: 'ASSIGNED',
+  SLA_BREACH: 'SLA_BREACH',
+};
+
+/**
+ * Push new notifications to their recipients' open event streams. `alert`
+ * tells the browser to also show them as system notifications.
+ * @param {Object[]} notifications - Created notifications
+ */
+const pushNotifications = async (notifications) => {
+  const alerted = await alertedUsers(notifications.map((notification) => notification.userId));
+
+  for (const notification of notifications) {
+    await publishToUser(notification.userId, EVENT_TYPES.NOTIFICATION, {
+      notification,
+      alert: alerted.has(notification.userId),
+    });
+  }
+};
+
+/**
+ * Create a notification for a user, unless their preferences turn that
+ * kind of notification off
+ * @param {Object} notification - Notification data
+ * @param {string} notification.userId - Recipient user ID
+ * @param {string} notification.type - One of NOTIFICATION_TYPES
+ * @param {string} notification.title - Short title
+ * @param {string} notification.message - Notification message
+ * @param {string} [notification.issueId] - Related issue ID
+ * @param {string} [notification.key] - Unique key; nothing is created if a
+ *   notification with the same key exists
+ */
+const createNotification = async ({ userId, type, title, message, issueId = null, key = null }) => {
+  const [recipient] = await filterNotified([userId], type);
+  if (!recipient) {
+    return null;
+  }
+
+  if (key && await prisma.notification.findUnique({ where: { key } })) {
+    return null;
+  }
+
+  let notification;
+  try {
+    notification = await prisma.notification.create({
+      data: {
+        userId,
+        type,
+        title,
+        message,
+        issueId,
+        key,
+      },
+    });
+  } catch (error) {
+    // Created by a concurrent request with the same key
+    if (key && error.code === 'P2002') {
+      return null;
+    }
+    throw error;
+  }
+
+  await pushNotifications([notification]);
+  return notification;
+};
+
+/**
+ * Notify the reporter of an issue about activity by another user.
+ * Reporters are not notified about their own actions.
+ * @param {Object} issue - Issue with reporterId
+ * @param {string} actorId - ID of the user who triggered the notification
+ * @param {Object} notification - Notification type, title and message, and
+ *   optionally a key as for createNotification
+ */
+const notifyReporter = async (issue, actorId, { type, title, message, key }) => {
+  if (issue.reporterId === actorId) {
+    return null;
+  }
+
+  return createNotification({
+    userId: issue.reporterId,
+    type,
+    title,
+    message,
+    issueId: issue.id,
+    key,
+  });
+};
+
+/**
+ * Send the same notification about an issue to the users whose preferences
+ * allow it
+ * @param {Object} issue - Issue the notification is about
+ * @param {string[]} userIds - Recipients
+ * @param {Object} notification - Notification type, title and message
+ * @param {Object} [options]
+ * @param {string} [options.key] - Key of the event, e.g. the job announcing it.
+ *   Users already notified under the same key are skipped, so retries are safe.
+ */
+const notifyUsers = async (issue, userIds, { type, title, message }, { key = null } = {}) => {
+  let recipients = await filterNotified(userIds, type);
+
+  if (key) {
+    const existing = await prisma.notification.findMany({
+      where: { key: { in: recipients.map((userId) => `${key}:${userId}`) } },
+      select: { userId: true },
+    });
+    const notified = new Set(existing.map((notification) => notification.userId));
+    recipients = recipients.filter((userId) => !notified.has(userId));
+  }
+
+  // Created one by one rather than with createMany so each can be pushed
+  const notifications = await prisma.$transaction(recipients.map((userId) => prisma.notification.create({
+    data: {
+      userId,
+      type,
+      title,
+      message,
+      issueId: issue.id,
+      key: key && `${key}:${userId}`,
+    },
+  })));
+
+  await pushNotifications(notifications);
+  return notifications;
+};
+
+/**
+ * Notify the followers of an issue that its status changed
+ * @param {Object} issue - Updated issue
+ * @param {string[]} followerIds - Followers to notify
+ * @param {string} oldStatus - Previous status
+ * @param {string} newStatus - New status
+ * @param {string} [note] - Reason given for the change
+ * @param {Object} [options] - { key } as for notifyUsers
+ */
+const notifyStatusChange = (issue, followerIds, oldStatus, newStatus, note, options) => {
+  const resolved = newStatus === 'RESOLVED';
+
+  return notifyUsers(issue, followerIds, {
+    type: NOTIFICATION_TYPES.STATUS_CHANGE,
+    title: resolved ? 'Issue resolved' : 'Issue status updated',
+    message: resolved
+      ? `"${issue.title}" was resolved${note ? `: ${note}` : ''}`
+      : `The status of "${issue.title}" changed from ${oldStatus} to ${newStatus}`,
+  }, options);
+};
+
+/**
+ * Notify the reporter that a comment was added to their issue
+ * @param {Object} issue - Commented issue
+ * @param {Object} comment - New comment with author
+ */
+const notifyNewComment = (issue, comment) => {
+  return notifyReporter(issue, comment.authorId, {
+    type: NOTIFICATION_TYPES.NEW_COMMENT,
+    title: 'New comment on your issue',
+    message: `${comment.author.name} commented on "${issue.title}"`,
+  });
+};
+
+/**
+ * Notify the followers of an issue about a comment from an official
+ * @param {Object} issue - Commented issue
+ * @param {Object} comment - New comment with author
+ * @param {string[]} followerIds - Followers to notify
+ * @param {Object} [options] - { key } as for notifyUsers
+ */
+const notifyOfficialComment = (issue, comment, followerIds, options) => {
+  return notifyUsers(issue, followerIds, {
+    type: NOTIFICATION_TYPES.NEW_COMMENT,
+    title: 'Official update on an issue you follow',
+    message: `${comment.author.name} commented on "${issue.title}"`,
+  }, options);
+};
+
+/**
+ * Notify the reporter the first time a user upvotes their issue
+ * @param {Object} issue - Upvoted issue
+ * @param {string} actorId - ID of the user who upvoted
+ */
+const notifyUpvote = (issue, actorId) => {
+  return notifyReporter(issue, actorId, {
+    type: NOTIFICATION_TYPES.UPVOTE,
+    title: 'Your issue was upvoted',
+    message: `"${issue.title}" received an upvote`,
+    // Only a user's first upvote notifies, so retracting and upvoting again cannot flood the reporter
+    key: `upvote:${issue.id}:${actorId}`,
+  });
+};
+
+/**
+ * Notify the reporter that their issue was merged into another issue
+ * @param {Object} duplicate - Merged issue
+ * @param {Object} canonical - Issue it was merged into
+ * @param {string} actorId - ID of the official who merged the issues
+ */
+const notifyMerged = (duplicate, canonical, actorId) => {
+  return notifyReporter(duplicate, actorId, {
+    type: NOTIFICATION_TYPES.DUPLICATE_MERGED,
+    title: 'Your issue was merged',
+    message: `"${duplicate.title}" was merged into "${canonical.title}", which you now follow`,
+  });
+};
+
+/**
+ * Notify the officials of the department an issue was routed to
+ * @param {Object} issue - Issue with departmentId and reporterId
+ * @param {Object} [options] - { key } as for notifyUsers
+ */
+const notifyDepartment = async (issue, options) => {
+  if (!issue.departmentId) {
+    return null;
+  }
+
+  const officials = await prisma.user.findMany({
+    where: {
+      departmentId: issue.departmentId,
+      role: 'OFFICIAL',
+      deletedAt: null,
+      id: { not: issue.reporterId },
+    },
+    select: { id: true },
+  });
+
+  return notifyUsers(issue, officials.map((official) => official.id), {
+    type: NOTIFICATION_TYPES.NEW_ISSUE,
+    title: 'New issue for your department',
+    message: `"${issue.title}" was reported in ${issue.location}`,
+  }, options);
+};
+
+/**
+ * Notify an official that an issue was assigned to them by someone else
+ * @param {Object} issue - Issue with assigneeId
+ * @param {string} actorId - ID of the user who assigned the issue
+ */
+const notifyAssigned = (issue, actorId) => {
+  if (!issue.assigneeId || issue.assigneeId === actorId) {
+    return null;
+  }
+
+  return createNotification({
+    userId: issue.assigneeId,
+    type: NOTIFICATION_TYPES.ASSIGNED,
+    title: 'Issue assigned to you',
+    message: `You were assigned "${issue.title}"`,
+    issueId: issue.id,
+  });
+};
+
+/**
+ * Tell the people an overdue issue is escalated to that it missed its due date
+ * @param {Object} issue - Overdue issue with dueAt
+ * @param {string[]} userIds - Recipients
+ */
+const notifySlaBreach = (issue, userIds) => {
+  return notifyUsers(issue, userIds, {
+    type: NOTIFICATION_TYPES.SLA_BREACH,
+    title: 'Issue overdue',
+    message: `"${issue.title}" was due by ${issue.dueAt.toISOString().slice(0, 16).replace('T', ' ')} UTC and is still ${issue.status}`,
+  });
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  createNotification,
+  notifyStatusChange,
+  notifyNewComment,
+  notifyOfficialComment,
+  notifyUpvote,
+  notifyMerged,
+  notifyDepartment,
+  notifyAssigned,
+  notifySlaBreach,
+};
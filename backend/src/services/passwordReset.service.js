@@ -0,0 +1,96 @@
+const { PrismaClient } = require('@prisma/client');
+const bcrypt = require('bcryptjs');
+const { sendPasswordResetEmail } = require('../mailer');
+const { generateToken, hashToken } = require('../utils/token.utils');
+const { frontendUrl } = require('../utils/url.utils');
+const { revokeAllSessions } = require('./session.service');
+
+const prisma = new PrismaClient();
+
+const RESET_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * Email a password reset link if an account exists for the address.
+ * Any earlier unused links for the account stop working.
+ * @param {string} email - Account email
+ */
+const requestPasswordReset = async (email) => {
+  const user = await prisma.user.findUnique({
+    where: { email },
+  });
+
+  // Callers respond the same either way so accounts cannot be discovered
+  if (!user) return;
+
+  const { token, tokenHash } = generateToken();
+
+  await prisma.$transaction([
+    prisma.passwordResetToken.deleteMany({
+      where: { userId: user.id, usedAt: null },
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        tokenHash,
+        userId: user.id,
+        expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+      },
+    }),
+  ]);
+
+  // A failure must not change the response, or it would reveal the account
+  try {
+    await sendPasswordResetEmail(
+      user.email,
+      user.name,
+      frontendUrl('/reset-password', { token }),
+      RESET_TOKEN_TTL_MINUTES
+    );
+  } catch (emailError) {
+    console.error('Failed to send password reset email:', emailError);
+  }
+};
+
+/**
+ * Set a new password using a reset token. The token is used up and all of
+ * the user's existing sessions are revoked.
+ * @param {string} token - Token from the reset link
+ * @param {string} password - New password
+ * @returns {boolean} False if the token is invalid, expired or already used
+ */
+const resetPassword = async (token, password) => {
+  const tokenHash = hashToken(token);
+
+  // Check the token first so invalid links do not cost a password hash
+  const resetToken = await prisma.passwordResetToken.findFirst({
+    where: { tokenHash, usedAt: null, expiresAt: { gt: new Date() } },
+  });
+  if (!resetToken) return false;
+
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(password, salt);
+
+  return prisma.$transaction(async (tx) => {
+    // Claiming the token in the update keeps it single-use under concurrent requests
+    const claimed = await tx.passwordResetToken.updateMany({
+      where: { tokenHash, usedAt: null, expiresAt: { gt: new Date() } },
+      data: { usedAt: new Date() },
+    });
+
+    if (claimed.count === 0) return false;
+
+    const { userId } = resetToken;
+
+    await tx.user.update({
+      where: { id: userId },
+      data: { password: hashedPassword },
+    });
+    await revokeAllSessions(userId, tx);
+
+    return true;
+  });
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+};
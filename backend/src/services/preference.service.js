@@ -0,0 +1,236 @@
+const { PrismaClient } = require('@prisma/client');
+const jwt = require('jsonwebtoken');
+const { frontendUrl, apiUrl } = require('../utils/url.utils');
+
+const prisma = new PrismaClient();
+
+const PREFERENCE_KEYS = [
+  'email',
+  'push',
+  'issueUpdates',
+  'comments',
+  'statusChanges',
+];
+
+const DIGEST_MODES = ['OFF', 'DAILY', 'WEEKLY'];
+
+// Used for users who never saved their preferences
+const DEFAULT_PREFERENCES = {
+  email: true,
+  push: false,
+  issueUpdates: true,
+  comments: true,
+  statusChanges: true,
+  digest: 'OFF',
+};
+
+// Preferences that must all be on for a user to get each kind of
+// notification or email. ISSUE_CREATED is the reporter's confirmation email.
+// New issues, assignments and SLA breaches are work for staff, so they always
+// appear in the app; their emails still stop when `email` is off, like all
+// emails but account emails.
+const TYPE_PREFERENCES = {
+  STATUS_CHANGE: ['issueUpdates', 'statusChanges'],
+  NEW_COMMENT: ['issueUpdates', 'comments'],
+  UPVOTE: ['issueUpdates'],
+  DUPLICATE_MERGED: ['issueUpdates'],
+  ISSUE_CREATED: ['issueUpdates'],
+  NEW_ISSUE: [],
+  ASSIGNED: [],
+  SLA_BREACH: [],
+};
+
+// Updates about issues a user reports or follows, which go into the digest
+// instead of separate emails when the user picked one
+const DIGEST_TYPES = Object.keys(TYPE_PREFERENCES)
+  .filter((type) => TYPE_PREFERENCES[type].includes('issueUpdates'));
+
+/**
+ * Unsubscribe links are signed with their own key so they can never be
+ * accepted as access tokens by the auth middleware
+ * @returns {string} Signing key
+ */
+const unsubscribeSecret = () => {
+  return process.env.UNSUBSCRIBE_SECRET || `${process.env.JWT_SECRET}:unsubscribe`;
+};
+
+/**
+ * Preferences as returned to clients
+ * @param {Object|null} row - Stored preferences, or null for the defaults
+ */
+const toPreferences = (row) => {
+  if (!row) return { ...DEFAULT_PREFERENCES };
+
+  const preferences = { digest: row.digest };
+  PREFERENCE_KEYS.forEach((key) => {
+    preferences[key] = row[key];
+  });
+  return preferences;
+};
+
+/**
+ * Get a user's notification preferences
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} Preferences, with defaults if none were saved
+ */
+const getPreferences = async (userId) => {
+  const row = await prisma.notificationPreference.findUnique({ where: { userId } });
+  return toPreferences(row);
+};
+
+/**
+ * Change some of a user's notification preferences. Turning a digest on
+ * starts its first period now.
+ * @param {string} userId - User ID
+ * @param {Object} changes - Preferences to change
+ * @returns {Promise<Object>} The saved preferences
+ */
+const updatePreferences = async (userId, changes) => {
+  const data = {};
+  PREFERENCE_KEYS.forEach((key) => {
+    if (changes[key] !== undefined) data[key] = changes[key];
+  });
+
+  if (changes.digest !== undefined) {
+    const current = await getPreferences(userId);
+    data.digest = changes.digest;
+    if (changes.digest !== 'OFF' && current.digest === 'OFF') {
+      data.digestSentAt = new Date();
+    }
+  }
+
+  const row = await prisma.notificationPreference.upsert({
+    where: { userId },
+    create: { userId, ...data },
+    update: data,
+  });
+
+  return toPreferences(row);
+};
+
+/**
+ * Load the preferences of several users
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Map<string, Object>>} Preferences by user ID
+ */
+const loadPreferences = async (userIds) => {
+  const rows = await prisma.notificationPreference.findMany({
+    where: { userId: { in: userIds } },
+  });
+
+  const byUser = new Map(rows.map((row) => [row.userId, toPreferences(row)]));
+  return new Map(userIds.map((userId) => [userId, byUser.get(userId) || toPreferences(null)]));
+};
+
+/**
+ * Whether preferences allow a kind of notification
+ * @param {Object} preferences - User preferences
+ * @param {string} type - Notification type
+ */
+const allowsType = (preferences, type) => {
+  return (TYPE_PREFERENCES[type] || []).every((key) => preferences[key]);
+};
+
+/**
+ * Keep the users who want in-app notifications of a type
+ * @param {string[]} userIds - Candidate recipients
+ * @param {string} type - Notification type
+ * @returns {Promise<string[]>} Recipients
+ */
+const filterNotified = async (userIds, type) => {
+  if (userIds.length === 0 || !(TYPE_PREFERENCES[type] || []).length) {
+    return userIds;
+  }
+
+  const preferences = await loadPreferences(userIds);
+  return userIds.filter((userId) => allowsType(preferences.get(userId), type));
+};
+
+/**
+ * Find which users want browser alerts for their live notifications
+ * @param {string[]} userIds - User IDs
+ * @returns {Promise<Set<string>>} IDs of the users who turned alerts on
+ */
+const alertedUsers = async (userIds) => {
+  if (userIds.length === 0) return new Set();
+
+  const preferences = await loadPreferences(userIds);
+  return new Set(userIds.filter((userId) => preferences.get(userId).push));
+};
+
+/**
+ * Links that unsubscribe a user from all emails but account emails: a page
+ * for the email body and an endpoint for one-click unsubscribe by mail
+ * clients (RFC 8058)
+ * @param {string} userId - User ID
+ * @returns {Object} { url, oneClickUrl }
+ */
+const unsubscribeLinks = (userId) => {
+  const token = jwt.sign({ id: userId, purpose: 'unsubscribe' }, unsubscribeSecret());
+
+  return {
+    url: frontendUrl('/unsubscribe', { token }),
+    oneClickUrl: apiUrl('/api/notifications/unsubscribe', { token }),
+  };
+};
+
+/**
+ * Keep the users who want an email of a type right away, each with their
+ * unsubscribe links. Issue updates for users with a digest wait for it.
+ * @param {Object[]} users - Candidate recipients with id, name and email
+ * @param {string} type - Notification type, or ISSUE_CREATED
+ * @returns {Promise<Object[]>} Recipients with an `unsubscribe` field
+ */
+const emailRecipients = async (users, type) => {
+  if (users.length === 0) return [];
+
+  const preferences = await loadPreferences(users.map((user) => user.id));
+
+  return users
+    .filter((user) => {
+      const userPreferences = preferences.get(user.id);
+      return userPreferences.email &&
+        allowsType(userPreferences, type) &&
+        !(userPreferences.digest !== 'OFF' && DIGEST_TYPES.includes(type));
+    })
+    .map((user) => ({ ...user, unsubscribe: unsubscribeLinks(user.id) }));
+};
+
+/**
+ * Turn emails off for a user using a token from an unsubscribe link.
+ * Unsubscribing again is not an error.
+ * @param {string} token - Token from the unsubscribe link
+ * @returns {Promise<boolean>} False if the token is invalid or the user is gone
+ */
+const unsubscribe = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, unsubscribeSecret());
+  } catch (error) {
+    return false;
+  }
+
+  if (decoded.purpose !== 'unsubscribe') return false;
+
+  const user = await prisma.user.findFirst({
+    where: { id: decoded.id, deletedAt: null },
+  });
+  if (!user) return false;
+
+  await updatePreferences(user.id, { email: false });
+  return true;
+};
+
+module.exports = {
+  PREFERENCE_KEYS,
+  DIGEST_MODES,
+  DEFAULT_PREFERENCES,
+  DIGEST_TYPES,
+  getPreferences,
+  updatePreferences,
+  filterNotified,
+  alertedUsers,
+  unsubscribeLinks,
+  emailRecipients,
+  unsubscribe,
+};
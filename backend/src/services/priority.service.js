@@ -0,0 +1,174 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { distanceSql, nearBoxSql } = require('./geo.service');
+const { DUPLICATE_RADIUS_METERS } = require('./duplicate.service');
+const { CLOSED_STATUSES } = require('./issueStatus.service');
+const { ISSUE_PRIORITIES } = require('./sla.service');
+
+const prisma = new PrismaClient();
+
+// Points for each part of the automatic score, which runs from 0 to 100
+const CATEGORY_POINTS = {
+  PUBLIC_SAFETY: 30,
+  ELECTRICITY: 25,
+  WATER: 25,
+  ROADS: 20,
+  SANITATION: 15,
+  ENVIRONMENT: 10,
+  PUBLIC_PROPERTY: 10,
+  OTHER: 5,
+};
+const MAX_VOTE_POINTS = 25;
+const MAX_AGE_POINTS = 20;
+const MAX_NEARBY_POINTS = 25;
+
+// Age points build up over this many days
+const AGE_DAYS_FOR_MAX_POINTS = 30;
+const POINTS_PER_NEARBY_REPORT = 5;
+
+// Issues without an official priority are sorted as if they had the
+// priority their score falls into
+const HIGH_SCORE = 60;
+const MEDIUM_SCORE = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Automatic priority score of an issue. Urgent categories, net upvotes,
+ * time spent open and other reports of the same problem nearby each add
+ * points, with diminishing returns for votes.
+ * @param {Object} issue - Issue with category, upvotes, downvotes and createdAt
+ * @param {number} nearbyReports - Other reports of the same problem
+ * @param {Date} [now] - Current time
+ * @returns {number} Score from 0 to 100
+ */
+const scorePriority = ({ category, upvotes, downvotes, createdAt }, nearbyReports, now = new Date()) => {
+  const netVotes = Math.max(upvotes - downvotes, 0);
+  const ageDays = Math.max(now - createdAt, 0) / DAY_MS;
+
+  const score = (CATEGORY_POINTS[category] || 0) +
+    Math.min(8 * Math.log2(1 + netVotes), MAX_VOTE_POINTS) +
+    Math.min((ageDays / AGE_DAYS_FOR_MAX_POINTS) * MAX_AGE_POINTS, MAX_AGE_POINTS) +
+    Math.min(nearbyReports * POINTS_PER_NEARBY_REPORT, MAX_NEARBY_POINTS);
+
+  return Math.round(score);
+};
+
+/**
+ * Priority an automatic score falls into
+ * @param {number} score - Automatic priority score
+ * @returns {string} 'HIGH', 'MEDIUM' or 'LOW'
+ */
+const scoreBand = (score) => {
+  if (score >= HIGH_SCORE) return 'HIGH';
+  if (score >= MEDIUM_SCORE) return 'MEDIUM';
+  return 'LOW';
+};
+
+/**
+ * Count other reports of the same problem: issues merged into this one and
+ * open issues in the same category close by
+ * @param {Object} issue - Issue with id, category, latitude and longitude
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number>} Number of reports
+ */
+const countNearbyReports = async (issue, client = prisma) => {
+  const merged = await client.issue.count({ where: { duplicateOfId: issue.id } });
+
+  if (!Number.isFinite(issue.latitude) || !Number.isFinite(issue.longitude)) {
+    return merged;
+  }
+
+  const near = { lat: issue.latitude, lng: issue.longitude, radius: DUPLICATE_RADIUS_METERS };
+  const [{ count }] = await client.$queryRaw`
+    SELECT COUNT(*)::int AS "count"
+    FROM "Issue" i
+    WHERE ${nearBoxSql(near)}
+      AND ${distanceSql(near)} <= ${DUPLICATE_RADIUS_METERS}
+      AND i."id" <> ${issue.id}
+      AND i."category" = ${issue.category}
+      AND i."duplicateOfId" IS NULL
+      AND i."status" NOT IN (${Prisma.join(CLOSED_STATUSES)})`;
+
+  return merged + count;
+};
+
+/**
+ * Recompute and store the automatic priority score of an issue
+ * @param {string} issueId - Issue ID
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number|null>} The new score, or null if the issue does not exist
+ */
+const refreshPriorityScore = async (issueId, client = prisma) => {
+  const issue = await client.issue.findUnique({ where: { id: issueId } });
+  if (!issue) return null;
+
+  const priorityScore = scorePriority(issue, await countNearbyReports(issue, client));
+
+  if (priorityScore !== issue.priorityScore) {
+    await client.issue.update({
+      where: { id: issueId },
+      data: { priorityScore },
+    });
+  }
+
+  return priorityScore;
+};
+
+/**
+ * SQL sort key for issues (aliased `i`): 0 for high, 1 for medium and 2 for
+ * low priority, using the score's band when no official priority is set
+ */
+const priorityRankSql = () => Prisma.sql`(
+  CASE COALESCE(
+    i."priority",
+    CASE
+      WHEN i."priorityScore" >= ${HIGH_SCORE} THEN 'HIGH'
+      WHEN i."priorityScore" >= ${MEDIUM_SCORE} THEN 'MEDIUM'
+      ELSE 'LOW'
+    END
+  )
+    WHEN 'HIGH' THEN 0
+    WHEN 'MEDIUM' THEN 1
+    ELSE 2
+  END
+)`;
+
+/**
+ * Find issues in priority order. Ties are broken by the automatic score,
+ * then newest first.
+ * @param {Object} options - Query options
+ * @param {Prisma.Sql[]} [options.conditions] - SQL conditions on `i`
+ * @param {number} options.skip - Number of results to skip
+ * @param {number} options.take - Number of results to return
+ * @returns {Object} Issue IDs in priority order, and the total
+ */
+const findIssuesByPriority = async ({ conditions = [], skip, take }) => {
+  const where = conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+
+  const [rows, [{ count }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT i."id"
+      FROM "Issue" i
+      WHERE ${where}
+      ORDER BY ${priorityRankSql()}, i."priorityScore" DESC, i."createdAt" DESC, i."id"
+      LIMIT ${take} OFFSET ${skip}`,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "count"
+      FROM "Issue" i
+      WHERE ${where}`,
+  ]);
+
+  return {
+    total: count,
+    hits: rows.map((row) => ({ id: row.id })),
+  };
+};
+
+module.exports = {
+  ISSUE_PRIORITIES,
+  scorePriority,
+  scoreBand,
+  countNearbyReports,
+  refreshPriorityScore,
+  findIssuesByPriority,
+};
@@ -0,0 +1,241 @@
+const { PrismaClient } = require('@prisma/client');
+const { AppError } = require('../utils/error.utils');
+
+const prisma = new PrismaClient();
+
+const JOB_STATUSES = ['PENDING', 'RUNNING', 'COMPLETED', 'FAILED'];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// A failed job waits this long before its first retry, doubling with every
+// further failure up to MAX_BACKOFF_MS
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+
+// Longest error message kept on a job
+const MAX_ERROR_LENGTH = 2000;
+
+// Fields returned to admins. Payloads are left out since they can hold
+// personal data; emails only show their recipient and template.
+const jobSelect = {
+  id: true,
+  name: true,
+  key: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  runAt: true,
+  lastError: true,
+  completedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Queue a job for the workers
+ * @param {string} name - Handler name
+ * @param {Object} payload - JSON data for the handler
+ * @param {Object} [options]
+ * @param {Date} [options.runAt] - Earliest time to run the job
+ * @param {number} [options.maxAttempts] - Attempts before the job is dead-lettered
+ * @param {string} [options.key] - Unique key; a job with the same key is not queued again
+ * @param {Object} [options.client] - Prisma client or transaction
+ * @returns {Promise<boolean>} Whether the job was queued
+ */
+const enqueue = async (name, payload, {
+  runAt = new Date(),
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  key = null,
+  client = prisma,
+} = {}) => {
+  const { count } = await client.job.createMany({
+    data: [{ name, payload, runAt, maxAttempts, key }],
+    skipDuplicates: true,
+  });
+  return count > 0;
+};
+
+/**
+ * Claim the next job that is due. Rows are locked with SKIP LOCKED so any
+ * number of workers, in any number of instances, can claim jobs at once.
+ * @param {string} workerId - ID of the claiming worker
+ * @returns {Promise<Object|null>} The job, or null if none is due
+ */
+const claimJob = async (workerId) => {
+  const [job] = await prisma.$queryRaw`
+    UPDATE "Job"
+    SET "status" = 'RUNNING',
+        "attempts" = "attempts" + 1,
+        "lockedAt" = NOW(),
+        "lockedBy" = ${workerId},
+        "updatedAt" = NOW()
+    WHERE "id" = (
+      SELECT "id" FROM "Job"
+      WHERE "status" = 'PENDING' AND "runAt" <= NOW()
+      ORDER BY "runAt", "createdAt"
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *`;
+
+  return job || null;
+};
+
+/**
+ * Mark a claimed job as done
+ * @param {Object} job - Claimed job
+ */
+const completeJob = (job) => {
+  return prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: 'COMPLETED',
+      completedAt: new Date(),
+      lockedAt: null,
+      lockedBy: null,
+      lastError: null,
+    },
+  });
+};
+
+/**
+ * Delay before retrying a job that failed its nth attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempts) => {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+};
+
+/**
+ * Record a failed attempt. The job is retried after a backoff, or
+ * dead-lettered as FAILED once it is out of attempts.
+ * @param {Object} job - Claimed job
+ * @param {Error|string} error - Why the attempt failed
+ * @returns {Promise<boolean>} Whether the job will be retried
+ */
+const failJob = async (job, error) => {
+  const retry = job.attempts < job.maxAttempts;
+  const message = (error && error.stack) || String(error);
+
+  await prisma.job.update({
+    where: { id: job.id },
+    data: {
+      status: retry ? 'PENDING' : 'FAILED',
+      lastError: message.slice(0, MAX_ERROR_LENGTH),
+      lockedAt: null,
+      lockedBy: null,
+      ...(retry && { runAt: new Date(Date.now() + backoffDelay(job.attempts)) }),
+    },
+  });
+
+  return retry;
+};
+
+/**
+ * Fail jobs whose worker stopped without finishing them, e.g. because the
+ * instance crashed, so they are retried or dead-lettered like other failures
+ * @param {number} timeoutMs - How long a job may run
+ * @returns {Promise<number>} Number of jobs released
+ */
+const releaseStaleJobs = async (timeoutMs) => {
+  const stale = await prisma.job.findMany({
+    where: {
+      status: 'RUNNING',
+      lockedAt: { lt: new Date(Date.now() - timeoutMs) },
+    },
+  });
+
+  for (const job of stale) {
+    await failJob(job, `Timed out after ${Math.round(timeoutMs / 1000)} seconds on worker ${job.lockedBy}`);
+  }
+
+  return stale.length;
+};
+
+/**
+ * Get jobs by status for admins
+ * @param {Object} options - Query options
+ * @param {string} options.status - Job status
+ * @param {number} options.skip - Number of jobs to skip
+ * @param {number} options.take - Number of jobs to return
+ * @returns {Promise<Object>} { jobs, total, counts } with counts per status
+ */
+const getJobs = async ({ status, skip, take }) => {
+  const [jobs, total, grouped] = await Promise.all([
+    prisma.job.findMany({
+      where: { status },
+      orderBy: { updatedAt: 'desc' },
+      skip,
+      take,
+      select: { ...jobSelect, payload: true },
+    }),
+    prisma.job.count({ where: { status } }),
+    prisma.job.groupBy({
+      by: ['status'],
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = Object.fromEntries(JOB_STATUSES.map((name) => [name, 0]));
+  grouped.forEach((group) => {
+    counts[group.status] = group._count._all;
+  });
+
+  return {
+    jobs: jobs.map(({ payload, ...job }) => ({
+      ...job,
+      ...(job.name === 'sendEmail' && { email: { to: payload.to, template: payload.template } }),
+    })),
+    total,
+    counts,
+  };
+};
+
+/**
+ * Queue a dead-lettered job again with a fresh set of attempts
+ * @param {string} id - Job ID
+ * @returns {Promise<Object>} The requeued job
+ * @throws {AppError} 404 if there is no failed job with this ID
+ */
+const retryJob = async (id) => {
+  const { count } = await prisma.job.updateMany({
+    where: { id, status: 'FAILED' },
+    data: {
+      status: 'PENDING',
+      attempts: 0,
+      runAt: new Date(),
+    },
+  });
+
+  if (count === 0) {
+    throw new AppError('Failed job not found', 404);
+  }
+
+  return prisma.job.findUnique({ where: { id }, select: jobSelect });
+};
+
+/**
+ * Delete finished jobs older than a cutoff. Failed jobs are kept until an
+ * admin retries them.
+ * @param {Date} before - Cutoff
+ * @returns {Promise<number>} Number of jobs deleted
+ */
+const deleteCompletedJobs = async (before) => {
+  const { count } = await prisma.job.deleteMany({
+    where: { status: 'COMPLETED', completedAt: { lt: before } },
+  });
+  return count;
+};
+
+module.exports = {
+  JOB_STATUSES,
+  enqueue,
+  claimJob,
+  completeJob,
+  failJob,
+  releaseStaleJobs,
+  getJobs,
+  retryJob,
+  deleteCompletedJobs,
+};
@@ -0,0 +1,72 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ROLES = ['CITIZEN', 'OFFICIAL', 'ADMIN'];
+
+/**
+ * Change a user's role and record who granted it
+ * @param {Object} user - User with id and current role
+ * @param {string} role - New role
+ * @param {Object} options
+ * @param {string} options.changedById - User making the change
+ * @param {string} [options.inviteId] - Invite the role was granted through
+ * @param {Object} [options.data] - Other user fields to update with the role
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} Updated user
+ */
+const changeUserRole = async (user, role, { changedById, inviteId = null, data = {} }, client = prisma) => {
+  const updatedUser = await client.user.update({
+    where: { id: user.id },
+    data: { ...data, role },
+  });
+
+  await client.roleChange.create({
+    data: {
+      userId: user.id,
+      fromRole: user.role,
+      toRole: role,
+      changedById,
+      inviteId,
+    },
+  });
+
+  return updatedUser;
+};
+
+/**
+ * Get the role history of a user, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Role changes with the user who made them
+ */
+const getRoleHistory = (userId) => {
+  return prisma.roleChange.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      changedBy: {
+        select: {
+          id: true,
+          name: true,
+        },
+      },
+      invite: {
+        select: {
+          id: true,
+          department: {
+            select: {
+              id: true,
+              name: true,
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
+module.exports = {
+  ROLES,
+  changeUserRole,
+  getRoleHistory,
+};
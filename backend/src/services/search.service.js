@@ -0,0 +1,161 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { bboxSql } = require('./geo.service');
+const { departmentSql } = require('./department.service');
+const { assigneeSql } = require('./assignment.service');
+const { overdueSql } = require('./sla.service');
+
+const prisma = new PrismaClient();
+
+// These expressions must match the GIN indexes in prisma/search-indexes.sql
+const ISSUE_VECTOR = Prisma.sql`(
+  setweight(to_tsvector('english', coalesce(i."title", '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(i."description", '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(i."location", '')), 'C')
+)`;
+const COMMENT_VECTOR = Prisma.sql`to_tsvector('english', coalesce(c."content", ''))`;
+
+// Comment matches count for less than matches on the issue itself
+const COMMENT_RANK_WEIGHT = 0.5;
+
+// ts_headline marks matches with control characters so the text can be
+// HTML-escaped before the markers are turned into <mark> tags
+const START_SEL = '\u0002';
+const STOP_SEL = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${START_SEL}, StopSel=${STOP_SEL}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+const FULL_HEADLINE_OPTIONS = `StartSel=${START_SEL}, StopSel=${STOP_SEL}, HighlightAll=TRUE`;
+
+/**
+ * Escape HTML and convert headline markers to <mark> tags
+ * @param {string|null} text - Output of ts_headline
+ * @returns {string|null} Safe HTML snippet
+ */
+const toHighlightHtml = (text) => {
+  if (!text) return null;
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(START_SEL).join('<mark>')
+    .split(STOP_SEL).join('</mark>');
+};
+
+/**
+ * Ranked keyword search over issue titles, descriptions, locations and comments
+ * @param {Object} options - Search options
+ * @param {string} options.search - Search text, in web search syntax
+ * @param {string} [options.status] - Only issues with this status
+ * @param {string} [options.category] - Only issues in this category
+ * @param {Object} [options.bbox] - Only issues inside this bounding box
+ * @param {string|null} [options.departmentId] - Only issues routed to this department, or to none if null
+ * @param {string|null} [options.assigneeId] - Only issues assigned to this user, or to nobody if null
+ * @param {boolean} [options.overdue] - Only open issues past their due date
+ * @param {string} [options.priority] - Only issues officials gave this priority
+ * @param {number} options.skip - Number of results to skip
+ * @param {number} options.take - Number of results to return
+ * @returns {Object} Matching issue IDs in rank order with highlighted snippets, and the total
+ */
+const searchIssues = async ({
+  search,
+  status,
+  category,
+  bbox,
+  departmentId,
+  assigneeId,
+  overdue,
+  priority,
+  skip,
+  take,
+}) => {
+  const conditions = [Prisma.sql`TRUE`];
+  if (status) conditions.push(Prisma.sql`i."status" = ${status}`);
+  if (category) conditions.push(Prisma.sql`i."category" = ${category}`);
+  if (bbox) conditions.push(bboxSql(bbox));
+  if (departmentId !== undefined) conditions.push(departmentSql(departmentId));
+  if (assigneeId !== undefined) conditions.push(assigneeSql(assigneeId));
+  if (overdue) conditions.push(overdueSql());
+  if (priority) conditions.push(Prisma.sql`i."priority" = ${priority}`);
+
+  const rows = await prisma.$queryRaw`
+    WITH q AS (
+      SELECT websearch_to_tsquery('english', ${search}) AS query
+    ),
+    matches AS (
+      SELECT
+        i."id",
+        ts_rank(${ISSUE_VECTOR}, q.query) + ${COMMENT_RANK_WEIGHT} * coalesce((
+          SELECT max(ts_rank(${COMMENT_VECTOR}, q.query))
+          FROM "Comment" c
+          WHERE c."issueId" = i."id" AND ${COMMENT_VECTOR} @@ q.query
+        ), 0) AS "rank"
+      FROM "Issue" i, q
+      WHERE ${Prisma.join(conditions, ' AND ')}
+        AND (
+          ${ISSUE_VECTOR} @@ q.query
+          OR EXISTS (
+            SELECT 1 FROM "Comment" c
+            WHERE c."issueId" = i."id" AND ${COMMENT_VECTOR} @@ q.query
+          )
+        )
+    ),
+    page AS (
+      SELECT "id", "rank", COUNT(*) OVER () AS "total"
+      FROM matches
+      ORDER BY "rank" DESC, "id"
+      LIMIT ${take} OFFSET ${skip}
+    )
+    SELECT
+      p."id",
+      p."rank"::float AS "rank",
+      p."total"::int AS "total",
+      ts_headline('english', i."title", q.query, ${FULL_HEADLINE_OPTIONS}) AS "title",
+      ts_headline('english', i."description", q.query, ${HEADLINE_OPTIONS}) AS "description",
+      ts_headline('english', i."location", q.query, ${FULL_HEADLINE_OPTIONS}) AS "location",
+      (
+        SELECT ts_headline('english', c."content", q.query, ${HEADLINE_OPTIONS})
+        FROM "Comment" c
+        WHERE c."issueId" = i."id" AND ${COMMENT_VECTOR} @@ q.query
+        ORDER BY ts_rank(${COMMENT_VECTOR}, q.query) DESC
+        LIMIT 1
+      ) AS "comment"
+    FROM page p
+    JOIN "Issue" i ON i."id" = p."id", q
+    ORDER BY p."rank" DESC, p."id"`;
+
+  // COUNT(*) OVER () is only available on returned rows, so a page past
+  // the end needs a separate count
+  let total = rows.length > 0 ? rows[0].total : 0;
+  if (rows.length === 0 && skip > 0) {
+    const [{ count }] = await prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "count"
+      FROM "Issue" i, websearch_to_tsquery('english', ${search}) AS query
+      WHERE ${Prisma.join(conditions, ' AND ')}
+        AND (
+          ${ISSUE_VECTOR} @@ query
+          OR EXISTS (
+            SELECT 1 FROM "Comment" c
+            WHERE c."issueId" = i."id" AND ${COMMENT_VECTOR} @@ query
+          )
+        )`;
+    total = count;
+  }
+
+  return {
+    total,
+    hits: rows.map((row) => ({
+      id: row.id,
+      rank: row.rank,
+      highlights: {
+        title: toHighlightHtml(row.title),
+        description: toHighlightHtml(row.description),
+        location: toHighlightHtml(row.location),
+        comment: toHighlightHtml(row.comment),
+      },
+    })),
+  };
+};
+
+module.exports = {
+  searchIssues,
+};
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('../utils/error.utils');
+const { hashToken } = require('../utils/token.utils');
+
+const prisma = new PrismaClient();
+
+const DEFAULT_ACCESS_TOKEN_EXPIRES_IN = '15m';
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// How long a rotated-out refresh token still counts as a concurrent refresh
+// rather than reuse, e.g. when two tabs refresh with the same token at once
+const REFRESH_GRACE_PERIOD_MS = 10 * 1000;
+
+const sessionUserSelect = {
+  id: true,
+  email: true,
+  name: true,
+  role: true,
+  emailVerifiedAt: true,
+  departmentId: true,
+  deletedAt: true,
+};
+
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Sign a short-lived access token for a session
+ * @param {Object} user - User with id and role
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} JWT
+ */
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    { id: user.id, role: user.role, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || DEFAULT_ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Refresh tokens name their session so a rotated-out token can be recognised.
+ * Only the hash of the secret part is stored.
+ * @param {string} sessionId - Session ID
+ * @returns {Object} { refreshToken, refreshTokenHash }
+ */
+const generateRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+/**
+ * Start a session for a user who has just logged in
+ * @param {Object} user - User with id and role
+ * @param {Object} device
+ * @param {string} [device.userAgent] - User-Agent of the client
+ * @param {string} [device.ipAddress] - IP address of the client
+ * @returns {Promise<Object>} { token, refreshToken }
+ */
+const createSession = async (user, { userAgent, ipAddress } = {}) => {
+  const id = crypto.randomUUID();
+  const { refreshToken, refreshTokenHash } = generateRefreshToken(id);
+
+  await prisma.session.create({
+    data: {
+      id,
+      refreshTokenHash,
+      userAgent: userAgent ? userAgent.slice(0, 500) : null,
+      ipAddress: ipAddress || null,
+      expiresAt: refreshTokenExpiry(),
+      userId: user.id,
+    },
+  });
+
+  return { token: signAccessToken(user, id), refreshToken };
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * Presenting a refresh token that was already rotated out means it has been
+ * copied, so the whole session is revoked. The token rotated out last is
+ * still accepted for a few seconds, since the client that rotated it may
+ * be refreshing in another tab; it then only gets a new access token.
+ * @param {string} refreshToken - Refresh token from the client
+ * @returns {Promise<Object>} { token, refreshToken }, with a null
+ *   refreshToken when the client should keep the one it already has
+ * @throws {AppError} 401 if the token is invalid, expired, revoked or reused
+ */
+const refreshSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  const session = secret && await prisma.session.findUnique({
+    where: { id: sessionId },
+    include: { user: { select: sessionUserSelect } },
+  });
+
+  if (!session || session.revokedAt || session.expiresAt <= new Date() || session.user.deletedAt) {
+    throw new AppError('Your session has expired. Please log in again', 401);
+  }
+
+  const secretHash = hashToken(secret);
+  const { refreshToken: nextRefreshToken, refreshTokenHash } = generateRefreshToken(session.id);
+
+  // Rotating only from the current hash lets one of several concurrent uses win
+  const rotated = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: secretHash, revokedAt: null },
+    data: {
+      refreshTokenHash,
+      previousRefreshTokenHash: secretHash,
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      expiresAt: refreshTokenExpiry(),
+    },
+  });
+
+  if (rotated.count === 0) {
+    // Re-read, as the session may have been rotated since it was loaded
+    const current = await prisma.session.findUnique({ where: { id: session.id } });
+
+    if (
+      current &&
+      !current.revokedAt &&
+      current.previousRefreshTokenHash === secretHash &&
+      current.rotatedAt > new Date(Date.now() - REFRESH_GRACE_PERIOD_MS)
+    ) {
+      return { token: signAccessToken(session.user, session.id), refreshToken: null };
+    }
+
+    await prisma.session.update({
+      where: { id: session.id },
+      data: { revokedAt: new Date() },
+    });
+    throw new AppError('This session was signed out for your security. Please log in again', 401);
+  }
+
+  return { token: signAccessToken(session.user, session.id), refreshToken: nextRefreshToken };
+};
+
+/**
+ * Find the user behind an access token, as long as its session is still active
+ * @param {Object} decoded - Verified JWT payload with id and sid
+ * @returns {Promise<Object|null>} User with sessionId, or null
+ */
+const getSessionUser = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await prisma.session.findUnique({
+    where: { id: decoded.sid },
+    include: { user: { select: sessionUserSelect } },
+  });
+
+  if (
+    !session ||
+    session.userId !== decoded.id ||
+    session.revokedAt ||
+    session.expiresAt <= new Date() ||
+    session.user.deletedAt
+  ) {
+    return null;
+  }
+
+  const { deletedAt, ...user } = session.user;
+  return { ...user, sessionId: session.id };
+};
+
+/**
+ * Get a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Object[]>} Sessions without their token hashes
+ */
+const getActiveSessions = (userId) => {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: new Date() } },
+    orderBy: { lastUsedAt: 'desc' },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastUsedAt: true,
+      expiresAt: true,
+    },
+  });
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} False if the user has no active session with the ID
+ */
+const revokeSession = async (userId, sessionId) => {
+  const { count } = await prisma.session.updateMany({
+    where: { id: sessionId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Revoke the session a refresh token belongs to, e.g. on logout.
+ * Unknown tokens are ignored.
+ * @param {string} refreshToken - Refresh token from the client
+ */
+const revokeSessionByRefreshToken = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret) return;
+
+  await prisma.session.updateMany({
+    where: { id: sessionId, refreshTokenHash: hashToken(secret), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
+
+/**
+ * Revoke every session of a user, e.g. after a password change
+ * @param {string} userId - User ID
+ * @param {Object} [client] - Prisma client or transaction to use
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Session to keep signed in
+ */
+const revokeAllSessions = (userId, client = prisma, { exceptSessionId } = {}) => {
+  return client.session.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: { revokedAt: new Date() },
+  });
+};
+
+module.exports = {
+  createSession,
+  refreshSession,
+  getSessionUser,
+  getActiveSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,157 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { CLOSED_STATUSES } = require('./issueStatus.service');
+
+const prisma = new PrismaClient();
+
+const ISSUE_PRIORITIES = ['HIGH', 'MEDIUM', 'LOW'];
+
+// A target with this priority applies to every priority of its category
+// that has no target of its own
+const ANY_PRIORITY = 'ANY';
+const SLA_PRIORITIES = [...ISSUE_PRIORITIES, ANY_PRIORITY];
+
+// Used when neither the category and priority nor the category has a target.
+// Issues without a priority are treated as MEDIUM.
+const DEFAULT_TARGET_HOURS = {
+  HIGH: 72,
+  MEDIUM: 7 * 24,
+  LOW: 14 * 24,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the resolution target for a category and priority
+ * @param {string} category - Issue category
+ * @param {string|null} priority - Issue priority
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<number>} Target in hours
+ */
+const getTargetHours = async (category, priority, client = prisma) => {
+  const effectivePriority = priority || 'MEDIUM';
+
+  const targets = await client.slaTarget.findMany({
+    where: { category, priority: { in: [effectivePriority, ANY_PRIORITY] } },
+  });
+
+  const target = targets.find((item) => item.priority === effectivePriority) ||
+    targets.find((item) => item.priority === ANY_PRIORITY);
+
+  return target ? target.hours : DEFAULT_TARGET_HOURS[effectivePriority];
+};
+
+/**
+ * Compute when an issue is due
+ * @param {Object} issue - Issue with category and priority
+ * @param {Date} [from] - When the SLA clock started
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Date>} Due date
+ */
+const computeDueAt = async ({ category, priority }, from = new Date(), client = prisma) => {
+  const hours = await getTargetHours(category, priority, client);
+  return new Date(from.getTime() + hours * HOUR_MS);
+};
+
+/**
+ * Due date fields to save with an issue update. The SLA clock restarts when
+ * an issue is reopened; a new category or priority moves the due date
+ * relative to when the clock last started.
+ * @param {Object} issue - Issue before the update
+ * @param {Object} changes - New category, priority and status, where given
+ * @param {Object} [client] - Prisma client or transaction
+ * @returns {Promise<Object>} { dueAt, escalatedAt } or {} if the due date is unchanged
+ */
+const dueDateUpdate = async (issue, { category, priority, status }, client = prisma) => {
+  const reopened = status === 'REOPENED' && issue.status !== 'REOPENED';
+  const categoryChanged = category !== undefined && category !== issue.category;
+  const priorityChanged = priority !== undefined && priority !== issue.priority;
+
+  if (!reopened && !categoryChanged && !priorityChanged) {
+    return {};
+  }
+
+  let startedAt = new Date();
+  if (!reopened) {
+    const lastReopen = await client.issueStatusChange.findFirst({
+      where: { issueId: issue.id, toStatus: 'REOPENED' },
+      orderBy: { createdAt: 'desc' },
+    });
+    startedAt = lastReopen ? lastReopen.createdAt : issue.createdAt;
+  }
+
+  const dueAt = await computeDueAt({
+    category: categoryChanged ? category : issue.category,
+    priority: priorityChanged ? priority : issue.priority,
+  }, startedAt, client);
+
+  return {
+    dueAt,
+    // A due date that moved into the future can be escalated again
+    ...(dueAt > new Date() && { escalatedAt: null }),
+  };
+};
+
+/**
+ * Prisma where clause for open issues past their due date
+ * @param {Date} [now] - Current time
+ */
+const overdueWhere = (now = new Date()) => ({
+  status: { notIn: CLOSED_STATUSES },
+  dueAt: { lt: now },
+});
+
+/**
+ * SQL condition for open issues (aliased `i`) past their due date
+ */
+const overdueSql = () => Prisma.sql`(
+  i."dueAt" < NOW() AND i."status" NOT IN (${Prisma.join(CLOSED_STATUSES)})
+)`;
+
+/**
+ * Get all configured SLA targets
+ * @returns {Promise<Object[]>} Targets ordered by category and priority
+ */
+const getTargets = () => {
+  return prisma.slaTarget.findMany({
+    orderBy: [{ category: 'asc' }, { priority: 'asc' }],
+  });
+};
+
+/**
+ * Create or change the target for a category and priority.
+ * Due dates of existing issues are not recomputed.
+ * @param {Object} target - { category, priority, hours }
+ * @returns {Promise<Object>} The saved target
+ */
+const saveTarget = ({ category, priority, hours }) => {
+  return prisma.slaTarget.upsert({
+    where: { category_priority: { category, priority } },
+    create: { category, priority, hours },
+    update: { hours },
+  });
+};
+
+/**
+ * Remove a target so the category default or built-in default applies again
+ * @param {string} id - Target ID
+ * @returns {Promise<boolean>} Whether the target existed
+ */
+const deleteTarget = async (id) => {
+  const { count } = await prisma.slaTarget.deleteMany({ where: { id } });
+  return count > 0;
+};
+
+module.exports = {
+  ISSUE_PRIORITIES,
+  SLA_PRIORITIES,
+  ANY_PRIORITY,
+  DEFAULT_TARGET_HOURS,
+  getTargetHours,
+  computeDueAt,
+  dueDateUpdate,
+  overdueWhere,
+  overdueSql,
+  getTargets,
+  saveTarget,
+  deleteTarget,
+};
@@ -0,0 +1,204 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+
+const { CLOSED_STATUSES } = require('./issueStatus.service');
+const { overdueWhere } = require('./sla.service');
+
+const prisma = new PrismaClient();
+
+const INTERVALS = ['day', 'week'];
+
+/**
+ * Turn a list of groupBy rows into a { key: count } object
+ * @param {Object[]} rows - Rows returned by prisma groupBy
+ * @param {string} field - Grouped field name
+ */
+const toCountMap = (rows, field) => {
+  return rows.reduce((counts, row) => {
+    counts[row[field] || 'UNSET'] = row._count._all;
+    return counts;
+  }, {});
+};
+
+/**
+ * Parse stats filters from query parameters
+ * @param {Object} query - Request query with optional from, to, category and interval
+ * @returns {Object} Parsed filters, or { error } if a parameter is invalid
+ */
+const parseStatsFilters = ({ from, to, category, interval = 'day' }) => {
+  const filters = { category, interval };
+
+  if (from) {
+    filters.from = new Date(from);
+    if (isNaN(filters.from)) return { error: 'Invalid from date' };
+  }
+
+  if (to) {
+    filters.to = new Date(to);
+    if (isNaN(filters.to)) return { error: 'Invalid to date' };
+  }
+
+  if (!INTERVALS.includes(interval)) {
+    return { error: `Interval must be one of ${INTERVALS.join(', ')}` };
+  }
+
+  return filters;
+};
+
+/**
+ * Build SQL conditions for raw queries joined on the "Issue" table as `i`
+ * @param {Object} filters - Parsed filters
+ * @param {string} dateColumn - Column the date range applies to
+ */
+const buildSqlConditions = ({ from, to, category }, dateColumn) => {
+  const column = Prisma.raw(dateColumn);
+  const conditions = [Prisma.sql`TRUE`];
+  if (from) conditions.push(Prisma.sql`${column} >= ${from}`);
+  if (to) conditions.push(Prisma.sql`${column} <= ${to}`);
+  if (category) conditions.push(Prisma.sql`i."category" = ${category}`);
+  return Prisma.join(conditions, ' AND ');
+};
+
+/**
+ * Aggregate issue statistics
+ * @param {Object} filters - Parsed filters from parseStatsFilters
+ * @param {Date} [filters.from] - Start of the date range
+ * @param {Date} [filters.to] - End of the date range
+ * @param {string} [filters.category] - Only issues in this category
+ * @param {string} [filters.interval] - Bucket size for the time series ('day' or 'week')
+ */
+const getIssueStats = async (filters) => {
+  const { from, to, category, interval } = filters;
+
+  const where = {};
+  if (category) where.category = category;
+  if (from || to) {
+    where.createdAt = {};
+    if (from) where.createdAt.gte = from;
+    if (to) where.createdAt.lte = to;
+  }
+
+  // Opened issues are bucketed by creation date, resolved issues by resolution date
+  const openedConditions = buildSqlConditions(filters, 'i."createdAt"');
+  const resolvedConditions = buildSqlConditions(filters, 'r."resolvedAt"');
+
+  const [
+    totalIssues,
+    byStatus,
+    byCategory,
+    byPriority,
+    opened,
+    resolved,
+    [resolution],
+    topUpvoted,
+    slaByCategory,
+    overdueIssues,
+  ] = await Promise.all([
+    prisma.issue.count({ where }),
+    prisma.issue.groupBy({ by: ['status'], where, _count: { _all: true } }),
+    prisma.issue.groupBy({ by: ['category'], where, _count: { _all: true } }),
+    prisma.issue.groupBy({ by: ['priority'], where, _count: { _all: true } }),
+    prisma.$queryRaw`
+      SELECT date_trunc(${interval}, i."createdAt") AS "period", COUNT(*)::int AS "count"
+      FROM "Issue" i
+      WHERE ${openedConditions}
+      GROUP BY 1
+      ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT date_trunc(${interval}, r."resolvedAt") AS "period", COUNT(*)::int AS "count"
+      FROM (
+        SELECT c."issueId", MIN(c."createdAt") AS "resolvedAt"
+        FROM "IssueStatusChange" c
+        WHERE c."toStatus" = 'RESOLVED'
+        GROUP BY c."issueId"
+      ) r
+      JOIN "Issue" i ON i."id" = r."issueId"
+      WHERE ${resolvedConditions}
+      GROUP BY 1
+      ORDER BY 1`,
+    prisma.$queryRaw`
+      SELECT
+        percentile_cont(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM (r."resolvedAt" - i."createdAt")) / 3600
+        ) AS "medianHours"
+      FROM (
+        SELECT c."issueId", MIN(c."createdAt") AS "resolvedAt"
+        FROM "IssueStatusChange" c
+        WHERE c."toStatus" = 'RESOLVED'
+        GROUP BY c."issueId"
+      ) r
+      JOIN "Issue" i ON i."id" = r."issueId"
+      WHERE ${resolvedConditions}`,
+    prisma.issue.findMany({
+      where: { ...where, status: { notIn: CLOSED_STATUSES } },
+      select: {
+        id: true,
+        title: true,
+        status: true,
+        category: true,
+        location: true,
+        upvotes: true,
+        createdAt: true,
+      },
+      orderBy: { upvotes: 'desc' },
+      take: 5,
+    }),
+    // Resolutions with a due date, judged by the latest resolution since
+    // reopening restarts the SLA clock
+    prisma.$queryRaw`
+      SELECT
+        i."category" AS "category",
+        COUNT(*)::int AS "resolved",
+        COUNT(*) FILTER (WHERE r."resolvedAt" <= i."dueAt")::int AS "withinTarget"
+      FROM (
+        SELECT c."issueId", MAX(c."createdAt") AS "resolvedAt"
+        FROM "IssueStatusChange" c
+        WHERE c."toStatus" = 'RESOLVED'
+        GROUP BY c."issueId"
+      ) r
+      JOIN "Issue" i ON i."id" = r."issueId"
+      WHERE i."dueAt" IS NOT NULL AND ${resolvedConditions}
+      GROUP BY i."category"`,
+    prisma.issue.count({ where: { ...where, ...overdueWhere() } }),
+  ]);
+
+  const issuesByStatus = toCountMap(byStatus, 'status');
+
+  const compliance = (resolvedCount, withinTarget) => ({
+    resolved: resolvedCount,
+    withinTarget,
+    percentage: resolvedCount ? Math.round((withinTarget / resolvedCount) * 100) : null,
+  });
+  const slaResolved = slaByCategory.reduce((sum, row) => sum + row.resolved, 0);
+  const slaWithinTarget = slaByCategory.reduce((sum, row) => sum + row.withinTarget, 0);
+  const resolvedIssues = (issuesByStatus.RESOLVED || 0) + (issuesByStatus.CLOSED || 0);
+
+  return {
+    totalIssues,
+    resolvedIssues,
+    resolvedPercentage: totalIssues ? Math.round((resolvedIssues / totalIssues) * 100) : 0,
+    issuesByStatus,
+    issuesByCategory: toCountMap(byCategory, 'category'),
+    issuesByPriority: toCountMap(byPriority, 'priority'),
+    timeSeries: {
+      interval,
+      opened,
+      resolved,
+    },
+    medianResolutionHours:
+      resolution.medianHours === null ? null : Math.round(resolution.medianHours * 10) / 10,
+    topUpvotedOpenIssues: topUpvoted,
+    sla: {
+      ...compliance(slaResolved, slaWithinTarget),
+      overdueIssues,
+      byCategory: slaByCategory.reduce((categories, row) => {
+        categories[row.category] = compliance(row.resolved, row.withinTarget);
+        return categories;
+      }, {}),
+    },
+  };
+};
+
+module.exports = {
+  parseStatsFilters,
+  getIssueStats,
+};
@@ -0,0 +1,113 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Vote types accepted by the vote endpoint
+ */
+const VOTE_TYPES = ['upvote', 'downvote', 'retract'];
+
+const VOTE_VALUES = {
+  upvote: 1,
+  downvote: -1,
+};
+
+/**
+ * Convert a stored vote value to its type
+ * @param {number|undefined} value - Stored vote value
+ * @returns {string|null} 'upvote', 'downvote' or null
+ */
+const voteValueToType = (value) => {
+  if (value === 1) return 'upvote';
+  if (value === -1) return 'downvote';
+  return null;
+};
+
+/**
+ * Prisma include that loads the given user's vote on an issue
+ * @param {string} [userId] - Current user ID
+ */
+const userVoteInclude = (userId) => {
+  if (!userId) return {};
+  return {
+    votes: {
+      where: { userId },
+      select: { value: true },
+    },
+  };
+};
+
+/**
+ * Replace the loaded votes relation with the caller's vote type
+ * @param {Object} issue - Issue loaded with userVoteInclude
+ * @returns {Object} Issue with userVote set to 'upvote', 'downvote' or null
+ */
+const withUserVote = (issue) => {
+  const { votes, ...rest } = issue;
+  return {
+    ...rest,
+    userVote: votes && votes.length > 0 ? voteValueToType(votes[0].value) : null,
+  };
+};
+
+/**
+ * Cast, change or retract a user's vote on an issue.
+ * Repeating the current vote or retracting a missing vote changes nothing.
+ * @param {string} issueId - Issue ID
+ * @param {string} userId - Voting user ID
+ * @param {string} type - One of VOTE_TYPES
+ * @returns {Object} Updated issue with userVote, and the previous vote type
+ */
+const castVote = async (issueId, userId, type) => {
+  return prisma.$transaction(async (tx) => {
+    // Lock the issue so concurrent votes on it, such as a double click, run
+    // one after the other; otherwise both could read the same existing vote
+    // and apply its change to the counters twice
+    await tx.$queryRaw`SELECT "id" FROM "Issue" WHERE "id" = ${issueId} FOR UPDATE`;
+
+    const existingVote = await tx.vote.findUnique({
+      where: { userId_issueId: { userId, issueId } },
+    });
+
+    const previousValue = existingVote ? existingVote.value : 0;
+    const newValue = VOTE_VALUES[type] || 0;
+
+    if (previousValue !== newValue) {
+      if (newValue === 0) {
+        await tx.vote.delete({ where: { id: existingVote.id } });
+      } else {
+        await tx.vote.upsert({
+          where: { userId_issueId: { userId, issueId } },
+          create: { userId, issueId, value: newValue },
+          update: { value: newValue },
+        });
+      }
+
+      // Keep the cached counters on the issue in sync
+      await tx.issue.update({
+        where: { id: issueId },
+        data: {
+          upvotes: { increment: Number(newValue === 1) - Number(previousValue === 1) },
+          downvotes: { increment: Number(newValue === -1) - Number(previousValue === -1) },
+        },
+      });
+    }
+
+    const issue = await tx.issue.findUnique({
+      where: { id: issueId },
+      include: userVoteInclude(userId),
+    });
+
+    return {
+      issue: withUserVote(issue),
+      previousVote: voteValueToType(previousValue),
+    };
+  });
+};
+
+module.exports = {
+  VOTE_TYPES,
+  userVoteInclude,
+  withUserVote,
+  castVote,
+};
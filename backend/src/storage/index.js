@@ -0,0 +1,39 @@
+const createLocalDriver = require('./local.driver');
+const createS3Driver = require('./s3.driver');
+
+/**
+ * Available storage drivers, selected with STORAGE_DRIVER.
+ * A driver exposes save(key, buffer, contentType) -> url and remove(key).
+ */
+const drivers = {
+  local: () => createLocalDriver({
+    publicUrl: process.env.UPLOADS_PUBLIC_URL,
+  }),
+  s3: () => createS3Driver({
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint: process.env.S3_ENDPOINT,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    publicUrl: process.env.S3_PUBLIC_URL,
+  }),
+};
+
+let storage;
+
+/**
+ * Get the configured storage driver, creating it on first use
+ */
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+    storage = drivers[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  getStorage,
+};
@@ -0,0 +1,46 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Served statically at /uploads by src/index.js
+const UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+/**
+ * Create a storage driver that writes files to local disk
+ * @param {Object} options - Driver options
+ * @param {string} [options.publicUrl] - Base URL the upload directory is served from
+ */
+const createLocalDriver = ({ publicUrl = '/uploads' } = {}) => {
+  const resolve = (key) => {
+    const filePath = path.join(UPLOAD_DIR, key);
+    // Keys are generated server-side, but never write outside the upload directory
+    if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    /**
+     * Store a file
+     * @param {string} key - Path of the file relative to the upload directory
+     * @param {Buffer} buffer - File contents
+     * @returns {string} Public URL of the file
+     */
+    async save(key, buffer) {
+      const filePath = resolve(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${publicUrl.replace(/\/$/, '')}/${key}`;
+    },
+
+    /**
+     * Delete a stored file; missing files are ignored
+     * @param {string} key - Path of the file relative to the upload directory
+     */
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,53 @@
+/**
+ * Create a storage driver for Amazon S3 or an S3-compatible service such as MinIO
+ * @param {Object} options - Driver options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} [options.region] - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs, needed by most S3-compatible services
+ * @param {string} [options.publicUrl] - Base URL files are served from, e.g. a CDN
+ */
+const createS3Driver = ({ bucket, region, endpoint, forcePathStyle = false, publicUrl }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET must be set to use the s3 storage driver');
+  }
+
+  // Only needed when this driver is selected
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const client = new S3Client({ region, endpoint, forcePathStyle });
+
+  const baseUrl = (publicUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    /**
+     * Store a file
+     * @param {string} key - Object key
+     * @param {Buffer} buffer - File contents
+     * @param {string} contentType - MIME type
+     * @returns {string} Public URL of the file
+     */
+    async save(key, buffer, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable',
+      }));
+      return `${baseUrl}/${key}`;
+    },
+
+    /**
+     * Delete a stored file; missing files are ignored
+     * @param {string} key - Object key
+     */
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage. Tokens are random, so a fast hash is enough.
+ * @param {string} token - Raw token
+ * @returns {string} Hex SHA-256 digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Generate a random token to send to a user, with the hash to store
+ * @returns {Object} { token, tokenHash }
+ */
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Derive the key for sealing data with one purpose. JOB_PAYLOAD_SECRET can
+ * set the secret, which otherwise comes from JWT_SECRET.
+ * @param {string} purpose - What the data is for, e.g. 'mail'
+ * @returns {Buffer} 256-bit key
+ */
+const sealKey = (purpose) => {
+  const secret = process.env.JOB_PAYLOAD_SECRET || process.env.JWT_SECRET;
+  return crypto.createHash('sha256').update(`${secret}:${purpose}`).digest();
+};
+
+/**
+ * Encrypt JSON data so it can be stored, e.g. in a job, without exposing
+ * the links and tokens it contains
+ * @param {*} data - JSON-serialisable data
+ * @param {string} purpose - What the data is for; opening needs the same one
+ * @returns {string} Base64 IV, auth tag and ciphertext
+ */
+const sealData = (data, purpose) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', sealKey(purpose), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+};
+
+/**
+ * Decrypt data sealed with sealData
+ * @param {string} sealed - Output of sealData
+ * @param {string} purpose - Purpose it was sealed with
+ * @returns {*} Original data
+ * @throws {Error} If the data was tampered with or sealed with another key
+ */
+const openData = (sealed, purpose) => {
+  const buffer = Buffer.from(sealed, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', sealKey(purpose), buffer.subarray(0, 12));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  const plaintext = Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+module.exports = {
+  hashToken,
+  generateToken,
+  sealData,
+  openData,
+};
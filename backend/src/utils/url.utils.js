@@ -0,0 +1,29 @@
+/**
+ * Build an absolute URL to a page of the frontend, e.g. for links in emails
+ * @param {string} path - Page path starting with a slash
+ * @param {Object} [query] - Query parameters
+ * @returns {string} Absolute URL
+ */
+const frontendUrl = (path, query = {}) => {
+  const base = (process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:3000').replace(/\/$/, '');
+  const search = new URLSearchParams(query).toString();
+  return `${base}${path}${search ? `?${search}` : ''}`;
+};
+
+/**
+ * Build an absolute URL to an API endpoint, e.g. for one-click links that
+ * mail clients call directly
+ * @param {string} path - Endpoint path starting with a slash
+ * @param {Object} [query] - Query parameters
+ * @returns {string} Absolute URL
+ */
+const apiUrl = (path, query = {}) => {
+  const base = (process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+  const search = new URLSearchParams(query).toString();
+  return `${base}${path}${search ? `?${search}` : ''}`;
+};
+
+module.exports = {
+  frontendUrl,
+  apiUrl,
+};
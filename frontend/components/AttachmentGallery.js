@@ -0,0 +1,37 @@
+import React from 'react';
+import { getAssetUrl } from '../utils/helpers';
+
+/**
+ * AttachmentGallery component showing image thumbnails that open the full image
+ *
+ * @param {Object} props
+ * @param {Array} props.attachments - Attachments with url and thumbnailUrl
+ * @param {string} props.alt - Alternative text for the images
+ * @param {string} props.size - Tailwind height and width classes for each thumbnail
+ */
+const AttachmentGallery = ({ attachments = [], alt = '', size = 'h-32 w-32' }) => {
+  if (attachments.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-3">
+      {attachments.map((attachment, index) => (
+        <a
+          key={attachment.id}
+          href={getAssetUrl(attachment.url)}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="block"
+        >
+          <img
+            src={getAssetUrl(attachment.thumbnailUrl)}
+            alt={`${alt} ${index + 1}`.trim()}
+            className={`${size} object-cover rounded-lg border border-gray-200 hover:opacity-90 transition-opacity`}
+            loading="lazy"
+          />
+        </a>
+      ))}
+    </div>
+  );
+};
+
+export default AttachmentGallery;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import Link from 'next/link';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { ArrowUpIcon, BellIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import { formatDistance, formatStatus } from '../utils/helpers';
+
+/**
+ * DuplicateSuggestions component listing existing issues that look like the
+ * one being reported, so the reporter can support them instead
+ *
+ * @param {Object} props
+ * @param {Array} props.duplicates - Likely duplicate issues returned by the API
+ * @param {Function} props.onReportAnyway - Called to file the new report regardless
+ * @param {boolean} props.isSubmitting - Whether the report is being submitted
+ */
+const DuplicateSuggestions = ({ duplicates = [], onReportAnyway, isSubmitting = false }) => {
+  const { getAuthHeader } = useAuth();
+  // Actions taken per issue: { [id]: { upvoted, followed } }
+  const [supported, setSupported] = useState({});
+  const [isPending, setIsPending] = useState(false);
+
+  const support = async (issue, action) => {
+    setIsPending(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/issues/${issue.id}/${action === 'upvoted' ? 'vote' : 'follow'}`,
+        {
+          method: 'POST',
+          headers: {
+            ...getAuthHeader(),
+            'Content-Type': 'application/json',
+          },
+          body: action === 'upvoted' ? JSON.stringify({ type: 'upvote' }) : undefined,
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Request failed');
+      }
+
+      setSupported(prev => ({ ...prev, [issue.id]: { ...prev[issue.id], [action]: true } }));
+      toast.success(action === 'upvoted' ? 'Issue upvoted' : 'You will be notified about updates');
+    } catch (error) {
+      toast.error(error.message || 'Something went wrong');
+      console.error(error);
+    } finally {
+      setIsPending(false);
+    }
+  };
+
+  return (
+    <div className="rounded-md border border-yellow-300 bg-yellow-50 dark:bg-gray-800 dark:border-yellow-700 p-4">
+      <h2 className="text-lg font-semibold text-yellow-800 dark:text-yellow-300">
+        This may already have been reported
+      </h2>
+      <p className="text-sm text-yellow-800 dark:text-yellow-200 mb-4">
+        Upvoting or following an existing issue helps officials prioritise it and avoids splitting the discussion.
+      </p>
+
+      <ul className="space-y-3">
+        {duplicates.map((issue) => {
+          const state = supported[issue.id] || {};
+          const upvoted = state.upvoted || issue.userVote === 'upvote';
+
+          return (
+            <li key={issue.id} className="bg-white dark:bg-gray-700 rounded-md border border-gray-200 dark:border-gray-600 p-3">
+              <div className="flex justify-between items-start">
+                <div>
+                  <Link href={`/issues/${issue.id}`} target="_blank" className="font-medium text-primary-600 hover:text-primary-700">
+                    {issue.title}
+                  </Link>
+                  <p className="text-xs text-gray-500 dark:text-gray-400 flex items-center mt-1">
+                    <MapPinIcon className="h-3 w-3 mr-1" />
+                    {issue.location}
+                    {issue.distance !== null && ` · ${formatDistance(issue.distance)} away`}
+                  </p>
+                </div>
+                <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap ml-2">
+                  {formatStatus(issue.status)}
+                </span>
+              </div>
+              <p className="text-sm text-gray-600 dark:text-gray-300 mt-2 line-clamp-2">{issue.description}</p>
+              <div className="flex space-x-2 mt-3">
+                <button
+                  type="button"
+                  onClick={() => support(issue, 'upvoted')}
+                  disabled={upvoted || isPending}
+                  className="btn-secondary text-sm flex items-center"
+                >
+                  <ArrowUpIcon className="h-4 w-4 mr-1" />
+                  {upvoted ? 'Upvoted' : `Upvote (${issue.upvotes})`}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => support(issue, 'followed')}
+                  disabled={state.followed || isPending}
+                  className="btn-secondary text-sm flex items-center"
+                >
+                  <BellIcon className="h-4 w-4 mr-1" />
+                  {state.followed ? 'Following' : 'Follow'}
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <button
+        type="button"
+        onClick={onReportAnyway}
+        disabled={isSubmitting}
+        className="mt-4 text-sm text-gray-700 dark:text-gray-300 underline hover:text-gray-900"
+      >
+        None of these match, report my issue anyway
+      </button>
+    </div>
+  );
+};
+
+export default DuplicateSuggestions;
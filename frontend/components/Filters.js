@@ -192,10 +192,13 @@ export const IssueFilters = ({ activeFilters = {}, onFilterChange }) => {
       label: 'Status',
       type: 'select',
       options: [
-        { value: 'OPEN', label: 'Open' },
+        { value: 'REPORTED', label: 'Reported' },
+        { value: 'UNDER_REVIEW', label: 'Under Review' },
         { value: 'IN_PROGRESS', label: 'In Progress' },
         { value: 'RESOLVED', label: 'Resolved' },
         { value: 'CLOSED', label: 'Closed' },
+        { value: 'REJECTED', label: 'Rejected' },
+        { value: 'REOPENED', label: 'Reopened' },
       ],
     },
     {
@@ -207,15 +210,17 @@ export const IssueFilters = ({ activeFilters = {}, onFilterChange }) => {
         { value: 'WATER', label: 'Water' },
         { value: 'ELECTRICITY', label: 'Electricity' },
         { value: 'SANITATION', label: 'Sanitation' },
-        { value: 'SAFETY', label: 'Safety' },
+        { value: 'PUBLIC_SAFETY', label: 'Public Safety' },
+        { value: 'ENVIRONMENT', label: 'Environment' },
+        { value: 'PUBLIC_PROPERTY', label: 'Public Property' },
         { value: 'OTHER', label: 'Other' },
       ],
     },
     {
-      id: 'location',
-      label: 'Location',
+      id: 'search',
+      label: 'Search',
       type: 'text',
-      placeholder: 'Search by location...',
+      placeholder: 'Search title, description or location...',
     },
   ];
 
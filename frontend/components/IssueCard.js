@@ -1,5 +1,6 @@
 import Link from 'next/link';
 import { CalendarIcon, MapPinIcon, ArrowUpIcon } from '@heroicons/react/24/outline';
+import { formatDistance, getAssetUrl, isOverdue } from '../utils/helpers';
 
 const categoryIcons = {
   ROADS: '🛣️',
@@ -18,6 +19,14 @@ const statusColors = {
   IN_PROGRESS: 'badge-in-progress',
   RESOLVED: 'badge-resolved',
   CLOSED: 'badge-closed',
+  REJECTED: 'badge-rejected',
+  REOPENED: 'badge-reopened',
+};
+
+const priorityColors = {
+  HIGH: 'badge-priority-high',
+  MEDIUM: 'badge-priority-medium',
+  LOW: 'badge-priority-low',
 };
 
 const formatDate = (dateString) => {
@@ -30,22 +39,60 @@ const formatDate = (dateString) => {
 };
 
 export default function IssueCard({ issue }) {
+  // Search results carry server-escaped snippets with <mark> around matches
+  const highlights = issue.search?.highlights;
+
   return (
     <div className="card hover:shadow-lg transition-shadow">
+      {issue.attachments?.length > 0 && (
+        <Link href={`/issues/${issue.id}`}>
+          <img
+            src={getAssetUrl(issue.attachments[0].thumbnailUrl)}
+            alt={issue.title}
+            className="h-40 w-full object-cover"
+            loading="lazy"
+          />
+        </Link>
+      )}
       <div className="p-4">
         <div className="flex justify-between items-start mb-2">
-          <span className={`badge ${statusColors[issue.status]}`}>{issue.status.replace('_', ' ')}</span>
+          <span>
+            <span className={`badge ${statusColors[issue.status]}`}>{issue.status.replace('_', ' ')}</span>
+            {issue.priority && <span className={`badge ${priorityColors[issue.priority]} ml-2`}>{issue.priority} priority</span>}
+            {isOverdue(issue) && <span className="badge badge-overdue ml-2">Overdue</span>}
+          </span>
           <span className="text-2xl">{categoryIcons[issue.category]}</span>
         </div>
         <Link href={`/issues/${issue.id}`}>
           <h3 className="text-lg font-semibold mb-2 hover:text-primary-600 transition-colors">
-            {issue.title}
+            {highlights?.title ? (
+              <span dangerouslySetInnerHTML={{ __html: highlights.title }} />
+            ) : (
+              issue.title
+            )}
           </h3>
         </Link>
-        <p className="text-gray-600 text-sm mb-4 line-clamp-2">{issue.description}</p>
+        {highlights?.description ? (
+          <p
+            className="text-gray-600 text-sm mb-4 line-clamp-2"
+            dangerouslySetInnerHTML={{ __html: highlights.description }}
+          />
+        ) : (
+          <p className="text-gray-600 text-sm mb-4 line-clamp-2">{issue.description}</p>
+        )}
+        {highlights?.comment && (
+          <p className="text-gray-500 text-xs italic mb-4 line-clamp-2">
+            Comment: <span dangerouslySetInnerHTML={{ __html: highlights.comment }} />
+          </p>
+        )}
         <div className="flex items-center text-gray-500 text-sm mb-2">
           <MapPinIcon className="h-4 w-4 mr-1" />
           <span className="truncate">{issue.location}</span>
+          {issue.distance !== undefined && (
+            <span className="ml-2 whitespace-nowrap text-primary-600">
+              {formatDistance(issue.distance)} away
+            </span>
+          )}
         </div>
         <div className="flex items-center text-gray-500 text-sm">
           <CalendarIcon className="h-4 w-4 mr-1" />
@@ -55,6 +102,9 @@ export default function IssueCard({ issue }) {
       <div className="border-t border-gray-100 px-4 py-3 bg-gray-50 flex justify-between items-center">
         <div className="text-sm text-gray-600">
           Reported by <span className="font-medium">{issue.reporter.name}</span>
+          {issue.assignee && (
+            <span className="block text-xs text-gray-500">Assigned to {issue.assignee.name}</span>
+          )}
         </div>
         <button className="flex items-center text-gray-500 hover:text-primary-600 transition-colors">
           <ArrowUpIcon className="h-4 w-4 mr-1" />
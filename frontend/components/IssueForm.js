@@ -1,14 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
+import dynamic from 'next/dynamic';
 import { api } from '../services/api';
 import { validateRequired, validateTitle, validateDescription, validateLocation, validateForm } from '../utils/validation';
 import { convertToBase64, validateFileType, validateFileSize, formatFileSize } from '../utils/fileUpload';
 import Alert from './Alert';
 
+// The map needs the browser, so it is only loaded client-side
+const LocationPicker = dynamic(() => import('./LocationPicker'), { ssr: false });
+
 const INITIAL_FORM_STATE = {
   title: '',
   description: '',
   location: '',
+  latitude: null,
+  longitude: null,
   category: 'INFRASTRUCTURE',
   priority: 'MEDIUM',
   images: [],
@@ -75,6 +81,10 @@ const IssueForm = ({ initialData = null, isEditing = false, onSuccess }) => {
     }
   };
 
+  const handleLocationPick = ({ latitude, longitude }) => {
+    setFormData(prev => ({ ...prev, latitude, longitude }));
+  };
+
   const handleImageChange = async (e) => {
     const files = Array.from(e.target.files);
     
@@ -270,6 +280,13 @@ const IssueForm = ({ initialData = null, isEditing = false, onSuccess }) => {
           placeholder="Address or description of the location"
         />
         {errors.location && <p className="mt-1 text-sm text-red-600">{errors.location}</p>}
+        <p className="mt-2 mb-1 text-sm text-gray-500">Click the map to mark the exact spot (optional).</p>
+        <LocationPicker
+          value={formData.latitude != null && formData.longitude != null
+            ? { latitude: formData.latitude, longitude: formData.longitude }
+            : null}
+          onChange={handleLocationPick}
+        />
       </div>
       
       {/* Category */}
@@ -0,0 +1,180 @@
+import React, { useState, useRef, useMemo } from 'react';
+import Link from 'next/link';
+import Map, { Source, Layer, Popup, NavigationControl } from 'react-map-gl/maplibre';
+import 'maplibre-gl/dist/maplibre-gl.css';
+import {
+  MAP_STYLE,
+  MAP_HAS_GLYPHS,
+  DEFAULT_VIEW_STATE,
+  STATUS_MARKER_COLORS,
+  issuesToGeoJson,
+} from '../utils/map';
+
+// Circle colour for unclustered issues, matched on status
+const statusColorExpression = [
+  'match',
+  ['get', 'status'],
+  ...Object.entries(STATUS_MARKER_COLORS).flat(),
+  '#6B7280',
+];
+
+const clusterLayer = {
+  id: 'clusters',
+  type: 'circle',
+  filter: ['has', 'point_count'],
+  paint: {
+    'circle-color': '#2563EB',
+    'circle-opacity': 0.8,
+    'circle-stroke-width': 2,
+    'circle-stroke-color': '#FFFFFF',
+    'circle-radius': ['step', ['get', 'point_count'], 16, 10, 22, 50, 30],
+  },
+};
+
+const clusterCountLayer = {
+  id: 'cluster-count',
+  type: 'symbol',
+  filter: ['has', 'point_count'],
+  layout: {
+    'text-field': '{point_count_abbreviated}',
+    'text-size': 12,
+  },
+  paint: {
+    'text-color': '#FFFFFF',
+  },
+};
+
+const issuePointLayer = {
+  id: 'issue-point',
+  type: 'circle',
+  filter: ['!', ['has', 'point_count']],
+  paint: {
+    'circle-color': statusColorExpression,
+    'circle-radius': 8,
+    'circle-stroke-width': 2,
+    'circle-stroke-color': '#FFFFFF',
+  },
+};
+
+/**
+ * Convert map bounds to the "west,south,east,north" box the API accepts.
+ * MapLibre reports longitudes beyond ±180 when zoomed out or panned across
+ * the antimeridian, so they are wrapped; a box that crosses it has west > east.
+ * @param {Object} bounds - MapLibre LngLatBounds
+ * @returns {string} Bounding box
+ */
+const boundsToBbox = (bounds) => {
+  // Wider than the world, so everything is in view
+  const wholeWorld = bounds.getEast() - bounds.getWest() >= 360;
+
+  return [
+    wholeWorld ? -180 : bounds.getSouthWest().wrap().lng,
+    Math.max(bounds.getSouth(), -90),
+    wholeWorld ? 180 : bounds.getNorthEast().wrap().lng,
+    Math.min(bounds.getNorth(), 90),
+  ].map(value => value.toFixed(6)).join(',');
+};
+
+/**
+ * IssueMap component for showing issues as clustered markers
+ *
+ * @param {Object} props
+ * @param {Array} props.issues - Issues to show; those without coordinates are skipped
+ * @param {Object} props.initialViewState - Initial latitude, longitude and zoom
+ * @param {Function} props.onBoundsChange - Called with "west,south,east,north" after the map moves
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const IssueMap = ({ issues = [], initialViewState = DEFAULT_VIEW_STATE, onBoundsChange, className = '' }) => {
+  const mapRef = useRef(null);
+  const [selectedIssue, setSelectedIssue] = useState(null);
+
+  const geoJson = useMemo(() => issuesToGeoJson(issues), [issues]);
+
+  const reportBounds = () => {
+    if (!onBoundsChange || !mapRef.current) return;
+    onBoundsChange(boundsToBbox(mapRef.current.getBounds()));
+  };
+
+  const handleClick = (event) => {
+    const feature = event.features && event.features[0];
+    if (!feature) {
+      setSelectedIssue(null);
+      return;
+    }
+
+    // Zoom into clusters, open a popup for single issues
+    if (feature.properties.cluster) {
+      const source = mapRef.current.getSource('issues');
+      source.getClusterExpansionZoom(feature.properties.cluster_id, (error, zoom) => {
+        if (error) return;
+        mapRef.current.easeTo({
+          center: feature.geometry.coordinates,
+          zoom,
+        });
+      });
+      return;
+    }
+
+    setSelectedIssue({
+      ...feature.properties,
+      longitude: feature.geometry.coordinates[0],
+      latitude: feature.geometry.coordinates[1],
+    });
+  };
+
+  return (
+    <div className={`rounded-lg overflow-hidden border border-gray-200 ${className}`}>
+      <Map
+        ref={mapRef}
+        initialViewState={initialViewState}
+        mapStyle={MAP_STYLE}
+        interactiveLayerIds={[clusterLayer.id, issuePointLayer.id]}
+        onClick={handleClick}
+        onLoad={reportBounds}
+        onMoveEnd={reportBounds}
+        style={{ width: '100%', height: '100%' }}
+      >
+        <NavigationControl position="top-right" />
+
+        <Source
+          id="issues"
+          type="geojson"
+          data={geoJson}
+          cluster={true}
+          clusterMaxZoom={15}
+          clusterRadius={50}
+        >
+          <Layer {...clusterLayer} />
+          {MAP_HAS_GLYPHS && <Layer {...clusterCountLayer} />}
+          <Layer {...issuePointLayer} />
+        </Source>
+
+        {selectedIssue && (
+          <Popup
+            longitude={selectedIssue.longitude}
+            latitude={selectedIssue.latitude}
+            anchor="bottom"
+            offset={12}
+            onClose={() => setSelectedIssue(null)}
+            closeOnClick={false}
+          >
+            <div className="max-w-xs">
+              <span
+                className="inline-block w-2 h-2 rounded-full mr-1"
+                style={{ backgroundColor: STATUS_MARKER_COLORS[selectedIssue.status] }}
+              ></span>
+              <span className="text-xs text-gray-500">{selectedIssue.status.replace('_', ' ')}</span>
+              <h3 className="font-semibold text-gray-900 mt-1">{selectedIssue.title}</h3>
+              <p className="text-xs text-gray-500 mb-2">{selectedIssue.location}</p>
+              <Link href={`/issues/${selectedIssue.id}`} className="text-sm text-primary-600 hover:text-primary-700">
+                View details
+              </Link>
+            </div>
+          </Popup>
+        )}
+      </Map>
+    </div>
+  );
+};
+
+export default IssueMap;
@@ -4,6 +4,7 @@ import { Bars3Icon, XMarkIcon } from '@heroicons/react/24/outline';
 import Link from 'next/link';
 import { useRouter } from 'next/router';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 
 function classNames(...classes) {
   return classes.filter(Boolean).join(' ');
@@ -11,11 +12,12 @@ function classNames(...classes) {
 
 export default function Layout({ children }) {
   const router = useRouter();
-  const { user, logout } = useAuth();
+  const { user, logout, resendVerification } = useAuth();
 
   const navigation = [
     { name: 'Home', href: '/' },
     { name: 'Issues', href: '/issues' },
+    { name: 'Map', href: '/issues/map' },
     { name: 'Report', href: '/issues/report' },
     { name: 'About', href: '/about' },
   ];
@@ -51,6 +53,7 @@ export default function Layout({ children }) {
                   </div>
                 </div>
                 <div className="hidden sm:ml-6 sm:flex sm:items-center">
+                  {user && <NotificationBell />}
                   {user ? (
                     <Menu as="div" className="relative ml-3">
                       <div>
@@ -87,7 +90,7 @@ export default function Layout({ children }) {
                           <Menu.Item>
                             {({ active }) => (
                               <Link
-                                href="/issues/my-issues"
+                                href="/my-issues"
                                 className={classNames(
                                   active ? 'bg-gray-100' : '',
                                   'block px-4 py-2 text-sm text-gray-700'
@@ -97,6 +100,19 @@ export default function Layout({ children }) {
                               </Link>
                             )}
                           </Menu.Item>
+                          <Menu.Item>
+                            {({ active }) => (
+                              <Link
+                                href="/my-issues?tab=following"
+                                className={classNames(
+                                  active ? 'bg-gray-100' : '',
+                                  'block px-4 py-2 text-sm text-gray-700'
+                                )}
+                              >
+                                Following
+                              </Link>
+                            )}
+                          </Menu.Item>
                           <Menu.Item>
                             {({ active }) => (
                               <Link
@@ -159,6 +175,7 @@ export default function Layout({ children }) {
                   )}
                 </div>
                 <div className="-mr-2 flex items-center sm:hidden">
+                  {user && <NotificationBell />}
                   <Disclosure.Button className="inline-flex items-center justify-center rounded-md p-2 text-gray-400 hover:bg-gray-100 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-inset focus:ring-primary-500">
                     <span className="sr-only">Open main menu</span>
                     {open ? (
@@ -213,11 +230,18 @@ export default function Layout({ children }) {
                       </Disclosure.Button>
                       <Disclosure.Button
                         as="a"
-                        href="/issues/my-issues"
+                        href="/my-issues"
                         className="block px-4 py-2 text-base font-medium text-gray-500 hover:bg-gray-100 hover:text-gray-800"
                       >
                         My Issues
                       </Disclosure.Button>
+                      <Disclosure.Button
+                        as="a"
+                        href="/my-issues?tab=following"
+                        className="block px-4 py-2 text-base font-medium text-gray-500 hover:bg-gray-100 hover:text-gray-800"
+                      >
+                        Following
+                      </Disclosure.Button>
                       <Disclosure.Button
                         as="a"
                         href="/settings"
@@ -267,6 +291,22 @@ export default function Layout({ children }) {
         )}
       </Disclosure>
 
+      {/* emailVerifiedAt is only known once the profile has loaded */}
+      {user && user.emailVerifiedAt === null && (
+        <div className="bg-yellow-50 border-b border-yellow-200">
+          <div className="container mx-auto px-4 py-3 text-sm text-yellow-800 flex flex-wrap items-center justify-between gap-2">
+            <span>Please verify your email address to report issues and comment. Check your inbox for the link.</span>
+            <button
+              type="button"
+              className="font-medium underline hover:text-yellow-900"
+              onClick={() => resendVerification().catch(() => {})}
+            >
+              Resend verification email
+            </button>
+          </div>
+        </div>
+      )}
+
       <main className="flex-grow">{children}</main>
 
       <footer className="bg-gray-800 text-white py-8">
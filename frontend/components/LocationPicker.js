@@ -0,0 +1,64 @@
+import React, { useEffect, useRef } from 'react';
+import Map, { Marker, NavigationControl } from 'react-map-gl/maplibre';
+import 'maplibre-gl/dist/maplibre-gl.css';
+import { MapPinIcon } from '@heroicons/react/24/solid';
+import { MAP_STYLE, DEFAULT_VIEW_STATE } from '../utils/map';
+
+// Zoom level used once a point has been chosen
+const PICKED_ZOOM = 16;
+
+/**
+ * LocationPicker component for choosing a point on a map
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Selected { latitude, longitude }, or null
+ * @param {Function} props.onChange - Called with { latitude, longitude } when the point changes
+ * @param {string} props.className - Additional CSS classes for the container
+ */
+const LocationPicker = ({ value = null, onChange, className = 'h-64' }) => {
+  const mapRef = useRef(null);
+
+  // Follow points set from outside the map, e.g. "use my location"
+  useEffect(() => {
+    if (!value || !mapRef.current) return;
+    mapRef.current.flyTo({
+      center: [value.longitude, value.latitude],
+      zoom: Math.max(mapRef.current.getZoom(), PICKED_ZOOM),
+    });
+  }, [value?.latitude, value?.longitude]);
+
+  const handleChange = (lngLat) => {
+    if (onChange) {
+      onChange({ latitude: lngLat.lat, longitude: lngLat.lng });
+    }
+  };
+
+  return (
+    <div className={`rounded-md overflow-hidden border border-gray-300 dark:border-gray-600 ${className}`}>
+      <Map
+        ref={mapRef}
+        initialViewState={value ? { ...value, zoom: PICKED_ZOOM } : DEFAULT_VIEW_STATE}
+        mapStyle={MAP_STYLE}
+        onClick={(event) => handleChange(event.lngLat)}
+        cursor="crosshair"
+        style={{ width: '100%', height: '100%' }}
+      >
+        <NavigationControl position="top-right" showCompass={false} />
+
+        {value && (
+          <Marker
+            longitude={value.longitude}
+            latitude={value.latitude}
+            anchor="bottom"
+            draggable
+            onDragEnd={(event) => handleChange(event.lngLat)}
+          >
+            <MapPinIcon className="h-8 w-8 text-red-600 drop-shadow" />
+          </Marker>
+        )}
+      </Map>
+    </div>
+  );
+};
+
+export default LocationPicker;
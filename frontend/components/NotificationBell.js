@@ -0,0 +1,98 @@
+import { Fragment } from 'react';
+import { Menu, Transition } from '@headlessui/react';
+import { BellIcon } from '@heroicons/react/24/outline';
+import { useRouter } from 'next/router';
+import { useNotifications } from '../context/NotificationContext';
+import { getRelativeTime } from '../utils/helpers';
+
+// Most recent notifications listed in the menu
+const MENU_SIZE = 8;
+
+function classNames(...classes) {
+  return classes.filter(Boolean).join(' ');
+}
+
+/**
+ * Bell in the navigation bar with the unread count and the latest
+ * notifications, updated live while the event stream is connected
+ */
+export default function NotificationBell() {
+  const router = useRouter();
+  const { notifications, unreadCount, markAsRead, markAllAsRead } = useNotifications();
+
+  const handleOpen = (notification) => {
+    if (!notification.read) {
+      markAsRead(notification.id);
+    }
+    if (notification.issueId) {
+      router.push(`/issues/${notification.issueId}`);
+    }
+  };
+
+  return (
+    <Menu as="div" className="relative">
+      <Menu.Button className="relative rounded-full bg-white p-1 text-gray-400 hover:text-gray-500 focus:outline-none focus:ring-2 focus:ring-primary-500 focus:ring-offset-2">
+        <span className="sr-only">View notifications</span>
+        <BellIcon className="h-6 w-6" aria-hidden="true" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 flex h-5 min-w-[1.25rem] items-center justify-center rounded-full bg-red-600 px-1 text-xs font-medium text-white">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </Menu.Button>
+      <Transition
+        as={Fragment}
+        enter="transition ease-out duration-200"
+        enterFrom="transform opacity-0 scale-95"
+        enterTo="transform opacity-100 scale-100"
+        leave="transition ease-in duration-75"
+        leaveFrom="transform opacity-100 scale-100"
+        leaveTo="transform opacity-0 scale-95"
+      >
+        <Menu.Items className="absolute right-0 z-10 mt-2 w-80 origin-top-right rounded-md bg-white shadow-lg ring-1 ring-black ring-opacity-5 focus:outline-none">
+          <div className="flex items-center justify-between border-b border-gray-200 px-4 py-2">
+            <span className="text-sm font-medium text-gray-900">Notifications</span>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllAsRead}
+                className="text-xs font-medium text-primary-600 hover:text-primary-800"
+              >
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="px-4 py-6 text-center text-sm text-gray-500">No notifications yet.</p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto py-1">
+              {notifications.slice(0, MENU_SIZE).map((notification) => (
+                <Menu.Item key={notification.id}>
+                  {({ active }) => (
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className={classNames(
+                        active ? 'bg-gray-100' : '',
+                        'block w-full text-left px-4 py-2'
+                      )}
+                    >
+                      <div className="flex items-start">
+                        {!notification.read && (
+                          <span className="mt-1.5 mr-2 h-2 w-2 flex-shrink-0 rounded-full bg-primary-600" aria-hidden="true" />
+                        )}
+                        <div className={notification.read ? 'ml-4' : ''}>
+                          <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                          <p className="text-sm text-gray-600">{notification.message}</p>
+                          <p className="mt-1 text-xs text-gray-400">{getRelativeTime(notification.createdAt)}</p>
+                        </div>
+                      </div>
+                    </button>
+                  )}
+                </Menu.Item>
+              ))}
+            </div>
+          )}
+        </Menu.Items>
+      </Transition>
+    </Menu>
+  );
+}
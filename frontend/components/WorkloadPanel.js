@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import Link from 'next/link';
+import { toast } from 'react-hot-toast';
+import { ChevronDownIcon, ChevronRightIcon } from '@heroicons/react/24/outline';
+import { formatStatus } from '../utils/helpers';
+
+/**
+ * WorkloadPanel component showing open issues per official and per department,
+ * with reassignment of each official's open issues
+ *
+ * @param {Object} props
+ * @param {Function} props.getAuthHeader - Returns the Authorization header for API requests
+ */
+const WorkloadPanel = ({ getAuthHeader }) => {
+  const [workload, setWorkload] = useState({ officials: [], departments: [] });
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(null);
+  const [reassigning, setReassigning] = useState(null);
+
+  useEffect(() => {
+    fetchWorkload();
+  }, []);
+
+  const fetchWorkload = async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/workload`, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch workload');
+      }
+
+      const data = await response.json();
+      setWorkload(data.data);
+    } catch (error) {
+      toast.error('Error fetching workload');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReassign = async (issueId, assigneeId) => {
+    setReassigning(issueId);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${issueId}/assign`, {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ assigneeId: assigneeId || null }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to reassign issue');
+      }
+
+      const assignee = data.data.issue.assignee;
+      toast.success(assignee ? `Issue reassigned to ${assignee.name}` : 'Issue unassigned');
+      await fetchWorkload();
+    } catch (error) {
+      toast.error(error.message || 'Error reassigning issue');
+      console.error(error);
+    } finally {
+      setReassigning(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Open Issues by Department</h3>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Department
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Open
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Unassigned
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {workload.departments.map((department) => (
+                <tr key={department.id || 'none'}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                    {department.name || <span className="italic text-gray-500">No department</span>}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {department.openIssues}
+                  </td>
+                  <td className={`px-6 py-4 whitespace-nowrap text-sm ${department.unassignedIssues > 0 ? 'text-yellow-700 font-medium' : 'text-gray-500'}`}>
+                    {department.unassignedIssues}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Open Issues by Official</h3>
+        {workload.officials.length === 0 ? (
+          <p className="text-sm text-gray-500">No officials yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+            {workload.officials.map((official) => (
+              <li key={official.id}>
+                <button
+                  onClick={() => setExpanded(expanded === official.id ? null : official.id)}
+                  disabled={official.openIssues === 0}
+                  className="w-full flex items-center justify-between px-4 py-3 text-left hover:bg-gray-50 disabled:hover:bg-white disabled:cursor-default"
+                >
+                  <span className="flex items-center">
+                    {official.openIssues > 0 && (expanded === official.id
+                      ? <ChevronDownIcon className="h-4 w-4 mr-2 text-gray-400" />
+                      : <ChevronRightIcon className="h-4 w-4 mr-2 text-gray-400" />)}
+                    <span className="text-sm font-medium text-gray-900">{official.name}</span>
+                    <span className="ml-2 text-sm text-gray-500">
+                      {official.department ? official.department.name : official.role === 'ADMIN' ? 'Admin' : 'No department'}
+                    </span>
+                  </span>
+                  <span className="text-sm text-gray-700">
+                    {official.openIssues} open
+                  </span>
+                </button>
+                {expanded === official.id && (
+                  <ul className="bg-gray-50 divide-y divide-gray-200">
+                    {official.issues.map((issue) => (
+                      <li key={issue.id} className="px-4 py-2 pl-10 flex items-center justify-between text-sm">
+                        <span>
+                          <Link href={`/issues/${issue.id}`} className="text-primary-600 hover:text-primary-900">
+                            {issue.title}
+                          </Link>
+                          <span className="ml-2 text-gray-500">{formatStatus(issue.status)}</span>
+                        </span>
+                        <select
+                          value={official.id}
+                          onChange={(e) => handleReassign(issue.id, e.target.value)}
+                          disabled={reassigning === issue.id}
+                          className="input py-1 text-sm"
+                          aria-label={`Reassign ${issue.title}`}
+                        >
+                          <option value="">Unassigned</option>
+                          {workload.officials.map((member) => (
+                            <option key={member.id} value={member.id}>
+                              {member.name} ({member.openIssues})
+                            </option>
+                          ))}
+                        </select>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WorkloadPanel;
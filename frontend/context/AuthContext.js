@@ -1,12 +1,25 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import { api } from '../services/api';
-import { setToken, removeToken, getToken, isAuthenticated, getUser } from '../utils/auth';
+import {
+  setToken,
+  setRefreshToken,
+  getRefreshToken,
+  removeToken,
+  getTokenExpiry,
+  refreshToken,
+  isAuthenticated,
+  getCurrentUser as getUser,
+} from '../utils/auth';
 import { useToast } from '../components/Toast';
 
 // Create the auth context
 const AuthContext = createContext();
 
+// Access tokens are short-lived, so they are refreshed shortly before they expire
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+const TOKEN_REFRESH_RETRY_MS = 30 * 1000;
+
 /**
  * AuthProvider component for managing authentication state
  * 
@@ -27,6 +40,18 @@ export const AuthProvider = ({ children }) => {
           // Get user data from token
           const userData = getUser();
           setUser(userData);
+
+          // The access token may have expired since the last visit
+          if (getTokenExpiry() <= Date.now()) {
+            try {
+              await refreshToken();
+            } catch (error) {
+              if (error.status === 401) {
+                logout();
+                return;
+              }
+            }
+          }
           
           // Optionally verify token with backend
           try {
@@ -49,6 +74,31 @@ export const AuthProvider = ({ children }) => {
     initAuth();
   }, []);
 
+  // Keep the access token fresh while logged in
+  useEffect(() => {
+    if (!user) return undefined;
+
+    let timer;
+    const scheduleRefresh = (delay) => {
+      timer = setTimeout(async () => {
+        try {
+          await refreshToken();
+          scheduleRefresh(Math.max(getTokenExpiry() - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0));
+        } catch (error) {
+          if (error.status === 401) {
+            // The session was revoked or has expired
+            logout();
+          } else {
+            scheduleRefresh(TOKEN_REFRESH_RETRY_MS);
+          }
+        }
+      }, delay);
+    };
+
+    scheduleRefresh(Math.max(getTokenExpiry() - Date.now() - TOKEN_REFRESH_MARGIN_MS, 0));
+    return () => clearTimeout(timer);
+  }, [user?.id]);
+
   /**
    * Register a new user
    * 
@@ -62,6 +112,7 @@ export const AuthProvider = ({ children }) => {
       
       // Set token and user data
       setToken(response.data.token);
+      setRefreshToken(response.data.refreshToken);
       setUser(response.data.user);
       
       toast.success('Registration successful!');
@@ -88,6 +139,7 @@ export const AuthProvider = ({ children }) => {
       
       // Set token and user data
       setToken(response.data.token);
+      setRefreshToken(response.data.refreshToken);
       setUser(response.data.user);
       
       toast.success('Login successful!');
@@ -105,6 +157,12 @@ export const AuthProvider = ({ children }) => {
    * Log out the current user
    */
   const logout = () => {
+    const currentRefreshToken = getRefreshToken();
+    if (currentRefreshToken) {
+      // End the session on the server too; the local tokens are removed either way
+      api.post('/auth/logout', { refreshToken: currentRefreshToken }).catch(() => {});
+    }
+
     removeToken();
     setUser(null);
     router.push('/login');
@@ -154,6 +212,94 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Delete the current user's account and log out
+   * 
+   * @param {Object} confirmData - Current password and the email typed as confirmation
+   * @returns {Promise} - Promise resolving to the deletion result
+   */
+  const deleteAccount = async (confirmData) => {
+    try {
+      setLoading(true);
+      const response = await api.delete('/users/me', { data: confirmData });
+      removeToken();
+      setUser(null);
+      router.push('/');
+      toast.success('Your account has been deleted.');
+      return response.data;
+    } catch (error) {
+      const message = error.message || 'Failed to delete account. Please try again.';
+      toast.error(message);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Verify the user's email address with the token from a verification link
+   * 
+   * @param {string} token - Token from the verification link
+   * @returns {Promise} - Promise resolving to the verification result
+   */
+  const verifyEmail = async (token) => {
+    try {
+      const response = await api.post('/auth/verify-email', { token });
+      // The link may be opened while logged in to the verified account
+      setUser(prev => (prev ? { ...prev, emailVerifiedAt: new Date().toISOString() } : prev));
+      toast.success('Email address verified!');
+      return response.data;
+    } catch (error) {
+      const message = error.message || 'Failed to verify email address. Please try again.';
+      toast.error(message);
+      throw error;
+    }
+  };
+
+  /**
+   * Send a new verification link to the current user
+   * 
+   * @returns {Promise} - Promise resolving to the resend result
+   */
+  const resendVerification = async () => {
+    try {
+      const response = await api.post('/auth/resend-verification');
+      toast.success('Verification email sent!');
+      return response.data;
+    } catch (error) {
+      const message = error.message || 'Failed to send verification email. Please try again.';
+      toast.error(message);
+      throw error;
+    }
+  };
+
+  /**
+   * Accept an official invite and log in as the official
+   * 
+   * @param {Object} inviteData - Invite token, password and, for new accounts, name
+   * @returns {Promise} - Promise resolving to the accepted invite result
+   */
+  const acceptInvite = async (inviteData) => {
+    try {
+      setLoading(true);
+      const response = await api.post('/auth/invites/accept', inviteData);
+      
+      // Set token and user data
+      setToken(response.data.token);
+      setRefreshToken(response.data.refreshToken);
+      setUser(response.data.user);
+      
+      toast.success('Invite accepted! Welcome aboard.');
+      return response.data;
+    } catch (error) {
+      const message = error.message || 'Failed to accept invite. Please try again.';
+      toast.error(message);
+      throw error;
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Request a password reset for a user
    * 
@@ -213,6 +359,10 @@ export const AuthProvider = ({ children }) => {
         logout,
         updateProfile,
         changePassword,
+        deleteAccount,
+        verifyEmail,
+        resendVerification,
+        acceptInvite,
         requestPasswordReset,
         resetPassword,
       }}
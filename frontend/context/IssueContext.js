@@ -2,6 +2,7 @@ import React, { createContext, useState, useContext, useEffect, useCallback } fr
 import { api } from '../services/api';
 import { useToast } from '../components/Toast';
 import { useAuth } from './AuthContext';
+import { useRealtimeEvent, REALTIME_EVENTS } from './RealtimeContext';
 
 // Create the issue context
 const IssueContext = createContext();
@@ -181,6 +182,7 @@ export const IssueProvider = ({ children }) => {
 
   /**
    * Vote on an issue
+   * voteType is 'upvote', 'downvote' or 'retract'
    */
   const voteIssue = async (id, voteType = 'upvote') => {
     try {
@@ -188,21 +190,23 @@ export const IssueProvider = ({ children }) => {
       setError(null);
       
       const response = await api.post(`/issues/${id}/vote`, { type: voteType });
+      const { upvotes, downvotes, userVote } = response.data.issue;
+      const applyVote = (issue) => ({ ...issue, upvotes, downvotes, userVote });
       
       // Update current issue if it's the one being voted on
       if (currentIssue && currentIssue.id === id) {
-        setCurrentIssue(response.data);
+        setCurrentIssue(applyVote(currentIssue));
       }
       
       // Update in issues list
       setIssues(prevIssues => 
         prevIssues.map(issue => 
-          issue.id === id ? response.data : issue
+          issue.id === id ? applyVote(issue) : issue
         )
       );
       
       toast.success(`Vote recorded successfully!`);
-      return response.data;
+      return response.data.issue;
     } catch (error) {
       setError(error.message || `Failed to vote on issue #${id}`);
       toast.error('Failed to record vote. Please try again.');
@@ -212,6 +216,19 @@ export const IssueProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Add a comment to the current issue if it's the one commented on, unless
+   * the live stream already delivered it
+   */
+  const addToCurrentIssue = (issueId, comment) => {
+    setCurrentIssue(prevIssue => {
+      if (!prevIssue || prevIssue.id !== issueId || !prevIssue.comments) return prevIssue;
+      if (prevIssue.comments.some(existing => existing.id === comment.id)) return prevIssue;
+      
+      return { ...prevIssue, comments: [...prevIssue.comments, comment] };
+    });
+  };
+
   /**
    * Add a comment to an issue
    */
@@ -223,12 +240,7 @@ export const IssueProvider = ({ children }) => {
       const response = await api.post(`/issues/${issueId}/comments`, commentData);
       
       // Update current issue if it's the one being commented on
-      if (currentIssue && currentIssue.id === issueId) {
-        setCurrentIssue({
-          ...currentIssue,
-          comments: [...currentIssue.comments, response.data],
-        });
-      }
+      addToCurrentIssue(issueId, response.data.comment);
       
       toast.success('Comment added successfully!');
       return response.data;
@@ -308,29 +320,31 @@ export const IssueProvider = ({ children }) => {
   };
 
   /**
-   * Change the status of an issue
+   * Change the status of an issue (officials and admins only)
+   * A note is required when rejecting, resolving or reopening
    */
-  const changeIssueStatus = async (id, status) => {
+  const changeIssueStatus = async (id, status, note) => {
     try {
       setLoading(true);
       setError(null);
       
-      const response = await api.put(`/issues/${id}/status`, { status });
+      const response = await api.put(`/issues/${id}/status`, { status, note });
+      const updatedIssue = response.data.issue;
       
-      // Update current issue if it's the one being updated
+      // Update current issue if it's the one being updated, keeping its loaded comments
       if (currentIssue && currentIssue.id === id) {
-        setCurrentIssue(response.data);
+        setCurrentIssue({ ...currentIssue, ...updatedIssue });
       }
       
       // Update in issues list
       setIssues(prevIssues => 
         prevIssues.map(issue => 
-          issue.id === id ? response.data : issue
+          issue.id === id ? updatedIssue : issue
         )
       );
       
       toast.success(`Issue status updated to ${status}!`);
-      return response.data;
+      return updatedIssue;
     } catch (error) {
       setError(error.message || `Failed to update issue status`);
       toast.error('Failed to update issue status. Please try again.');
@@ -341,15 +355,20 @@ export const IssueProvider = ({ children }) => {
   };
 
   /**
-   * Get issue statistics
+   * Get issue statistics, optionally filtered by from, to, category and interval
    */
-  const getIssueStats = async () => {
+  const getIssueStats = async (statsFilters = {}) => {
     try {
       setLoading(true);
       setError(null);
       
-      const response = await api.get('/issues/stats');
-      return response.data;
+      const queryParams = new URLSearchParams();
+      Object.entries(statsFilters).forEach(([key, value]) => {
+        if (value) queryParams.append(key, value);
+      });
+      
+      const response = await api.get(`/issues/stats?${queryParams.toString()}`);
+      return response.data.stats;
     } catch (error) {
       setError(error.message || 'Failed to fetch issue statistics');
       toast.error('Failed to load issue statistics. Please try again.');
@@ -359,6 +378,19 @@ export const IssueProvider = ({ children }) => {
     }
   };
 
+  // Apply status changes pushed over the live stream
+  useRealtimeEvent(REALTIME_EVENTS.ISSUE_STATUS, ({ issueId, newStatus }) => {
+    const applyStatus = (issue) => (issue.id === issueId ? { ...issue, status: newStatus } : issue);
+    
+    setIssues(prevIssues => prevIssues.map(applyStatus));
+    setCurrentIssue(prevIssue => (prevIssue ? applyStatus(prevIssue) : prevIssue));
+  });
+
+  // Add comments pushed over the live stream to the current issue
+  useRealtimeEvent(REALTIME_EVENTS.COMMENT_CREATED, ({ issueId, comment }) => {
+    addToCurrentIssue(issueId, comment);
+  });
+
   // Load issues on initial render
   useEffect(() => {
     fetchIssues(1, 10);
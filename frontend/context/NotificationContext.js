@@ -2,6 +2,7 @@ import React, { createContext, useState, useContext, useEffect, useCallback } fr
 import { api } from '../services/api';
 import { useAuth } from './AuthContext';
 import { useToast } from '../components/Toast';
+import { useRealtime, useRealtimeEvent, REALTIME_EVENTS } from './RealtimeContext';
 
 // Create the notification context
 const NotificationContext = createContext();
@@ -19,6 +20,7 @@ export const NotificationProvider = ({ children }) => {
   const [error, setError] = useState(null);
   
   const { user, isAuthenticated } = useAuth();
+  const { connected } = useRealtime();
   const toast = useToast();
 
   /**
@@ -168,44 +170,39 @@ export const NotificationProvider = ({ children }) => {
     }
   };
 
-  // Set up polling for new notifications
+  // Poll for new notifications while the live stream is unavailable
   useEffect(() => {
     if (!isAuthenticated) return;
     
-    // Initial fetch
+    // Initial fetch, which also catches up on anything missed while disconnected
     fetchNotifications();
     
+    if (connected) return;
+    
     // Set up polling interval (every 2 minutes)
     const intervalId = setInterval(() => {
       fetchNotifications();
     }, 2 * 60 * 1000);
     
     return () => clearInterval(intervalId);
-  }, [isAuthenticated, fetchNotifications]);
+  }, [isAuthenticated, connected, fetchNotifications]);
 
-  // Handle WebSocket notifications if implemented
-  useEffect(() => {
-    if (!isAuthenticated) return;
+  // Add notifications pushed over the live stream
+  useRealtimeEvent(REALTIME_EVENTS.NOTIFICATION, ({ notification, alert }) => {
+    // A fetch may already have picked it up
+    if (notifications.some(existing => existing.id === notification.id)) return;
     
-    // This is a placeholder for WebSocket implementation
-    // When a new notification arrives via WebSocket:
-    const handleNewNotification = (newNotification) => {
-      setNotifications(prev => [newNotification, ...prev]);
-      setUnreadCount(prev => prev + 1);
-      
-      // Show toast for new notification
-      toast.info(newNotification.message, {
-        title: 'New Notification',
-        duration: 5000,
-        onClick: () => markAsRead(newNotification.id)
-      });
-    };
+    setNotifications(prev => [notification, ...prev]);
+    setUnreadCount(prev => prev + 1);
     
-    // Clean up function would disconnect from WebSocket
-    return () => {
-      // Disconnect from WebSocket
-    };
-  }, [isAuthenticated, toast]);
+    toast.info(`${notification.title}: ${notification.message}`);
+    
+    // Users who turned on push notifications also get a browser alert while
+    // the page is in the background; the tag keeps open tabs from repeating it
+    if (alert && document.hidden && window.Notification && Notification.permission === 'granted') {
+      new Notification(notification.title, { body: notification.message, tag: notification.id });
+    }
+  });
 
   return (
     <NotificationContext.Provider
@@ -0,0 +1,166 @@
+import React, { createContext, useState, useContext, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { getAuthHeader, getTokenExpiry, refreshToken } from '../utils/auth';
+
+// Create the realtime context
+const RealtimeContext = createContext();
+
+/**
+ * Event types sent by the API's event stream
+ */
+export const REALTIME_EVENTS = {
+  NOTIFICATION: 'notification',
+  ISSUE_STATUS: 'issue.status',
+  COMMENT_CREATED: 'comment.created',
+};
+
+// Reconnect delays double after each failure, up to the maximum
+const RECONNECT_DELAY_MS = 3 * 1000;
+const MAX_RECONNECT_DELAY_MS = 60 * 1000;
+
+// Tokens this close to expiring are refreshed before connecting
+const TOKEN_EXPIRY_MARGIN_MS = 30 * 1000;
+
+/**
+ * RealtimeProvider component keeping one event stream open to the API while
+ * a user is logged in. Consumers keep polling while `connected` is false,
+ * e.g. when the stream is down or the browser has no EventSource.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export const RealtimeProvider = ({ children }) => {
+  const [connected, setConnected] = useState(false);
+  const handlers = useRef({});
+
+  const { isAuthenticated } = useAuth();
+
+  /**
+   * Listen for events of one type
+   * @returns {Function} Stops listening
+   */
+  const subscribe = useCallback((type, handler) => {
+    if (!handlers.current[type]) {
+      handlers.current[type] = new Set();
+    }
+    handlers.current[type].add(handler);
+
+    return () => handlers.current[type].delete(handler);
+  }, []);
+
+  useEffect(() => {
+    if (!isAuthenticated || typeof window === 'undefined' || !window.EventSource) return;
+
+    let source = null;
+    let reconnectTimer = null;
+    let delay = RECONNECT_DELAY_MS;
+    let stopped = false;
+
+    const dispatch = (type) => (event) => {
+      try {
+        const data = JSON.parse(event.data);
+        (handlers.current[type] || []).forEach(handler => handler(data));
+      } catch (error) {
+        console.error(`Error handling ${type} event:`, error);
+      }
+    };
+
+    const scheduleReconnect = () => {
+      reconnectTimer = setTimeout(connect, delay);
+      delay = Math.min(delay * 2, MAX_RECONNECT_DELAY_MS);
+    };
+
+    const connect = async () => {
+      // The stream ends when the token expires, so always connect with a fresh one
+      if (getTokenExpiry() - Date.now() < TOKEN_EXPIRY_MARGIN_MS) {
+        try {
+          await refreshToken();
+        } catch (error) {
+          if (!stopped) scheduleReconnect();
+          return;
+        }
+      }
+
+      // EventSource cannot send the token, so the stream is opened with a single-use ticket
+      let ticket;
+      try {
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/events/ticket`, {
+          method: 'POST',
+          headers: {
+            ...getAuthHeader(),
+          },
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to get an event stream ticket');
+        }
+
+        const data = await response.json();
+        ticket = data.data.ticket;
+      } catch (error) {
+        if (!stopped) scheduleReconnect();
+        return;
+      }
+
+      if (stopped) return;
+
+      source = new EventSource(`${process.env.NEXT_PUBLIC_API_URL}/api/events?ticket=${encodeURIComponent(ticket)}`);
+
+      source.onopen = () => {
+        delay = RECONNECT_DELAY_MS;
+        setConnected(true);
+      };
+
+      // The browser would retry with the same, already used, ticket
+      source.onerror = () => {
+        source.close();
+        setConnected(false);
+        if (!stopped) scheduleReconnect();
+      };
+
+      Object.values(REALTIME_EVENTS).forEach(type => {
+        source.addEventListener(type, dispatch(type));
+      });
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(reconnectTimer);
+      if (source) source.close();
+      setConnected(false);
+    };
+  }, [isAuthenticated]);
+
+  return (
+    <RealtimeContext.Provider value={{ connected, subscribe }}>
+      {children}
+    </RealtimeContext.Provider>
+  );
+};
+
+/**
+ * Hook for using realtime context
+ * @returns {Object} Realtime context value: connected, subscribe
+ */
+export const useRealtime = () => {
+  const context = useContext(RealtimeContext);
+  if (!context) {
+    throw new Error('useRealtime must be used within a RealtimeProvider');
+  }
+  return context;
+};
+
+/**
+ * Hook for handling live events of one type
+ * @param {string} type - One of REALTIME_EVENTS
+ * @param {Function} handler - Called with each event's data
+ */
+export const useRealtimeEvent = (type, handler) => {
+  const { subscribe } = useRealtime();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => subscribe(type, data => handlerRef.current(data)), [type, subscribe]);
+};
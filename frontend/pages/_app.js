@@ -2,6 +2,7 @@ import '../styles/globals.css';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from '../context/AuthContext';
 import { ThemeProvider } from '../context/ThemeContext';
+import { RealtimeProvider } from '../context/RealtimeContext';
 import { NotificationProvider } from '../context/NotificationContext';
 import Layout from '../components/Layout';
 import { useEffect } from 'react';
@@ -29,12 +30,14 @@ function MyApp({ Component, pageProps }) {
   return (
     <AuthProvider>
       <ThemeProvider>
-        <NotificationProvider>
-          <Layout>
-            <Component {...pageProps} />
-            <Toaster position="top-right" />
-          </Layout>
-        </NotificationProvider>
+        <RealtimeProvider>
+          <NotificationProvider>
+            <Layout>
+              <Component {...pageProps} />
+              <Toaster position="top-right" />
+            </Layout>
+          </NotificationProvider>
+        </RealtimeProvider>
       </ThemeProvider>
     </AuthProvider>
   );
@@ -4,12 +4,14 @@ import { useRouter } from 'next/router';
 import Link from 'next/link';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../../context/AuthContext';
+import WorkloadPanel from '../../components/WorkloadPanel';
 import { 
   UserIcon, 
   DocumentTextIcon,
   ChartBarIcon,
   UsersIcon,
-  ClipboardDocumentListIcon
+  ClipboardDocumentListIcon,
+  ScaleIcon
 } from '@heroicons/react/24/outline';
 
 export default function AdminDashboard() {
@@ -18,6 +20,10 @@ export default function AdminDashboard() {
     totalIssues: 0,
     issuesByStatus: {},
     issuesByCategory: {},
+    issuesByPriority: {},
+    medianResolutionHours: null,
+    topUpvotedOpenIssues: [],
+    sla: null,
   });
   const [recentIssues, setRecentIssues] = useState([]);
   const [users, setUsers] = useState([]);
@@ -56,7 +62,7 @@ export default function AdminDashboard() {
       }
 
       const statsData = await statsResponse.json();
-      setStats(statsData);
+      setStats(statsData.data.stats);
 
       // Fetch recent issues
       const issuesResponse = await fetch(
@@ -129,6 +135,12 @@ export default function AdminDashboard() {
     }
   };
 
+  const formatDuration = (hours) => {
+    if (hours === null || hours === undefined) return '—';
+    if (hours < 24) return `${hours}h`;
+    return `${Math.round((hours / 24) * 10) / 10}d`;
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -154,8 +166,15 @@ export default function AdminDashboard() {
         <title>Admin Dashboard | Civic Issue Reporting System</title>
       </Head>
       <div className="container mx-auto px-4 py-8">
-        <h1 className="text-3xl font-bold text-gray-900 mb-2">Admin Dashboard</h1>
-        <p className="text-gray-600 mb-8">Manage users and monitor system activity</p>
+        <div className="flex justify-between items-start mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Admin Dashboard</h1>
+            <p className="text-gray-600">Manage users and monitor system activity</p>
+          </div>
+          <Link href="/admin/jobs" className="btn-secondary text-sm">
+            Background Jobs
+          </Link>
+        </div>
         
         <div className="bg-white rounded-lg shadow overflow-hidden mb-8">
           <div className="border-b border-gray-200">
@@ -181,6 +200,13 @@ export default function AdminDashboard() {
                 <UsersIcon className="h-5 w-5 inline-block mr-1" />
                 Users
               </button>
+              <button
+                onClick={() => setActiveTab('workload')}
+                className={`py-4 px-6 text-center border-b-2 font-medium text-sm ${activeTab === 'workload' ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+              >
+                <ScaleIcon className="h-5 w-5 inline-block mr-1" />
+                Workload
+              </button>
             </nav>
           </div>
           
@@ -281,6 +307,93 @@ export default function AdminDashboard() {
                       ))}
                     </div>
                   </div>
+                  
+                  <div className="bg-white p-6 rounded-lg border border-gray-200 shadow-sm">
+                    <h3 className="text-lg font-medium text-gray-900 mb-4">Issues by Priority</h3>
+                    <div className="space-y-4">
+                      {Object.entries(stats.issuesByPriority || {}).map(([priority, count]) => (
+                        <div key={priority} className="flex items-center">
+                          <div className="w-full bg-gray-200 rounded-full h-2.5">
+                            <div 
+                              className="h-2.5 rounded-full bg-primary-600" 
+                              style={{ width: `${(count / stats.totalIssues) * 100}%` }}
+                            ></div>
+                          </div>
+                          <span className="ml-4 text-sm font-medium text-gray-700 min-w-[100px] text-right">
+                            {priority}: {count}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="mt-6 text-sm text-gray-600">
+                      Median time to resolution:{' '}
+                      <span className="font-semibold text-gray-900">{formatDuration(stats.medianResolutionHours)}</span>
+                    </p>
+                  </div>
+                  
+                  <div className="bg-white p-6 rounded-lg border border-gray-200 shadow-sm">
+                    <h3 className="text-lg font-medium text-gray-900 mb-4">Top Upvoted Open Issues</h3>
+                    {(stats.topUpvotedOpenIssues || []).length === 0 ? (
+                      <p className="text-sm text-gray-500">No open issues</p>
+                    ) : (
+                      <ul className="divide-y divide-gray-200">
+                        {stats.topUpvotedOpenIssues.map((issue) => (
+                          <li key={issue.id} className="py-2 flex justify-between items-center">
+                            <Link href={`/issues/${issue.id}`} className="text-sm text-primary-600 hover:text-primary-700 truncate mr-4">
+                              {issue.title}
+                            </Link>
+                            <span className="text-sm font-medium text-gray-700">{issue.upvotes} upvotes</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                  
+                  {stats.sla && (
+                    <div className="bg-white p-6 rounded-lg border border-gray-200 shadow-sm lg:col-span-2">
+                      <div className="flex justify-between items-center mb-4">
+                        <h3 className="text-lg font-medium text-gray-900">SLA Compliance</h3>
+                        <Link href="/admin/sla" className="text-sm text-primary-600 hover:text-primary-700">
+                          Edit targets
+                        </Link>
+                      </div>
+                      <div className="flex flex-wrap gap-8 mb-6">
+                        <div>
+                          <p className="text-sm font-medium text-gray-600">Resolved within target</p>
+                          <p className="text-2xl font-semibold text-gray-900">
+                            {stats.sla.percentage === null ? '—' : `${stats.sla.percentage}%`}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {stats.sla.withinTarget} of {stats.sla.resolved} resolved issues
+                          </p>
+                        </div>
+                        <div>
+                          <p className="text-sm font-medium text-gray-600">Overdue now</p>
+                          <Link
+                            href="/issues?overdue=true"
+                            className={`text-2xl font-semibold ${stats.sla.overdueIssues > 0 ? 'text-red-600 hover:text-red-700' : 'text-gray-900'}`}
+                          >
+                            {stats.sla.overdueIssues}
+                          </Link>
+                        </div>
+                      </div>
+                      <div className="space-y-4">
+                        {Object.entries(stats.sla.byCategory).map(([category, compliance]) => (
+                          <div key={category} className="flex items-center">
+                            <div className="w-full bg-gray-200 rounded-full h-2.5">
+                              <div
+                                className={`h-2.5 rounded-full ${compliance.percentage >= 80 ? 'bg-green-500' : compliance.percentage >= 50 ? 'bg-yellow-500' : 'bg-red-500'}`}
+                                style={{ width: `${compliance.percentage || 0}%` }}
+                              ></div>
+                            </div>
+                            <span className="ml-4 text-sm font-medium text-gray-700 min-w-[180px] text-right">
+                              {category.replace('_', ' ')}: {compliance.percentage}% of {compliance.resolved}
+                            </span>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -354,10 +467,22 @@ export default function AdminDashboard() {
               </div>
             )}
             
+            {activeTab === 'workload' && (
+              <WorkloadPanel getAuthHeader={getAuthHeader} />
+            )}
+            
             {activeTab === 'users' && (
               <div>
                 <div className="flex justify-between items-center mb-4">
                   <h3 className="text-lg font-medium text-gray-900">User Management</h3>
+                  <div className="flex space-x-2">
+                    <Link href="/admin/departments" className="btn-secondary text-sm">
+                      Departments
+                    </Link>
+                    <Link href="/admin/invites" className="btn-primary text-sm">
+                      Invite Officials
+                    </Link>
+                  </div>
                 </div>
                 
                 <div className="overflow-x-auto">
@@ -382,30 +507,31 @@ export default function AdminDashboard() {
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
-                      {users.map((user) => (
-                        <tr key={user.id}>
+                      {users.map((member) => (
+                        <tr key={member.id}>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
-                            {user.name}
+                            {member.name}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                            {user.email}
+                            {member.email}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                             <select
-                              value={user.role}
-                              onChange={(e) => handleRoleChange(user.id, e.target.value)}
+                              value={member.role}
+                              onChange={(e) => handleRoleChange(member.id, e.target.value)}
                               className="border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
-                              disabled={user.id === user.id} // Can't change own role
+                              disabled={member.id === user.id} // Can't change own role
                             >
-                              <option value="USER">USER</option>
+                              <option value="CITIZEN">CITIZEN</option>
+                              <option value="OFFICIAL">OFFICIAL</option>
                               <option value="ADMIN">ADMIN</option>
                             </select>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
-                            {formatDate(user.createdAt)}
+                            {formatDate(member.createdAt)}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                            <Link href={`/admin/users/${user.id}`} className="text-primary-600 hover:text-primary-900">
+                            <Link href={`/admin/users/${member.id}`} className="text-primary-600 hover:text-primary-900">
                               View Details
                             </Link>
                           </td>
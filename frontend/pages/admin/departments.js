@@ -0,0 +1,485 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import {
+  ArrowLeftIcon,
+  BuildingOfficeIcon,
+  UserGroupIcon
+} from '@heroicons/react/24/outline';
+
+const CATEGORIES = [
+  'ROADS',
+  'WATER',
+  'ELECTRICITY',
+  'SANITATION',
+  'PUBLIC_SAFETY',
+  'ENVIRONMENT',
+  'PUBLIC_PROPERTY',
+  'OTHER',
+];
+
+const emptyForm = { name: '', categories: [], wards: '', area: '', headId: '' };
+
+export default function AdminDepartments() {
+  const [departments, setDepartments] = useState([]);
+  const [officials, setOfficials] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [officialId, setOfficialId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { user, getAuthHeader, isAdmin, loading: authLoading } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!authLoading) {
+      if (!user) {
+        toast.error('You must be logged in to access this page');
+        router.push('/login');
+      } else if (!isAdmin()) {
+        toast.error('You do not have permission to access this page');
+        router.push('/');
+      } else {
+        fetchData();
+      }
+    }
+  }, [user, authLoading, isAdmin]);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [departmentsResponse, usersResponse] = await Promise.all([
+        fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments`, {
+          headers: {
+            ...getAuthHeader(),
+          },
+        }),
+        fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users`, {
+          headers: {
+            ...getAuthHeader(),
+          },
+        }),
+      ]);
+
+      if (!departmentsResponse.ok || !usersResponse.ok) {
+        throw new Error('Failed to fetch departments');
+      }
+
+      const departmentsData = await departmentsResponse.json();
+      const usersData = await usersResponse.json();
+      setDepartments(departmentsData.data.departments);
+      setOfficials(usersData.data.users.filter(member => member.role === 'OFFICIAL'));
+    } catch (error) {
+      toast.error('Error fetching departments');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const selectDepartment = async (department) => {
+    setOfficialId('');
+
+    if (!department) {
+      setSelected(null);
+      setForm(emptyForm);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments/${department.id}`, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch department');
+      }
+
+      const data = await response.json();
+      const details = data.data.department;
+      setSelected(details);
+      setForm({
+        name: details.name,
+        categories: details.categories,
+        wards: details.wards.join('\n'),
+        area: details.area ? JSON.stringify(details.area, null, 2) : '',
+        headId: details.headId || '',
+      });
+    } catch (error) {
+      toast.error('Error fetching department');
+      console.error(error);
+    }
+  };
+
+  const toggleCategory = (category) => {
+    setForm(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(item => item !== category)
+        : [...prev.categories, category],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let area = null;
+    if (form.area.trim()) {
+      try {
+        area = JSON.parse(form.area);
+      } catch (error) {
+        toast.error('Area must be valid GeoJSON');
+        return;
+      }
+    }
+
+    setIsSubmitting(true);
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/departments${selected ? `/${selected.id}` : ''}`,
+        {
+          method: selected ? 'PUT' : 'POST',
+          headers: {
+            ...getAuthHeader(),
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({
+            name: form.name,
+            categories: form.categories,
+            wards: form.wards.split(/[\n,]/).map(ward => ward.trim()).filter(Boolean),
+            area,
+            // A new department has no officials to head it yet
+            ...(selected && { headId: form.headId || null }),
+          }),
+        }
+      );
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || (data.errors && data.errors[0].msg) || 'Failed to save department');
+      }
+
+      const saved = data.data.department;
+      setDepartments(prev =>
+        [
+          ...prev.filter(department => department.id !== saved.id),
+          { ...saved, _count: { officials: selected ? selected.officials.length : 0 } },
+        ].sort((a, b) => a.name.localeCompare(b.name))
+      );
+      await selectDepartment(saved);
+      toast.success(selected ? 'Department updated' : 'Department created');
+    } catch (error) {
+      toast.error(error.message || 'Error saving department');
+      console.error(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const updateOfficialCount = (departmentId, change) => {
+    setDepartments(prev => prev.map(department => (
+      department.id === departmentId
+        ? { ...department, _count: { officials: department._count.officials + change } }
+        : department
+    )));
+  };
+
+  const handleAddOfficial = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments/${selected.id}/officials`, {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ userId: officialId }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to assign official');
+      }
+
+      // Officials belong to one department, so they leave their previous one
+      const official = officials.find(member => member.id === officialId);
+      if (official.department) {
+        updateOfficialCount(official.department.id, -1);
+      }
+      updateOfficialCount(selected.id, 1);
+      setOfficials(prev => prev.map(member => (
+        member.id === officialId ? { ...member, department: { id: selected.id, name: selected.name } } : member
+      )));
+      await selectDepartment(selected);
+      toast.success(`${official.name} assigned to ${selected.name}`);
+    } catch (error) {
+      toast.error(error.message || 'Error assigning official');
+      console.error(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRemoveOfficial = async (userId) => {
+    try {
+      const response = await fetch(
+        `${process.env.NEXT_PUBLIC_API_URL}/api/departments/${selected.id}/officials/${userId}`,
+        {
+          method: 'DELETE',
+          headers: {
+            ...getAuthHeader(),
+          },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to remove official');
+      }
+
+      updateOfficialCount(selected.id, -1);
+      setOfficials(prev => prev.map(member => (
+        member.id === userId ? { ...member, department: null } : member
+      )));
+      // Removing the head leaves the department without one
+      setSelected(prev => ({
+        ...prev,
+        headId: prev.headId === userId ? null : prev.headId,
+        officials: prev.officials.filter(official => official.id !== userId),
+      }));
+      setForm(prev => (prev.headId === userId ? { ...prev, headId: '' } : prev));
+      toast.success('Official removed from department');
+    } catch (error) {
+      toast.error(error.message || 'Error removing official');
+      console.error(error);
+    }
+  };
+
+  const describeJurisdiction = (department) => {
+    const parts = [];
+    if (department.area) parts.push('mapped area');
+    if (department.wards.length > 0) {
+      parts.push(`${department.wards.length} ward${department.wards.length === 1 ? '' : 's'}`);
+    }
+    return parts.length > 0 ? parts.join(', ') : 'Everywhere';
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Departments | Admin Dashboard | Civic Issue Reporting System</title>
+      </Head>
+      <div className="container mx-auto px-4 py-8">
+        <div className="mb-6">
+          <Link href="/admin/dashboard" className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-800">
+            <ArrowLeftIcon className="h-4 w-4 mr-1" />
+            Back to Dashboard
+          </Link>
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Departments</h1>
+        <p className="text-gray-600 mb-8">
+          New issues go to the department handling their category whose area or wards cover them.
+          A department without an area or wards handles its categories everywhere else.
+        </p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-lg font-medium text-gray-900 flex items-center">
+                <BuildingOfficeIcon className="h-5 w-5 mr-2 text-gray-500" />
+                All departments
+              </h2>
+              <button onClick={() => selectDepartment(null)} className="btn-secondary text-sm">
+                New
+              </button>
+            </div>
+            {departments.length === 0 ? (
+              <p className="text-sm text-gray-500">No departments yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {departments.map(department => (
+                  <li key={department.id}>
+                    <button
+                      onClick={() => selectDepartment(department)}
+                      className={`w-full text-left py-2 px-2 rounded ${selected && selected.id === department.id ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                    >
+                      <span className="block text-sm font-medium text-gray-900">{department.name}</span>
+                      <span className="block text-xs text-gray-500">
+                        {department.categories.length} categor{department.categories.length === 1 ? 'y' : 'ies'}
+                        {' · '}{describeJurisdiction(department)}
+                        {' · '}{department._count.officials} official{department._count.officials === 1 ? '' : 's'}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="lg:col-span-2 space-y-6">
+            <div className="bg-white rounded-lg shadow p-6">
+              <h2 className="text-lg font-medium text-gray-900 mb-4">
+                {selected ? `Edit ${selected.name}` : 'New department'}
+              </h2>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div>
+                  <label htmlFor="departmentName" className="block text-sm font-medium text-gray-700 mb-1">
+                    Name
+                  </label>
+                  <input
+                    type="text"
+                    id="departmentName"
+                    value={form.name}
+                    onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                    required
+                    className="input w-full"
+                  />
+                </div>
+                <div>
+                  <span className="block text-sm font-medium text-gray-700 mb-1">Categories</span>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+                    {CATEGORIES.map(category => (
+                      <label key={category} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={form.categories.includes(category)}
+                          onChange={() => toggleCategory(category)}
+                          className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+                        />
+                        {category.replace('_', ' ')}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label htmlFor="departmentWards" className="block text-sm font-medium text-gray-700 mb-1">
+                    Wards
+                  </label>
+                  <textarea
+                    id="departmentWards"
+                    rows={3}
+                    value={form.wards}
+                    onChange={(e) => setForm(prev => ({ ...prev, wards: e.target.value }))}
+                    placeholder="One ward per line"
+                    className="input w-full"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="departmentArea" className="block text-sm font-medium text-gray-700 mb-1">
+                    Area
+                  </label>
+                  <textarea
+                    id="departmentArea"
+                    rows={6}
+                    value={form.area}
+                    onChange={(e) => setForm(prev => ({ ...prev, area: e.target.value }))}
+                    placeholder='GeoJSON Polygon or MultiPolygon, e.g. {"type": "Polygon", "coordinates": [...]}'
+                    className="input w-full font-mono text-xs"
+                  />
+                  <p className="mt-1 text-xs text-gray-500">Leave empty for no mapped area.</p>
+                </div>
+                {selected && (
+                  <div>
+                    <label htmlFor="departmentHead" className="block text-sm font-medium text-gray-700 mb-1">
+                      Head
+                    </label>
+                    <select
+                      id="departmentHead"
+                      value={form.headId}
+                      onChange={(e) => setForm(prev => ({ ...prev, headId: e.target.value }))}
+                      className="input w-full"
+                    >
+                      <option value="">No head</option>
+                      {selected.officials.map(official => (
+                        <option key={official.id} value={official.id}>{official.name}</option>
+                      ))}
+                    </select>
+                    <p className="mt-1 text-xs text-gray-500">
+                      The head is notified when the department's issues miss their SLA target.
+                    </p>
+                  </div>
+                )}
+                <div className="flex justify-end">
+                  <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                    {selected ? 'Save changes' : 'Create department'}
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            {selected && (
+              <div className="bg-white rounded-lg shadow p-6">
+                <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                  <UserGroupIcon className="h-5 w-5 mr-2 text-gray-500" />
+                  Officials
+                </h2>
+                {selected.officials.length === 0 ? (
+                  <p className="text-sm text-gray-500 mb-4">No officials in this department.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-200 mb-4">
+                    {selected.officials.map(official => (
+                      <li key={official.id} className="py-2 flex justify-between items-center text-sm">
+                        <span>
+                          <span className="text-gray-900">{official.name}</span>
+                          <span className="text-gray-500 ml-2">{official.email}</span>
+                        </span>
+                        <button
+                          onClick={() => handleRemoveOfficial(official.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <form onSubmit={handleAddOfficial} className="flex space-x-2">
+                  <select
+                    value={officialId}
+                    onChange={(e) => setOfficialId(e.target.value)}
+                    required
+                    className="input flex-grow"
+                    aria-label="Official to assign"
+                  >
+                    <option value="">Assign an official</option>
+                    {officials
+                      .filter(member => !member.department || member.department.id !== selected.id)
+                      .map(member => (
+                        <option key={member.id} value={member.id}>
+                          {member.name}{member.department ? ` (${member.department.name})` : ''}
+                        </option>
+                      ))}
+                  </select>
+                  <button type="submit" className="btn-secondary" disabled={isSubmitting}>
+                    Assign
+                  </button>
+                </form>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,334 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { 
+  ArrowLeftIcon,
+  BuildingOfficeIcon,
+  EnvelopeIcon
+} from '@heroicons/react/24/outline';
+
+export default function AdminInvites() {
+  const [departments, setDepartments] = useState([]);
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [inviteForm, setInviteForm] = useState({ email: '', departmentId: '' });
+  const [departmentName, setDepartmentName] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  const { user, getAuthHeader, isAdmin, loading: authLoading } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!authLoading) {
+      if (!user) {
+        toast.error('You must be logged in to access this page');
+        router.push('/login');
+      } else if (!isAdmin()) {
+        toast.error('You do not have permission to access this page');
+        router.push('/');
+      } else {
+        fetchData();
+      }
+    }
+  }, [user, authLoading, isAdmin]);
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [departmentsResponse, invitesResponse] = await Promise.all([
+        fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments`, {
+          headers: {
+            ...getAuthHeader(),
+          },
+        }),
+        fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/invites`, {
+          headers: {
+            ...getAuthHeader(),
+          },
+        }),
+      ]);
+
+      if (!departmentsResponse.ok || !invitesResponse.ok) {
+        throw new Error('Failed to fetch invites');
+      }
+
+      const departmentsData = await departmentsResponse.json();
+      const invitesData = await invitesResponse.json();
+      setDepartments(departmentsData.data.departments);
+      setInvites(invitesData.data.invites);
+    } catch (error) {
+      toast.error('Error fetching invites');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateDepartment = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments`, {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: departmentName }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to create department');
+      }
+
+      setDepartments(prev =>
+        [...prev, { ...data.data.department, _count: { officials: 0 } }]
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setDepartmentName('');
+      toast.success('Department created');
+    } catch (error) {
+      toast.error(error.message || 'Error creating department');
+      console.error(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleSendInvite = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/invites`, {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(inviteForm),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to send invite');
+      }
+
+      // A new invite replaces any pending one for the same address
+      setInvites(prev => [data.data.invite, ...prev.filter(invite => invite.email !== inviteForm.email)]);
+      setInviteForm({ email: '', departmentId: inviteForm.departmentId });
+      toast.success(`Invite sent to ${data.data.invite.email}`);
+    } catch (error) {
+      toast.error(error.message || 'Error sending invite');
+      console.error(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleRevokeInvite = async (inviteId) => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/invites/${inviteId}`, {
+        method: 'DELETE',
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to revoke invite');
+      }
+
+      setInvites(prev => prev.filter(invite => invite.id !== inviteId));
+      toast.success('Invite revoked');
+    } catch (error) {
+      toast.error(error.message || 'Error revoking invite');
+      console.error(error);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Official Invites | Admin Dashboard | Civic Issue Reporting System</title>
+      </Head>
+      <div className="container mx-auto px-4 py-8">
+        <div className="mb-6">
+          <Link href="/admin/dashboard" className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-800">
+            <ArrowLeftIcon className="h-4 w-4 mr-1" />
+            Back to Dashboard
+          </Link>
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">Official Invites</h1>
+        <p className="text-gray-600 mb-8">Officials join a department through an emailed invite that expires after 7 days</p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-8">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+              <EnvelopeIcon className="h-5 w-5 mr-2 text-gray-500" />
+              Invite an official
+            </h2>
+            {departments.length === 0 ? (
+              <p className="text-sm text-gray-500">Create a department before inviting officials.</p>
+            ) : (
+              <form onSubmit={handleSendInvite} className="space-y-4">
+                <div>
+                  <label htmlFor="inviteEmail" className="block text-sm font-medium text-gray-700 mb-1">
+                    Email
+                  </label>
+                  <input
+                    type="email"
+                    id="inviteEmail"
+                    value={inviteForm.email}
+                    onChange={(e) => setInviteForm(prev => ({ ...prev, email: e.target.value }))}
+                    required
+                    className="input w-full"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="inviteDepartment" className="block text-sm font-medium text-gray-700 mb-1">
+                    Department
+                  </label>
+                  <select
+                    id="inviteDepartment"
+                    value={inviteForm.departmentId}
+                    onChange={(e) => setInviteForm(prev => ({ ...prev, departmentId: e.target.value }))}
+                    required
+                    className="input w-full"
+                  >
+                    <option value="">Select a department</option>
+                    {departments.map(department => (
+                      <option key={department.id} value={department.id}>{department.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex justify-end">
+                  <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                    Send invite
+                  </button>
+                </div>
+              </form>
+            )}
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+              <BuildingOfficeIcon className="h-5 w-5 mr-2 text-gray-500" />
+              Departments
+            </h2>
+            <ul className="divide-y divide-gray-200 mb-4">
+              {departments.map(department => (
+                <li key={department.id} className="py-2 flex justify-between text-sm">
+                  <span className="text-gray-900">{department.name}</span>
+                  <span className="text-gray-500">
+                    {department._count.officials} official{department._count.officials === 1 ? '' : 's'}
+                  </span>
+                </li>
+              ))}
+            </ul>
+            <form onSubmit={handleCreateDepartment} className="flex space-x-2">
+              <input
+                type="text"
+                value={departmentName}
+                onChange={(e) => setDepartmentName(e.target.value)}
+                placeholder="New department name"
+                required
+                className="input flex-grow"
+              />
+              <button type="submit" className="btn-secondary" disabled={isSubmitting}>
+                Add
+              </button>
+            </form>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="p-6 border-b border-gray-200">
+            <h2 className="text-lg font-medium text-gray-900">Pending invites</h2>
+          </div>
+          {invites.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">No pending invites.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Email
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Department
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Invited By
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Expires
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Actions
+                    </th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {invites.map((invite) => (
+                    <tr key={invite.id}>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                        {invite.email}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {invite.department.name}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {invite.invitedBy.name}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {formatDate(invite.expiresAt)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                        <button
+                          onClick={() => handleRevokeInvite(invite.id)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Revoke
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
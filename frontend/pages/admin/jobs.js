@@ -0,0 +1,258 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { getRelativeTime } from '../../utils/helpers';
+import { ArrowLeftIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+
+const STATUSES = ['FAILED', 'PENDING', 'RUNNING', 'COMPLETED'];
+
+const PAGE_SIZE = 20;
+
+export default function AdminJobs() {
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [status, setStatus] = useState('FAILED');
+  const [page, setPage] = useState(1);
+  const [pages, setPages] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [retrying, setRetrying] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const { user, getAuthHeader, isAdmin, loading: authLoading } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!authLoading) {
+      if (!user) {
+        toast.error('You must be logged in to access this page');
+        router.push('/login');
+      } else if (!isAdmin()) {
+        toast.error('You do not have permission to access this page');
+        router.push('/');
+      } else {
+        fetchJobs();
+      }
+    }
+  }, [user, authLoading, isAdmin, status, page]);
+
+  const fetchJobs = async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ status, page, limit: PAGE_SIZE });
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/jobs?${params}`, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch jobs');
+      }
+
+      const data = await response.json();
+      setJobs(data.data.jobs);
+      setCounts(data.data.counts);
+      setPages(Math.max(data.pagination.pages, 1));
+    } catch (error) {
+      toast.error('Error fetching jobs');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleStatusChange = (newStatus) => {
+    setStatus(newStatus);
+    setPage(1);
+    setExpanded(null);
+  };
+
+  const handleRetry = async (jobId) => {
+    setRetrying(jobId);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/jobs/${jobId}/retry`, {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to retry job');
+      }
+
+      setJobs(prev => prev.filter(job => job.id !== jobId));
+      setCounts(prev => ({ ...prev, FAILED: prev.FAILED - 1, PENDING: prev.PENDING + 1 }));
+      toast.success('Job queued again');
+    } catch (error) {
+      toast.error(error.message || 'Error retrying job');
+      console.error(error);
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  if (authLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>Background Jobs | Admin Dashboard | Civic Issue Reporting System</title>
+      </Head>
+      <div className="container mx-auto px-4 py-8">
+        <div className="mb-6">
+          <Link href="/admin/dashboard" className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-800">
+            <ArrowLeftIcon className="h-4 w-4 mr-1" />
+            Back to Dashboard
+          </Link>
+        </div>
+
+        <div className="flex justify-between items-start mb-8">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900 mb-2">Background Jobs</h1>
+            <p className="text-gray-600">
+              Emails, notifications and periodic tasks run in the background and are retried when they fail.
+              Jobs that run out of attempts are kept here as failed until you retry them.
+            </p>
+          </div>
+          <button onClick={fetchJobs} className="flex items-center text-primary-600 hover:text-primary-800">
+            <ArrowPathIcon className="h-4 w-4 mr-1" />
+            Refresh
+          </button>
+        </div>
+
+        <div className="bg-white rounded-lg shadow overflow-hidden">
+          <div className="border-b border-gray-200">
+            <nav className="-mb-px flex">
+              {STATUSES.map((name) => (
+                <button
+                  key={name}
+                  onClick={() => handleStatusChange(name)}
+                  className={`py-4 px-6 text-center border-b-2 font-medium text-sm ${status === name ? 'border-primary-500 text-primary-600' : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'}`}
+                >
+                  {name.charAt(0) + name.slice(1).toLowerCase()}
+                  <span className={`ml-2 ${name === 'FAILED' && counts.FAILED > 0 ? 'text-red-600' : 'text-gray-400'}`}>
+                    {counts[name] || 0}
+                  </span>
+                </button>
+              ))}
+            </nav>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center items-center h-32">
+              <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : jobs.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500">
+              {status === 'FAILED' ? 'No failed jobs.' : 'No jobs.'}
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Job
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Attempts
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {status === 'PENDING' ? 'Runs' : 'Updated'}
+                    </th>
+                    <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Last error
+                    </th>
+                    {status === 'FAILED' && (
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {jobs.map((job) => (
+                    <tr key={job.id} className="align-top">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="font-medium text-gray-900">{job.name}</div>
+                        {job.email && (
+                          <div className="text-gray-500">{job.email.template} → {job.email.to}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {job.attempts} of {job.maxAttempts}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {getRelativeTime(status === 'PENDING' ? job.runAt : job.updatedAt)}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-500 max-w-md">
+                        {job.lastError ? (
+                          <button
+                            onClick={() => setExpanded(expanded === job.id ? null : job.id)}
+                            className="text-left"
+                            title={expanded === job.id ? 'Show less' : 'Show the full error'}
+                          >
+                            {expanded === job.id ? (
+                              <pre className="whitespace-pre-wrap text-xs text-red-700">{job.lastError}</pre>
+                            ) : (
+                              <span className="text-red-700">{job.lastError.split('\n')[0]}</span>
+                            )}
+                          </button>
+                        ) : '—'}
+                      </td>
+                      {status === 'FAILED' && (
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <button
+                            onClick={() => handleRetry(job.id)}
+                            disabled={retrying === job.id}
+                            className="text-primary-600 hover:text-primary-900 disabled:opacity-50"
+                          >
+                            Retry
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {pages > 1 && (
+            <div className="flex justify-between items-center px-6 py-4 border-t border-gray-200">
+              <button
+                onClick={() => setPage(prev => prev - 1)}
+                disabled={page === 1}
+                className="btn-secondary text-sm"
+              >
+                Previous
+              </button>
+              <span className="text-sm text-gray-500">Page {page} of {pages}</span>
+              <button
+                onClick={() => setPage(prev => prev + 1)}
+                disabled={page === pages}
+                className="btn-secondary text-sm"
+              >
+                Next
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
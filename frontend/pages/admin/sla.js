@@ -0,0 +1,293 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { ArrowLeftIcon, ClockIcon } from '@heroicons/react/24/outline';
+
+const CATEGORIES = [
+  'ROADS',
+  'WATER',
+  'ELECTRICITY',
+  'SANITATION',
+  'PUBLIC_SAFETY',
+  'ENVIRONMENT',
+  'PUBLIC_PROPERTY',
+  'OTHER',
+];
+
+const PRIORITIES = ['HIGH', 'MEDIUM', 'LOW', 'ANY'];
+
+const formatHours = (hours) => {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+};
+
+export default function AdminSlaTargets() {
+  const [targets, setTargets] = useState([]);
+  const [defaults, setDefaults] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ category: CATEGORIES[0], priority: 'ANY', hours: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const { user, getAuthHeader, isAdmin, loading: authLoading } = useAuth();
+  const router = useRouter();
+
+  useEffect(() => {
+    if (!authLoading) {
+      if (!user) {
+        toast.error('You must be logged in to access this page');
+        router.push('/login');
+      } else if (!isAdmin()) {
+        toast.error('You do not have permission to access this page');
+        router.push('/');
+      } else {
+        fetchTargets();
+      }
+    }
+  }, [user, authLoading, isAdmin]);
+
+  const fetchTargets = async () => {
+    setLoading(true);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/sla-targets`, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch SLA targets');
+      }
+
+      const data = await response.json();
+      setTargets(data.data.targets);
+      setDefaults(data.data.defaults);
+    } catch (error) {
+      toast.error('Error fetching SLA targets');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/sla-targets`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...form, hours: parseInt(form.hours, 10) }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || (data.errors && data.errors[0].msg) || 'Failed to save SLA target');
+      }
+
+      // Saving an existing category and priority replaces its target
+      const saved = data.data.target;
+      setTargets(prev =>
+        [...prev.filter(target => target.id !== saved.id), saved]
+          .sort((a, b) => a.category.localeCompare(b.category) || a.priority.localeCompare(b.priority))
+      );
+      setForm(prev => ({ ...prev, hours: '' }));
+      toast.success('SLA target saved');
+    } catch (error) {
+      toast.error(error.message || 'Error saving SLA target');
+      console.error(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDelete = async (targetId) => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/admin/sla-targets/${targetId}`, {
+        method: 'DELETE',
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || 'Failed to delete SLA target');
+      }
+
+      setTargets(prev => prev.filter(target => target.id !== targetId));
+      toast.success('SLA target removed');
+    } catch (error) {
+      toast.error(error.message || 'Error deleting SLA target');
+      console.error(error);
+    }
+  };
+
+  if (loading || authLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex justify-center items-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Head>
+        <title>SLA Targets | Admin Dashboard | Civic Issue Reporting System</title>
+      </Head>
+      <div className="container mx-auto px-4 py-8">
+        <div className="mb-6">
+          <Link href="/admin/dashboard" className="inline-flex items-center text-sm font-medium text-primary-600 hover:text-primary-800">
+            <ArrowLeftIcon className="h-4 w-4 mr-1" />
+            Back to Dashboard
+          </Link>
+        </div>
+
+        <h1 className="text-3xl font-bold text-gray-900 mb-2">SLA Targets</h1>
+        <p className="text-gray-600 mb-8">
+          How long each category has to resolve an issue. A target for any priority covers the priorities without their own;
+          otherwise the defaults apply ({PRIORITIES.filter(priority => defaults[priority]).map(priority => (
+            `${priority.toLowerCase()} ${formatHours(defaults[priority])}`
+          )).join(', ')}).
+        </p>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="bg-white rounded-lg shadow p-6">
+            <h2 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+              <ClockIcon className="h-5 w-5 mr-2 text-gray-500" />
+              Set a target
+            </h2>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <label htmlFor="targetCategory" className="block text-sm font-medium text-gray-700 mb-1">
+                  Category
+                </label>
+                <select
+                  id="targetCategory"
+                  value={form.category}
+                  onChange={(e) => setForm(prev => ({ ...prev, category: e.target.value }))}
+                  className="input w-full"
+                >
+                  {CATEGORIES.map(category => (
+                    <option key={category} value={category}>{category.replace('_', ' ')}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="targetPriority" className="block text-sm font-medium text-gray-700 mb-1">
+                  Priority
+                </label>
+                <select
+                  id="targetPriority"
+                  value={form.priority}
+                  onChange={(e) => setForm(prev => ({ ...prev, priority: e.target.value }))}
+                  className="input w-full"
+                >
+                  {PRIORITIES.map(priority => (
+                    <option key={priority} value={priority}>
+                      {priority === 'ANY' ? 'Any priority' : priority}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="targetHours" className="block text-sm font-medium text-gray-700 mb-1">
+                  Hours to resolve
+                </label>
+                <input
+                  type="number"
+                  id="targetHours"
+                  min="1"
+                  value={form.hours}
+                  onChange={(e) => setForm(prev => ({ ...prev, hours: e.target.value }))}
+                  required
+                  className="input w-full"
+                />
+              </div>
+              <div className="flex justify-end">
+                <button type="submit" className="btn-primary" disabled={isSubmitting}>
+                  Save target
+                </button>
+              </div>
+            </form>
+            <p className="mt-4 text-xs text-gray-500">
+              New targets apply to issues reported, reprioritised or reopened from now on.
+            </p>
+          </div>
+
+          <div className="bg-white rounded-lg shadow overflow-hidden lg:col-span-2">
+            <div className="p-6 border-b border-gray-200">
+              <h2 className="text-lg font-medium text-gray-900">Configured targets</h2>
+            </div>
+            {targets.length === 0 ? (
+              <p className="p-6 text-sm text-gray-500">No targets yet; every category uses the defaults.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Category
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Priority
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Target
+                      </th>
+                      <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Actions
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {targets.map((target) => (
+                      <tr key={target.id}>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          {target.category.replace('_', ' ')}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {target.priority === 'ANY' ? 'Any' : target.priority}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {formatHours(target.hours)}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium space-x-3">
+                          <button
+                            onClick={() => setForm({ category: target.category, priority: target.priority, hours: String(target.hours) })}
+                            className="text-primary-600 hover:text-primary-900"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(target.id)}
+                            className="text-red-600 hover:text-red-900"
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -16,6 +16,7 @@ import {
 export default function UserDetail() {
   const [user, setUser] = useState(null);
   const [userIssues, setUserIssues] = useState([]);
+  const [roleChanges, setRoleChanges] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('profile');
   
@@ -70,6 +71,8 @@ export default function UserDetail() {
 
       const issuesData = await issuesResponse.json();
       setUserIssues(issuesData.issues);
+
+      await fetchRoleChanges();
     } catch (error) {
       toast.error('Error fetching user data');
       console.error(error);
@@ -78,6 +81,21 @@ export default function UserDetail() {
     }
   };
 
+  const fetchRoleChanges = async () => {
+    const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${id}/role-changes`, {
+      headers: {
+        ...getAuthHeader(),
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch role history');
+    }
+
+    const data = await response.json();
+    setRoleChanges(data.data.roleChanges);
+  };
+
   const handleRoleChange = async (newRole) => {
     try {
       const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${id}/role`, {
@@ -101,6 +119,7 @@ export default function UserDetail() {
       }));
 
       toast.success(`User role updated to ${newRole}`);
+      fetchRoleChanges().catch(console.error);
     } catch (error) {
       toast.error(error.message || 'Error updating user role');
       console.error(error);
@@ -166,7 +185,8 @@ export default function UserDetail() {
                       className="border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
                       disabled={user.id === currentUser.id} // Can't change own role
                     >
-                      <option value="USER">USER</option>
+                      <option value="CITIZEN">CITIZEN</option>
+                      <option value="OFFICIAL">OFFICIAL</option>
                       <option value="ADMIN">ADMIN</option>
                     </select>
                   </div>
@@ -222,6 +242,27 @@ export default function UserDetail() {
                   </div>
                 </div>
                 
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900 mb-4">Role History</h3>
+                  {roleChanges.length === 0 ? (
+                    <p className="text-sm text-gray-500">This user has never been granted a role.</p>
+                  ) : (
+                    <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+                      {roleChanges.map(change => (
+                        <li key={change.id} className="px-4 py-3 text-sm flex flex-col md:flex-row md:justify-between">
+                          <span className="text-gray-900">
+                            {change.fromRole ? `${change.fromRole} → ${change.toRole}` : `Joined as ${change.toRole}`}
+                            {change.invite && ` via invite to ${change.invite.department.name}`}
+                          </span>
+                          <span className="text-gray-500">
+                            {change.changedBy ? `by ${change.changedBy.name}, ` : ''}{formatDate(change.createdAt)}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+
                 <div>
                   <h3 className="text-lg font-medium text-gray-900 mb-4">Activity Summary</h3>
                   <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
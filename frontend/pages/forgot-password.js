@@ -0,0 +1,85 @@
+import { useState } from 'react';
+import Link from 'next/link';
+import Head from 'next/head';
+import { useAuth } from '../context/AuthContext';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSent, setIsSent] = useState(false);
+  const { requestPasswordReset } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      await requestPasswordReset({ email });
+      setIsSent(true);
+    } catch (error) {
+      // requestPasswordReset already shows the error
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Forgot Password | Civic Issue Reporting System</title>
+      </Head>
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Reset your password</h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              Enter your email address and we will send you a link to reset your password.
+            </p>
+          </div>
+
+          {isSent ? (
+            <div className="rounded-md bg-green-50 p-4 text-sm text-green-800">
+              If an account exists for <span className="font-medium">{email}</span>, a reset link is on its way.
+              The link expires in one hour and can only be used once.
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              <div>
+                <label htmlFor="email-address" className="sr-only">
+                  Email address
+                </label>
+                <input
+                  id="email-address"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  className="input rounded-md"
+                  placeholder="Email address"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                />
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  className="btn-primary w-full"
+                  disabled={isLoading}
+                >
+                  {isLoading ? 'Sending...' : 'Send reset link'}
+                </button>
+              </div>
+            </form>
+          )}
+
+          <p className="text-center text-sm text-gray-600">
+            <Link href="/login" className="font-medium text-primary-600 hover:text-primary-500">
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </div>
+    </>
+  );
+}
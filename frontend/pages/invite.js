@@ -0,0 +1,142 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Head from 'next/head';
+import { useAuth } from '../context/AuthContext';
+
+export default function AcceptInvite() {
+  const [invite, setInvite] = useState(null);
+  const [loadingInvite, setLoadingInvite] = useState(true);
+  const [name, setName] = useState('');
+  const [password, setPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { acceptInvite } = useAuth();
+  const router = useRouter();
+  const { token } = router.query;
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!token) {
+      setLoadingInvite(false);
+      return;
+    }
+
+    const fetchInvite = async () => {
+      try {
+        const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/invites/${encodeURIComponent(token)}`);
+
+        if (response.ok) {
+          const data = await response.json();
+          setInvite(data.data.invite);
+        }
+      } catch (error) {
+        console.error('Error fetching invite:', error);
+      } finally {
+        setLoadingInvite(false);
+      }
+    };
+
+    fetchInvite();
+  }, [router.isReady, token]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+
+    try {
+      await acceptInvite({
+        token,
+        password,
+        ...(invite.hasAccount ? {} : { name }),
+      });
+      router.push('/issues');
+    } catch (error) {
+      // acceptInvite already shows the error
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Accept Invite | Civic Issue Reporting System</title>
+      </Head>
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Join as an official</h2>
+
+          {loadingInvite ? (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          ) : !invite ? (
+            <div className="rounded-md bg-red-50 p-4 text-sm text-red-800">
+              This invite link is invalid or has expired. Ask an administrator to send you a new one.
+            </div>
+          ) : (
+            <>
+              <p className="text-center text-sm text-gray-600">
+                {invite.invitedBy?.name || 'An administrator'} has invited <span className="font-medium">{invite.email}</span> to
+                join the <span className="font-medium">{invite.department.name}</span> department.
+                {invite.hasAccount
+                  ? ' Enter the password of your existing account to accept.'
+                  : ' Choose your name and a password to create your official account.'}
+              </p>
+
+              <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+                <div className="rounded-md shadow-sm -space-y-px">
+                  {!invite.hasAccount && (
+                    <div>
+                      <label htmlFor="name" className="sr-only">
+                        Full name
+                      </label>
+                      <input
+                        id="name"
+                        name="name"
+                        type="text"
+                        autoComplete="name"
+                        required
+                        className="input rounded-t-md"
+                        placeholder="Full name"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                      />
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="password" className="sr-only">
+                      Password
+                    </label>
+                    <input
+                      id="password"
+                      name="password"
+                      type="password"
+                      autoComplete={invite.hasAccount ? 'current-password' : 'new-password'}
+                      required
+                      minLength={6}
+                      className={`input ${invite.hasAccount ? 'rounded-md' : 'rounded-b-md'}`}
+                      placeholder="Password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                    />
+                  </div>
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    className="btn-primary w-full"
+                    disabled={isLoading}
+                  >
+                    {isLoading ? 'Accepting...' : 'Accept invite'}
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -4,14 +4,25 @@ import Head from 'next/head';
 import Link from 'next/link';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../../context/AuthContext';
+import { useRealtime, useRealtimeEvent, REALTIME_EVENTS } from '../../context/RealtimeContext';
+import AttachmentGallery from '../../components/AttachmentGallery';
+import { isValidFileType, isValidFileSize } from '../../utils/fileUpload';
+import { isOverdue, formatStatus } from '../../utils/helpers';
 import { 
   CalendarIcon, 
   MapPinIcon, 
   ArrowUpIcon,
+  ArrowDownIcon,
   ChatBubbleLeftIcon,
   ArrowLeftIcon,
   PencilSquareIcon,
-  TrashIcon
+  TrashIcon,
+  ClockIcon,
+  BuildingOfficeIcon,
+  UserIcon,
+  FlagIcon,
+  BellIcon,
+  BellSlashIcon
 } from '@heroicons/react/24/outline';
 
 const categoryIcons = {
@@ -31,8 +42,13 @@ const statusColors = {
   IN_PROGRESS: 'badge-in-progress',
   RESOLVED: 'badge-resolved',
   CLOSED: 'badge-closed',
+  REJECTED: 'badge-rejected',
+  REOPENED: 'badge-reopened',
 };
 
+// How often the issue is refreshed while live updates are unavailable
+const POLL_INTERVAL_MS = 60 * 1000;
+
 const formatDate = (dateString) => {
   const date = new Date(dateString);
   return date.toLocaleDateString('en-US', {
@@ -48,22 +64,76 @@ export default function IssueDetail() {
   const [issue, setIssue] = useState(null);
   const [loading, setLoading] = useState(true);
   const [comment, setComment] = useState('');
+  const [commentImages, setCommentImages] = useState([]);
   const [comments, setComments] = useState([]);
+  const [history, setHistory] = useState([]);
   const [isSubmittingComment, setIsSubmittingComment] = useState(false);
-  const [isUpvoting, setIsUpvoting] = useState(false);
+  const [isVoting, setIsVoting] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [departments, setDepartments] = useState([]);
+  const [isRouting, setIsRouting] = useState(false);
+  const [isAssigning, setIsAssigning] = useState(false);
+  const [isPrioritising, setIsPrioritising] = useState(false);
+  const [isFollowPending, setIsFollowPending] = useState(false);
   
   const { user, getAuthHeader } = useAuth();
+  const { connected } = useRealtime();
   const router = useRouter();
   const { id } = router.query;
 
+  const isStaff = user && (user.role === 'OFFICIAL' || user.role === 'ADMIN');
+
+  // Officials and admins can move the issue to another department
+  useEffect(() => {
+    if (!isStaff) return;
+
+    fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments`, {
+      headers: {
+        ...getAuthHeader(),
+      },
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => data && setDepartments(data.data.departments))
+      .catch(error => console.error(error));
+  }, [isStaff]);
+
   useEffect(() => {
     if (id) {
       fetchIssue();
       fetchComments();
+      fetchHistory();
     }
   }, [id]);
 
+  // Fall back to polling while live updates are unavailable
+  useEffect(() => {
+    if (!id || connected) return;
+
+    const intervalId = setInterval(() => {
+      fetchIssue();
+      fetchComments();
+      fetchHistory();
+    }, POLL_INTERVAL_MS);
+
+    return () => clearInterval(intervalId);
+  }, [id, connected]);
+
+  useRealtimeEvent(REALTIME_EVENTS.ISSUE_STATUS, ({ issueId, newStatus }) => {
+    if (issueId !== id) return;
+
+    setIssue(prev => prev && { ...prev, status: newStatus });
+    fetchHistory();
+  });
+
+  useRealtimeEvent(REALTIME_EVENTS.COMMENT_CREATED, ({ issueId, comment }) => {
+    if (issueId !== id) return;
+
+    // Newest first; our own comments may already have been fetched
+    setComments(prev => (
+      prev.some(existing => existing.id === comment.id) ? prev : [comment, ...prev]
+    ));
+  });
+
   const fetchIssue = async () => {
     try {
       const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}`, {
@@ -77,7 +147,7 @@ export default function IssueDetail() {
       }
 
       const data = await response.json();
-      setIssue(data);
+      setIssue(data.data.issue);
     } catch (error) {
       toast.error('Error fetching issue details');
       console.error(error);
@@ -99,45 +169,127 @@ export default function IssueDetail() {
       }
 
       const data = await response.json();
-      setComments(data);
+      setComments(data.data.comments);
     } catch (error) {
       toast.error('Error fetching comments');
       console.error(error);
     }
   };
 
-  const handleUpvote = async () => {
+  const fetchHistory = async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/history`, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch status history');
+      }
+
+      const data = await response.json();
+      setHistory(data.data.history);
+    } catch (error) {
+      console.error(error);
+    }
+  };
+
+  const handleVote = async (type) => {
     if (!user) {
-      toast.error('You must be logged in to upvote');
+      toast.error('You must be logged in to vote');
       return;
     }
 
-    setIsUpvoting(true);
+    // Clicking the active vote again retracts it
+    const voteType = issue.userVote === type ? 'retract' : type;
+
+    setIsVoting(true);
     try {
-      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/upvote`, {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/vote`, {
         method: 'POST',
         headers: {
           ...getAuthHeader(),
           'Content-Type': 'application/json',
         },
+        body: JSON.stringify({ type: voteType }),
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || 'Failed to upvote');
+        throw new Error(errorData.message || 'Failed to vote');
       }
 
-      // Refresh issue data to get updated upvote count
-      fetchIssue();
-      toast.success('Issue upvoted!');
+      const data = await response.json();
+      const { upvotes, downvotes, userVote, priorityScore } = data.data.issue;
+      // Voting follows the issue
+      setIssue(prev => ({
+        ...prev,
+        upvotes,
+        downvotes,
+        userVote,
+        priorityScore,
+        following: prev.following || voteType !== 'retract',
+      }));
     } catch (error) {
-      toast.error(error.message || 'Error upvoting issue');
+      toast.error(error.message || 'Error voting on issue');
       console.error(error);
     } finally {
-      setIsUpvoting(false);
+      setIsVoting(false);
     }
   };
 
+  const handleFollow = async () => {
+    if (!user) {
+      toast.error('You must be logged in to follow issues');
+      return;
+    }
+
+    setIsFollowPending(true);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/follow`, {
+        method: issue.following ? 'DELETE' : 'POST',
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to update follow');
+      }
+
+      setIssue(prev => ({ ...prev, following: data.data.following }));
+      toast.success(data.data.following
+        ? "You'll be notified about updates to this issue"
+        : 'You will no longer be notified about this issue');
+    } catch (error) {
+      toast.error(error.message || 'Error updating follow');
+      console.error(error);
+    } finally {
+      setIsFollowPending(false);
+    }
+  };
+
+  const handleCommentImagesChange = (e) => {
+    const files = Array.from(e.target.files);
+
+    // Same limits as the server: up to 5 JPEG, PNG, GIF or WebP images of 5MB
+    if (files.length > 5) {
+      toast.error('You can attach a maximum of 5 images');
+    } else if (files.some(file => !isValidFileType(file))) {
+      toast.error('Only JPEG, PNG, GIF and WebP images are allowed');
+    } else if (files.some(file => !isValidFileSize(file))) {
+      toast.error('Images must be 5MB or smaller');
+    } else {
+      setCommentImages(files);
+      return;
+    }
+
+    e.target.value = '';
+  };
+
   const handleCommentSubmit = async (e) => {
     e.preventDefault();
     
@@ -153,13 +305,17 @@ export default function IssueDetail() {
 
     setIsSubmittingComment(true);
     try {
+      // Sent as multipart so images can be attached
+      const formData = new FormData();
+      formData.append('content', comment);
+      commentImages.forEach(image => formData.append('images', image));
+
       const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/comments`, {
         method: 'POST',
         headers: {
           ...getAuthHeader(),
-          'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ content: comment }),
+        body: formData,
       });
 
       if (!response.ok) {
@@ -168,6 +324,9 @@ export default function IssueDetail() {
       }
 
       setComment('');
+      setCommentImages([]);
+      // Commenting follows the issue
+      setIssue(prev => ({ ...prev, following: true }));
       fetchComments();
       toast.success('Comment added successfully!');
     } catch (error) {
@@ -178,6 +337,108 @@ export default function IssueDetail() {
     }
   };
 
+  const handleDepartmentChange = async (e) => {
+    const departmentId = e.target.value || null;
+
+    setIsRouting(true);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/department`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ departmentId }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to move issue');
+      }
+
+      setIssue(prev => ({
+        ...prev,
+        departmentId: data.data.issue.departmentId,
+        department: data.data.issue.department,
+      }));
+      toast.success(departmentId ? `Issue moved to ${data.data.issue.department.name}` : 'Issue removed from its department');
+    } catch (error) {
+      toast.error(error.message || 'Error moving issue');
+      console.error(error);
+    } finally {
+      setIsRouting(false);
+    }
+  };
+
+  const handlePriorityChange = async (e) => {
+    const priority = e.target.value || null;
+
+    setIsPrioritising(true);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/priority`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ priority }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to set priority');
+      }
+
+      // The due date follows the SLA target for the new priority
+      setIssue(prev => ({
+        ...prev,
+        priority: data.data.issue.priority,
+        dueAt: data.data.issue.dueAt,
+      }));
+      toast.success(priority ? `Priority set to ${formatStatus(priority)}` : 'Priority cleared');
+    } catch (error) {
+      toast.error(error.message || 'Error setting priority');
+      console.error(error);
+    } finally {
+      setIsPrioritising(false);
+    }
+  };
+
+  const handleAssign = async (assigneeId) => {
+    setIsAssigning(true);
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/issues/${id}/assign`, {
+        method: 'POST',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        // Without an assigneeId the issue is assigned to the caller
+        body: JSON.stringify(assigneeId === null ? { assigneeId } : {}),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to assign issue');
+      }
+
+      setIssue(prev => ({
+        ...prev,
+        assigneeId: data.data.issue.assigneeId,
+        assignee: data.data.issue.assignee,
+      }));
+      toast.success(data.data.issue.assignee ? 'Issue assigned to you' : 'Issue unassigned');
+    } catch (error) {
+      toast.error(error.message || 'Error assigning issue');
+      console.error(error);
+    } finally {
+      setIsAssigning(false);
+    }
+  };
+
   const handleDelete = async () => {
     if (!user || (user.id !== issue.reporterId && user.role !== 'ADMIN')) {
       toast.error('You do not have permission to delete this issue');
@@ -249,6 +510,16 @@ export default function IssueDetail() {
           </Link>
         </div>
 
+        {issue.duplicateOf && (
+          <div className="mb-6 rounded-md border border-yellow-300 bg-yellow-50 p-4 text-sm text-yellow-800">
+            This issue was merged into{' '}
+            <Link href={`/issues/${issue.duplicateOf.id}`} className="font-medium underline">
+              {issue.duplicateOf.title}
+            </Link>
+            . Follow that issue for further updates.
+          </div>
+        )}
+
         <div className="bg-white rounded-lg shadow overflow-hidden">
           {/* Issue Header */}
           <div className="p-6 border-b border-gray-200">
@@ -268,6 +539,84 @@ export default function IssueDetail() {
                   <CalendarIcon className="h-4 w-4 mr-1" />
                   <span>Reported on {formatDate(issue.createdAt)}</span>
                 </div>
+                {issue.dueAt && !['RESOLVED', 'CLOSED', 'REJECTED'].includes(issue.status) && (
+                  <div className={`flex items-center text-sm mt-1 ${isOverdue(issue) ? 'text-red-600 font-medium' : 'text-gray-500'}`}>
+                    <ClockIcon className="h-4 w-4 mr-1" />
+                    <span>{isOverdue(issue) ? `Overdue since ${formatDate(issue.dueAt)}` : `Due by ${formatDate(issue.dueAt)}`}</span>
+                  </div>
+                )}
+                <div className="flex items-center text-gray-500 text-sm mt-1">
+                  <BuildingOfficeIcon className="h-4 w-4 mr-1" />
+                  {isStaff ? (
+                    <select
+                      value={issue.departmentId || ''}
+                      onChange={handleDepartmentChange}
+                      disabled={isRouting}
+                      className="input py-1 text-sm"
+                      aria-label="Department handling this issue"
+                    >
+                      <option value="">No department</option>
+                      {departments.map(department => (
+                        <option key={department.id} value={department.id}>{department.name}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span>
+                      {issue.department ? `Handled by ${issue.department.name}` : 'Awaiting assignment to a department'}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center text-gray-500 text-sm mt-1">
+                  <FlagIcon className="h-4 w-4 mr-1" />
+                  {isStaff ? (
+                    <>
+                      <select
+                        value={issue.priority || ''}
+                        onChange={handlePriorityChange}
+                        disabled={isPrioritising}
+                        className="input py-1 text-sm"
+                        aria-label="Priority"
+                      >
+                        <option value="">Not set (automatic: {formatStatus(issue.automaticPriority)})</option>
+                        <option value="HIGH">High</option>
+                        <option value="MEDIUM">Medium</option>
+                        <option value="LOW">Low</option>
+                      </select>
+                      <span className="ml-3">
+                        Score {issue.priorityScore}/100
+                        {issue.suggestedPriority && ` · reporter suggested ${formatStatus(issue.suggestedPriority).toLowerCase()}`}
+                      </span>
+                    </>
+                  ) : (
+                    <span>
+                      {issue.priority
+                        ? `${formatStatus(issue.priority)} priority`
+                        : 'Priority not set yet'}
+                    </span>
+                  )}
+                </div>
+                <div className="flex items-center text-gray-500 text-sm mt-1">
+                  <UserIcon className="h-4 w-4 mr-1" />
+                  <span>{issue.assignee ? `Assigned to ${issue.assignee.name}` : 'Not assigned yet'}</span>
+                  {isStaff && !issue.assignee && (
+                    <button
+                      onClick={() => handleAssign()}
+                      disabled={isAssigning}
+                      className="ml-3 text-primary-600 hover:text-primary-800 font-medium"
+                    >
+                      Assign to me
+                    </button>
+                  )}
+                  {isStaff && issue.assignee && (issue.assignee.id === user.id || user.role === 'ADMIN') && (
+                    <button
+                      onClick={() => handleAssign(null)}
+                      disabled={isAssigning}
+                      className="ml-3 text-primary-600 hover:text-primary-800 font-medium"
+                    >
+                      Unassign
+                    </button>
+                  )}
+                </div>
               </div>
               
               {/* Action buttons for issue owner or admin */}
@@ -298,32 +647,86 @@ export default function IssueDetail() {
                   Reported by {issue.reporter.name}
                 </div>
               </div>
-              <button 
-                onClick={handleUpvote} 
-                className="flex items-center text-gray-500 hover:text-primary-600 transition-colors"
-                disabled={isUpvoting}
-              >
-                <ArrowUpIcon className="h-5 w-5 mr-1" />
-                <span className="font-medium">{issue.upvotes}</span>
-              </button>
+              <div className="flex items-center space-x-4">
+                <button 
+                  onClick={() => handleVote('upvote')} 
+                  className={`flex items-center transition-colors ${issue.userVote === 'upvote' ? 'text-primary-600' : 'text-gray-500 hover:text-primary-600'}`}
+                  disabled={isVoting}
+                  aria-pressed={issue.userVote === 'upvote'}
+                  title={issue.userVote === 'upvote' ? 'Remove upvote' : 'Upvote'}
+                >
+                  <ArrowUpIcon className="h-5 w-5 mr-1" />
+                  <span className="font-medium">{issue.upvotes}</span>
+                </button>
+                <button 
+                  onClick={() => handleVote('downvote')} 
+                  className={`flex items-center transition-colors ${issue.userVote === 'downvote' ? 'text-red-600' : 'text-gray-500 hover:text-red-600'}`}
+                  disabled={isVoting}
+                  aria-pressed={issue.userVote === 'downvote'}
+                  title={issue.userVote === 'downvote' ? 'Remove downvote' : 'Downvote'}
+                >
+                  <ArrowDownIcon className="h-5 w-5 mr-1" />
+                  <span className="font-medium">{issue.downvotes}</span>
+                </button>
+                <button
+                  onClick={handleFollow}
+                  className={`flex items-center transition-colors ${issue.following ? 'text-primary-600' : 'text-gray-500 hover:text-primary-600'}`}
+                  disabled={isFollowPending}
+                  aria-pressed={Boolean(issue.following)}
+                  title={issue.following ? 'Stop getting updates on this issue' : 'Get notified when this issue is updated'}
+                >
+                  {issue.following
+                    ? <BellSlashIcon className="h-5 w-5 mr-1" />
+                    : <BellIcon className="h-5 w-5 mr-1" />}
+                  <span className="font-medium">{issue.following ? 'Unfollow' : 'Follow'}</span>
+                </button>
+              </div>
             </div>
             
             <div className="prose max-w-none">
               <p className="text-gray-700 whitespace-pre-line">{issue.description}</p>
             </div>
 
-            {issue.imageUrl && (
+            {issue.attachments?.length > 0 && (
               <div className="mt-6">
-                <h3 className="text-lg font-medium text-gray-900 mb-2">Attached Image</h3>
-                <img 
-                  src={issue.imageUrl} 
-                  alt={issue.title} 
-                  className="rounded-lg max-h-96 object-contain"
-                />
+                <h3 className="text-lg font-medium text-gray-900 mb-2">Attached Images</h3>
+                <AttachmentGallery attachments={issue.attachments} alt={issue.title} />
               </div>
             )}
           </div>
 
+          {/* Status Timeline */}
+          {history.length > 0 && (
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+                <ClockIcon className="h-5 w-5 mr-2" />
+                Status History
+              </h3>
+              <ol className="relative border-l border-gray-200 ml-2">
+                {history.map((change) => (
+                  <li key={change.id} className="mb-6 ml-4 last:mb-0">
+                    <div className="absolute w-3 h-3 bg-gray-300 rounded-full -left-1.5 mt-1.5 border border-white"></div>
+                    <div className="flex items-center space-x-2 mb-1">
+                      {change.fromStatus && (
+                        <>
+                          <span className={`badge ${statusColors[change.fromStatus]}`}>{change.fromStatus.replace('_', ' ')}</span>
+                          <span className="text-gray-400">→</span>
+                        </>
+                      )}
+                      <span className={`badge ${statusColors[change.toStatus]}`}>{change.toStatus.replace('_', ' ')}</span>
+                    </div>
+                    <div className="text-sm text-gray-500">
+                      {change.changedBy.name} · {formatDate(change.createdAt)}
+                    </div>
+                    {change.note && (
+                      <p className="mt-1 text-gray-700 whitespace-pre-line">{change.note}</p>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
           {/* Comments Section */}
           <div className="p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
@@ -344,6 +747,16 @@ export default function IssueDetail() {
                     required
                   />
                 </div>
+                <div className="mb-3">
+                  <input
+                    key={commentImages.length === 0 ? 'empty' : 'selected'}
+                    type="file"
+                    accept="image/png, image/jpeg, image/gif, image/webp"
+                    multiple
+                    onChange={handleCommentImagesChange}
+                    className="block text-sm text-gray-500"
+                  />
+                </div>
                 <button 
                   type="submit" 
                   className="btn-primary"
@@ -371,10 +784,15 @@ export default function IssueDetail() {
                 {comments.map((comment) => (
                   <div key={comment.id} className="bg-gray-50 rounded-lg p-4">
                     <div className="flex justify-between items-start mb-2">
-                      <div className="font-medium text-gray-900">{comment.user.name}</div>
+                      <div className="font-medium text-gray-900">{comment.author.name}</div>
                       <div className="text-sm text-gray-500">{formatDate(comment.createdAt)}</div>
                     </div>
                     <p className="text-gray-700">{comment.content}</p>
+                    {comment.attachments?.length > 0 && (
+                      <div className="mt-3">
+                        <AttachmentGallery attachments={comment.attachments} alt="Comment image" size="h-20 w-20" />
+                      </div>
+                    )}
                   </div>
                 ))}
               </div>
@@ -23,6 +23,8 @@ const STATUSES = [
   'IN_PROGRESS',
   'RESOLVED',
   'CLOSED',
+  'REJECTED',
+  'REOPENED',
 ];
 
 export default function EditIssue() {
@@ -32,7 +34,9 @@ export default function EditIssue() {
     location: '',
     category: '',
     status: '',
+    note: '',
   });
+  const [originalStatus, setOriginalStatus] = useState('');
   const [image, setImage] = useState(null);
   const [imagePreview, setImagePreview] = useState(null);
   const [currentImage, setCurrentImage] = useState(null);
@@ -71,7 +75,9 @@ export default function EditIssue() {
           location: data.location,
           category: data.category,
           status: data.status,
+          note: '',
         });
+        setOriginalStatus(data.status);
         
         if (data.imageUrl) {
           setCurrentImage(data.imageUrl);
@@ -121,6 +127,10 @@ export default function EditIssue() {
       submitData.append('category', formData.category);
       submitData.append('status', formData.status);
       
+      if (formData.status !== originalStatus) {
+        submitData.append('note', formData.note);
+      }
+      
       if (image) {
         submitData.append('image', image);
       }
@@ -268,6 +278,23 @@ export default function EditIssue() {
                 </select>
               </div>
               
+              {formData.status !== originalStatus && (
+                <div>
+                  <label htmlFor="note" className="block text-sm font-medium text-gray-700 mb-1">
+                    Status Change Note
+                  </label>
+                  <textarea
+                    id="note"
+                    name="note"
+                    rows={3}
+                    value={formData.note}
+                    onChange={handleChange}
+                    className="input w-full"
+                    placeholder="Explain why the status is changing (required when rejecting, resolving or reopening)"
+                  />
+                </div>
+              )}
+              
               <div>
                 <label htmlFor="image" className="block text-sm font-medium text-gray-700 mb-1">
                   Image (Optional)
@@ -4,7 +4,8 @@ import { useRouter } from 'next/router';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../../context/AuthContext';
 import IssueCard from '../../components/IssueCard';
-import { AdjustmentsHorizontalIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import { formatStatus } from '../../utils/helpers';
+import { AdjustmentsHorizontalIcon, MapPinIcon, MagnifyingGlassIcon, UserIcon } from '@heroicons/react/24/outline';
 
 const CATEGORIES = [
   'ALL',
@@ -18,6 +19,8 @@ const CATEGORIES = [
   'OTHER',
 ];
 
+const PRIORITIES = ['ALL', 'HIGH', 'MEDIUM', 'LOW'];
+
 const STATUSES = [
   'ALL',
   'REPORTED',
@@ -25,6 +28,8 @@ const STATUSES = [
   'IN_PROGRESS',
   'RESOLVED',
   'CLOSED',
+  'REJECTED',
+  'REOPENED',
 ];
 
 export default function Issues() {
@@ -34,7 +39,19 @@ export default function Issues() {
     category: 'ALL',
     status: 'ALL',
     location: '',
+    search: '',
+    near: '',
+    radius: '2000',
+    department: '',
+    assignee: '',
+    overdue: false,
+    priority: 'ALL',
+    sort: 'newest',
   });
+  const [ready, setReady] = useState(false);
+  const [departments, setDepartments] = useState([]);
+  const [searchInput, setSearchInput] = useState('');
+  const [isLocating, setIsLocating] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [pagination, setPagination] = useState({
     page: 1,
@@ -42,12 +59,51 @@ export default function Issues() {
     total: 0,
   });
   
-  const { getAuthHeader } = useAuth();
+  const { user, loading: authLoading, getAuthHeader } = useAuth();
   const router = useRouter();
 
+  const isStaff = user && (user.role === 'OFFICIAL' || user.role === 'ADMIN');
+  const hasQueue = user && user.role === 'OFFICIAL' && user.departmentId;
+
+  // Officials start on their department's queue rather than every issue,
+  // and links such as the dashboard's overdue count preset the filters
   useEffect(() => {
+    if (authLoading || !router.isReady) return;
+
+    setFilters(prev => ({
+      ...prev,
+      department: hasQueue ? 'mine' : prev.department,
+      overdue: router.query.overdue === 'true',
+    }));
+    if (isStaff) {
+      fetchDepartments();
+    }
+    setReady(true);
+  }, [authLoading, user, router.isReady]);
+
+  useEffect(() => {
+    if (!ready) return;
     fetchIssues();
-  }, [filters, pagination.page]);
+  }, [filters, pagination.page, ready]);
+
+  const fetchDepartments = async () => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments`, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch departments');
+      }
+
+      const data = await response.json();
+      setDepartments(data.data.departments);
+    } catch (error) {
+      console.error(error);
+    }
+  };
 
   const fetchIssues = async () => {
     setLoading(true);
@@ -65,6 +121,36 @@ export default function Issues() {
       if (filters.location) {
         url += `&location=${encodeURIComponent(filters.location)}`;
       }
+      
+      if (filters.search) {
+        url += `&search=${encodeURIComponent(filters.search)}`;
+      }
+      
+      if (filters.near) {
+        url += `&near=${filters.near}&radius=${filters.radius}`;
+      }
+
+      if (filters.department && filters.department !== 'all') {
+        url += `&department=${filters.department}`;
+      }
+
+      if (filters.assignee) {
+        url += `&assignee=${filters.assignee}`;
+      }
+
+      if (filters.overdue) {
+        url += '&overdue=true';
+      }
+
+      if (filters.priority !== 'ALL') {
+        url += `&priority=${filters.priority}`;
+      }
+
+      // Search results are ranked and nearby issues sorted by distance instead
+      const canSort = !filters.search && !filters.near;
+      if (canSort && filters.sort !== 'newest') {
+        url += `&sort=${filters.sort}`;
+      }
 
       const response = await fetch(url, {
         headers: {
@@ -77,10 +163,10 @@ export default function Issues() {
       }
 
       const data = await response.json();
-      setIssues(data.issues);
+      setIssues(data.data.issues);
       setPagination(prev => ({
         ...prev,
-        total: data.total,
+        total: data.pagination.total,
       }));
     } catch (error) {
       toast.error('Error fetching issues');
@@ -91,10 +177,10 @@ export default function Issues() {
   };
 
   const handleFilterChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFilters(prev => ({
       ...prev,
-      [name]: value,
+      [name]: type === 'checkbox' ? checked : value,
     }));
     setPagination(prev => ({
       ...prev,
@@ -102,6 +188,55 @@ export default function Issues() {
     }));
   };
 
+  const handleSearchSubmit = (e) => {
+    e.preventDefault();
+    // Search results are ranked by relevance, so they replace the nearby view
+    setFilters(prev => ({
+      ...prev,
+      search: searchInput.trim(),
+      near: '',
+    }));
+    setPagination(prev => ({
+      ...prev,
+      page: 1,
+    }));
+  };
+
+  const toggleNearMe = () => {
+    if (filters.near) {
+      setFilters(prev => ({ ...prev, near: '' }));
+      return;
+    }
+
+    if (!navigator.geolocation) {
+      toast.error('Geolocation is not supported by your browser');
+      return;
+    }
+
+    setIsLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const { latitude, longitude } = position.coords;
+        setSearchInput('');
+        setFilters(prev => ({
+          ...prev,
+          search: '',
+          near: `${latitude.toFixed(6)},${longitude.toFixed(6)}`,
+        }));
+        setPagination(prev => ({
+          ...prev,
+          page: 1,
+        }));
+        setIsLocating(false);
+      },
+      (error) => {
+        toast.error('Unable to retrieve your location');
+        console.error(error);
+        setIsLocating(false);
+      }
+    );
+  };
+
   const toggleFilters = () => {
     setShowFilters(!showFilters);
   };
@@ -110,8 +245,21 @@ export default function Issues() {
     router.push('/issues/create');
   };
 
+  const toggleAssignedToMe = () => {
+    setFilters(prev => ({ ...prev, assignee: prev.assignee === 'me' ? '' : 'me' }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
+  const showQueue = (view) => {
+    setFilters(prev => ({ ...prev, department: view }));
+    setPagination(prev => ({ ...prev, page: 1 }));
+  };
+
   const totalPages = Math.ceil(pagination.total / pagination.limit);
 
+  const myDepartment = hasQueue && departments.find(department => department.id === user.departmentId);
+  const inQueue = filters.department === 'mine';
+
   return (
     <>
       <Head>
@@ -120,10 +268,42 @@ export default function Issues() {
       <div className="container mx-auto px-4 py-8">
         <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8">
           <div>
-            <h1 className="text-3xl font-bold text-gray-900">Community Issues</h1>
-            <p className="text-gray-600 mt-2">Browse and track civic issues in your community</p>
+            <h1 className="text-3xl font-bold text-gray-900">
+              {inQueue ? `${myDepartment ? myDepartment.name : 'Department'} Queue` : 'Community Issues'}
+            </h1>
+            <p className="text-gray-600 mt-2">
+              {inQueue
+                ? 'Issues routed to your department'
+                : 'Browse and track civic issues in your community'}
+            </p>
+            {hasQueue && (
+              <div className="mt-4 inline-flex rounded-md shadow-sm">
+                <button
+                  onClick={() => showQueue('mine')}
+                  className={`px-4 py-2 text-sm font-medium rounded-l-md border ${inQueue ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  My department
+                </button>
+                <button
+                  onClick={() => showQueue('all')}
+                  className={`px-4 py-2 text-sm font-medium rounded-r-md border-t border-b border-r ${!inQueue ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  All issues
+                </button>
+              </div>
+            )}
           </div>
           <div className="mt-4 md:mt-0 flex space-x-4">
+            {isStaff && (
+              <button
+                onClick={toggleAssignedToMe}
+                className={`flex items-center ${filters.assignee === 'me' ? 'btn-primary' : 'btn-secondary'}`}
+                aria-pressed={filters.assignee === 'me'}
+              >
+                <UserIcon className="h-5 w-5 mr-2" />
+                Assigned to me
+              </button>
+            )}
             <button 
               onClick={toggleFilters}
               className="btn-secondary flex items-center"
@@ -140,10 +320,51 @@ export default function Issues() {
           </div>
         </div>
 
+        <form onSubmit={handleSearchSubmit} className="mb-8 flex">
+          <div className="relative flex-grow">
+            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+              <MagnifyingGlassIcon className="h-5 w-5 text-gray-400" />
+            </div>
+            <input
+              type="search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Search issues, locations and comments"
+              className="input pl-10 w-full"
+            />
+          </div>
+          <button type="submit" className="btn-primary ml-2">
+            Search
+          </button>
+          <button
+            type="button"
+            onClick={toggleNearMe}
+            disabled={isLocating}
+            className={`ml-2 flex items-center ${filters.near ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            <MapPinIcon className="h-5 w-5 mr-1" />
+            {isLocating ? 'Locating...' : 'Near Me'}
+          </button>
+          {filters.near && (
+            <select
+              name="radius"
+              value={filters.radius}
+              onChange={handleFilterChange}
+              className="input ml-2"
+              aria-label="Search radius"
+            >
+              <option value="500">500 m</option>
+              <option value="2000">2 km</option>
+              <option value="5000">5 km</option>
+              <option value="20000">20 km</option>
+            </select>
+          )}
+        </form>
+
         {showFilters && (
           <div className="bg-white rounded-lg shadow p-4 mb-8">
             <h2 className="text-lg font-semibold mb-4">Filter Issues</h2>
-            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className={`grid grid-cols-1 gap-4 ${isStaff ? 'md:grid-cols-4' : 'md:grid-cols-3'}`}>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
                 <select
@@ -174,6 +395,26 @@ export default function Issues() {
                   ))}
                 </select>
               </div>
+              {isStaff && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Department</label>
+                  <select
+                    name="department"
+                    value={filters.department || 'all'}
+                    onChange={handleFilterChange}
+                    className="input w-full"
+                  >
+                    <option value="all">All Departments</option>
+                    {hasQueue && <option value="mine">My Department</option>}
+                    <option value="none">Unassigned</option>
+                    {departments.map((department) => (
+                      <option key={department.id} value={department.id}>
+                        {department.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Location</label>
                 <div className="relative">
@@ -191,6 +432,47 @@ export default function Issues() {
                 </div>
               </div>
             </div>
+            <div className="grid grid-cols-1 gap-4 md:grid-cols-3 mt-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Priority</label>
+                <select
+                  name="priority"
+                  value={filters.priority}
+                  onChange={handleFilterChange}
+                  className="input w-full"
+                >
+                  {PRIORITIES.map((priority) => (
+                    <option key={priority} value={priority}>
+                      {priority === 'ALL' ? 'All Priorities' : formatStatus(priority)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Sort by</label>
+                <select
+                  name="sort"
+                  value={filters.sort}
+                  onChange={handleFilterChange}
+                  disabled={Boolean(filters.search || filters.near)}
+                  title={filters.search || filters.near ? 'Search and nearby results have their own order' : undefined}
+                  className="input w-full"
+                >
+                  <option value="newest">Newest first</option>
+                  <option value="priority">Highest priority first</option>
+                </select>
+              </div>
+            </div>
+            <label className="inline-flex items-center mt-4 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                name="overdue"
+                checked={filters.overdue}
+                onChange={handleFilterChange}
+                className="h-4 w-4 text-primary-600 border-gray-300 rounded mr-2"
+              />
+              Overdue only
+            </label>
           </div>
         )}
 
@@ -200,8 +482,14 @@ export default function Issues() {
           </div>
         ) : issues.length === 0 ? (
           <div className="bg-white rounded-lg shadow p-8 text-center">
-            <h3 className="text-xl font-medium text-gray-900 mb-2">No issues found</h3>
-            <p className="text-gray-600 mb-4">Try adjusting your filters or be the first to report an issue.</p>
+            <h3 className="text-xl font-medium text-gray-900 mb-2">
+              {inQueue ? 'Your queue is empty' : 'No issues found'}
+            </h3>
+            <p className="text-gray-600 mb-4">
+              {inQueue
+                ? 'No issues matching these filters have been routed to your department.'
+                : 'Try adjusting your filters or be the first to report an issue.'}
+            </p>
             <button 
               onClick={handleCreateIssue}
               className="btn-primary"
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import dynamic from 'next/dynamic';
+import { toast } from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import { IssueFilters } from '../../components/Filters';
+import { STATUS_MARKER_COLORS } from '../../utils/map';
+import { ListBulletIcon } from '@heroicons/react/24/outline';
+
+// The map needs the browser, so it is only loaded client-side
+const IssueMap = dynamic(() => import('../../components/IssueMap'), { ssr: false });
+
+// Upper bound on markers fetched for the visible area
+const MAP_ISSUE_LIMIT = 500;
+
+export default function IssuesMap() {
+  const [issues, setIssues] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [filters, setFilters] = useState({});
+  const [bbox, setBbox] = useState(null);
+
+  const { getAuthHeader } = useAuth();
+
+  useEffect(() => {
+    // Wait until the map reports its visible area
+    if (bbox) {
+      fetchIssues();
+    }
+  }, [filters, bbox]);
+
+  const fetchIssues = async () => {
+    setLoading(true);
+    try {
+      let url = `${process.env.NEXT_PUBLIC_API_URL}/api/issues?bbox=${bbox}&limit=${MAP_ISSUE_LIMIT}`;
+
+      if (filters.status) {
+        url += `&status=${filters.status}`;
+      }
+
+      if (filters.category) {
+        url += `&category=${filters.category}`;
+      }
+
+      if (filters.search) {
+        url += `&search=${encodeURIComponent(filters.search)}`;
+      }
+
+      const response = await fetch(url, {
+        headers: {
+          ...getAuthHeader(),
+        },
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch issues');
+      }
+
+      const data = await response.json();
+      setIssues(data.data.issues);
+      setTotal(data.pagination.total);
+    } catch (error) {
+      toast.error('Error fetching issues');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Issue Map | Civic Issue Reporting System</title>
+      </Head>
+
+      <div className="container mx-auto px-4 py-8">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-6">
+          <h1 className="text-3xl font-bold mb-4 md:mb-0">Issue Map</h1>
+          <Link href="/issues" className="btn-secondary flex items-center">
+            <ListBulletIcon className="h-5 w-5 mr-2" />
+            List View
+          </Link>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-1">
+            <IssueFilters activeFilters={filters} onFilterChange={setFilters} />
+
+            <div className="bg-white p-4 rounded-lg border border-gray-200">
+              <h3 className="text-lg font-medium text-gray-900 mb-3">Legend</h3>
+              <ul className="space-y-2">
+                {Object.entries(STATUS_MARKER_COLORS).map(([status, color]) => (
+                  <li key={status} className="flex items-center text-sm text-gray-700">
+                    <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: color }}></span>
+                    {status.replace('_', ' ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+
+          <div className="lg:col-span-3">
+            <p className="text-sm text-gray-500 mb-2">
+              {loading
+                ? 'Loading issues...'
+                : `Showing ${issues.length} of ${total} issues in this area`}
+            </p>
+            {total > issues.length && !loading && (
+              <p className="text-sm text-yellow-700 mb-2">
+                Zoom in or narrow the filters to see every issue.
+              </p>
+            )}
+            <IssueMap issues={issues} onBoundsChange={setBbox} className="h-[600px]" />
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
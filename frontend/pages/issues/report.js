@@ -1,12 +1,20 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
+import dynamic from 'next/dynamic';
 import { useForm } from 'react-hook-form';
 import { useAuth } from '../../context/AuthContext';
 import { useTheme } from '../../context/ThemeContext';
 import { MapPinIcon, PhotoIcon, ExclamationCircleIcon } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import issueService from '../../services/issues';
+import DuplicateSuggestions from '../../components/DuplicateSuggestions';
+import { reverseGeocode } from '../../utils/map';
+import { isValidFileType, isValidFileSize } from '../../utils/fileUpload';
+import { getAuthHeader } from '../../utils/auth';
+
+// The map needs the browser, so it is only loaded client-side
+const LocationPicker = dynamic(() => import('../../components/LocationPicker'), { ssr: false });
 
 export default function ReportIssue() {
   const router = useRouter();
@@ -17,6 +25,8 @@ export default function ReportIssue() {
   const [previewImages, setPreviewImages] = useState([]);
   const [coordinates, setCoordinates] = useState(null);
   const [isGettingLocation, setIsGettingLocation] = useState(false);
+  const [duplicates, setDuplicates] = useState([]);
+  const [wards, setWards] = useState([]);
   
   const { 
     register, 
@@ -26,6 +36,22 @@ export default function ReportIssue() {
     watch
   } = useForm();
 
+  // Wards the departments cover, so the issue can be routed to the right one
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/departments`, {
+      headers: getAuthHeader(),
+    })
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!data) return;
+        const names = data.data.departments.flatMap(department => department.wards);
+        setWards([...new Set(names)].sort((a, b) => a.localeCompare(b)));
+      })
+      .catch(error => console.error('Failed to load wards:', error));
+  }, [isAuthenticated]);
+
   // Redirect if not authenticated
   if (typeof window !== 'undefined' && !isAuthenticated) {
     router.push('/auth/login?redirect=/issues/report');
@@ -41,6 +67,17 @@ export default function ReportIssue() {
       return;
     }
     
+    // Same limits as the server: JPEG, PNG, GIF or WebP up to 5MB
+    if (files.some(file => !isValidFileType(file))) {
+      toast.error('Only JPEG, PNG, GIF and WebP images are allowed');
+      return;
+    }
+    
+    if (files.some(file => !isValidFileSize(file))) {
+      toast.error('Images must be 5MB or smaller');
+      return;
+    }
+    
     // Create preview URLs
     const newPreviewImages = files.map(file => URL.createObjectURL(file));
     setPreviewImages([...previewImages, ...newPreviewImages]);
@@ -63,6 +100,20 @@ export default function ReportIssue() {
     setPreviewImages(newPreviewImages);
   };
 
+  const handleLocationPick = async (point) => {
+    setCoordinates(point);
+
+    // Attempt to get address from coordinates using reverse geocoding
+    try {
+      const address = await reverseGeocode(point.latitude, point.longitude);
+      if (address) {
+        setValue('location', address, { shouldValidate: true });
+      }
+    } catch (error) {
+      console.error('Error getting address:', error);
+    }
+  };
+
   const getCurrentLocation = () => {
     if (!navigator.geolocation) {
       toast.error('Geolocation is not supported by your browser');
@@ -74,22 +125,9 @@ export default function ReportIssue() {
     navigator.geolocation.getCurrentPosition(
       (position) => {
         const { latitude, longitude } = position.coords;
-        setCoordinates({ latitude, longitude });
-        
-        // Attempt to get address from coordinates using reverse geocoding
-        fetch(`https://nominatim.openstreetmap.org/reverse?format=json&lat=${latitude}&lon=${longitude}`)
-          .then(response => response.json())
-          .then(data => {
-            if (data.display_name) {
-              setValue('location', data.display_name);
-            }
-          })
-          .catch(error => {
-            console.error('Error getting address:', error);
-          })
-          .finally(() => {
-            setIsGettingLocation(false);
-          });
+        handleLocationPick({ latitude, longitude }).finally(() => {
+          setIsGettingLocation(false);
+        });
       },
       (error) => {
         console.error('Error getting location:', error);
@@ -99,7 +137,7 @@ export default function ReportIssue() {
     );
   };
 
-  const onSubmit = async (data) => {
+  const submitIssue = async (data, ignoreDuplicates) => {
     try {
       setIsSubmitting(true);
       
@@ -112,6 +150,18 @@ export default function ReportIssue() {
       formData.append('location', data.location);
       formData.append('category', data.category);
       
+      if (data.ward) {
+        formData.append('ward', data.ward);
+      }
+
+      if (data.priority) {
+        formData.append('priority', data.priority);
+      }
+      
+      if (ignoreDuplicates) {
+        formData.append('ignoreDuplicates', 'true');
+      }
+      
       // Add coordinates if available
       if (coordinates) {
         formData.append('latitude', coordinates.latitude);
@@ -131,6 +181,12 @@ export default function ReportIssue() {
       // Redirect to the issue detail page
       router.push(`/issues/${response.data.id}`);
     } catch (error) {
+      // Likely duplicates are offered instead of creating the issue
+      if (error.response?.status === 409) {
+        setDuplicates(error.response.data.data.duplicates);
+        return;
+      }
+
       console.error('Error submitting issue:', error);
       toast.error(error.response?.data?.message || 'Failed to report issue. Please try again.');
     } finally {
@@ -138,6 +194,10 @@ export default function ReportIssue() {
     }
   };
 
+  const onSubmit = (data) => submitIssue(data, false);
+
+  const onSubmitAnyway = handleSubmit((data) => submitIssue(data, true));
+
   return (
     <div className="container mx-auto px-4 py-8">
       <Head>
@@ -214,6 +274,10 @@ export default function ReportIssue() {
             {isGettingLocation && (
               <p className="mt-1 text-sm text-gray-500">Getting your location...</p>
             )}
+            <p className="mt-2 mb-1 text-sm text-gray-500">
+              Click the map or drag the pin to mark the exact spot.
+            </p>
+            <LocationPicker value={coordinates} onChange={handleLocationPick} />
           </div>
           
           {/* Category */}
@@ -241,6 +305,40 @@ export default function ReportIssue() {
             )}
           </div>
           
+          {/* Ward */}
+          {wards.length > 0 && (
+            <div>
+              <label htmlFor="ward" className="block text-sm font-medium mb-1">Ward (Optional)</label>
+              <select
+                id="ward"
+                className="w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600"
+                {...register('ward')}
+              >
+                <option value="">I don't know</option>
+                {wards.map(ward => (
+                  <option key={ward} value={ward}>{ward}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-xs text-gray-500">Helps send your report to the department responsible for the area.</p>
+            </div>
+          )}
+          
+          {/* Priority */}
+          <div>
+            <label htmlFor="priority" className="block text-sm font-medium mb-1">How urgent is it? (Optional)</label>
+            <select
+              id="priority"
+              className="w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-primary-500 focus:border-primary-500 dark:bg-gray-700 dark:border-gray-600"
+              {...register('priority')}
+            >
+              <option value="">Not sure</option>
+              <option value="HIGH">High - a danger to people or property</option>
+              <option value="MEDIUM">Medium - needs fixing soon</option>
+              <option value="LOW">Low - a minor nuisance</option>
+            </select>
+            <p className="mt-1 text-xs text-gray-500">Officials review every report and set the final priority.</p>
+          </div>
+          
           {/* Images */}
           <div>
             <label className="block text-sm font-medium mb-1">Images (Optional)</label>
@@ -252,13 +350,13 @@ export default function ReportIssue() {
                     <span className="font-semibold">Click to upload</span> or drag and drop
                   </p>
                   <p className="text-xs text-gray-500 dark:text-gray-400">
-                    PNG, JPG or JPEG (MAX. 5 images)
+                    PNG, JPG, GIF or WebP up to 5MB (MAX. 5 images)
                   </p>
                 </div>
                 <input 
                   type="file" 
                   className="hidden" 
-                  accept="image/png, image/jpeg, image/jpg"
+                  accept="image/png, image/jpeg, image/gif, image/webp"
                   multiple
                   onChange={handleImageChange}
                 />
@@ -290,6 +388,15 @@ export default function ReportIssue() {
             )}
           </div>
           
+          {/* Possible duplicates */}
+          {duplicates.length > 0 && (
+            <DuplicateSuggestions
+              duplicates={duplicates}
+              onReportAnyway={onSubmitAnyway}
+              isSubmitting={isSubmitting}
+            />
+          )}
+          
           {/* Submit Button */}
           <div>
             <button
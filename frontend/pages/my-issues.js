@@ -6,6 +6,11 @@ import { toast } from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
 import IssueCard from '../components/IssueCard';
 
+const TABS = [
+  { id: 'reported', label: 'Reported', path: 'issues' },
+  { id: 'following', label: 'Following', path: 'following' },
+];
+
 export default function MyIssues() {
   const [issues, setIssues] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -18,8 +23,10 @@ export default function MyIssues() {
   const { user, getAuthHeader, loading: authLoading } = useAuth();
   const router = useRouter();
 
+  const tab = TABS.find(item => item.id === router.query.tab) || TABS[0];
+
   useEffect(() => {
-    if (!authLoading) {
+    if (!authLoading && router.isReady) {
       if (!user) {
         toast.error('You must be logged in to view your issues');
         router.push('/login');
@@ -27,7 +34,12 @@ export default function MyIssues() {
         fetchMyIssues();
       }
     }
-  }, [user, authLoading, pagination.page]);
+  }, [user, authLoading, router.isReady, tab.id, pagination.page]);
+
+  const showTab = (id) => {
+    setPagination(prev => ({ ...prev, page: 1 }));
+    router.push({ pathname: '/my-issues', query: id === 'reported' ? {} : { tab: id } }, undefined, { shallow: true });
+  };
 
   const fetchMyIssues = async () => {
     if (!user) return;
@@ -35,7 +47,7 @@ export default function MyIssues() {
     setLoading(true);
     try {
       const response = await fetch(
-        `${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}/issues?page=${pagination.page}&limit=${pagination.limit}`,
+        `${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}/${tab.path}?page=${pagination.page}&limit=${pagination.limit}`,
         {
           headers: {
             ...getAuthHeader(),
@@ -48,10 +60,10 @@ export default function MyIssues() {
       }
 
       const data = await response.json();
-      setIssues(data.issues);
+      setIssues(data.data.issues);
       setPagination(prev => ({
         ...prev,
-        total: data.total,
+        total: data.pagination.total,
       }));
     } catch (error) {
       toast.error('Error fetching your issues');
@@ -81,8 +93,23 @@ export default function MyIssues() {
       <div className="container mx-auto px-4 py-8">
         <div className="flex flex-col md:flex-row justify-between items-start md:items-center mb-8">
           <div>
-            <h1 className="text-3xl font-bold text-gray-900">My Reported Issues</h1>
-            <p className="text-gray-600 mt-2">Track and manage the issues you've reported</p>
+            <h1 className="text-3xl font-bold text-gray-900">My Issues</h1>
+            <p className="text-gray-600 mt-2">
+              {tab.id === 'following'
+                ? "Issues you're notified about: the ones you reported, commented on, voted on or followed"
+                : "Track and manage the issues you've reported"}
+            </p>
+            <div className="mt-4 inline-flex rounded-md shadow-sm">
+              {TABS.map((item, index) => (
+                <button
+                  key={item.id}
+                  onClick={() => showTab(item.id)}
+                  className={`px-4 py-2 text-sm font-medium border ${index === 0 ? 'rounded-l-md' : 'rounded-r-md border-l-0'} ${tab.id === item.id ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+                >
+                  {item.label}
+                </button>
+              ))}
+            </div>
           </div>
           <div className="mt-4 md:mt-0">
             <Link href="/issues/create" className="btn-primary">
@@ -91,7 +118,15 @@ export default function MyIssues() {
           </div>
         </div>
 
-        {issues.length === 0 ? (
+        {issues.length === 0 && tab.id === 'following' ? (
+          <div className="bg-white rounded-lg shadow p-8 text-center">
+            <h3 className="text-xl font-medium text-gray-900 mb-2">You're not following any issues</h3>
+            <p className="text-gray-600 mb-4">Follow an issue to be notified when its status changes or officials respond.</p>
+            <Link href="/issues" className="btn-primary">
+              Browse Issues
+            </Link>
+          </div>
+        ) : issues.length === 0 ? (
           <div className="bg-white rounded-lg shadow p-8 text-center">
             <h3 className="text-xl font-medium text-gray-900 mb-2">No issues reported yet</h3>
             <p className="text-gray-600 mb-4">You haven't reported any civic issues yet.</p>
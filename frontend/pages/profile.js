@@ -5,6 +5,7 @@ import Link from 'next/link';
 import { toast } from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import { requestAlertPermission } from '../utils/helpers';
 import { 
   UserIcon, 
   EnvelopeIcon, 
@@ -27,7 +28,9 @@ export default function Profile() {
   });
   const [isLoading, setIsLoading] = useState(true);
   const [isSubmitting, setIsSubmitting] = useState(false);
-  const [changePassword, setChangePassword] = useState(false);
+  const [showDeleteAccount, setShowDeleteAccount] = useState(false);
+  const [deleteData, setDeleteData] = useState({ password: '', confirmation: '' });
+  const [isDeleting, setIsDeleting] = useState(false);
   const [activeTab, setActiveTab] = useState('profile');
   const [userIssues, setUserIssues] = useState([]);
   const [loadingIssues, setLoadingIssues] = useState(false);
@@ -37,10 +40,11 @@ export default function Profile() {
     issueUpdates: true,
     comments: true,
     statusChanges: true,
-    systemAnnouncements: true
+    digest: 'OFF'
   });
   
-  const { user, getAuthHeader, loading } = useAuth();
+  const { user, getAuthHeader, loading, changePassword, deleteAccount } = useAuth();
+  const isStaff = user && (user.role === 'OFFICIAL' || user.role === 'ADMIN');
   const { themeMode } = useTheme();
   const router = useRouter();
 
@@ -85,17 +89,18 @@ export default function Profile() {
     }));
   };
 
-  const toggleChangePassword = () => {
-    setChangePassword(!changePassword);
-    // Clear password fields when toggling
-    if (!changePassword) {
-      setFormData(prev => ({
-        ...prev,
-        currentPassword: '',
-        newPassword: '',
-        confirmPassword: '',
-      }));
-    }
+  const handleDeleteChange = (e) => {
+    const { name, value } = e.target;
+    setDeleteData(prev => ({
+      ...prev,
+      [name]: value,
+    }));
+  };
+
+  const toggleDeleteAccount = () => {
+    setShowDeleteAccount(!showDeleteAccount);
+    // Never keep a typed password around once the panel is closed
+    setDeleteData({ password: '', confirmation: '' });
   };
 
   const fetchUserIssues = async () => {
@@ -130,14 +135,7 @@ export default function Profile() {
       }
       
       const data = await response.json();
-      setNotificationPreferences(data.preferences || {
-        email: true,
-        push: false,
-        issueUpdates: true,
-        comments: true,
-        statusChanges: true,
-        systemAnnouncements: true
-      });
+      setNotificationPreferences(data.data.preferences);
     } catch (error) {
       console.error('Error fetching notification preferences:', error);
     }
@@ -148,19 +146,6 @@ export default function Profile() {
     setIsSubmitting(true);
 
     try {
-      // Validate passwords if changing password
-      if (changePassword) {
-        if (!formData.currentPassword) {
-          throw new Error('Current password is required');
-        }
-        if (formData.newPassword !== formData.confirmPassword) {
-          throw new Error('New passwords do not match');
-        }
-        if (formData.newPassword.length < 6) {
-          throw new Error('New password must be at least 6 characters');
-        }
-      }
-
       // Prepare data for API
       const updateData = {
         name: formData.name,
@@ -168,12 +153,6 @@ export default function Profile() {
         bio: formData.bio
       };
 
-      // Only include password fields if changing password
-      if (changePassword) {
-        updateData.currentPassword = formData.currentPassword;
-        updateData.newPassword = formData.newPassword;
-      }
-
       const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}`, {
         method: 'PUT',
         headers: {
@@ -189,17 +168,6 @@ export default function Profile() {
       }
 
       toast.success('Profile updated successfully!');
-      
-      // Reset password fields if they were changed
-      if (changePassword) {
-        setFormData(prev => ({
-          ...prev,
-          currentPassword: '',
-          newPassword: '',
-          confirmPassword: '',
-        }));
-        setChangePassword(false);
-      }
     } catch (error) {
       toast.error(error.message || 'Error updating profile');
       console.error(error);
@@ -207,8 +175,60 @@ export default function Profile() {
       setIsSubmitting(false);
     }
   };
+
+  const handlePasswordSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.newPassword !== formData.confirmPassword) {
+      toast.error('New passwords do not match');
+      return;
+    }
+    if (formData.newPassword.length < 6) {
+      toast.error('New password must be at least 6 characters');
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      // Shows its own success and error messages
+      await changePassword({
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword,
+      });
+
+      setFormData(prev => ({
+        ...prev,
+        currentPassword: '',
+        newPassword: '',
+        confirmPassword: '',
+      }));
+    } catch (error) {
+      console.error(error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    setIsDeleting(true);
+
+    try {
+      // Logs out and shows its own success and error messages
+      await deleteAccount(deleteData);
+    } catch (error) {
+      console.error(error);
+      setIsDeleting(false);
+    }
+  };
   
   const handleNotificationPreferenceChange = async (key, value) => {
+    if (key === 'push' && value && !(await requestAlertPermission())) {
+      toast.error('Allow notifications for this site in your browser to get alerts');
+      return;
+    }
+    
     try {
       const newPreferences = { ...notificationPreferences, [key]: value };
       setNotificationPreferences(newPreferences);
@@ -219,13 +239,15 @@ export default function Profile() {
           ...getAuthHeader(),
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ preferences: newPreferences }),
+        body: JSON.stringify({ preferences: { [key]: value } }),
       });
       
       if (!response.ok) {
         throw new Error('Failed to update notification preferences');
       }
       
+      const data = await response.json();
+      setNotificationPreferences(data.data.preferences);
       toast.success('Notification preferences updated');
     } catch (error) {
       console.error('Error updating notification preferences:', error);
@@ -385,7 +407,8 @@ export default function Profile() {
               <div className={`bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden`}>
                 <div className="p-6">
                   <h2 className="text-xl font-semibold mb-4">Change Password</h2>
-                  <form onSubmit={handleSubmit}>
+                  <p className="mb-4 text-sm text-gray-500">Changing your password signs you out on all other devices.</p>
+                  <form onSubmit={handlePasswordSubmit}>
                     <div className="space-y-4">
                       <div>
                         <label htmlFor="currentPassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -453,7 +476,6 @@ export default function Profile() {
                           type="submit"
                           className="btn-primary"
                           disabled={isSubmitting}
-                          onClick={() => setChangePassword(true)}
                         >
                           {isSubmitting ? 'Changing...' : 'Change Password'}
                         </button>
@@ -467,18 +489,91 @@ export default function Profile() {
                 <div className="p-6">
                   <h2 className="text-xl font-semibold mb-4 text-red-600">Delete Account</h2>
                   <p className="mb-4">Once you delete your account, there is no going back. Please be certain.</p>
-                  <button
-                    type="button"
-                    className="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-md"
-                    onClick={() => {
-                      if (window.confirm('Are you sure you want to delete your account? This action cannot be undone.')) {
-                        // Handle account deletion
-                        toast.error('Account deletion is disabled in this demo');
-                      }
-                    }}
-                  >
-                    Delete My Account
-                  </button>
+                  {!showDeleteAccount ? (
+                    <button
+                      type="button"
+                      className="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-md"
+                      onClick={toggleDeleteAccount}
+                    >
+                      Delete My Account
+                    </button>
+                  ) : (
+                    <form onSubmit={handleDeleteAccount} className="space-y-4">
+                      <div className="rounded-md bg-red-50 dark:bg-red-900/20 p-4 text-sm text-red-700 dark:text-red-300">
+                        <div className="flex">
+                          <ExclamationCircleIcon className="h-5 w-5 mr-2 flex-shrink-0" />
+                          <p>
+                            Your name, email address, notifications and followed issues will be removed and you
+                            will be signed out everywhere. Issues and comments you posted stay visible so the
+                            community keeps their history, but they will be shown as posted by a deleted user.
+                          </p>
+                        </div>
+                      </div>
+
+                      <div>
+                        <label htmlFor="deletePassword" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          Password
+                        </label>
+                        <div className="relative">
+                          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                            <KeyIcon className="h-5 w-5 text-gray-400" />
+                          </div>
+                          <input
+                            type="password"
+                            id="deletePassword"
+                            name="password"
+                            value={deleteData.password}
+                            onChange={handleDeleteChange}
+                            required
+                            autoComplete="current-password"
+                            className="input pl-10 w-full"
+                          />
+                        </div>
+                      </div>
+
+                      <div>
+                        <label htmlFor="deleteConfirmation" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                          Type <span className="font-semibold">{user.email}</span> to confirm
+                        </label>
+                        <div className="relative">
+                          <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                            <EnvelopeIcon className="h-5 w-5 text-gray-400" />
+                          </div>
+                          <input
+                            type="text"
+                            id="deleteConfirmation"
+                            name="confirmation"
+                            value={deleteData.confirmation}
+                            onChange={handleDeleteChange}
+                            required
+                            autoComplete="off"
+                            className="input pl-10 w-full"
+                          />
+                        </div>
+                      </div>
+
+                      <div className="flex justify-end space-x-3">
+                        <button
+                          type="button"
+                          className="btn-secondary"
+                          onClick={toggleDeleteAccount}
+                          disabled={isDeleting}
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          className="bg-red-600 hover:bg-red-700 text-white py-2 px-4 rounded-md disabled:opacity-50"
+                          disabled={
+                            isDeleting ||
+                            deleteData.confirmation.trim().toLowerCase() !== (user.email || '').toLowerCase()
+                          }
+                        >
+                          {isDeleting ? 'Deleting...' : 'Permanently Delete Account'}
+                        </button>
+                      </div>
+                    </form>
+                  )}
                 </div>
               </div>
             </div>
@@ -507,6 +602,24 @@ export default function Profile() {
                     </label>
                   </div>
                   
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h3 className="font-medium">Email Digest</h3>
+                      <p className="text-sm text-gray-500">Get issue updates in one email instead of one email each</p>
+                    </div>
+                    <select
+                      value={notificationPreferences.digest}
+                      onChange={(e) => handleNotificationPreferenceChange('digest', e.target.value)}
+                      disabled={!notificationPreferences.email}
+                      className="input w-auto"
+                      aria-label="Email digest"
+                    >
+                      <option value="OFF">Off</option>
+                      <option value="DAILY">Daily</option>
+                      <option value="WEEKLY">Weekly</option>
+                    </select>
+                  </div>
+                  
                   <div className="flex items-center justify-between">
                     <div>
                       <h3 className="font-medium">Push Notifications</h3>
@@ -571,21 +684,11 @@ export default function Profile() {
                     </label>
                   </div>
                   
-                  <div className="flex items-center justify-between">
-                    <div>
-                      <h3 className="font-medium">System Announcements</h3>
-                      <p className="text-sm text-gray-500">Important updates about the platform</p>
-                    </div>
-                    <label className="relative inline-flex items-center cursor-pointer">
-                      <input 
-                        type="checkbox" 
-                        className="sr-only peer" 
-                        checked={notificationPreferences.systemAnnouncements}
-                        onChange={(e) => handleNotificationPreferenceChange('systemAnnouncements', e.target.checked)}
-                      />
-                      <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
-                    </label>
-                  </div>
+                  {isStaff && (
+                    <p className="text-sm text-gray-500">
+                      New issues, assignments and overdue issues always appear in your notifications, as they are part of your work. Emails about new issues follow your email setting.
+                    </p>
+                  )}
                 </div>
               </div>
             </div>
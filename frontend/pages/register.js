@@ -42,7 +42,7 @@ export default function Register() {
       const result = await register(userData);
       
       if (result.success) {
-        toast.success('Registration successful! Please log in.');
+        toast.success('Registration successful! Check your email for a verification link, then log in.');
         router.push('/login');
       } else {
         toast.error(result.message || 'Registration failed');
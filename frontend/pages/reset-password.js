@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+import { useAuth } from '../context/AuthContext';
+import { toast } from 'react-hot-toast';
+
+export default function ResetPassword() {
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const { resetPassword } = useAuth();
+  const router = useRouter();
+  const { token } = router.query;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+
+    try {
+      await resetPassword({ token, password });
+      router.push('/login');
+    } catch (error) {
+      // resetPassword already shows the error
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <>
+      <Head>
+        <title>Reset Password | Civic Issue Reporting System</title>
+      </Head>
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8">
+          <div>
+            <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">Choose a new password</h2>
+            <p className="mt-2 text-center text-sm text-gray-600">
+              You will be signed out on all devices once your password is changed.
+            </p>
+          </div>
+
+          {router.isReady && !token ? (
+            <div className="rounded-md bg-red-50 p-4 text-sm text-red-800">
+              This password reset link is incomplete.{' '}
+              <Link href="/forgot-password" className="font-medium underline">
+                Request a new link
+              </Link>
+            </div>
+          ) : (
+            <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+              <div className="rounded-md shadow-sm -space-y-px">
+                <div>
+                  <label htmlFor="password" className="sr-only">
+                    New password
+                  </label>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    minLength={6}
+                    className="input rounded-t-md"
+                    placeholder="New password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+                <div>
+                  <label htmlFor="confirm-password" className="sr-only">
+                    Confirm new password
+                  </label>
+                  <input
+                    id="confirm-password"
+                    name="confirmPassword"
+                    type="password"
+                    autoComplete="new-password"
+                    required
+                    minLength={6}
+                    className="input rounded-b-md"
+                    placeholder="Confirm new password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <button
+                  type="submit"
+                  className="btn-primary w-full"
+                  disabled={isLoading || !token}
+                >
+                  {isLoading ? 'Saving...' : 'Reset password'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -1,28 +1,42 @@
 import { useState, useEffect } from 'react';
 import Head from 'next/head';
 import { useRouter } from 'next/router';
+import { toast } from 'react-hot-toast';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
-import { SunIcon, MoonIcon, ComputerDesktopIcon, EyeIcon, ArrowPathIcon, LanguageIcon, BellIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
+import { getAuthHeader } from '../utils/auth';
+import { describeUserAgent, getRelativeTime, requestAlertPermission } from '../utils/helpers';
+import { SunIcon, MoonIcon, ComputerDesktopIcon, EyeIcon, ArrowPathIcon, LanguageIcon, BellIcon, ShieldCheckIcon, DevicePhoneMobileIcon } from '@heroicons/react/24/outline';
+
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  email: true,
+  push: false,
+  issueUpdates: true,
+  comments: true,
+  statusChanges: true,
+  digest: 'OFF'
+};
 
 export default function Settings() {
   const { user } = useAuth();
+  const isStaff = user && (user.role === 'OFFICIAL' || user.role === 'ADMIN');
   const { themeMode, setThemeMode, toggleTheme } = useTheme();
   const [fontSize, setFontSize] = useState('medium');
   const [reducedMotion, setReducedMotion] = useState(false);
   const [highContrast, setHighContrast] = useState(false);
   const [language, setLanguage] = useState('en');
   const [activeTab, setActiveTab] = useState('appearance');
-  const [notificationPreferences, setNotificationPreferences] = useState({
-    email: true,
-    push: false,
-    issueUpdates: true,
-    comments: true,
-    statusChanges: true,
-    systemAnnouncements: true
-  });
+  const [notificationPreferences, setNotificationPreferences] = useState(DEFAULT_NOTIFICATION_PREFERENCES);
+  const [sessions, setSessions] = useState([]);
+  const [loadingSessions, setLoadingSessions] = useState(false);
   const router = useRouter();
   
+  useEffect(() => {
+    if (user && activeTab === 'sessions') {
+      fetchSessions();
+    }
+  }, [user, activeTab]);
+
   useEffect(() => {
     // Load saved preferences from localStorage
     const savedFontSize = localStorage.getItem('fontSize') || 'medium';
@@ -49,22 +63,89 @@ export default function Settings() {
   
   const fetchNotificationPreferences = async () => {
     try {
-      // This would be an API call in a real application
-      // const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}/notification-preferences`, {
-      //   headers: { Authorization: `Bearer ${user.token}` }
-      // });
-      // const data = await response.json();
-      // setNotificationPreferences(data.preferences);
-      
-      // For demo purposes, we'll use localStorage
-      const savedPreferences = localStorage.getItem('notificationPreferences');
-      if (savedPreferences) {
-        setNotificationPreferences(JSON.parse(savedPreferences));
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}/notification-preferences`, {
+        headers: getAuthHeader()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch notification preferences');
       }
+
+      const data = await response.json();
+      setNotificationPreferences(data.data.preferences);
     } catch (error) {
       console.error('Error fetching notification preferences:', error);
     }
   };
+
+  const updateNotificationPreferences = async (changes) => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}/notification-preferences`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ preferences: changes }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to update notification preferences');
+      }
+
+      const data = await response.json();
+      setNotificationPreferences(data.data.preferences);
+    } catch (error) {
+      console.error('Error updating notification preferences:', error);
+      toast.error(error.message || 'Failed to update notification preferences');
+      // Revert the change
+      fetchNotificationPreferences();
+    }
+  };
+  
+  const fetchSessions = async () => {
+    try {
+      setLoadingSessions(true);
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/sessions`, {
+        headers: getAuthHeader()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch sessions');
+      }
+
+      const data = await response.json();
+      setSessions(data.data.sessions);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      toast.error('Failed to load your sessions');
+    } finally {
+      setLoadingSessions(false);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    try {
+      const url = sessionId
+        ? `${process.env.NEXT_PUBLIC_API_URL}/api/auth/sessions/${sessionId}`
+        : `${process.env.NEXT_PUBLIC_API_URL}/api/auth/sessions`;
+      const response = await fetch(url, {
+        method: 'DELETE',
+        headers: getAuthHeader()
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to sign out session');
+      }
+
+      // Without an ID every session but this one was signed out
+      setSessions(prev => prev.filter(session => (sessionId ? session.id !== sessionId : session.current)));
+      toast.success(sessionId ? 'Device signed out' : 'Signed out of all other devices');
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      toast.error(error.message || 'Failed to sign out session');
+    }
+  };
   
   const handleFontSizeChange = (size) => {
     setFontSize(size);
@@ -91,15 +172,41 @@ export default function Settings() {
     localStorage.setItem('language', lang);
     document.documentElement.setAttribute('lang', lang);
     // In a real app, you would also update your i18n context/service here
+    
+    // Emails to the user are written in the same language
+    if (user) {
+      updateEmailLanguage(lang);
+    }
+  };
+  
+  const updateEmailLanguage = async (lang) => {
+    try {
+      const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/users/${user.id}`, {
+        method: 'PUT',
+        headers: {
+          ...getAuthHeader(),
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ locale: lang }),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to update the language of your emails');
+      }
+    } catch (error) {
+      console.error('Error updating email language:', error);
+      toast.error(error.message || 'Failed to update the language of your emails');
+    }
   };
   
-  const handleNotificationPreferenceChange = (key, value) => {
-    const newPreferences = { ...notificationPreferences, [key]: value };
-    setNotificationPreferences(newPreferences);
-    localStorage.setItem('notificationPreferences', JSON.stringify(newPreferences));
+  const handleNotificationPreferenceChange = async (key, value) => {
+    if (key === 'push' && value && !(await requestAlertPermission())) {
+      toast.error('Allow notifications for this site in your browser to get alerts');
+      return;
+    }
     
-    // In a real app, you would also make an API call to update the user's preferences
-    // updateNotificationPreferences(newPreferences);
+    setNotificationPreferences(prev => ({ ...prev, [key]: value }));
+    updateNotificationPreferences({ [key]: value });
   };
   
   const resetAllSettings = () => {
@@ -127,16 +234,10 @@ export default function Settings() {
     document.documentElement.setAttribute('lang', 'en');
     
     // Reset notification preferences
-    const defaultNotificationPreferences = {
-      email: true,
-      push: false,
-      issueUpdates: true,
-      comments: true,
-      statusChanges: true,
-      systemAnnouncements: true
-    };
-    setNotificationPreferences(defaultNotificationPreferences);
-    localStorage.setItem('notificationPreferences', JSON.stringify(defaultNotificationPreferences));
+    if (user) {
+      setNotificationPreferences(DEFAULT_NOTIFICATION_PREFERENCES);
+      updateNotificationPreferences(DEFAULT_NOTIFICATION_PREFERENCES);
+    }
   };
   
   return (
@@ -171,6 +272,14 @@ export default function Settings() {
                 Notifications
               </button>
             )}
+            {user && (
+              <button
+                onClick={() => setActiveTab('sessions')}
+                className={`py-2 px-4 font-medium ${activeTab === 'sessions' ? 'text-primary-600 border-b-2 border-primary-600' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}
+              >
+                Sessions
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('privacy')}
               className={`py-2 px-4 font-medium ${activeTab === 'privacy' ? 'text-primary-600 border-b-2 border-primary-600' : 'text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'}`}
@@ -291,7 +400,7 @@ export default function Settings() {
                     <h2 className="text-xl font-semibold">Language Settings</h2>
                   </div>
                   
-                  <p className="mb-4 text-gray-600 dark:text-gray-400">Select your preferred language for the application interface.</p>
+                  <p className="mb-4 text-gray-600 dark:text-gray-400">Select your preferred language for the application interface and the emails we send you.</p>
                   
                   <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
                     <button
@@ -378,6 +487,24 @@ export default function Settings() {
                       </label>
                     </div>
                     
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <h3 className="font-medium">Email Digest</h3>
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Get issue updates in one email instead of one email each</p>
+                      </div>
+                      <select
+                        value={notificationPreferences.digest}
+                        onChange={(e) => handleNotificationPreferenceChange('digest', e.target.value)}
+                        disabled={!notificationPreferences.email}
+                        className="input w-auto"
+                        aria-label="Email digest"
+                      >
+                        <option value="OFF">Off</option>
+                        <option value="DAILY">Daily</option>
+                        <option value="WEEKLY">Weekly</option>
+                      </select>
+                    </div>
+                    
                     <div className="flex items-center justify-between">
                       <div>
                         <h3 className="font-medium">Push Notifications</h3>
@@ -442,28 +569,75 @@ export default function Settings() {
                             <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
                           </label>
                         </div>
-                        
-                        <div className="flex items-center justify-between">
-                          <div>
-                            <p className="text-sm">System Announcements</p>
-                          </div>
-                          <label className="relative inline-flex items-center cursor-pointer">
-                            <input 
-                              type="checkbox" 
-                              className="sr-only peer" 
-                              checked={notificationPreferences.systemAnnouncements}
-                              onChange={(e) => handleNotificationPreferenceChange('systemAnnouncements', e.target.checked)}
-                            />
-                            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-primary-300 dark:peer-focus:ring-primary-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-primary-600"></div>
-                          </label>
-                        </div>
                       </div>
+                      
+                      {isStaff && (
+                        <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">
+                          New issues, assignments and overdue issues always appear in your notifications, as they are part of your work. Emails about new issues follow your email setting.
+                        </p>
+                      )}
                     </div>
                   </div>
                 </div>
               </div>
             )}
             
+            {/* Sessions Tab */}
+            {activeTab === 'sessions' && user && (
+              <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
+                <div className="p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center">
+                      <DevicePhoneMobileIcon className="h-6 w-6 mr-2 text-primary-600" />
+                      <h2 className="text-xl font-semibold">Active Sessions</h2>
+                    </div>
+                    {sessions.length > 1 && (
+                      <button
+                        onClick={() => revokeSession()}
+                        className="text-sm font-medium text-red-600 hover:text-red-700"
+                      >
+                        Sign out all other devices
+                      </button>
+                    )}
+                  </div>
+
+                  <p className="mb-4 text-gray-600 dark:text-gray-400">Devices where you are signed in. Sign out any you don't recognise.</p>
+
+                  {loadingSessions ? (
+                    <div className="flex justify-center py-8">
+                      <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-primary-600"></div>
+                    </div>
+                  ) : (
+                    <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                      {sessions.map(session => (
+                        <li key={session.id} className="py-3 flex items-center justify-between">
+                          <div>
+                            <p className="font-medium">
+                              {describeUserAgent(session.userAgent)}
+                              {session.current && (
+                                <span className="ml-2 text-xs font-medium text-green-700 bg-green-100 rounded-full px-2 py-0.5">This device</span>
+                              )}
+                            </p>
+                            <p className="text-sm text-gray-500 dark:text-gray-400">
+                              {session.ipAddress ? `${session.ipAddress} · ` : ''}Last active {getRelativeTime(session.lastUsedAt)}
+                            </p>
+                          </div>
+                          {!session.current && (
+                            <button
+                              onClick={() => revokeSession(session.id)}
+                              className="text-sm font-medium text-red-600 hover:text-red-700"
+                            >
+                              Sign out
+                            </button>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Privacy Tab */}
             {activeTab === 'privacy' && (
               <div className="bg-white dark:bg-gray-800 rounded-lg shadow overflow-hidden">
@@ -0,0 +1,72 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+import { useAuth } from '../context/AuthContext';
+
+export default function Unsubscribe() {
+  const [status, setStatus] = useState('unsubscribing');
+  const { user } = useAuth();
+  const router = useRouter();
+  const { token } = router.query;
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!token) {
+      setStatus('failed');
+      return;
+    }
+
+    fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/notifications/unsubscribe`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ token }),
+    })
+      .then((response) => setStatus(response.ok ? 'unsubscribed' : 'failed'))
+      .catch(() => setStatus('failed'));
+    // Unsubscribe once per token
+  }, [router.isReady, token]);
+
+  return (
+    <>
+      <Head>
+        <title>Unsubscribe | Civic Issue Reporting System</title>
+      </Head>
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8 text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Unsubscribe</h2>
+
+          {status === 'unsubscribing' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'unsubscribed' && (
+            <div className="space-y-4">
+              <p className="text-gray-600">
+                You will no longer receive notification emails. Emails about your account, such as password resets,
+                are still sent. You can turn emails back on in your settings at any time.
+              </p>
+              <Link href={user ? '/settings' : '/login'} className="btn-primary inline-block">
+                {user ? 'Notification settings' : 'Sign in'}
+              </Link>
+            </div>
+          )}
+
+          {status === 'failed' && (
+            <div className="rounded-md bg-red-50 p-4 text-sm text-red-800">
+              This unsubscribe link is invalid.{' '}
+              <Link href={user ? '/settings' : '/login'} className="font-medium underline">
+                {user ? 'Change your notification settings' : 'Sign in to change your notification settings'}
+              </Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Head from 'next/head';
+import { useAuth } from '../context/AuthContext';
+
+export default function VerifyEmail() {
+  const [status, setStatus] = useState('verifying');
+  const { user, verifyEmail, resendVerification } = useAuth();
+  const router = useRouter();
+  const { token } = router.query;
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    if (!token) {
+      setStatus('failed');
+      return;
+    }
+
+    verifyEmail(token)
+      .then(() => setStatus('verified'))
+      .catch(() => setStatus('failed'));
+    // Verify once per token
+  }, [router.isReady, token]);
+
+  return (
+    <>
+      <Head>
+        <title>Verify Email | Civic Issue Reporting System</title>
+      </Head>
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+        <div className="max-w-md w-full space-y-8 text-center">
+          <h2 className="mt-6 text-3xl font-extrabold text-gray-900">Verify your email</h2>
+
+          {status === 'verifying' && (
+            <div className="flex justify-center">
+              <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
+            </div>
+          )}
+
+          {status === 'verified' && (
+            <div className="space-y-4">
+              <p className="text-gray-600">Your email address has been verified. You can now report issues and comment.</p>
+              <Link href={user ? '/issues/report' : '/login'} className="btn-primary inline-block">
+                {user ? 'Report an issue' : 'Sign in'}
+              </Link>
+            </div>
+          )}
+
+          {status === 'failed' && (
+            <div className="rounded-md bg-red-50 p-4 text-sm text-red-800">
+              This verification link is invalid or has expired.{' '}
+              {user ? (
+                <button
+                  type="button"
+                  className="font-medium underline"
+                  onClick={() => resendVerification().catch(() => {})}
+                >
+                  Send a new link
+                </button>
+              ) : (
+                <Link href="/login" className="font-medium underline">
+                  Sign in to request a new link
+                </Link>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -6,6 +6,13 @@ import jwtDecode from 'jwt-decode';
 
 // Token storage keys
 const TOKEN_KEY = 'civic_auth_token';
+const REFRESH_TOKEN_KEY = 'civic_refresh_token';
+
+// Refreshes in flight, shared so concurrent callers do not spend the refresh token twice
+let refreshPromise = null;
+
+// Lock held while refreshing, so tabs of the same browser take turns
+const REFRESH_LOCK = 'civic_refresh_token';
 
 /**
  * Saves the authentication token to localStorage
@@ -29,16 +36,54 @@ export const getToken = () => {
 };
 
 /**
- * Removes the authentication token from localStorage
+ * Saves the refresh token to localStorage
+ * @param {string} token - The refresh token
+ */
+export const setRefreshToken = (token) => {
+  if (typeof window !== 'undefined') {
+    localStorage.setItem(REFRESH_TOKEN_KEY, token);
+  }
+};
+
+/**
+ * Retrieves the refresh token from localStorage
+ * @returns {string|null} - The refresh token or null if not found
+ */
+export const getRefreshToken = () => {
+  if (typeof window !== 'undefined') {
+    return localStorage.getItem(REFRESH_TOKEN_KEY);
+  }
+  return null;
+};
+
+/**
+ * Removes the authentication and refresh tokens from localStorage
  */
 export const removeToken = () => {
   if (typeof window !== 'undefined') {
     localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+};
+
+/**
+ * Gets the time at which the access token expires
+ * @returns {number} - Expiry in milliseconds since the epoch, or 0 without a token
+ */
+export const getTokenExpiry = () => {
+  const token = getToken();
+  if (!token) return 0;
+
+  try {
+    return jwtDecode(token).exp * 1000;
+  } catch (error) {
+    return 0;
   }
 };
 
 /**
- * Checks if a user is authenticated (has a valid token)
+ * Checks if a user is authenticated (has a valid token, or a refresh token
+ * to get a new one with)
  * @returns {boolean} - Whether the user is authenticated
  */
 export const isAuthenticated = () => {
@@ -46,11 +91,10 @@ export const isAuthenticated = () => {
   if (!token) return false;
   
   try {
-    const decoded = jwtDecode(token);
-    const currentTime = Date.now() / 1000;
-    
-    // Check if token is expired
-    if (decoded.exp < currentTime) {
+    jwtDecode(token);
+
+    // Expired access tokens are replaced using the refresh token
+    if (getTokenExpiry() < Date.now() && !getRefreshToken()) {
       removeToken();
       return false;
     }
@@ -99,17 +143,74 @@ export const getAuthHeader = () => {
 };
 
 /**
- * Refreshes the authentication token
- * @param {string} newToken - The new JWT token
+ * Sends the stored refresh token to the API and stores the tokens it returns
+ * @returns {Promise<string>} - The new JWT token
  */
-export const refreshToken = (newToken) => {
-  setToken(newToken);
+const requestRefresh = async () => {
+  const currentRefreshToken = getRefreshToken();
+
+  const response = await fetch(`${process.env.NEXT_PUBLIC_API_URL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken: currentRefreshToken }),
+  });
+
+  if (!response.ok) {
+    // Another tab may have refreshed with the same token first
+    if (getRefreshToken() !== currentRefreshToken) {
+      return getToken();
+    }
+
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || 'Failed to refresh session');
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  setToken(data.token);
+  // No new refresh token when another tab rotated the same one moments ago
+  if (data.refreshToken) {
+    setRefreshToken(data.refreshToken);
+  }
+  return data.token;
+};
+
+/**
+ * Exchanges the refresh token for a new access token and refresh token
+ * @returns {Promise<string>} - The new JWT token
+ * @throws {Error} - With status 401 when the session has ended
+ */
+export const refreshToken = () => {
+  if (!refreshPromise) {
+    const startingRefreshToken = getRefreshToken();
+
+    const refreshUnlessDone = () => {
+      // Another tab refreshed while this one waited for the lock
+      if (getRefreshToken() !== startingRefreshToken) {
+        return getToken();
+      }
+      return requestRefresh();
+    };
+
+    const refresh = typeof navigator !== 'undefined' && navigator.locks
+      ? navigator.locks.request(REFRESH_LOCK, refreshUnlessDone)
+      : refreshUnlessDone();
+
+    refreshPromise = refresh.finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
 };
 
 const auth = {
   setToken,
   getToken,
+  setRefreshToken,
+  getRefreshToken,
   removeToken,
+  getTokenExpiry,
   isAuthenticated,
   getCurrentUser,
   isAdmin,
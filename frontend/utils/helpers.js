@@ -128,6 +128,56 @@ export const formatStatus = (status) => {
   return capitalizeWords(status.replace(/_/g, ' ').toLowerCase());
 };
 
+/**
+ * Formats a distance in meters for display (e.g., 850 -> "850 m", 2300 -> "2.3 km")
+ * @param {number} meters - The distance in meters
+ * @returns {string} - The formatted distance
+ */
+export const formatDistance = (meters) => {
+  return meters < 1000 ? `${meters} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+/**
+ * Resolves an uploaded file URL; files stored on the API server have relative URLs
+ * @param {string} url - The file URL returned by the API
+ * @returns {string} - An absolute URL
+ */
+export const getAssetUrl = (url) => {
+  if (!url || !url.startsWith('/')) return url;
+  return `${process.env.NEXT_PUBLIC_API_URL}${url}`;
+};
+
+/**
+ * Describes a browser from its User-Agent (e.g., "Firefox on Windows")
+ * @param {string} userAgent - The User-Agent string
+ * @returns {string} - A short description of the browser and OS
+ */
+export const describeUserAgent = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  // Order matters: Edge and Opera also claim to be Chrome, and Chrome claims to be Safari
+  const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//], ['Safari', /Safari\//]];
+  const systems = [['Android', /Android/], ['iOS', /iPhone|iPad/], ['Windows', /Windows/], ['macOS', /Mac OS X/], ['Linux', /Linux/]];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!system) return browser[0];
+  if (!browser) return system[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+/**
+ * Whether an open issue is past its SLA due date
+ * @param {Object} issue - Issue with status and dueAt
+ * @returns {boolean} - True if the issue is overdue
+ */
+export const isOverdue = (issue) => {
+  if (!issue?.dueAt || ['RESOLVED', 'CLOSED', 'REJECTED'].includes(issue.status)) return false;
+  return new Date(issue.dueAt) < new Date();
+};
+
 /**
  * Gets the appropriate CSS class for an issue status
  * @param {string} status - The issue status
@@ -147,6 +197,10 @@ export const getStatusClass = (status) => {
       return 'badge-resolved';
     case 'CLOSED':
       return 'badge-closed';
+    case 'REJECTED':
+      return 'badge-rejected';
+    case 'REOPENED':
+      return 'badge-reopened';
     default:
       return '';
   }
@@ -185,4 +239,15 @@ export const getInitials = (name) => {
     .join('')
     .toUpperCase()
     .substring(0, 2);
-};
\ No newline at end of file
+};
+
+/**
+ * Asks the browser for permission to show notifications as system alerts
+ * @returns {Promise<boolean>} - Whether alerts can be shown
+ */
+export const requestAlertPermission = async () => {
+  if (typeof window === 'undefined' || !('Notification' in window)) return false;
+  if (Notification.permission !== 'default') return Notification.permission === 'granted';
+
+  return (await Notification.requestPermission()) === 'granted';
+};
@@ -0,0 +1,100 @@
+/**
+ * Map configuration shared by the issue map and the location picker
+ */
+
+// Raster tiles used when no style URL is configured. Point this at a
+// self-hosted or offline tile server with NEXT_PUBLIC_MAP_TILE_URL.
+const TILE_URL = process.env.NEXT_PUBLIC_MAP_TILE_URL || 'https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = process.env.NEXT_PUBLIC_MAP_TILE_ATTRIBUTION || '© OpenStreetMap contributors';
+
+/**
+ * MapLibre style for the base map.
+ * NEXT_PUBLIC_MAP_STYLE_URL takes precedence and can point to any style JSON,
+ * e.g. one served by a local tile server for offline use.
+ */
+export const MAP_STYLE = process.env.NEXT_PUBLIC_MAP_STYLE_URL || {
+  version: 8,
+  // Glyphs are needed for text labels such as cluster counts
+  ...(process.env.NEXT_PUBLIC_MAP_GLYPHS_URL && { glyphs: process.env.NEXT_PUBLIC_MAP_GLYPHS_URL }),
+  sources: {
+    'base-tiles': {
+      type: 'raster',
+      tiles: [TILE_URL],
+      tileSize: 256,
+      attribution: TILE_ATTRIBUTION,
+    },
+  },
+  layers: [
+    {
+      id: 'base-tiles',
+      type: 'raster',
+      source: 'base-tiles',
+    },
+  ],
+};
+
+/**
+ * Whether the base map style can render text labels
+ */
+export const MAP_HAS_GLYPHS = typeof MAP_STYLE === 'string' || Boolean(MAP_STYLE.glyphs);
+
+/**
+ * Initial map view when no location is known
+ */
+export const DEFAULT_VIEW_STATE = {
+  latitude: Number(process.env.NEXT_PUBLIC_MAP_DEFAULT_LAT) || 20.5937,
+  longitude: Number(process.env.NEXT_PUBLIC_MAP_DEFAULT_LNG) || 78.9629,
+  zoom: Number(process.env.NEXT_PUBLIC_MAP_DEFAULT_ZOOM) || 4,
+};
+
+/**
+ * Marker colours for each issue status
+ */
+export const STATUS_MARKER_COLORS = {
+  REPORTED: '#EAB308',
+  UNDER_REVIEW: '#3B82F6',
+  IN_PROGRESS: '#A855F7',
+  RESOLVED: '#22C55E',
+  CLOSED: '#6B7280',
+  REJECTED: '#EF4444',
+  REOPENED: '#F97316',
+};
+
+/**
+ * Converts issues with coordinates to a GeoJSON FeatureCollection
+ * @param {Array} issues - Issues from the API
+ * @returns {Object} - GeoJSON FeatureCollection of points
+ */
+export const issuesToGeoJson = (issues) => ({
+  type: 'FeatureCollection',
+  features: issues
+    .filter(issue => issue.latitude !== null && issue.longitude !== null)
+    .map(issue => ({
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [issue.longitude, issue.latitude],
+      },
+      properties: {
+        id: issue.id,
+        title: issue.title,
+        status: issue.status,
+        category: issue.category,
+        location: issue.location,
+      },
+    })),
+});
+
+const GEOCODER_URL = process.env.NEXT_PUBLIC_GEOCODER_URL || 'https://nominatim.openstreetmap.org';
+
+/**
+ * Looks up a readable address for a point using a Nominatim-compatible geocoder
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<string|null>} - Address, or null if none was found
+ */
+export const reverseGeocode = async (latitude, longitude) => {
+  const response = await fetch(`${GEOCODER_URL}/reverse?format=json&lat=${latitude}&lon=${longitude}`);
+  const data = await response.json();
+  return data.display_name || null;
+};